@@ -2,10 +2,14 @@
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.AzgaarParserService = void 0;
 const BaseService_1 = require("../../services/BaseService");
+const coordinateUtils_1 = require("../../shared/utils/coordinateUtils");
+const azgaarMapFile_1 = require("../../shared/utils/azgaarMapFile");
 class AzgaarParserService extends BaseService_1.BaseService {
     constructor(config = {}) {
         super('AzgaarParserService', config);
         this.coordinateConverter = new AzgaarCoordinateConverter();
+        this.cellLookup = null;
+        this.noteLookup = null;
     }
     async onInitialize() {
         this.eventBus.on('world:parse-map', this.handleParseMap.bind(this));
@@ -20,14 +24,18 @@ class AzgaarParserService extends BaseService_1.BaseService {
     async parseMapFile(mapData) {
         return this.measureOperation('parseMapFile', async () => {
             try {
-                const azgaarData = JSON.parse(mapData);
+                const azgaarData = this.readMapData(mapData);
                 this.validateMapData(azgaarData);
+                this.coordinateConverter = new AzgaarCoordinateConverter(azgaarData.settings);
                 const regions = await this.parseRegions(azgaarData);
                 const settlements = await this.parseSettlements(azgaarData);
                 const cultures = await this.parseCultures(azgaarData);
                 const religions = await this.parseReligions(azgaarData);
                 const rivers = await this.parseRivers(azgaarData);
                 const routes = await this.parseRoutes(azgaarData);
+                const provinces = await this.parseProvinces(azgaarData);
+                const militaryUnits = await this.parseMilitaryUnits(azgaarData, settlements);
+                const markers = await this.parseMarkers(azgaarData, settlements);
                 const metadata = this.createMetadata(azgaarData, regions, settlements);
                 return {
                     regions,
@@ -36,6 +44,9 @@ class AzgaarParserService extends BaseService_1.BaseService {
                     religions,
                     rivers,
                     routes,
+                    provinces,
+                    militaryUnits,
+                    markers,
                     metadata
                 };
             }
@@ -45,6 +56,38 @@ class AzgaarParserService extends BaseService_1.BaseService {
             }
         });
     }
+    // Native .map saves (plain or gzipped) and the JSON export both arrive here
+    readMapData(mapData) {
+        const text = azgaarMapFile_1.decodeMapInput(mapData);
+        if (azgaarMapFile_1.isAzgaarMapFile(text)) {
+            return azgaarMapFile_1.parseAzgaarMapFile(text);
+        }
+        return JSON.parse(text);
+    }
+    getCell(data, cellId) {
+        let cells = this.cellLookup && this.cellLookup.source === data.cells ? this.cellLookup.cells : null;
+        if (!cells) {
+            cells = new Map(data.cells.map(cell => [cell.id, cell]));
+            this.cellLookup = { source: data.cells, cells };
+        }
+        return cells.get(cellId);
+    }
+    // Azgaar notes are keyed by element id: state3, burg12, province5, marker7, regiment3-1
+    getNote(data, noteId) {
+        const source = data.notes || [];
+        let notes = this.noteLookup && this.noteLookup.source === source ? this.noteLookup.notes : null;
+        if (!notes) {
+            notes = new Map(source.map(note => [note.id, note]));
+            this.noteLookup = { source, notes };
+        }
+        return notes.get(noteId) || null;
+    }
+    // Legends are HTML in the editor; lore is kept as plain text
+    getNoteText(data, noteId, legend) {
+        const note = this.getNote(data, noteId);
+        const text = legend || (note === null || note === void 0 ? void 0 : note.legend) || '';
+        return text.replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim() || null;
+    }
     async parseRegions(data) {
         var _a;
         const regions = [];
@@ -65,7 +108,8 @@ class AzgaarParserService extends BaseService_1.BaseService {
                     expansionism: state.expansionism,
                     color: state.color,
                     capitalBurgId: state.capital,
-                    cellCount: state.cells.length
+                    cellCount: state.cells.length,
+                    lore: this.getNoteText(data, `state${state.id}`)
                 }
             };
             regions.push(region);
@@ -96,7 +140,8 @@ class AzgaarParserService extends BaseService_1.BaseService {
                     walls: burg.walls,
                     port: burg.port,
                     temple: burg.temple,
-                    shanty: burg.shanty
+                    shanty: burg.shanty,
+                    lore: this.getNoteText(data, `burg${burg.id}`)
                 }
             };
             settlements.push(settlement);
@@ -150,6 +195,8 @@ class AzgaarParserService extends BaseService_1.BaseService {
             properties: {
                 azgaarId: river.id,
                 basin: river.basin,
+                width: river.width,
+                discharge: river.discharge,
                 cellCount: river.cells.length
             }
         }));
@@ -164,10 +211,114 @@ class AzgaarParserService extends BaseService_1.BaseService {
             length: route.length,
             properties: {
                 azgaarId: route.id,
+                name: route.name,
+                group: route.group,
+                terrain: this.createRouteTerrain(route, data),
                 cellCount: route.cells.length
             }
         }));
     }
+    async parseProvinces(data) {
+        return (data.provinces || [])
+            .filter(province => province && province.id !== 0)
+            .map(province => {
+            const state = data.states.find(s => s.id === province.state);
+            return {
+                id: `province_${province.id}`,
+                name: province.name,
+                fullName: province.fullName || province.name,
+                type: province.formName || 'Province',
+                regionId: `region_${province.state}`,
+                regionName: (state === null || state === void 0 ? void 0 : state.name) || null,
+                boundary: this.createRegionBoundary(province, data),
+                centerPoint: this.coordinateConverter.convertToGeoJSON(province.centerX, province.centerY),
+                capitalId: province.burg ? `settlement_${province.burg}` : null,
+                lore: this.getNoteText(data, `province${province.id}`),
+                properties: {
+                    azgaarId: province.id,
+                    color: province.color,
+                    cellCount: (province.cells || []).length
+                }
+            };
+        });
+    }
+    // Regiments and fleets are stored on their state
+    async parseMilitaryUnits(data, settlements) {
+        const units = [];
+        for (const state of data.states) {
+            if (state.id === 0)
+                continue;
+            for (const unit of state.military || []) {
+                const coordinates = this.coordinateConverter.convertToGeoJSON(unit.x, unit.y);
+                units.push({
+                    id: `military_${state.id}_${unit.i}`,
+                    name: unit.name,
+                    type: unit.n ? 'Fleet' : 'Regiment',
+                    regionId: `region_${state.id}`,
+                    regionName: state.name,
+                    coordinates,
+                    strength: unit.a,
+                    composition: unit.u || {},
+                    nearest: this.describeNearestSettlement(coordinates, settlements),
+                    lore: this.getNoteText(data, `regiment${state.id}-${unit.i}`),
+                    properties: {
+                        azgaarId: unit.i,
+                        icon: unit.icon,
+                        cell: unit.cell
+                    }
+                });
+            }
+        }
+        return units;
+    }
+    async parseMarkers(data, settlements) {
+        return (data.markers || []).map(marker => {
+            var _a;
+            const note = this.getNote(data, `marker${marker.id}`);
+            const cell = this.getCell(data, marker.cell);
+            const coordinates = this.coordinateConverter.convertToGeoJSON(marker.x, marker.y);
+            return {
+                id: `marker_${marker.id}`,
+                name: marker.name || (note === null || note === void 0 ? void 0 : note.name) || this.describeMarkerType(marker.type),
+                type: marker.type,
+                icon: marker.icon,
+                coordinates,
+                regionId: (cell === null || cell === void 0 ? void 0 : cell.state) ? `region_${cell.state}` : null,
+                regionName: ((_a = data.states.find(s => s.id === (cell === null || cell === void 0 ? void 0 : cell.state) && s.id !== 0)) === null || _a === void 0 ? void 0 : _a.name) || null,
+                nearest: this.describeNearestSettlement(coordinates, settlements),
+                lore: this.getNoteText(data, `marker${marker.id}`, marker.legend),
+                properties: {
+                    azgaarId: marker.id,
+                    cell: marker.cell
+                }
+            };
+        });
+    }
+    // Unnamed markers go by their type: 'hot-springs' -> 'Hot springs'
+    describeMarkerType(type) {
+        const words = String(type || 'marker').replace(/-/g, ' ');
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    }
+    // Where a landmark sits relative to the closest settlement, e.g. 9 km east of Ashcombe
+    describeNearestSettlement(coordinates, settlements) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        for (const settlement of settlements) {
+            const distance = coordinateUtils_1.CoordinateUtils.calculateDistance(settlement.coordinates, coordinates);
+            if (distance < nearestDistance) {
+                nearest = settlement;
+                nearestDistance = distance;
+            }
+        }
+        if (!nearest)
+            return null;
+        return {
+            settlementId: nearest.id,
+            name: nearest.name,
+            distanceKm: Math.round(nearestDistance * 10) / 10,
+            direction: coordinateUtils_1.CoordinateUtils.compassDirection(coordinateUtils_1.CoordinateUtils.calculateBearing(nearest.coordinates, coordinates))
+        };
+    }
     validateMapData(data) {
         const requiredFields = ['settings', 'cells', 'burgs', 'states', 'cultures', 'religions'];
         const missingFields = requiredFields.filter(field => !data[field]);
@@ -196,20 +347,24 @@ class AzgaarParserService extends BaseService_1.BaseService {
         const regionBurgs = data.burgs.filter(burg => burg.state === state.id);
         return regionBurgs.reduce((total, burg) => total + burg.population, 0);
     }
+    // Boundaries use the same lng/lat space as settlement coordinates so containment queries line up. A .map
+    // state also carries its drawn outline, which covers the cells no burg or route sits in.
     createRegionBoundary(state, data) {
-        const cellCoords = state.cells
-            .map(cellId => data.cells.find(cell => cell.id === cellId))
+        const toLngLat = (x, y) => this.coordinateConverter.convertToGeoJSON(x, y).coordinates;
+        const cellCoords = (state.cells || [])
+            .map(cellId => this.getCell(data, cellId))
             .filter(cell => cell !== undefined)
-            .map(cell => [cell.x, cell.y]);
-        if (cellCoords.length === 0) {
+            .map(cell => toLngLat(cell.x, cell.y))
+            .concat((state.outline || []).map(([x, y]) => toLngLat(x, y)));
+        if (cellCoords.length < 3) {
             return {
                 type: 'Polygon',
                 coordinates: [[
-                        [state.centerX - 10, state.centerY - 10],
-                        [state.centerX + 10, state.centerY - 10],
-                        [state.centerX + 10, state.centerY + 10],
-                        [state.centerX - 10, state.centerY + 10],
-                        [state.centerX - 10, state.centerY - 10]
+                        toLngLat(state.centerX - 10, state.centerY - 10),
+                        toLngLat(state.centerX + 10, state.centerY - 10),
+                        toLngLat(state.centerX + 10, state.centerY + 10),
+                        toLngLat(state.centerX - 10, state.centerY + 10),
+                        toLngLat(state.centerX - 10, state.centerY - 10)
                     ]]
             };
         }
@@ -235,7 +390,7 @@ class AzgaarParserService extends BaseService_1.BaseService {
             return 'Religious Center';
         if (burg.citadel)
             return 'Military Garrison';
-        const cell = data.cells.find(c => c.id === burg.cell);
+        const cell = this.getCell(data, burg.cell);
         if (cell) {
             switch (cell.biome) {
                 case 1: return 'Farming';
@@ -247,11 +402,19 @@ class AzgaarParserService extends BaseService_1.BaseService {
         }
         return 'Mixed';
     }
+    // River cells (or a .map river's traced course) run from source to mouth, which the travel planner relies on
+    // for current direction
     createRiverGeometry(river, data) {
+        if (river.points && river.points.length >= 2) {
+            return {
+                type: 'LineString',
+                coordinates: river.points.map(([x, y]) => this.coordinateConverter.convertToGeoJSON(x, y).coordinates)
+            };
+        }
         const coordinates = river.cells
-            .map(cellId => data.cells.find(cell => cell.id === cellId))
+            .map(cellId => this.getCell(data, cellId))
             .filter(cell => cell !== undefined)
-            .map(cell => [cell.x, cell.y]);
+            .map(cell => this.coordinateConverter.convertToGeoJSON(cell.x, cell.y).coordinates);
         return {
             type: 'LineString',
             coordinates: coordinates
@@ -259,14 +422,22 @@ class AzgaarParserService extends BaseService_1.BaseService {
     }
     createRouteGeometry(route, data) {
         const coordinates = route.cells
-            .map(cellId => data.cells.find(cell => cell.id === cellId))
+            .map(cellId => this.getCell(data, cellId))
             .filter(cell => cell !== undefined)
-            .map(cell => [cell.x, cell.y]);
+            .map(cell => this.coordinateConverter.convertToGeoJSON(cell.x, cell.y).coordinates);
         return {
             type: 'LineString',
             coordinates: coordinates
         };
     }
+    // Height and biome per geometry vertex, used to weight travel along the route
+    createRouteTerrain(route, data) {
+        return route.cells
+            .map(cellId => this.getCell(data, cellId))
+            .filter(cell => cell !== undefined)
+            .map(cell => ({ height: cell.height, biome: cell.biome }));
+    }
+    // Andrew's monotone chain; returns a closed counter-clockwise ring
     createConvexHull(coordinates) {
         if (coordinates.length === 0) {
             return {
@@ -274,21 +445,25 @@ class AzgaarParserService extends BaseService_1.BaseService {
                 coordinates: [[]]
             };
         }
-        const xs = coordinates.map(coord => coord[0]);
-        const ys = coordinates.map(coord => coord[1]);
-        const minX = Math.min(...xs);
-        const maxX = Math.max(...xs);
-        const minY = Math.min(...ys);
-        const maxY = Math.max(...ys);
+        const points = coordinates.slice().sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+        const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+        const lower = [];
+        for (const point of points) {
+            while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0)
+                lower.pop();
+            lower.push(point);
+        }
+        const upper = [];
+        for (let i = points.length - 1; i >= 0; i--) {
+            while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], points[i]) <= 0)
+                upper.pop();
+            upper.push(points[i]);
+        }
+        const ring = lower.slice(0, -1).concat(upper.slice(0, -1));
+        ring.push(ring[0]);
         return {
             type: 'Polygon',
-            coordinates: [[
-                    [minX, minY],
-                    [maxX, minY],
-                    [maxX, maxY],
-                    [minX, maxY],
-                    [minX, minY]
-                ]]
+            coordinates: [ring]
         };
     }
     createMetadata(azgaarData, regions, settlements) {
@@ -296,6 +471,7 @@ class AzgaarParserService extends BaseService_1.BaseService {
             source: 'Azgaar',
             version: '1.0',
             bounds: this.createWorldBounds(azgaarData),
+            projection: this.coordinateConverter.projection.describe(),
             totalSettlements: settlements.length,
             totalRegions: regions.length,
             createdAt: new Date().toISOString()
@@ -303,14 +479,15 @@ class AzgaarParserService extends BaseService_1.BaseService {
     }
     createWorldBounds(data) {
         const { width, height } = data.settings;
+        const corner = (x, y) => this.coordinateConverter.convertToGeoJSON(x, y).coordinates;
         return {
             type: 'Polygon',
             coordinates: [[
-                    [0, 0],
-                    [width, 0],
-                    [width, height],
-                    [0, height],
-                    [0, 0]
+                    corner(0, 0),
+                    corner(width, 0),
+                    corner(width, height),
+                    corner(0, height),
+                    corner(0, 0)
                 ]]
         };
     }
@@ -359,7 +536,11 @@ class AzgaarParserService extends BaseService_1.BaseService {
     }
 }
 exports.AzgaarParserService = AzgaarParserService;
+// Converts Azgaar pixel coordinates using the map's own latitude/longitude extents and projection
 class AzgaarCoordinateConverter {
+    constructor(settings = {}) {
+        this.projection = coordinateUtils_1.MapProjection.fromSettings(settings);
+    }
     convertToGeoJSON(x, y) {
         const lat = this.pixelToLat(y);
         const lng = this.pixelToLng(x);
@@ -369,13 +550,13 @@ class AzgaarCoordinateConverter {
         };
     }
     pixelToLat(pixelY) {
-        return 90 - (pixelY / 4096) * 180;
+        return this.projection.pixelToGeographic(0, pixelY).latitude;
     }
     pixelToLng(pixelX) {
-        return (pixelX / 4096) * 360 - 180;
+        return this.projection.pixelToGeographic(pixelX, 0).longitude;
     }
     convertToPostGIS(x, y) {
-        const point = this.convertToGeoJSON(x, y);
-        return `ST_GeomFromGeoJSON('${JSON.stringify(point)}')`;
+        const { latitude, longitude } = this.projection.pixelToGeographic(x, y);
+        return coordinateUtils_1.CoordinateUtils.geographicToPostGIS(latitude, longitude);
     }
 }
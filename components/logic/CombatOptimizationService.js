@@ -54,7 +54,7 @@ class CombatOptimizationService extends BaseService_1.BaseService {
             const minimalContext = await this.buildMinimalCombatContext(this.activeCombat);
             const modelSwitched = await this.switchToCombatModel();
             const fullTokens = tokenCounter_1.TokenCounter.estimateTokens(JSON.stringify(fullContext));
-            const combatTokens = tokenCounter_1.TokenCounter.estimateTokens(JSON.stringify(minimalContext));
+            const combatTokens = tokenCounter_1.TokenCounter.estimateTokens(JSON.stringify(minimalContext), this.combatTokenTarget());
             const tokenReduction = fullTokens > 0 ? ((fullTokens - combatTokens) / fullTokens) * 100 : 0;
             this.activeCombat.status = 'active';
             this.eventBus.emit('combat:mode_entered', {
@@ -217,7 +217,7 @@ class CombatOptimizationService extends BaseService_1.BaseService {
             combat_rules: this.getCombatRules(),
             available_actions: this.getAvailableActions()
         };
-        const combatTokens = tokenCounter_1.TokenCounter.estimateTokens(JSON.stringify(minimalContext));
+        const combatTokens = tokenCounter_1.TokenCounter.estimateTokens(JSON.stringify(minimalContext), this.combatTokenTarget());
         const snapshot = this.contextSnapshots.get(combatContext.id);
         if (snapshot) {
             snapshot.tokenCount.combat = combatTokens;
@@ -274,6 +274,10 @@ Keep responses focused on combat mechanics and immediate tactical decisions.`;
             preserveKeys: ['_combat_mode', 'system_prompt', 'combatants', 'current_round']
         }).compressed;
     }
+    // Combat prompts are counted for the model they will be sent to
+    combatTokenTarget() {
+        return this.config.modelSwitching ? { model: this.config.fallbackModel } : undefined;
+    }
     async switchToCombatModel() {
         if (!this.config.modelSwitching)
             return false;
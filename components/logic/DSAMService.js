@@ -5,6 +5,7 @@ const BaseService_1 = require("../../services/BaseService");
 const tokenCounter_1 = require("../../shared/utils/tokenCounter");
 const compressionUtils_1 = require("../../shared/utils/compressionUtils");
 const relevanceScorer_1 = require("../../shared/utils/relevanceScorer");
+const PersistenceService_1 = require("../../services/PersistenceService");
 const DEFAULT_DSAM_CONFIG = {
     enabled: true,
     compressionLevel: 5,
@@ -20,13 +21,59 @@ class DSAMService extends BaseService_1.BaseService {
         this.memoryStore = new Map();
         this.associationIndex = new Map();
         this.config = { ...DEFAULT_DSAM_CONFIG, ...config };
+        PersistenceService_1.persistenceService.registerStore('dsam', { version: 1, load: () => this.reloadMemories() });
+        this.reloadMemories();
+        this.bindEvents();
     }
-    async onInitialize() {
+    bindEvents() {
         this.eventBus.on('conversation:new', this.handleNewConversation.bind(this));
         this.eventBus.on('character:action', this.handleCharacterAction.bind(this));
         this.eventBus.on('memory:query', this.handleMemoryQuery.bind(this));
         this.eventBus.on('dsam:cleanup', this.handleCleanupRequest.bind(this));
+        if (typeof window !== 'undefined' && window.addEventListener) {
+            // Chat-side memory recall: summaries are stored as conversations and each turn asks for related memories
+            window.addEventListener('stres:memory:store', (event) => {
+                const detail = event.detail || {};
+                const context = detail.context || {};
+                this.storeConversation(detail.conversation, {
+                    participants: [],
+                    themes: [],
+                    importance: 'moderate',
+                    ...context,
+                    time: context.time ? new Date(context.time) : new Date()
+                }).catch(error => console.warn('[DSAM] Failed to store conversation:', error));
+            });
+            window.addEventListener('stres:memory:query', (event) => {
+                const detail = event.detail || {};
+                this.recallMemories(detail)
+                    .then(memories => this.dispatch('stres:memory:results', { requestId: detail.requestId, memories }))
+                    .catch(error => this.dispatch('stres:memory:results', { requestId: detail.requestId, error: error.message }));
+            });
+            window.addEventListener('stres:memory:pin', (event) => {
+                const detail = event.detail || {};
+                this.pinMemory(detail.memoryId, detail.pinned !== false)
+                    .then(memory => this.dispatch('stres:memory:updated', { requestId: detail.requestId, memory: this.describeMemory(memory) }))
+                    .catch(error => this.dispatch('stres:memory:updated', { requestId: detail.requestId, error: error.message }));
+            });
+            window.addEventListener('stres:memory:forget', (event) => {
+                const detail = event.detail || {};
+                this.forgetMemory(detail.memoryId)
+                    .then(memory => this.dispatch('stres:memory:updated', { requestId: detail.requestId, memory: this.describeMemory(memory), forgotten: true }))
+                    .catch(error => this.dispatch('stres:memory:updated', { requestId: detail.requestId, error: error.message }));
+            });
+            window.addEventListener('stres:memory:request', (event) => {
+                const detail = event.detail || {};
+                this.dispatch('stres:memory:status', {
+                    requestId: detail.requestId,
+                    stats: this.getMemoryStats(),
+                    pinned: Array.from(this.memoryStore.values()).filter(memory => memory.pinned).map(memory => this.describeMemory(memory))
+                });
+            });
+        }
+    }
+    async onInitialize() {
         this.startCleanupTimer();
+        await this.ready;
         console.log('[DSAM] Initialized with config:', this.config);
     }
     async onShutdown() {
@@ -37,6 +84,7 @@ class DSAMService extends BaseService_1.BaseService {
         console.log('[DSAM] Shut down gracefully');
     }
     async storeConversation(conversation, context) {
+        await this.ready;
         return this.measureOperation('storeConversation', async () => {
             const memoryId = this.generateMemoryId();
             const analysis = await this.analyzeConversation(conversation, context);
@@ -61,6 +109,7 @@ class DSAMService extends BaseService_1.BaseService {
             };
             this.memoryStore.set(memoryId, memory);
             this.updateAssociationIndex(memory);
+            await this.persistMemory(memory);
             this.eventBus.emit('dsam:memory_stored', {
                 memoryId,
                 compressionSavings: memory.metadata.compressionRatio,
@@ -70,6 +119,7 @@ class DSAMService extends BaseService_1.BaseService {
         });
     }
     async queryMemories(query) {
+        await this.ready;
         return this.measureOperation('queryMemories', async () => {
             const startTime = performance.now();
             const relevantMemories = await this.findRelevantMemories(query);
@@ -98,6 +148,7 @@ class DSAMService extends BaseService_1.BaseService {
         });
     }
     async expandMemory(memoryId, targetDetail = 'balanced') {
+        await this.ready;
         return this.measureOperation('expandMemory', async () => {
             const memory = this.memoryStore.get(memoryId);
             if (!memory) {
@@ -111,6 +162,120 @@ class DSAMService extends BaseService_1.BaseService {
             return expanded;
         });
     }
+    /**
+     * Memories for the current turn: pinned ones first, then the best mix of text relevance and association
+     * strength with the characters and location in play. Each is expanded so prompts get readable content.
+     */
+    async recallMemories(options = {}) {
+        await this.ready;
+        return this.measureOperation('recallMemories', async () => {
+            const limit = Math.max(1, Number(options.limit) || 3);
+            const targets = [...(options.characterIds || []), options.location].filter(Boolean);
+            const scores = new Map();
+            const relevant = await this.findRelevantMemories({
+                query: String(options.query || ''),
+                context: { characterIds: options.characterIds || [] },
+                minRelevance: options.minRelevance || 0.1
+            });
+            for (const memory of relevant) {
+                scores.set(memory.id, memory.relevanceScore);
+            }
+            for (const target of targets) {
+                for (const memoryId of this.associationIndex.get(target) || []) {
+                    const memory = this.memoryStore.get(memoryId);
+                    const association = memory === null || memory === void 0 ? void 0 : memory.associations.find(assoc => assoc.targetId === target);
+                    if (association) {
+                        scores.set(memoryId, (scores.get(memoryId) || 0) + association.strength * 0.5);
+                    }
+                }
+            }
+            const pinned = Array.from(this.memoryStore.values()).filter(memory => memory.pinned);
+            const ranked = Array.from(scores.entries())
+                .filter(([id]) => { var _a; return !((_a = this.memoryStore.get(id)) === null || _a === void 0 ? void 0 : _a.pinned); })
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, limit)
+                .map(([id, score]) => ({ memory: this.memoryStore.get(id), score }));
+            const recalled = [];
+            for (const { memory, score } of [...pinned.map(memory => ({ memory, score: 1 })), ...ranked]) {
+                if (!memory)
+                    continue;
+                let expanded = memory.content;
+                try {
+                    expanded = await this.expandMemory(memory.id, options.detail || 'minimal');
+                }
+                catch (error) {
+                    console.warn('[DSAM] Expansion failed, using compressed content:', error);
+                }
+                recalled.push({ ...this.describeMemory(memory), score, text: this.memoryText(expanded) });
+            }
+            return recalled;
+        });
+    }
+    async pinMemory(memoryId, pinned = true) {
+        await this.ready;
+        const memory = this.memoryStore.get(this.resolveMemoryId(memoryId));
+        memory.pinned = !!pinned;
+        await this.persistMemory(memory);
+        return memory;
+    }
+    async forgetMemory(memoryId) {
+        await this.ready;
+        const memory = this.memoryStore.get(this.resolveMemoryId(memoryId));
+        this.memoryStore.delete(memory.id);
+        for (const [targetId, memoryIds] of this.associationIndex) {
+            memoryIds.delete(memory.id);
+            if (memoryIds.size === 0) {
+                this.associationIndex.delete(targetId);
+            }
+        }
+        await PersistenceService_1.persistenceService.remove('dsam', memory.id);
+        this.eventBus.emit('dsam:memory_forgotten', { memoryId: memory.id });
+        return memory;
+    }
+    // Accepts a full id or an unambiguous prefix, since chat commands show shortened ids
+    resolveMemoryId(memoryId) {
+        const query = String(memoryId || '').trim();
+        if (this.memoryStore.has(query))
+            return query;
+        const matches = Array.from(this.memoryStore.keys()).filter(id => query && (id.startsWith(query) || id.endsWith(query)));
+        if (matches.length === 1)
+            return matches[0];
+        throw new Error(matches.length ? `Memory id "${query}" is ambiguous` : `Memory not found: ${query}`);
+    }
+    describeMemory(memory) {
+        return {
+            id: memory.id,
+            type: memory.type,
+            pinned: !!memory.pinned,
+            timestamp: memory.timestamp,
+            relevanceScore: memory.relevanceScore,
+            associations: memory.associations.filter(assoc => assoc.type === 'character' || assoc.type === 'spatial').map(assoc => assoc.targetId),
+            preview: this.memoryText(memory.content).slice(0, 160)
+        };
+    }
+    memoryText(content) {
+        if (content == null)
+            return '';
+        if (typeof content === 'string')
+            return content;
+        const source = content.compressed && typeof content.compressed === 'object' ? content.compressed : content;
+        if (Array.isArray(source.key_points) && source.key_points.length > 0) {
+            return source.key_points.join(' ');
+        }
+        if (typeof source.summary === 'string') {
+            return source.summary;
+        }
+        if (typeof source.compressed === 'string') {
+            return source.compressed;
+        }
+        const { _dsam_enhancements, _dsam_expanded_at, ...rest } = source;
+        return JSON.stringify(rest);
+    }
+    dispatch(type, detail) {
+        if (typeof window !== 'undefined' && window.dispatchEvent) {
+            window.dispatchEvent(new CustomEvent(type, { detail }));
+        }
+    }
     getMemoryStats() {
         const memories = Array.from(this.memoryStore.values());
         const totalMemories = memories.length;
@@ -389,7 +554,7 @@ class DSAMService extends BaseService_1.BaseService {
         const cutoffDate = new Date(now.getTime() - (this.config.memoryWindow * 24 * 60 * 60 * 1000));
         const memoriesToRemove = [];
         for (const [id, memory] of this.memoryStore) {
-            if (memory.timestamp < cutoffDate && memory.relevanceScore < 0.5) {
+            if (memory.timestamp < cutoffDate && memory.relevanceScore < 0.5 && !memory.pinned) {
                 memoriesToRemove.push(id);
             }
         }
@@ -403,11 +568,41 @@ class DSAMService extends BaseService_1.BaseService {
             }
         }
         if (memoriesToRemove.length > 0) {
+            await this.persistAllMemories();
             console.log(`[DSAM] Cleaned up ${memoriesToRemove.length} old memories`);
         }
     }
+    async persistMemory(memory) {
+        try {
+            await PersistenceService_1.persistenceService.put('dsam', memory.id, memory);
+        }
+        catch (error) {
+            console.warn('[DSAM] Failed to persist memory:', error);
+        }
+    }
     async persistAllMemories() {
         console.log(`[DSAM] Persisting ${this.memoryStore.size} memories`);
+        try {
+            await PersistenceService_1.persistenceService.putMany('dsam', Array.from(this.memoryStore.entries()), { replace: true });
+        }
+        catch (error) {
+            console.warn('[DSAM] Failed to persist memories:', error);
+        }
+    }
+    // Reads and writes wait on `ready`; a namespace switch replaces the store wholesale
+    reloadMemories() {
+        this.ready = this.loadPersistedMemories().catch(error => console.warn('[DSAM] Failed to load memories:', error));
+        return this.ready;
+    }
+    async loadPersistedMemories() {
+        const entries = await PersistenceService_1.persistenceService.getAll('dsam');
+        this.memoryStore.clear();
+        this.associationIndex.clear();
+        for (const { value: memory } of entries) {
+            this.memoryStore.set(memory.id, memory);
+            this.updateAssociationIndex(memory);
+        }
+        return this.memoryStore.size;
     }
     async handleNewConversation(data) {
         try {
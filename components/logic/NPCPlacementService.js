@@ -2,12 +2,12 @@
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.NPCPlacementService = void 0;
 const BaseService_1 = require("../../services/BaseService");
+const coordinateUtils_1 = require("../../shared/utils/coordinateUtils");
 class NPCPlacementService extends BaseService_1.BaseService {
     constructor(config) {
         super('NPCPlacementService', config);
         this.placementCache = new Map();
         this.settlementCapacities = new Map();
-        this.config = config;
     }
     async onInitialize() {
         this.eventBus.on('world:assign-npcs', this.handleAssignNPCs.bind(this));
@@ -276,7 +276,7 @@ class NPCPlacementService extends BaseService_1.BaseService {
             const count = settlementCounts.get(result.settlementId) || 0;
             const capacity = this.settlementCapacities.get(result.settlementId);
             if (capacity && count >= capacity.maxCapacity) {
-                const alternative = this.findAlternativeSettlement(result.npcId, settlements);
+                const alternative = this.findAlternativeSettlement(result.npcId, settlements, result.settlementId);
                 if (alternative) {
                     settlementCounts.set(alternative.settlementId, (settlementCounts.get(alternative.settlementId) || 0) + 1);
                     return alternative;
@@ -286,12 +286,14 @@ class NPCPlacementService extends BaseService_1.BaseService {
             return result;
         });
     }
+    // NPCs drawn to a big city move to the one nearest the settlement they scored best in
     applyRealisticStrategy(results, settlements) {
-        const sortedSettlements = settlements.sort((a, b) => b.population - a.population);
+        const largeSettlements = settlements.filter(s => s.sizeCategory === 'Metropolis' || s.sizeCategory === 'Large City');
         return results.map(result => {
             const npc = results.find(r => r.npcId === result.npcId);
             if (npc && this.shouldPreferLargeSettlement(result.npcId)) {
-                const largeSettlement = sortedSettlements.find(s => s.sizeCategory === 'Metropolis' || s.sizeCategory === 'Large City');
+                const origin = settlements.find(s => s.id === result.settlementId);
+                const largeSettlement = this.findNearestSettlement(origin, largeSettlements);
                 if (largeSettlement) {
                     return {
                         ...result,
@@ -335,21 +337,40 @@ class NPCPlacementService extends BaseService_1.BaseService {
             story: 0.4
         };
     }
-    findAlternativeSettlement(npcId, settlements) {
+    findAlternativeSettlement(npcId, settlements, fromSettlementId) {
         const availableSettlements = settlements.filter(s => {
             const capacity = this.settlementCapacities.get(s.id);
-            return capacity && capacity.currentNPCs < capacity.maxCapacity;
+            return s.id !== fromSettlementId && capacity && capacity.currentNPCs < capacity.maxCapacity;
         });
         if (availableSettlements.length === 0)
             return null;
+        const origin = settlements.find(s => s.id === fromSettlementId);
+        const alternative = this.findNearestSettlement(origin, availableSettlements);
         return {
             npcId,
-            settlementId: availableSettlements[0].id,
+            settlementId: alternative.id,
             score: 50,
             placementType: 'fallback',
             factors: { fallback: 1.0 }
         };
     }
+    // Great-circle nearest; without an origin the first candidate
+    findNearestSettlement(origin, candidates) {
+        if (candidates.length === 0)
+            return null;
+        if (!(origin === null || origin === void 0 ? void 0 : origin.coordinates))
+            return candidates[0];
+        let nearest = candidates[0];
+        let nearestDistance = Infinity;
+        for (const candidate of candidates) {
+            const distance = coordinateUtils_1.CoordinateUtils.calculateDistance(origin.coordinates, candidate.coordinates);
+            if (distance < nearestDistance) {
+                nearest = candidate;
+                nearestDistance = distance;
+            }
+        }
+        return nearest;
+    }
     shouldPreferLargeSettlement(npcId) {
         return Math.random() < 0.5;
     }
@@ -0,0 +1,263 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.skillTreeService = exports.SkillTreeService = void 0;
+const BaseService_1 = require("../../services/BaseService");
+const XPCalculationService_1 = require("./XPCalculationService");
+const DEFAULT_SKILL_CONFIG = {
+    enabled: true,
+    debugMode: false
+};
+const DEFAULT_SKILL_TREES = [
+    {
+        id: 'martial',
+        name: 'Martial',
+        skills: [
+            { id: 'weapon_training', name: 'Weapon Training', description: 'Drills that make every fight a lesson', maxRank: 3, cost: 1, effects: { xp: { combat: 0.05 } } },
+            { id: 'battle_hardened', name: 'Battle Hardened', description: 'Learn more from dangerous fights', maxRank: 2, cost: 2, minLevel: 3, requires: [{ id: 'weapon_training', rank: 2 }], effects: { xp: { combat: 0.1 } } }
+        ]
+    },
+    {
+        id: 'arcana',
+        name: 'Arcana',
+        skills: [
+            { id: 'spellcraft', name: 'Spellcraft', description: 'Sharper casting and study', maxRank: 3, cost: 1, effects: { xp: { magic: 0.05 } } },
+            { id: 'runesmith', name: 'Runesmith', description: 'Steadier hands at the enchanting table', maxRank: 3, cost: 1, requires: [{ id: 'spellcraft', rank: 1 }], effects: { skills: { enchanting: 1 } } }
+        ]
+    },
+    {
+        id: 'subterfuge',
+        name: 'Subterfuge',
+        skills: [
+            { id: 'light_fingers', name: 'Light Fingers', description: 'Better odds when lifting from storages', maxRank: 3, cost: 1, effects: { skills: { theft: 1 } } },
+            { id: 'shadow_step', name: 'Shadow Step', description: 'Slip past guards and traps', maxRank: 2, cost: 2, minLevel: 3, requires: [{ id: 'light_fingers', rank: 2 }], effects: { skills: { theft: 2 }, xp: { exploration: 0.05 } } }
+        ]
+    },
+    {
+        id: 'craft',
+        name: 'Craft',
+        skills: [
+            { id: 'artisan', name: 'Artisan', description: 'Finer work at the bench', maxRank: 3, cost: 1, effects: { xp: { crafting: 0.05 }, skills: { crafting: 1 } } }
+        ]
+    },
+    {
+        id: 'presence',
+        name: 'Presence',
+        skills: [
+            { id: 'silver_tongue', name: 'Silver Tongue', description: 'Conversations go further', maxRank: 3, cost: 1, effects: { xp: { social: 0.05, trade: 0.05 } } }
+        ]
+    }
+];
+class SkillTreeService extends BaseService_1.BaseService {
+    constructor(config = {}) {
+        super('SkillTreeService', { performanceBudget: 10 });
+        this.trees = new Map();
+        this.skills = new Map();
+        this.config = { ...DEFAULT_SKILL_CONFIG, ...config };
+        this.setTrees(DEFAULT_SKILL_TREES, 'default');
+        this.bindEvents();
+    }
+    bindEvents() {
+        this.eventBus.on('xp:gained', this.handleXPGained.bind(this));
+        if (typeof window !== 'undefined' && window.addEventListener) {
+            // The chat side supplies worldpack trees and asks for views and spends by character
+            window.addEventListener('stres:skills:trees', (event) => {
+                var _a;
+                this.setTrees((_a = event.detail) === null || _a === void 0 ? void 0 : _a.trees, 'manifest');
+            });
+            window.addEventListener('stres:skills:request', (event) => {
+                const detail = event.detail || {};
+                this.publish(detail.characterId).catch(error => console.warn('[SkillTree] View failed:', error));
+            });
+            window.addEventListener('stres:skills:spend', (event) => {
+                const detail = event.detail || {};
+                this.spendPoint(detail.characterId, detail.skillId).catch(error => {
+                    this.dispatch('stres:skills:error', { characterId: detail.characterId, skillId: detail.skillId, error: error.message });
+                });
+            });
+        }
+    }
+    async onInitialize() {
+        console.log('[SkillTree] Initialized with', this.skills.size, 'skills');
+    }
+    async onShutdown() {
+        console.log('[SkillTree] Shut down');
+    }
+    // Accepts manifest.skillTrees as an array or an id-keyed object; an empty value restores the defaults
+    setTrees(trees, source = 'manifest') {
+        const list = Array.isArray(trees)
+            ? trees
+            : trees && typeof trees === 'object'
+                ? Object.entries(trees).map(([id, tree]) => ({ id, ...tree }))
+                : [];
+        if (list.length === 0 && source !== 'default') {
+            return this.setTrees(DEFAULT_SKILL_TREES, 'default');
+        }
+        this.trees.clear();
+        this.skills.clear();
+        for (const raw of list) {
+            if (!raw)
+                continue;
+            const treeId = String(raw.id || raw.name || `tree_${this.trees.size + 1}`);
+            const tree = { id: treeId, name: raw.name || treeId, description: raw.description || '', skills: [] };
+            for (const rawSkill of raw.skills || raw.nodes || []) {
+                const skill = this.normalizeSkill(rawSkill, treeId);
+                if (!skill || this.skills.has(skill.id))
+                    continue;
+                this.skills.set(skill.id, skill);
+                tree.skills.push(skill.id);
+            }
+            this.trees.set(treeId, tree);
+        }
+        this.treeSource = source;
+        return this.getTrees();
+    }
+    normalizeSkill(raw, treeId) {
+        if (!raw || !(raw.id || raw.name))
+            return null;
+        const id = String(raw.id || raw.name).trim().toLowerCase().replace(/\s+/g, '_');
+        const requires = (raw.requires || raw.prerequisites || []).map(req => typeof req === 'string' ? { id: req, rank: 1 } : { id: req.id, rank: req.rank || 1 });
+        return {
+            id,
+            treeId,
+            name: raw.name || id,
+            description: raw.description || '',
+            maxRank: Math.max(1, Number(raw.maxRank) || 1),
+            cost: Math.max(1, Number(raw.cost) || 1),
+            minLevel: Math.max(1, Number(raw.minLevel) || 1),
+            requires,
+            effects: {
+                xp: { ...((raw.effects && raw.effects.xp) || {}) },
+                skills: { ...((raw.effects && raw.effects.skills) || {}) }
+            }
+        };
+    }
+    getTrees() {
+        return Array.from(this.trees.values()).map(tree => ({
+            ...tree,
+            skills: tree.skills.map(id => this.skills.get(id))
+        }));
+    }
+    findSkill(query) {
+        const q = String(query || '').trim().toLowerCase();
+        if (!q)
+            return null;
+        return this.skills.get(q.replace(/\s+/g, '_'))
+            || Array.from(this.skills.values()).find(skill => skill.name.toLowerCase() === q)
+            || Array.from(this.skills.values()).find(skill => skill.name.toLowerCase().includes(q))
+            || null;
+    }
+    checkSpend(character, skill) {
+        const ranks = character.skills || {};
+        const current = ranks[skill.id] || 0;
+        if (current >= skill.maxRank) {
+            return { ok: false, reason: `${skill.name} is already at max rank (${skill.maxRank})` };
+        }
+        if (character.currentLevel < skill.minLevel) {
+            return { ok: false, reason: `${skill.name} requires level ${skill.minLevel}` };
+        }
+        const missing = skill.requires.filter(req => (ranks[req.id] || 0) < req.rank);
+        if (missing.length > 0) {
+            return {
+                ok: false,
+                reason: `${skill.name} requires ${missing.map(req => { var _a; return `${((_a = this.skills.get(req.id)) === null || _a === void 0 ? void 0 : _a.name) || req.id} ${req.rank}`; }).join(', ')}`
+            };
+        }
+        if ((character.skillPoints || 0) < skill.cost) {
+            return { ok: false, reason: `${skill.name} costs ${skill.cost} point${skill.cost === 1 ? '' : 's'} (you have ${character.skillPoints || 0})` };
+        }
+        return { ok: true };
+    }
+    async spendPoint(characterId, skillQuery) {
+        return this.measureOperation('spendPoint', async () => {
+            const skill = this.findSkill(skillQuery);
+            if (!skill) {
+                throw new Error(`Unknown skill: ${skillQuery}`);
+            }
+            const character = await XPCalculationService_1.xpCalculationService.getOrLoadCharacterXP(characterId);
+            const check = this.checkSpend(character, skill);
+            if (!check.ok) {
+                throw new Error(check.reason);
+            }
+            character.skills = { ...(character.skills || {}), [skill.id]: ((character.skills || {})[skill.id] || 0) + 1 };
+            character.skillPoints -= skill.cost;
+            character.skillEffects = this.computeEffects(character.skills);
+            await XPCalculationService_1.xpCalculationService.persistCharacterXP(character);
+            const spent = { skillId: skill.id, name: skill.name, rank: character.skills[skill.id], cost: skill.cost };
+            this.eventBus.emit('skill:learned', { characterId, ...spent });
+            await this.publish(characterId, spent);
+            return spent;
+        });
+    }
+    computeEffects(ranks) {
+        const effects = { xp: {}, skills: {} };
+        for (const [skillId, rank] of Object.entries(ranks || {})) {
+            const skill = this.skills.get(skillId);
+            if (!skill || !rank)
+                continue;
+            for (const kind of ['xp', 'skills']) {
+                for (const [key, value] of Object.entries(skill.effects[kind])) {
+                    effects[kind][key] = (effects[kind][key] || 0) + (Number(value) || 0) * rank;
+                }
+            }
+        }
+        return effects;
+    }
+    // Effective level for a skill check (theft, enchanting, crafting): character level plus learned bonuses
+    async getSkillLevel(characterId, skill) {
+        var _a, _b;
+        const character = await XPCalculationService_1.xpCalculationService.getOrLoadCharacterXP(characterId);
+        return character.currentLevel + (((_b = (_a = character.skillEffects) === null || _a === void 0 ? void 0 : _a.skills) === null || _b === void 0 ? void 0 : _b[skill]) || 0);
+    }
+    async getCharacterSkills(characterId) {
+        const character = await XPCalculationService_1.xpCalculationService.getOrLoadCharacterXP(characterId);
+        const ranks = character.skills || {};
+        // Trees may have changed since the ranks were bought; keep the cached effects in step
+        character.skillEffects = this.computeEffects(ranks);
+        return {
+            characterId,
+            level: character.currentLevel,
+            points: character.skillPoints || 0,
+            ranks: { ...ranks },
+            effects: character.skillEffects,
+            trees: this.getTrees().map(tree => ({
+                id: tree.id,
+                name: tree.name,
+                description: tree.description,
+                skills: tree.skills.map(skill => {
+                    const check = this.checkSpend(character, skill);
+                    return {
+                        id: skill.id,
+                        name: skill.name,
+                        description: skill.description,
+                        rank: ranks[skill.id] || 0,
+                        maxRank: skill.maxRank,
+                        cost: skill.cost,
+                        effects: skill.effects,
+                        canSpend: check.ok,
+                        blockedReason: check.ok ? null : check.reason
+                    };
+                })
+            }))
+        };
+    }
+    async publish(characterId, spent) {
+        if (!characterId)
+            return null;
+        const view = await this.getCharacterSkills(characterId);
+        this.dispatch('stres:skills:changed', { characterId, view, spent: spent || null });
+        return view;
+    }
+    dispatch(type, detail) {
+        if (typeof window !== 'undefined' && window.dispatchEvent) {
+            window.dispatchEvent(new CustomEvent(type, { detail }));
+        }
+    }
+    async handleXPGained(data) {
+        var _a, _b;
+        if (((_b = (_a = data.reward) === null || _a === void 0 ? void 0 : _a.levelUps) === null || _b === void 0 ? void 0 : _b.length) > 0) {
+            await this.publish(data.characterId);
+        }
+    }
+}
+exports.SkillTreeService = SkillTreeService;
+exports.skillTreeService = new SkillTreeService();
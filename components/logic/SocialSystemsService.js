@@ -2,6 +2,7 @@
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.socialSystemsService = exports.SocialSystemsService = void 0;
 const BaseService_1 = require("../../services/BaseService");
+const PersistenceService_1 = require("../../services/PersistenceService");
 const DEFAULT_SOCIAL_CONFIG = {
     enabled: true,
     relationshipTracking: true,
@@ -10,6 +11,7 @@ const DEFAULT_SOCIAL_CONFIG = {
     maxRelationships: 50,
     relationshipDecayRate: 2,
     romanceThreshold: 60,
+    recentChangeLimit: 20,
     debugMode: false
 };
 class SocialSystemsService extends BaseService_1.BaseService {
@@ -19,7 +21,10 @@ class SocialSystemsService extends BaseService_1.BaseService {
         this.romances = new Map();
         this.factions = new Map();
         this.characterRelationships = new Map();
+        this.recentChanges = [];
         this.config = { ...DEFAULT_SOCIAL_CONFIG, ...config };
+        PersistenceService_1.persistenceService.registerStore('social', { version: 1, load: () => this.reloadSocialData() });
+        this.reloadSocialData();
     }
     async onInitialize() {
         this.eventBus.on('task:detected', this.handleTaskDetected.bind(this));
@@ -27,6 +32,7 @@ class SocialSystemsService extends BaseService_1.BaseService {
         this.eventBus.on('quest:completed', this.handleQuestCompleted.bind(this));
         this.eventBus.on('social:action', this.handleSocialAction.bind(this));
         this.startRelationshipDecayTimer();
+        await this.ready;
         console.log('[Social] Initialized with config:', this.config);
     }
     async onShutdown() {
@@ -34,11 +40,13 @@ class SocialSystemsService extends BaseService_1.BaseService {
         console.log('[Social] Shut down gracefully');
     }
     async updateRelationship(sourceId, targetId, points, reason, context) {
+        await this.ready;
         return this.measureOperation('updateRelationship', async () => {
             const relationshipId = this.getRelationshipId(sourceId, targetId);
             let relationship = this.relationships.get(relationshipId);
             if (!relationship) {
                 relationship = this.createNewRelationship(sourceId, targetId);
+                this.relationships.set(relationshipId, relationship);
             }
             relationship.points = Math.max(-100, Math.min(100, relationship.points + points));
             relationship.lastInteraction = new Date();
@@ -62,6 +70,14 @@ class SocialSystemsService extends BaseService_1.BaseService {
                 pointsChange: points,
                 newLevel: relationship.level
             });
+            this.recordChange({
+                kind: 'relationship',
+                ids: [sourceId, targetId],
+                pointsChange: points,
+                value: relationship.points,
+                level: relationship.level,
+                reason
+            });
             return relationship;
         });
     }
@@ -78,6 +94,7 @@ class SocialSystemsService extends BaseService_1.BaseService {
             .filter(rel => rel !== undefined);
     }
     async startRomance(partner1Id, partner2Id) {
+        await this.ready;
         return this.measureOperation('startRomance', async () => {
             if (!this.config.romanceSystem)
                 return null;
@@ -113,6 +130,14 @@ class SocialSystemsService extends BaseService_1.BaseService {
                 compatibility,
                 initialAffection: romance.affection
             });
+            this.recordChange({
+                kind: 'romance',
+                ids: romance.partners,
+                pointsChange: 0,
+                value: romance.affection,
+                level: romance.stage,
+                reason: 'Romance begins'
+            });
             return romance;
         });
     }
@@ -148,9 +173,18 @@ class SocialSystemsService extends BaseService_1.BaseService {
             affectionChange,
             newAffection: romance.affection
         });
+        this.recordChange({
+            kind: 'romance',
+            ids: romance.partners,
+            pointsChange: affectionChange,
+            value: romance.affection,
+            level: romance.stage,
+            reason
+        });
         return romance;
     }
     async updateFactionStanding(factionId, pointsChange, reason) {
+        await this.ready;
         return this.measureOperation('updateFactionStanding', async () => {
             const faction = this.factions.get(factionId);
             if (!faction) {
@@ -166,9 +200,49 @@ class SocialSystemsService extends BaseService_1.BaseService {
                 newStanding: faction.standing.level,
                 reason
             });
+            if (typeof window !== 'undefined' && window.dispatchEvent) {
+                window.dispatchEvent(new CustomEvent('stres:faction:changed', {
+                    detail: {
+                        factionId: faction.id,
+                        name: faction.name,
+                        points: faction.points,
+                        standing: faction.standing.level,
+                        pointsChange,
+                        reason
+                    }
+                }));
+            }
+            this.recordChange({
+                kind: 'faction',
+                ids: [faction.id],
+                name: faction.name,
+                pointsChange,
+                value: faction.points,
+                level: faction.standing.level,
+                reason
+            });
             return faction;
         });
     }
+    ensureFaction(factionId, name) {
+        let faction = this.factions.get(factionId);
+        if (!faction) {
+            faction = {
+                id: factionId,
+                name: name || factionId,
+                points: 0,
+                reputation: 50,
+                standing: this.calculateFactionStanding(0),
+                members: [],
+                lastInteraction: new Date()
+            };
+            this.factions.set(factionId, faction);
+        }
+        return faction;
+    }
+    getFactions() {
+        return Array.from(this.factions.values());
+    }
     getSocialStatus(characterId) {
         const relationships = this.getCharacterRelationships(characterId);
         const romances = this.getCharacterRomances(characterId);
@@ -186,6 +260,57 @@ class SocialSystemsService extends BaseService_1.BaseService {
             socialScore: this.calculateSocialScore(relationships, romances)
         };
     }
+    getDashboard(characterId) {
+        const relationships = characterId
+            ? this.getCharacterRelationships(characterId)
+            : Array.from(this.relationships.values());
+        return {
+            characterId: characterId || null,
+            relationships: relationships
+                .slice()
+                .sort((a, b) => b.lastInteraction.getTime() - a.lastInteraction.getTime())
+                .slice(0, this.config.maxRelationships)
+                .map(rel => {
+                    var _a;
+                    return ({
+                        id: rel.id,
+                        source: rel.sourceCharacter,
+                        target: rel.targetCharacter,
+                        points: rel.points,
+                        level: rel.level,
+                        type: rel.type,
+                        lastInteraction: rel.lastInteraction,
+                        lastReason: ((_a = rel.history[rel.history.length - 1]) === null || _a === void 0 ? void 0 : _a.description) || '',
+                        highlights: this.getHistoryHighlights(rel)
+                    });
+                }),
+            romances: (characterId ? this.getCharacterRomances(characterId) : Array.from(this.romances.values()))
+                .map(romance => ({
+                    id: romance.id,
+                    partners: romance.partners.slice(),
+                    stage: romance.stage,
+                    affection: romance.affection,
+                    compatibility: romance.compatibility,
+                    status: romance.status,
+                    lastInteraction: romance.lastInteraction
+                })),
+            factions: this.getFactions().map(faction => ({
+                id: faction.id,
+                name: faction.name,
+                points: faction.points,
+                reputation: faction.reputation,
+                standing: faction.standing.level,
+                members: faction.members.slice()
+            })),
+            factionDistribution: this.getFactionStandingDistribution(),
+            recentChanges: this.recentChanges
+                .filter(change => !characterId || change.kind === 'faction' || change.ids.includes(characterId))
+                .slice(),
+            socialScore: characterId
+                ? this.calculateSocialScore(relationships, this.getCharacterRomances(characterId))
+                : null
+        };
+    }
     getSocialStats() {
         return {
             totalRelationships: this.relationships.size,
@@ -294,6 +419,31 @@ class SocialSystemsService extends BaseService_1.BaseService {
         }
         return { level, description, benefits, penalties };
     }
+    getHistoryHighlights(relationship, limit = 3) {
+        return relationship.history
+            .filter(event => event.description && Math.abs(event.pointsChange) >= 5)
+            .sort((a, b) => Math.abs(b.pointsChange) - Math.abs(a.pointsChange))
+            .slice(0, limit)
+            .sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime())
+            .map(event => ({ description: event.description, pointsChange: event.pointsChange }));
+    }
+    recordChange(change) {
+        const entry = { ...change, at: new Date() };
+        this.recentChanges.push(entry);
+        if (this.recentChanges.length > this.config.recentChangeLimit) {
+            this.recentChanges.splice(0, this.recentChanges.length - this.config.recentChangeLimit);
+        }
+        this.publishDashboard(entry);
+        this.persistAllSocialData();
+        return entry;
+    }
+    publishDashboard(change) {
+        if (typeof window !== 'undefined' && window.dispatchEvent) {
+            window.dispatchEvent(new CustomEvent('stres:social:changed', {
+                detail: { change, dashboard: this.getDashboard() }
+            }));
+        }
+    }
     getRelationshipId(char1, char2) {
         const [first, second] = [char1, char2].sort();
         return `rel_${first}_${second}`;
@@ -372,11 +522,60 @@ class SocialSystemsService extends BaseService_1.BaseService {
                     decayAmount,
                     daysSinceInteraction
                 });
+                this.recordChange({
+                    kind: 'relationship',
+                    ids: [relationship.sourceCharacter, relationship.targetCharacter],
+                    pointsChange: -decayAmount,
+                    value: relationship.points,
+                    level: relationship.level,
+                    reason: `No contact for ${Math.floor(daysSinceInteraction)} days`
+                });
             }
         }
     }
     async persistAllSocialData() {
-        console.log(`[Social] Persisting ${this.relationships.size} relationships, ${this.romances.size} romances, ${this.factions.size} factions`);
+        if (this.config.debugMode) {
+            console.log(`[Social] Persisting ${this.relationships.size} relationships, ${this.romances.size} romances, ${this.factions.size} factions`);
+        }
+        try {
+            await PersistenceService_1.persistenceService.put('social', 'state', {
+                relationships: Array.from(this.relationships.values()),
+                romances: Array.from(this.romances.values()),
+                factions: Array.from(this.factions.values()),
+                recentChanges: this.recentChanges
+            });
+        }
+        catch (error) {
+            console.warn('[Social] Failed to persist social data:', error);
+        }
+    }
+    // Writes wait on `ready` so they cannot land in maps the load is about to replace
+    reloadSocialData() {
+        this.ready = this.loadSocialData().catch(error => console.warn('[Social] Failed to load social data:', error));
+        return this.ready;
+    }
+    async loadSocialData() {
+        const stored = await PersistenceService_1.persistenceService.get('social', 'state');
+        this.relationships.clear();
+        this.romances.clear();
+        this.factions.clear();
+        this.characterRelationships.clear();
+        this.recentChanges = [];
+        if (!stored)
+            return;
+        for (const relationship of stored.relationships || []) {
+            this.relationships.set(relationship.id, relationship);
+            this.addToCharacterIndex(relationship.sourceCharacter, relationship.id);
+            this.addToCharacterIndex(relationship.targetCharacter, relationship.id);
+        }
+        for (const romance of stored.romances || []) {
+            this.romances.set(romance.id, romance);
+        }
+        for (const faction of stored.factions || []) {
+            this.factions.set(faction.id, faction);
+        }
+        this.recentChanges = stored.recentChanges || [];
+        this.publishDashboard(null);
     }
     async handleTaskDetected(data) {
         var _a, _b, _c;
@@ -458,6 +657,14 @@ class SocialSystemsService extends BaseService_1.BaseService {
                     if (romance) {
                         romance.status = 'ended';
                         this.eventBus.emit('romance:ended', { romance, reason: (_a = data.context) === null || _a === void 0 ? void 0 : _a.reason });
+                        this.recordChange({
+                            kind: 'romance',
+                            ids: romance.partners,
+                            pointsChange: 0,
+                            value: romance.affection,
+                            level: 'ended',
+                            reason: ((_a = data.context) === null || _a === void 0 ? void 0 : _a.reason) || 'Break up'
+                        });
                     }
                 }
                 break;
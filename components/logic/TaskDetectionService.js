@@ -2,18 +2,50 @@
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.taskDetectionService = exports.TaskDetectionService = void 0;
 const BaseService_1 = require("../../services/BaseService");
+// Task types understood by XPCalculationService.baseXPValues; custom rules must map to one of these
+const TASK_CATEGORIES = ['combat', 'crafting', 'training', 'exploration', 'social', 'magic', 'rest', 'travel', 'trade', 'quest'];
+// Later sources win when rule ids collide, so settings can override a worldpack rule
+const RULE_SOURCE_ORDER = ['manifest', 'settings'];
+const MIN_CONFIDENCE = 0.3;
+const MAX_TASKS = 3;
 class TaskDetectionService extends BaseService_1.BaseService {
     constructor() {
         super('TaskDetectionService', { performanceBudget: 10 });
         this.patterns = [];
+        this.builtinPatterns = [];
+        this.customRules = {};
+        this.ruleErrors = [];
         this.contextHistory = [];
         this.maxHistorySize = 10;
         this.initializePatterns();
+        this.bindEvents();
     }
-    async onInitialize() {
+    // The chat side sends rules and dry runs over window events; listen from construction so they are
+    // answered even though nothing calls initialize() on the exported singleton
+    bindEvents() {
         this.eventBus.on('message:received', this.handleMessageReceived.bind(this));
         this.eventBus.on('combat:ended', this.handleCombatEnded.bind(this));
         this.eventBus.on('task:detected', this.handleTaskDetected.bind(this));
+        if (typeof window !== 'undefined' && window.addEventListener) {
+            window.addEventListener('stres:tasks:rules', (event) => {
+                const detail = event.detail || {};
+                const source = detail.source || 'settings';
+                const summary = this.setRules(detail.rules, source, { replaceDefaults: detail.replaceDefaults });
+                this.dispatch('stres:tasks:loaded', { source, summary });
+            });
+            window.addEventListener('stres:tasks:request', (event) => {
+                const detail = event.detail || {};
+                this.dispatch('stres:tasks:loaded', { requestId: detail.requestId, summary: this.getRuleSummary() });
+            });
+            window.addEventListener('stres:tasks:test', (event) => {
+                const detail = event.detail || {};
+                this.testDetection(String(detail.text || ''))
+                    .then(report => this.dispatch('stres:tasks:tested', { requestId: detail.requestId, report }))
+                    .catch(error => this.dispatch('stres:tasks:tested', { requestId: detail.requestId, error: error.message }));
+            });
+        }
+    }
+    async onInitialize() {
         console.log('[TaskDetection] Initialized with', this.patterns.length, 'detection patterns');
     }
     async onShutdown() {
@@ -22,19 +54,7 @@ class TaskDetectionService extends BaseService_1.BaseService {
     }
     async detectTasks(message) {
         return this.measureOperation('detectTasks', async () => {
-            const normalizedMessage = message.toLowerCase().trim();
-            const detectedTasks = [];
-            for (const pattern of this.patterns) {
-                const match = normalizedMessage.match(pattern.regex);
-                if (match) {
-                    const task = await this.createTaskFromMatch(pattern, match, message);
-                    if (task.confidence >= 0.3) {
-                        detectedTasks.push(task);
-                    }
-                }
-            }
-            detectedTasks.sort((a, b) => b.confidence - a.confidence);
-            const topTasks = detectedTasks.slice(0, 3);
+            const topTasks = this.rankResults(await this.evaluateRules(message)).map(result => result.task);
             for (const task of topTasks) {
                 this.enhanceWithContext(task);
             }
@@ -49,18 +69,175 @@ class TaskDetectionService extends BaseService_1.BaseService {
     getRecentContext() {
         return [...this.contextHistory];
     }
+    async evaluateRules(message) {
+        const normalizedMessage = message.toLowerCase().trim();
+        const results = [];
+        for (const pattern of this.patterns) {
+            const match = normalizedMessage.match(pattern.regex);
+            if (match) {
+                results.push({ pattern, match, task: await this.createTaskFromMatch(pattern, match, message) });
+            }
+        }
+        return results;
+    }
+    rankResults(results) {
+        return results
+            .filter(result => result.task.confidence >= MIN_CONFIDENCE)
+            .sort((a, b) => b.task.confidence - a.task.confidence)
+            .slice(0, MAX_TASKS);
+    }
+    // Dry run for rule authors: reports every rule that matched and why, without touching history or emitting events
     async testDetection(message) {
-        const tasks = await this.detectTasks(message);
-        console.log('[TaskDetection] Test results for:', message);
-        tasks.forEach(task => {
-            console.log(`  ${task.type.toUpperCase()}: ${task.confidence.toFixed(2)} confidence`);
-            console.log(`    Details: ${JSON.stringify(task.details)}`);
+        const results = await this.evaluateRules(message);
+        const ranked = this.rankResults(results);
+        const matches = results.map(result => {
+            const { pattern, match, task } = result;
+            const score = this.explainConfidence(pattern, match, message);
+            const accepted = ranked.includes(result);
+            return {
+                ruleId: pattern.id,
+                label: pattern.label || pattern.id,
+                source: pattern.source,
+                category: task.type,
+                matched: match[0],
+                weight: score.weight,
+                lengthBonus: score.lengthBonus,
+                keywordHits: score.keywordHits,
+                confidence: task.confidence,
+                difficulty: task.details.difficulty,
+                details: task.details,
+                accepted,
+                reason: accepted ? 'accepted' : task.confidence < MIN_CONFIDENCE ? `below minimum confidence ${MIN_CONFIDENCE}` : `outranked (top ${MAX_TASKS} only)`
+            };
         });
-        return tasks;
+        return {
+            message,
+            tasks: ranked.map(result => result.task),
+            matches,
+            ruleCount: this.patterns.length,
+            errors: [...this.ruleErrors]
+        };
+    }
+    // Rules come from the worldpack manifest or extension settings; each source replaces its own previous set
+    setRules(rules, source = 'settings', options = {}) {
+        const list = Array.isArray(rules)
+            ? rules
+            : rules && typeof rules === 'object'
+                ? Object.entries(rules).map(([id, rule]) => ({ id, ...rule }))
+                : [];
+        this.customRules[source] = { rules: list, replaceDefaults: !!options.replaceDefaults };
+        this.rebuildPatterns();
+        return this.getRuleSummary();
+    }
+    rebuildPatterns() {
+        const sets = Object.keys(this.customRules)
+            .sort((a, b) => (RULE_SOURCE_ORDER.indexOf(a) + 1 || 99) - (RULE_SOURCE_ORDER.indexOf(b) + 1 || 99))
+            .map(source => ({ source, ...this.customRules[source] }));
+        const byId = new Map();
+        if (!sets.some(set => set.replaceDefaults)) {
+            for (const pattern of this.builtinPatterns) {
+                byId.set(pattern.id, pattern);
+            }
+        }
+        const errors = [];
+        for (const set of sets) {
+            set.rules.forEach((rule, index) => {
+                const id = String((rule === null || rule === void 0 ? void 0 : rule.id) || `${set.source}.${index + 1}`);
+                if ((rule === null || rule === void 0 ? void 0 : rule.enabled) === false) {
+                    byId.delete(id);
+                    return;
+                }
+                try {
+                    byId.set(id, this.compileRule({ ...rule, id }, set.source));
+                }
+                catch (error) {
+                    errors.push({ id, source: set.source, error: error.message });
+                }
+            });
+        }
+        this.patterns = Array.from(byId.values());
+        this.ruleErrors = errors;
+        if (errors.length > 0) {
+            console.warn('[TaskDetection] Skipped invalid rules:', errors);
+        }
+    }
+    compileRule(rule, source) {
+        const type = String(rule.category || rule.type || '').toLowerCase();
+        if (!TASK_CATEGORIES.includes(type)) {
+            throw new Error(`unknown category "${type}" (expected ${TASK_CATEGORIES.join(', ')})`);
+        }
+        const keywords = Array.isArray(rule.keywords)
+            ? rule.keywords.map(keyword => String(keyword).toLowerCase().trim()).filter(Boolean)
+            : [];
+        let regex;
+        if (rule.pattern || rule.regex) {
+            regex = this.toRegExp(rule.pattern || rule.regex, rule.flags);
+        }
+        else if (keywords.length > 0) {
+            regex = new RegExp(`\\b(?:${keywords.map(keyword => keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})\\b`, 'i');
+        }
+        else {
+            throw new Error('rule needs a pattern or keywords');
+        }
+        const extractors = {};
+        for (const key of ['action', 'target', 'location', 'items', 'skills']) {
+            if (rule.extractors && rule.extractors[key]) {
+                extractors[key] = this.toRegExp(rule.extractors[key], 'i');
+            }
+        }
+        const weight = Number(rule.weight);
+        const difficulty = Number(rule.difficulty);
+        return {
+            id: rule.id,
+            type,
+            source,
+            label: rule.label || rule.name || rule.id,
+            regex,
+            weight: Number.isFinite(weight) ? Math.max(0, Math.min(1, weight)) : 0.8,
+            difficulty: Number.isFinite(difficulty) ? Math.max(1, Math.min(5, Math.round(difficulty))) : undefined,
+            keywords: keywords.length > 0 ? keywords : undefined,
+            extractors: Object.keys(extractors).length > 0 ? extractors : undefined
+        };
+    }
+    // Accepts RegExp instances, "/source/flags" literals or bare sources
+    toRegExp(value, flags) {
+        if (value instanceof RegExp)
+            return value;
+        const text = String(value);
+        const literal = text.match(/^\/(.+)\/([gimsuy]*)$/);
+        return literal ? new RegExp(literal[1], literal[2] || 'i') : new RegExp(text, flags || 'i');
+    }
+    getRuleSummary() {
+        const bySource = {};
+        const byCategory = {};
+        for (const pattern of this.patterns) {
+            bySource[pattern.source] = (bySource[pattern.source] || 0) + 1;
+            byCategory[pattern.type] = (byCategory[pattern.type] || 0) + 1;
+        }
+        return {
+            total: this.patterns.length,
+            bySource,
+            byCategory,
+            errors: [...this.ruleErrors],
+            rules: this.patterns.map(pattern => ({
+                id: pattern.id,
+                label: pattern.label || pattern.id,
+                source: pattern.source,
+                category: pattern.type,
+                weight: pattern.weight,
+                difficulty: pattern.difficulty
+            }))
+        };
+    }
+    dispatch(type, detail) {
+        if (typeof window !== 'undefined' && window.dispatchEvent) {
+            window.dispatchEvent(new CustomEvent(type, { detail }));
+        }
     }
     initializePatterns() {
-        this.patterns = [
+        this.builtinPatterns = [
             {
+                id: 'combat.attack',
                 type: 'combat',
                 regex: /\b(attacks?|fights?|battles?|combats?|strikes?|hits?|kills?|defeats?)\b.*\b(the\s+)?(\w+)/i,
                 weight: 0.9,
@@ -70,16 +247,19 @@ class TaskDetectionService extends BaseService_1.BaseService {
                 }
             },
             {
+                id: 'combat.initiative',
                 type: 'combat',
                 regex: /\b(rolls?\s+(?:for\s+)?initiative|initiative\s+roll)/i,
                 weight: 0.95
             },
             {
+                id: 'combat.ability',
                 type: 'combat',
                 regex: /\b(uses?|casts?|performs?)\s+(?:a\s+)?(?:weapon|spell|ability)/i,
                 weight: 0.8
             },
             {
+                id: 'crafting.make',
                 type: 'crafting',
                 regex: /\b(?:starts?|begins?|makes?|creates?|forges?|crafts?|builds?)\s+(?:a\s+)?(\w+)/i,
                 weight: 0.85,
@@ -89,11 +269,13 @@ class TaskDetectionService extends BaseService_1.BaseService {
                 }
             },
             {
+                id: 'crafting.gather',
                 type: 'crafting',
                 regex: /\b(?:gathers?|collects?|mines?|harvests?)\s+(?:materials?|resources?|ingredients?)/i,
                 weight: 0.75
             },
             {
+                id: 'training.practice',
                 type: 'training',
                 regex: /\b(?:practices?|trains?|studies?|learns?|improves?)\s+(?:my\s+)?(\w+)/i,
                 weight: 0.8,
@@ -103,16 +285,19 @@ class TaskDetectionService extends BaseService_1.BaseService {
                 }
             },
             {
+                id: 'training.exercise',
                 type: 'training',
                 regex: /\b(?:works\s+out|exercises?|meditates?|focuses?)\b/i,
                 weight: 0.7
             },
             {
+                id: 'exploration.search',
                 type: 'exploration',
                 regex: /\b(?:explores?|searches?|investigates?|looks?\s+(?:around|for))\b/i,
                 weight: 0.8
             },
             {
+                id: 'exploration.enter',
                 type: 'exploration',
                 regex: /\b(?:enters?|goes?\s+(?:to|into)|travels?\s+(?:to|through))\s+(?:the\s+)?(\w+)/i,
                 weight: 0.75,
@@ -122,6 +307,7 @@ class TaskDetectionService extends BaseService_1.BaseService {
                 }
             },
             {
+                id: 'social.talk',
                 type: 'social',
                 regex: /\b(?:talks?\s+(?:to|with)|speaks?\s+(?:to|with)|converses?\s+(?:with))\s+(?:the\s+)?(\w+)/i,
                 weight: 0.8,
@@ -131,11 +317,13 @@ class TaskDetectionService extends BaseService_1.BaseService {
                 }
             },
             {
+                id: 'social.persuade',
                 type: 'social',
                 regex: /\b(?:persuades?|convinces?|intimidates?|bluffs?|diplomacy)\b/i,
                 weight: 0.85
             },
             {
+                id: 'social.romance',
                 type: 'social',
                 regex: /\b(?:flirts?\s+(?:with)|courts?|romances?)\s+(?:the\s+)?(\w+)/i,
                 weight: 0.9,
@@ -145,11 +333,13 @@ class TaskDetectionService extends BaseService_1.BaseService {
                 }
             },
             {
+                id: 'magic.cast',
                 type: 'magic',
                 regex: /\b(?:casts?|uses?|performs?|channels?)\s+(?:a\s+)?(?:spell|magic|enchantment)/i,
                 weight: 0.85
             },
             {
+                id: 'magic.summon',
                 type: 'magic',
                 regex: /\b(?:summons?|conjures?|evokes?|invokes?)\s+(?:a\s+)?(\w+)/i,
                 weight: 0.8,
@@ -159,11 +349,13 @@ class TaskDetectionService extends BaseService_1.BaseService {
                 }
             },
             {
+                id: 'rest.rest',
                 type: 'rest',
                 regex: /\b(?:rests?|sleeps?|takes?\s+a\s+break|recovers?|heals?)\b/i,
                 weight: 0.7
             },
             {
+                id: 'travel.journey',
                 type: 'travel',
                 regex: /\b(?:travels?|journeys?|heads?|moves?)\s+(?:to|toward|towards)\s+(?:the\s+)?(\w+)/i,
                 weight: 0.75,
@@ -173,6 +365,7 @@ class TaskDetectionService extends BaseService_1.BaseService {
                 }
             },
             {
+                id: 'trade.barter',
                 type: 'trade',
                 regex: /\b(?:buys?|sells?|trades?|barters?|purchases?)\s+(?:a\s+)?(\w+)/i,
                 weight: 0.8,
@@ -182,16 +375,22 @@ class TaskDetectionService extends BaseService_1.BaseService {
                 }
             },
             {
+                id: 'quest.accept',
                 type: 'quest',
                 regex: /\b(?:accepts?|takes?|starts?|begins?)\s+(?:the\s+)?(?:quest|mission|task|job)/i,
                 weight: 0.9
             },
             {
+                id: 'quest.complete',
                 type: 'quest',
                 regex: /\b(?:completes?|finishes?|accomplishes?)\s+(?:the\s+)?(?:quest|mission|objective)/i,
                 weight: 0.9
             }
         ];
+        for (const pattern of this.builtinPatterns) {
+            pattern.source = 'builtin';
+        }
+        this.rebuildPatterns();
     }
     async createTaskFromMatch(pattern, match, originalMessage) {
         const confidence = this.calculateConfidence(pattern, match, originalMessage);
@@ -212,9 +411,10 @@ class TaskDetectionService extends BaseService_1.BaseService {
         if (pattern.type === 'social') {
             details.socialContext = this.extractSocialContext(originalMessage);
         }
-        details.difficulty = this.estimateDifficulty(originalMessage);
+        details.difficulty = this.estimateDifficulty(originalMessage, pattern.difficulty);
         return {
             type: pattern.type,
+            rule: pattern.id,
             confidence,
             details,
             originalMessage,
@@ -222,14 +422,25 @@ class TaskDetectionService extends BaseService_1.BaseService {
         };
     }
     calculateConfidence(pattern, match, message) {
-        let confidence = pattern.weight;
-        if (match[0].length > 10) {
-            confidence += 0.1;
+        return this.explainConfidence(pattern, match, message).confidence;
+    }
+    explainConfidence(pattern, match, message) {
+        const lengthBonus = match[0].length > 10 ? 0.1 : 0;
+        // Rule keywords are plain words; built-in patterns are scored on their alternation fragments
+        const keywordHits = pattern.keywords
+            ? pattern.keywords.filter(keyword => message.toLowerCase().includes(keyword))
+            : pattern.regex.source.split('|').filter(k => k.length > 3).filter(keyword => this.testFragment(keyword, message));
+        const confidence = Math.min(pattern.weight + lengthBonus + (keywordHits.length - 1) * 0.05, 1.0);
+        return { weight: pattern.weight, lengthBonus, keywordHits, confidence };
+    }
+    // Fragments at the edges of a grouped alternation, e.g. "\b(attacks?", are not valid patterns on their own
+    testFragment(fragment, message) {
+        try {
+            return new RegExp(fragment, 'i').test(message);
+        }
+        catch (_a) {
+            return false;
         }
-        const keywords = pattern.regex.source.split('|').filter(k => k.length > 3);
-        const keywordMatches = keywords.filter(keyword => new RegExp(keyword, 'i').test(message)).length;
-        confidence += (keywordMatches - 1) * 0.05;
-        return Math.min(confidence, 1.0);
     }
     extractFromRegex(regex, text) {
         if (!regex)
@@ -254,8 +465,8 @@ class TaskDetectionService extends BaseService_1.BaseService {
         context.persuasion = /\b(persuades?|convinces?|intimidates?|bluffs?|diplomacy)\b/i.test(message);
         return context;
     }
-    estimateDifficulty(message) {
-        let difficulty = 1;
+    estimateDifficulty(message, base = 1) {
+        let difficulty = base || 1;
         if (/\b(difficult|hard|tough|dangerous|risky)\b/i.test(message))
             difficulty += 1;
         if (/\b(epic|legendary|master|expert)\b/i.test(message))
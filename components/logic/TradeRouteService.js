@@ -2,6 +2,7 @@
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.TradeRouteService = void 0;
 const BaseService_1 = require("../../services/BaseService");
+const coordinateUtils_1 = require("../../shared/utils/coordinateUtils");
 class TradeRouteService extends BaseService_1.BaseService {
     constructor(config) {
         super('TradeRouteService', config);
@@ -9,7 +10,6 @@ class TradeRouteService extends BaseService_1.BaseService {
         this.caravans = new Map();
         this.marketData = new Map();
         this.economicConnections = new Map();
-        this.config = config;
     }
     async onInitialize() {
         this.eventBus.on('world:generate-trade-routes', this.handleGenerateTradeRoutes.bind(this));
@@ -156,15 +156,7 @@ class TradeRouteService extends BaseService_1.BaseService {
         return secondaryRoutes;
     }
     calculateDistance(point1, point2) {
-        const [lng1, lat1] = point1.coordinates;
-        const [lng2, lat2] = point2.coordinates;
-        const dLat = (lat2 - lat1) * Math.PI / 180;
-        const dLng = (lng2 - lng1) * Math.PI / 180;
-        const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-                Math.sin(dLng / 2) * Math.sin(dLng / 2);
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-        return 6371 * c;
+        return coordinateUtils_1.CoordinateUtils.calculateDistance(point1, point2);
     }
     determineRouteType(settlement1, settlement2, existingRoutes) {
         var _a, _b;
@@ -231,18 +223,14 @@ class TradeRouteService extends BaseService_1.BaseService {
         commodities.push(...commodities1, ...commodities2);
         return [...new Set(commodities)].slice(0, 5);
     }
+    // Evenly spaced points along the great circle between the two settlements
     generateWaypoints(from, to) {
         const waypoints = [];
-        const [lng1, lat1] = from.coordinates;
-        const [lng2, lat2] = to.coordinates;
         const steps = 5;
         for (let i = 1; i < steps; i++) {
-            const ratio = i / steps;
-            const lng = lng1 + (lng2 - lng1) * ratio;
-            const lat = lat1 + (lat2 - lat1) * ratio;
             waypoints.push({
                 type: 'Point',
-                coordinates: [lng, lat]
+                coordinates: coordinateUtils_1.CoordinateUtils.intermediatePoint(from, to, i / steps)
             });
         }
         return waypoints;
@@ -0,0 +1,355 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.TravelPlannerService = void 0;
+const BaseService_1 = require("../../services/BaseService");
+const spatialIndexing_1 = require("../../shared/utils/spatialIndexing");
+const coordinateUtils_1 = require("../../shared/utils/coordinateUtils");
+const DEFAULT_TRAVEL_CONFIG = {
+    // km per travel day
+    speeds: { road: 30, trail: 20, overland: 15, river: 45, sea: 120 },
+    // Rowing or towing against the current
+    riverUpstreamFactor: 0.5,
+    // Rivers narrower than this mouth width (km) are not navigable; creeks and streams never are
+    minNavigableRiverWidth: 0.05,
+    // Settlements this close to a route vertex are treated as stops on that route
+    stopRadiusKm: 5,
+    // Route vertices each settlement is connected to overland
+    connectorCount: 3,
+    // How much of the terrain penalty roads and trails absorb (0 = none, 1 = full overland penalty)
+    terrainWeight: { road: 0.25, trail: 0.6, overland: 1 },
+    // Extra cost per Azgaar height unit climbed on land
+    climbPenalty: 0.05,
+    maxExpansions: 200000
+};
+// Azgaar's default biome movement costs (marine, hot desert, cold desert, savanna, grassland, tropical seasonal
+// forest, temperate deciduous forest, tropical rainforest, temperate rainforest, taiga, tundra, glacier, wetland)
+const BIOME_COSTS = [10, 200, 150, 60, 50, 70, 70, 80, 90, 200, 1000, 5000, 150];
+let activePlanner = null;
+const MODE_LABELS = { road: 'Road', trail: 'Trail', overland: 'Overland', river: 'River', sea: 'Sea route' };
+/**
+ * Travel graph over parsed Azgaar roads, sea routes and navigable rivers. Settlements are connected to the nearest
+ * route vertices; A* runs on travel days with terrain weighting and returns a leg-by-leg itinerary.
+ */
+class TravelPlannerService extends BaseService_1.BaseService {
+    constructor(config = {}) {
+        super('TravelPlannerService', { performanceBudget: 250 });
+        this.config = {
+            ...this.config,
+            ...DEFAULT_TRAVEL_CONFIG,
+            ...config,
+            speeds: { ...DEFAULT_TRAVEL_CONFIG.speeds, ...(config.speeds || {}) },
+            terrainWeight: { ...DEFAULT_TRAVEL_CONFIG.terrainWeight, ...(config.terrainWeight || {}) }
+        };
+        this.reset();
+    }
+    async onInitialize() {
+        console.log('[TravelPlanner] Initialized');
+    }
+    async onShutdown() {
+        if (activePlanner === this)
+            activePlanner = null;
+        this.reset();
+        console.log('[TravelPlanner] Shut down');
+    }
+    reset() {
+        this.nodes = new Map();
+        this.edges = new Map();
+        this.settlements = new Map();
+        this.settlementIndex = new spatialIndexing_1.RTreeIndex({ metric: coordinateUtils_1.geodesicMetric });
+    }
+    dispatch(type, detail) {
+        if (typeof window !== 'undefined' && window.dispatchEvent) {
+            window.dispatchEvent(new CustomEvent(type, { detail }));
+        }
+    }
+    buildGraph(worldData) {
+        const startTime = performance.now();
+        this.reset();
+        for (const route of worldData.routes || []) {
+            this.addRoute(route);
+        }
+        for (const river of worldData.rivers || []) {
+            if (this.isNavigable(river))
+                this.addRiver(river);
+        }
+        const vertexIndex = new spatialIndexing_1.RTreeIndex({ metric: coordinateUtils_1.geodesicMetric });
+        vertexIndex.bulkInsert(Array.from(this.nodes.values()).map(node => ({ id: node.id, point: node.coordinates })));
+        const settlements = (worldData.settlements || []).filter(s => { var _a; return (_a = s.coordinates) === null || _a === void 0 ? void 0 : _a.coordinates; });
+        for (const settlement of settlements) {
+            this.settlements.set(settlement.id, settlement);
+            this.connectSettlement(settlement, vertexIndex);
+        }
+        this.settlementIndex.bulkInsert(settlements.map(s => ({ id: s.id, point: s.coordinates.coordinates, data: s })));
+        const edgeCount = Array.from(this.edges.values()).reduce((sum, list) => sum + list.length, 0);
+        activePlanner = this;
+        console.log(`[TravelPlanner] Built travel graph with ${this.nodes.size} nodes and ${edgeCount} edges in ${(performance.now() - startTime).toFixed(1)}ms`);
+        return { nodes: this.nodes.size, edges: edgeCount, settlements: settlements.length };
+    }
+    routeMode(route) {
+        var _a;
+        const kind = `${((_a = route.properties) === null || _a === void 0 ? void 0 : _a.group) || ''} ${route.type || ''}`.toLowerCase();
+        if (/sea|naval|ship|ferry/.test(kind))
+            return 'sea';
+        if (/trail|path|track/.test(kind))
+            return 'trail';
+        return 'road';
+    }
+    isNavigable(river) {
+        var _a;
+        if (/creek|stream|brook|rivulet/i.test(river.type || ''))
+            return false;
+        const width = (_a = river.properties) === null || _a === void 0 ? void 0 : _a.width;
+        return typeof width !== 'number' || width >= this.config.minNavigableRiverWidth;
+    }
+    vertex(coordinates, terrain) {
+        const id = `v:${coordinates[0].toFixed(5)},${coordinates[1].toFixed(5)}`;
+        let node = this.nodes.get(id);
+        if (!node) {
+            node = { id, coordinates, settlementId: null, height: null, biome: null };
+            this.nodes.set(id, node);
+            this.edges.set(id, []);
+        }
+        if (terrain && node.height === null) {
+            node.height = terrain.height;
+            node.biome = terrain.biome;
+        }
+        return node;
+    }
+    addRoute(route) {
+        var _a, _b, _c;
+        const coordinates = ((_a = route.geometry) === null || _a === void 0 ? void 0 : _a.coordinates) || [];
+        const terrain = ((_b = route.properties) === null || _b === void 0 ? void 0 : _b.terrain) || [];
+        const mode = this.routeMode(route);
+        const name = ((_c = route.properties) === null || _c === void 0 ? void 0 : _c.name) || route.name || null;
+        for (let i = 1; i < coordinates.length; i++) {
+            const a = this.vertex(coordinates[i - 1], terrain[i - 1]);
+            const b = this.vertex(coordinates[i], terrain[i]);
+            if (a === b)
+                continue;
+            this.link(a, b, mode, route.id, name);
+            this.link(b, a, mode, route.id, name);
+        }
+    }
+    // Geometry runs from source to mouth, so forward edges are downstream
+    addRiver(river) {
+        var _a;
+        const coordinates = ((_a = river.geometry) === null || _a === void 0 ? void 0 : _a.coordinates) || [];
+        for (let i = 1; i < coordinates.length; i++) {
+            const a = this.vertex(coordinates[i - 1]);
+            const b = this.vertex(coordinates[i]);
+            if (a === b)
+                continue;
+            this.link(a, b, 'river', river.id, river.name, { downstream: true });
+            this.link(b, a, 'river', river.id, river.name, { downstream: false });
+        }
+    }
+    connectSettlement(settlement, vertexIndex) {
+        const node = { id: settlement.id, coordinates: settlement.coordinates.coordinates, settlementId: settlement.id, height: null, biome: null };
+        this.nodes.set(node.id, node);
+        this.edges.set(node.id, []);
+        const nearest = vertexIndex.search({ type: 'knn', center: node.coordinates, k: this.config.connectorCount }).items;
+        for (const item of nearest) {
+            const vertex = this.nodes.get(item.id);
+            const distanceKm = this.distanceKm(node.coordinates, vertex.coordinates);
+            if (distanceKm <= this.config.stopRadiusKm) {
+                // The route runs through the settlement: no overland leg, and the vertex becomes a named stop
+                if (!vertex.settlementId || distanceKm < vertex.stopDistanceKm) {
+                    vertex.settlementId = settlement.id;
+                    vertex.stopDistanceKm = distanceKm;
+                }
+                this.edges.get(node.id).push({ to: vertex.id, mode: 'local', distanceKm: 0, days: 0 });
+                this.edges.get(vertex.id).push({ to: node.id, mode: 'local', distanceKm: 0, days: 0 });
+            }
+            else {
+                this.link(node, vertex, 'overland', null, null);
+                this.link(vertex, node, 'overland', null, null);
+            }
+        }
+    }
+    link(from, to, mode, routeId, routeName, options = {}) {
+        const distanceKm = this.distanceKm(from.coordinates, to.coordinates);
+        this.edges.get(from.id).push({
+            to: to.id,
+            mode,
+            routeId,
+            routeName,
+            distanceKm,
+            days: this.edgeDays(from, to, mode, distanceKm, options)
+        });
+    }
+    edgeDays(from, to, mode, distanceKm, options) {
+        let speed = this.config.speeds[mode];
+        if (mode === 'river' && !options.downstream) {
+            speed *= this.config.riverUpstreamFactor;
+        }
+        return (distanceKm / speed) * this.terrainFactor(from, to, mode);
+    }
+    // Never below 1, which keeps the A* heuristic admissible
+    terrainFactor(from, to, mode) {
+        const weight = this.config.terrainWeight[mode];
+        if (weight === undefined)
+            return 1;
+        const terrain = to.biome !== null ? to : from;
+        const biomeCost = BIOME_COSTS[terrain.biome];
+        const biomeFactor = biomeCost === undefined ? 1 : Math.min(8, Math.max(1, biomeCost / 50));
+        const climb = from.height !== null && to.height !== null ? Math.max(0, to.height - from.height) : 0;
+        return 1 + (biomeFactor - 1) * weight + climb * this.config.climbPenalty * weight;
+    }
+    distanceKm(point1, point2) {
+        return coordinateUtils_1.CoordinateUtils.calculateDistance(point1, point2);
+    }
+    /** Exact name, then prefix, then substring (case-insensitive); settlement ids are accepted too. */
+    findSettlement(name) {
+        const wanted = String(name || '').trim().toLowerCase();
+        if (!wanted)
+            return null;
+        if (this.settlements.has(name))
+            return this.settlements.get(name);
+        const all = Array.from(this.settlements.values());
+        return all.find(s => String(s.name).toLowerCase() === wanted)
+            || all.find(s => String(s.name).toLowerCase().startsWith(wanted))
+            || all.find(s => String(s.name).toLowerCase().includes(wanted))
+            || null;
+    }
+    findPath(startId, goalId) {
+        const goal = this.nodes.get(goalId);
+        const fastest = Math.max(...Object.values(this.config.speeds));
+        const heuristic = (id) => this.distanceKm(this.nodes.get(id).coordinates, goal.coordinates) / fastest;
+        const open = new spatialIndexing_1.MinHeap();
+        const best = new Map([[startId, 0]]);
+        const cameFrom = new Map();
+        const closed = new Set();
+        open.push({ id: startId, dist: heuristic(startId) });
+        let expansions = 0;
+        while (open.size && expansions < this.config.maxExpansions) {
+            const { id } = open.pop();
+            if (id === goalId) {
+                const path = [];
+                for (let step = cameFrom.get(id); step; step = cameFrom.get(step.from)) {
+                    path.unshift(step);
+                }
+                return path;
+            }
+            if (closed.has(id))
+                continue;
+            closed.add(id);
+            expansions++;
+            const cost = best.get(id);
+            for (const edge of this.edges.get(id) || []) {
+                const next = cost + edge.days;
+                if (closed.has(edge.to) || next >= (best.has(edge.to) ? best.get(edge.to) : Infinity))
+                    continue;
+                best.set(edge.to, next);
+                cameFrom.set(edge.to, { from: id, edge });
+                open.push({ id: edge.to, dist: next + heuristic(edge.to) });
+            }
+        }
+        return null;
+    }
+    // Settlement name for stops, otherwise the nearest settlement as a landmark
+    placeAt(nodeId) {
+        const node = this.nodes.get(nodeId);
+        const settlement = node.settlementId && this.settlements.get(node.settlementId);
+        if (settlement) {
+            return { settlementId: settlement.id, name: settlement.name };
+        }
+        const nearest = this.settlementIndex.search({ type: 'knn', center: node.coordinates, k: 1 }).items[0];
+        return { settlementId: null, name: nearest ? `near ${nearest.data.name}` : 'the wilds' };
+    }
+    // Consecutive edges on the same route and mode form one leg; every named stop ends a leg
+    buildLegs(path, origin) {
+        const legs = [];
+        let leg = null;
+        let here = this.placeAt(origin.id);
+        for (const { edge } of path) {
+            if (edge.mode === 'local')
+                continue;
+            if (!leg || leg.mode !== edge.mode || leg.routeId !== edge.routeId) {
+                if (leg)
+                    legs.push(leg);
+                leg = {
+                    mode: edge.mode,
+                    label: MODE_LABELS[edge.mode],
+                    routeId: edge.routeId,
+                    routeName: edge.routeName || null,
+                    from: here,
+                    to: null,
+                    distanceKm: 0,
+                    days: 0
+                };
+            }
+            leg.distanceKm += edge.distanceKm;
+            leg.days += edge.days;
+            leg.to = here = this.placeAt(edge.to);
+            if (leg.to.settlementId && leg.to.settlementId !== leg.from.settlementId) {
+                legs.push(leg);
+                leg = null;
+            }
+        }
+        if (leg)
+            legs.push(leg);
+        return legs.map(l => ({
+            ...l,
+            distanceKm: Math.round(l.distanceKm * 10) / 10,
+            days: Math.round(l.days * 100) / 100,
+            minutes: Math.max(1, Math.round(l.days * 1440))
+        }));
+    }
+    async planTrip(fromName, toName) {
+        return this.measureOperation('planTrip', async () => {
+            if (this.settlements.size === 0) {
+                throw new Error('No world map is loaded');
+            }
+            const origin = this.findSettlement(fromName);
+            if (!origin) {
+                throw new Error(`Unknown starting point: ${fromName || '(none)'}`);
+            }
+            const destination = this.findSettlement(toName);
+            if (!destination) {
+                throw new Error(`Unknown destination: ${toName}`);
+            }
+            if (origin.id === destination.id) {
+                throw new Error(`Already at ${destination.name}`);
+            }
+            const path = this.findPath(origin.id, destination.id);
+            if (!path) {
+                throw new Error(`No route from ${origin.name} to ${destination.name}`);
+            }
+            const legs = this.buildLegs(path, origin);
+            const totalMinutes = legs.reduce((sum, leg) => sum + leg.minutes, 0);
+            return {
+                from: { settlementId: origin.id, name: origin.name },
+                to: { settlementId: destination.id, name: destination.name },
+                legs,
+                totalDistanceKm: Math.round(legs.reduce((sum, leg) => sum + leg.distanceKm, 0) * 10) / 10,
+                totalDays: Math.round(totalMinutes / 1440 * 100) / 100,
+                totalMinutes
+            };
+        });
+    }
+    async handlePlanRequest(detail) {
+        try {
+            const itinerary = await this.planTrip(detail.from, detail.to);
+            this.dispatch('stres:travel:planned', { requestId: detail.requestId, itinerary });
+        }
+        catch (error) {
+            this.dispatch('stres:travel:planned', {
+                requestId: detail.requestId,
+                error: error instanceof Error ? error.message : 'Unknown error'
+            });
+        }
+    }
+}
+exports.TravelPlannerService = TravelPlannerService;
+// One listener for the page: /stres travel is answered from the most recently built graph, whichever service built it
+if (typeof window !== 'undefined' && window.addEventListener) {
+    window.addEventListener('stres:travel:plan', (event) => {
+        const detail = event.detail || {};
+        if (activePlanner) {
+            activePlanner.handlePlanRequest(detail);
+        }
+        else {
+            window.dispatchEvent(new CustomEvent('stres:travel:planned', { detail: { requestId: detail.requestId, error: 'No world map is loaded' } }));
+        }
+    });
+}
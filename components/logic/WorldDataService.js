@@ -2,23 +2,33 @@
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.WorldDataService = void 0;
 const BaseService_1 = require("../../services/BaseService");
+const spatialIndexing_1 = require("../../shared/utils/spatialIndexing");
+const coordinateUtils_1 = require("../../shared/utils/coordinateUtils");
 class WorldDataService extends BaseService_1.BaseService {
     constructor(config) {
         super('WorldDataService', config);
         this.cache = new Map();
-        this.config = config;
+        this.settlementIndex = new spatialIndexing_1.RTreeIndex({ metric: coordinateUtils_1.geodesicMetric });
+        this.regionIndex = new spatialIndexing_1.RTreeIndex({ metric: coordinateUtils_1.geodesicMetric });
+        this.provinceIndex = new spatialIndexing_1.RTreeIndex({ metric: coordinateUtils_1.geodesicMetric });
+        this.landmarkIndex = new spatialIndexing_1.RTreeIndex({ metric: coordinateUtils_1.geodesicMetric });
+        this.indexed = false;
+        this.views = { settlementRegion: new Map(), regionSettlements: new Map() };
     }
     async onInitialize() {
         this.eventBus.on('world:data-parsed', this.handleDataParsed.bind(this));
         this.eventBus.on('world:query-spatial', this.handleSpatialQuery.bind(this));
         this.eventBus.on('world:get-statistics', this.handleGetStatistics.bind(this));
+        this.eventBus.on('world:export-geojson', this.handleExportGeoJSON.bind(this));
         console.log('[WorldDataService] Initialized for campaign:', this.config.campaignId);
     }
     async onShutdown() {
         this.eventBus.off('world:data-parsed', this.handleDataParsed.bind(this));
         this.eventBus.off('world:query-spatial', this.handleSpatialQuery.bind(this));
         this.eventBus.off('world:get-statistics', this.handleGetStatistics.bind(this));
+        this.eventBus.off('world:export-geojson', this.handleExportGeoJSON.bind(this));
         this.cache.clear();
+        this.clearSpatialIndexes();
         console.log('[WorldDataService] Shut down');
     }
     async importWorldData(worldData) {
@@ -32,6 +42,9 @@ class WorldDataService extends BaseService_1.BaseService {
                 await this.importReligions(worldData.religions);
                 await this.importRivers(worldData.rivers);
                 await this.importRoutes(worldData.routes);
+                await this.importProvinces(worldData.provinces || []);
+                await this.importMilitaryUnits(worldData.militaryUnits || []);
+                await this.importMarkers(worldData.markers || []);
                 if (this.config.enableSpatialIndexing) {
                     await this.createSpatialIndexes();
                 }
@@ -57,6 +70,7 @@ class WorldDataService extends BaseService_1.BaseService {
     async clearExistingData() {
         console.log('[WorldDataService] Clearing existing world data');
         this.cache.clear();
+        this.clearSpatialIndexes();
     }
     async importRegions(regions) {
         const batches = this.createBatches(regions, this.config.batchSize);
@@ -100,6 +114,27 @@ class WorldDataService extends BaseService_1.BaseService {
         }
         console.log(`[WorldDataService] Imported ${routes.length} routes`);
     }
+    async importProvinces(provinces) {
+        const batches = this.createBatches(provinces, this.config.batchSize);
+        for (const batch of batches) {
+            await this.importProvinceBatch(batch);
+        }
+        console.log(`[WorldDataService] Imported ${provinces.length} provinces`);
+    }
+    async importMilitaryUnits(units) {
+        const batches = this.createBatches(units, this.config.batchSize);
+        for (const batch of batches) {
+            await this.importMilitaryUnitBatch(batch);
+        }
+        console.log(`[WorldDataService] Imported ${units.length} military units`);
+    }
+    async importMarkers(markers) {
+        const batches = this.createBatches(markers, this.config.batchSize);
+        for (const batch of batches) {
+            await this.importMarkerBatch(batch);
+        }
+        console.log(`[WorldDataService] Imported ${markers.length} markers`);
+    }
     createBatches(items, batchSize) {
         const batches = [];
         for (let i = 0; i < items.length; i += batchSize) {
@@ -137,6 +172,21 @@ class WorldDataService extends BaseService_1.BaseService {
             await this.insertRoute(route);
         }
     }
+    async importProvinceBatch(batch) {
+        for (const province of batch) {
+            await this.insertProvince(province);
+        }
+    }
+    async importMilitaryUnitBatch(batch) {
+        for (const unit of batch) {
+            await this.insertMilitaryUnit(unit);
+        }
+    }
+    async importMarkerBatch(batch) {
+        for (const marker of batch) {
+            await this.insertMarker(marker);
+        }
+    }
     async insertRegion(region) {
         const query = `
       INSERT INTO world_regions (
@@ -187,26 +237,253 @@ class WorldDataService extends BaseService_1.BaseService {
     `;
         this.cache.set(`route:${route.id}`, route);
     }
-    async createSpatialIndexes() {
-        console.log('[WorldDataService] Creating spatial indexes');
+    async insertProvince(province) {
+        const query = `
+      INSERT INTO world_provinces (
+        id, campaign_id, region_id, name, type, boundary, center_point, lore, properties, created_at
+      ) VALUES ($1, $2, $3, $4, $5, ST_GeomFromGeoJSON($6), ST_GeomFromGeoJSON($7), $8, $9, NOW())
+    `;
+        this.cache.set(`province:${province.id}`, province);
     }
-    async refreshMaterializedViews() {
-        console.log('[WorldDataService] Refreshing materialized views');
+    async insertMilitaryUnit(unit) {
+        const query = `
+      INSERT INTO world_military_units (
+        id, campaign_id, region_id, name, type, coordinates, strength, composition, lore, properties, created_at
+      ) VALUES ($1, $2, $3, $4, $5, ST_GeomFromGeoJSON($6), $7, $8, $9, $10, NOW())
+    `;
+        this.cache.set(`military:${unit.id}`, unit);
     }
+    async insertMarker(marker) {
+        const query = `
+      INSERT INTO world_markers (
+        id, campaign_id, region_id, name, type, coordinates, lore, properties, created_at
+      ) VALUES ($1, $2, $3, $4, $5, ST_GeomFromGeoJSON($6), $7, $8, NOW())
+    `;
+        this.cache.set(`marker:${marker.id}`, marker);
+    }
+    clearSpatialIndexes() {
+        this.settlementIndex.clear();
+        this.regionIndex.clear();
+        this.provinceIndex.clear();
+        this.landmarkIndex.clear();
+        this.indexed = false;
+        this.views = { settlementRegion: new Map(), regionSettlements: new Map() };
+    }
+    // R-trees over settlement points, region and province boundaries and landmark (marker and military unit) points,
+    // bulk-loaded once per import
+    async createSpatialIndexes() {
+        const startTime = performance.now();
+        this.clearSpatialIndexes();
+        const settlements = (await this.getAllSettlements()).filter(s => { var _a; return (_a = s.coordinates) === null || _a === void 0 ? void 0 : _a.coordinates; });
+        this.settlementIndex.bulkInsert(settlements.map(settlement => ({
+            id: settlement.id,
+            point: settlement.coordinates.coordinates,
+            data: settlement
+        })));
+        const regions = (await this.getAllRegions()).filter(r => spatialIndexing_1.geometryBounds(r.boundary));
+        this.regionIndex.bulkInsert(regions.map(region => ({
+            id: region.id,
+            geometry: region.boundary,
+            data: region
+        })));
+        const provinces = (await this.getAllProvinces()).filter(p => spatialIndexing_1.geometryBounds(p.boundary));
+        this.provinceIndex.bulkInsert(provinces.map(province => ({
+            id: province.id,
+            geometry: province.boundary,
+            data: province
+        })));
+        const landmarks = (await this.getAllLandmarks()).filter(l => { var _a; return (_a = l.coordinates) === null || _a === void 0 ? void 0 : _a.coordinates; });
+        this.landmarkIndex.bulkInsert(landmarks.map(landmark => ({
+            id: landmark.id,
+            point: landmark.coordinates.coordinates,
+            data: landmark
+        })));
+        this.indexed = true;
+        console.log(`[WorldDataService] Indexed ${settlements.length} settlements, ${regions.length} regions, ${provinces.length} provinces and ${landmarks.length} landmarks in ${(performance.now() - startTime).toFixed(1)}ms (tree height ${this.settlementIndex.getStatistics().height})`);
+    }
+    // Settlement <-> region membership by boundary containment, rebuilt after every import
+    async refreshMaterializedViews() {
+        const settlementRegion = new Map();
+        const regionSettlements = new Map();
+        if (this.indexed) {
+            for (const settlement of await this.getAllSettlements()) {
+                const region = this.findRegionsContaining(settlement.coordinates)[0];
+                if (!region)
+                    continue;
+                settlementRegion.set(settlement.id, region.id);
+                if (!regionSettlements.has(region.id))
+                    regionSettlements.set(region.id, []);
+                regionSettlements.get(region.id).push(settlement.id);
+            }
+        }
+        this.views = { settlementRegion, regionSettlements };
+        this.cache.delete('world-statistics');
+        console.log(`[WorldDataService] Refreshed materialized views (${settlementRegion.size} settlements placed in regions)`);
+    }
+    /**
+     * query.type selects the search: 'radius' (default; center + radius in km), 'bbox' (bounds), 'knn' (center + k)
+     * or 'polygon' (polygon, or regionId to use that region's boundary). Filters apply to every type.
+     */
     async queryNearbySettlements(query) {
         return this.measureOperation('queryNearbySettlements', async () => {
             const startTime = performance.now();
-            const allSettlements = await this.getAllSettlements();
-            const results = this.filterSettlementsByQuery(allSettlements, query);
+            const results = this.indexed
+                ? this.searchSettlementIndex(query)
+                : this.filterSettlementsByQuery(await this.getAllSettlements(), query);
             const queryTime = performance.now() - startTime;
             return {
                 results,
+                // Same list under the name existing callers read
+                items: results,
                 totalCount: results.length,
                 queryTime,
                 bounds: this.calculateQueryBounds(query)
             };
         });
     }
+    searchSettlementIndex(query) {
+        const type = query.type || 'radius';
+        const filter = (item) => this.matchesFilters(item.data, query.filters);
+        const limit = query.limit || (type === 'knn' ? 1 : 100);
+        let polygon = query.polygon;
+        if (type === 'polygon' && !polygon && query.regionId) {
+            const region = this.cache.get(`region:${query.regionId}`);
+            if (!region)
+                return [];
+            polygon = region.boundary;
+        }
+        const { items } = this.settlementIndex.search({
+            type,
+            center: query.center,
+            radius: query.radius,
+            bounds: query.bounds,
+            k: query.k || limit,
+            polygon,
+            filter,
+            limit
+        });
+        return items.map(item => item.data);
+    }
+    /** Regions whose boundary contains the point (GeoJSON Point, [lng, lat] or { latitude, longitude }). */
+    findRegionsContaining(point) {
+        if (!point)
+            return [];
+        return this.regionIndex.search({ type: 'contains', center: point }).items.map(item => item.data);
+    }
+    async isPointInRegion(point, regionId) {
+        const region = this.cache.get(`region:${regionId}`);
+        const xy = spatialIndexing_1.toXY(point);
+        return Boolean(region && xy && spatialIndexing_1.pointInPolygon(xy, region.boundary));
+    }
+    /** type 'contains' (default; center) finds regions around a point, 'bbox' regions overlapping bounds. */
+    async queryRegions(query) {
+        return this.measureOperation('queryRegions', async () => {
+            const startTime = performance.now();
+            let results;
+            if ((query.type || 'contains') === 'contains') {
+                results = this.indexed
+                    ? this.findRegionsContaining(query.center)
+                    : (await this.getAllRegions()).filter(region => spatialIndexing_1.pointInPolygon(spatialIndexing_1.toXY(query.center), region.boundary));
+            }
+            else {
+                results = this.regionIndex.search({ type: query.type, bounds: query.bounds, limit: query.limit }).items.map(item => item.data);
+            }
+            return {
+                results,
+                totalCount: results.length,
+                queryTime: performance.now() - startTime
+            };
+        });
+    }
+    /** type 'contains' (default; center) finds the provinces around a point, 'bbox' those overlapping bounds. */
+    async queryProvinces(query) {
+        return this.measureOperation('queryProvinces', async () => {
+            const startTime = performance.now();
+            let results;
+            if ((query.type || 'contains') === 'contains') {
+                results = this.indexed
+                    ? this.provinceIndex.search({ type: 'contains', center: query.center }).items.map(item => item.data)
+                    : (await this.getAllProvinces()).filter(province => spatialIndexing_1.pointInPolygon(spatialIndexing_1.toXY(query.center), province.boundary));
+            }
+            else {
+                results = this.provinceIndex.search({ type: query.type, bounds: query.bounds, limit: query.limit }).items.map(item => item.data);
+            }
+            return {
+                results,
+                totalCount: results.length,
+                queryTime: performance.now() - startTime
+            };
+        });
+    }
+    /**
+     * Markers and military units around a point: type 'radius' (default; center + radius in km), 'knn' (center + k)
+     * or 'bbox' (bounds). query.kinds narrows to 'marker' and/or 'military'; query.markerTypes to marker types
+     * such as 'ruins' or 'volcanoes'. Results carry distanceKm when there is a center.
+     */
+    async queryLandmarks(query) {
+        return this.measureOperation('queryLandmarks', async () => {
+            const startTime = performance.now();
+            const type = query.type || 'radius';
+            const limit = query.limit || (type === 'knn' ? 1 : 100);
+            const filter = (landmark) => this.matchesLandmarkFilters(landmark, query);
+            let matches;
+            if (this.indexed) {
+                matches = this.landmarkIndex.search({
+                    type,
+                    center: query.center,
+                    radius: query.radius,
+                    bounds: query.bounds,
+                    k: query.k || limit,
+                    filter: (item) => filter(item.data),
+                    limit
+                }).items.map(item => ({ landmark: item.data, distance: item.distance }));
+            }
+            else {
+                const center = query.center && spatialIndexing_1.toXY(query.center);
+                const candidates = (await this.getAllLandmarks())
+                    .filter(filter)
+                    .map(landmark => ({ landmark, distance: center ? this.calculateDistance(center, landmark.coordinates) : undefined }));
+                if (type === 'bbox') {
+                    const b = query.bounds;
+                    const [minX, minY, maxX, maxY] = Array.isArray(b) ? b : [b.minLng, b.minLat, b.maxLng, b.maxLat];
+                    matches = candidates.filter(({ landmark }) => {
+                        const [x, y] = landmark.coordinates.coordinates;
+                        return x >= minX && x <= maxX && y >= minY && y <= maxY;
+                    });
+                }
+                else {
+                    matches = candidates
+                        .filter(({ distance }) => type === 'knn' || distance <= query.radius)
+                        .sort((a, b) => a.distance - b.distance);
+                }
+                matches = matches.slice(0, type === 'knn' ? query.k || limit : limit);
+            }
+            const results = matches.map(({ landmark, distance }) => distance === undefined
+                ? landmark
+                : { ...landmark, distanceKm: Math.round(distance * 10) / 10 });
+            return {
+                results,
+                totalCount: results.length,
+                queryTime: performance.now() - startTime
+            };
+        });
+    }
+    matchesLandmarkFilters(landmark, query) {
+        const kind = landmark.id.startsWith('military_') ? 'military' : 'marker';
+        if (query.kinds && !query.kinds.includes(kind))
+            return false;
+        if (query.markerTypes && (kind !== 'marker' || !query.markerTypes.includes(landmark.type)))
+            return false;
+        return true;
+    }
+    getSettlementRegion(settlementId) {
+        return this.views.settlementRegion.get(settlementId) || null;
+    }
+    getRegionSettlements(regionId) {
+        return (this.views.regionSettlements.get(regionId) || [])
+            .map(id => this.cache.get(`settlement:${id}`))
+            .filter(Boolean);
+    }
     async getWorldStatistics() {
         const cacheKey = 'world-statistics';
         if (this.config.enableCaching && this.cache.has(cacheKey)) {
@@ -217,6 +494,9 @@ class WorldDataService extends BaseService_1.BaseService {
         const stats = {
             totalRegions: regions.length,
             totalSettlements: settlements.length,
+            totalProvinces: (await this.getAllProvinces()).length,
+            totalMarkers: (await this.getAllMarkers()).length,
+            totalMilitaryUnits: (await this.getAllMilitaryUnits()).length,
             totalPopulation: settlements.reduce((sum, s) => sum + s.population, 0),
             averageSettlementSize: settlements.length > 0
                 ? settlements.reduce((sum, s) => sum + s.population, 0) / settlements.length
@@ -237,40 +517,128 @@ class WorldDataService extends BaseService_1.BaseService {
     async getAllSettlements() {
         return Array.from(this.cache.values()).filter(item => { var _a; return (_a = item.id) === null || _a === void 0 ? void 0 : _a.startsWith('settlement_'); });
     }
+    async getAllProvinces() {
+        return this.getCachedByPrefix('province_');
+    }
+    async getAllMarkers() {
+        return this.getCachedByPrefix('marker_');
+    }
+    async getAllMilitaryUnits() {
+        return this.getCachedByPrefix('military_');
+    }
+    async getAllLandmarks() {
+        return [...await this.getAllMarkers(), ...await this.getAllMilitaryUnits()];
+    }
+    // Linear scan used before the indexes exist (or with enableSpatialIndexing off) and as the benchmark baseline
     filterSettlementsByQuery(settlements, query) {
-        return settlements.filter(settlement => {
-            var _a, _b, _c, _d, _e;
-            const distance = this.calculateDistance(query.center.coordinates, settlement.coordinates.coordinates);
-            if (distance > query.radius)
-                return false;
-            if (((_a = query.filters) === null || _a === void 0 ? void 0 : _a.type) && settlement.type !== query.filters.type)
-                return false;
-            if (((_c = (_b = query.filters) === null || _b === void 0 ? void 0 : _b.population) === null || _c === void 0 ? void 0 : _c.min) && settlement.population < query.filters.population.min)
-                return false;
-            if (((_e = (_d = query.filters) === null || _d === void 0 ? void 0 : _d.population) === null || _e === void 0 ? void 0 : _e.max) && settlement.population > query.filters.population.max)
-                return false;
-            return true;
-        }).slice(0, query.limit || 100);
+        const type = query.type || 'radius';
+        const center = query.center && spatialIndexing_1.toXY(query.center);
+        const withDistance = settlements
+            .filter(settlement => this.matchesFilters(settlement, query.filters))
+            .map(settlement => ({ settlement, distance: center ? this.calculateDistance(center, settlement.coordinates.coordinates) : 0 }));
+        let matches;
+        switch (type) {
+            case 'radius':
+                matches = withDistance.filter(({ distance }) => distance <= query.radius).sort((a, b) => a.distance - b.distance);
+                break;
+            case 'knn':
+                return withDistance.sort((a, b) => a.distance - b.distance).slice(0, query.k || query.limit || 1).map(({ settlement }) => settlement);
+            case 'bbox': {
+                const b = query.bounds;
+                const [minX, minY, maxX, maxY] = Array.isArray(b) ? b : [b.minLng, b.minLat, b.maxLng, b.maxLat];
+                matches = withDistance.filter(({ settlement }) => {
+                    const [x, y] = settlement.coordinates.coordinates;
+                    return x >= minX && x <= maxX && y >= minY && y <= maxY;
+                });
+                break;
+            }
+            case 'polygon': {
+                const region = query.regionId && this.cache.get(`region:${query.regionId}`);
+                const polygon = query.polygon || (region && region.boundary);
+                matches = withDistance.filter(({ settlement }) => spatialIndexing_1.pointInPolygon(settlement.coordinates.coordinates, polygon));
+                break;
+            }
+            default:
+                throw new Error(`Unknown spatial query type: ${type}`);
+        }
+        return matches.map(({ settlement }) => settlement).slice(0, query.limit || 100);
     }
+    matchesFilters(settlement, filters) {
+        var _a, _b;
+        if (!filters)
+            return true;
+        if (filters.type && settlement.type !== filters.type)
+            return false;
+        if (((_a = filters.population) === null || _a === void 0 ? void 0 : _a.min) && settlement.population < filters.population.min)
+            return false;
+        if (((_b = filters.population) === null || _b === void 0 ? void 0 : _b.max) && settlement.population > filters.population.max)
+            return false;
+        return true;
+    }
+    // Great-circle distance in km
     calculateDistance(point1, point2) {
-        const [x1, y1] = point1;
-        const [x2, y2] = point2;
-        return Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2);
+        return coordinateUtils_1.CoordinateUtils.calculateDistance(point1, point2);
     }
     calculateQueryBounds(query) {
-        const [lng, lat] = query.center.coordinates;
-        const radiusDegrees = query.radius / 111000;
+        if (!query.center || query.radius === undefined)
+            return null;
+        const box = coordinateUtils_1.geodesicMetric.boundsFor(spatialIndexing_1.toXY(query.center), query.radius);
+        const minX = Math.max(-180, box.minX);
+        const maxX = Math.min(180, box.maxX);
         return {
             type: 'Polygon',
             coordinates: [[
-                    [lng - radiusDegrees, lat - radiusDegrees],
-                    [lng + radiusDegrees, lat - radiusDegrees],
-                    [lng + radiusDegrees, lat + radiusDegrees],
-                    [lng - radiusDegrees, lat + radiusDegrees],
-                    [lng - radiusDegrees, lat - radiusDegrees]
+                    [minX, box.minY],
+                    [maxX, box.minY],
+                    [maxX, box.maxY],
+                    [minX, box.maxY],
+                    [minX, box.minY]
                 ]]
         };
     }
+    /** The whole world as one GeoJSON FeatureCollection; each feature's properties.kind names its layer. */
+    async exportGeoJSON() {
+        return this.measureOperation('exportGeoJSON', async () => {
+            const layers = [
+                ['region', 'boundary', await this.getAllRegions()],
+                ['settlement', 'coordinates', await this.getAllSettlements()],
+                ['river', 'geometry', this.getCachedByPrefix('river_')],
+                ['route', 'geometry', this.getCachedByPrefix('route_')],
+                ['province', 'boundary', await this.getAllProvinces()],
+                ['marker', 'coordinates', await this.getAllMarkers()],
+                ['military', 'coordinates', await this.getAllMilitaryUnits()]
+            ];
+            const features = [];
+            for (const [kind, geometryKey, items] of layers) {
+                for (const item of items) {
+                    const { [geometryKey]: geometry, properties, ...fields } = item;
+                    if (!geometry)
+                        continue;
+                    features.push({
+                        type: 'Feature',
+                        id: item.id,
+                        geometry,
+                        properties: kind === 'settlement'
+                            ? { kind, ...fields, ...(properties || {}), regionId: this.getSettlementRegion(item.id) }
+                            : { kind, ...fields, ...(properties || {}) }
+                    });
+                }
+            }
+            const bounds = features.reduce((box, feature) => {
+                const b = spatialIndexing_1.geometryBounds(feature.geometry);
+                return b ? [Math.min(box[0], b.minX), Math.min(box[1], b.minY), Math.max(box[2], b.maxX), Math.max(box[3], b.maxY)] : box;
+            }, [Infinity, Infinity, -Infinity, -Infinity]);
+            return {
+                type: 'FeatureCollection',
+                ...(features.length ? { bbox: bounds } : {}),
+                features,
+                properties: { campaignId: this.config.campaignId, exportedAt: new Date().toISOString() }
+            };
+        });
+    }
+    getCachedByPrefix(prefix) {
+        return Array.from(this.cache.values()).filter(item => { var _a; return (_a = item.id) === null || _a === void 0 ? void 0 : _a.startsWith(prefix); });
+    }
     findDominantCulture(regions) {
         var _a;
         const cultureCount = regions.reduce((acc, region) => {
@@ -305,6 +673,15 @@ class WorldDataService extends BaseService_1.BaseService {
                 case 'settlements':
                     results = await this.queryNearbySettlements(data.query);
                     break;
+                case 'regions':
+                    results = await this.queryRegions(data.query);
+                    break;
+                case 'provinces':
+                    results = await this.queryProvinces(data.query);
+                    break;
+                case 'landmarks':
+                    results = await this.queryLandmarks(data.query);
+                    break;
                 default:
                     throw new Error(`Unknown spatial query type: ${data.type}`);
             }
@@ -322,6 +699,14 @@ class WorldDataService extends BaseService_1.BaseService {
             });
         }
     }
+    async handleExportGeoJSON(data) {
+        if (data.campaignId === this.config.campaignId) {
+            await this.eventBus.emit('world:geojson-exported', {
+                campaignId: data.campaignId,
+                geojson: await this.exportGeoJSON()
+            });
+        }
+    }
     async handleGetStatistics(data) {
         if (data.campaignId === this.config.campaignId) {
             const statistics = await this.getWorldStatistics();
@@ -6,15 +6,16 @@ const AzgaarParserService_1 = require("./AzgaarParserService");
 const WorldDataService_1 = require("./WorldDataService");
 const NPCPlacementService_1 = require("./NPCPlacementService");
 const TradeRouteService_1 = require("./TradeRouteService");
+const TravelPlannerService_1 = require("./TravelPlannerService");
 class WorldIntegrationService extends BaseService_1.BaseService {
     constructor(config) {
         super('WorldIntegrationService', config);
         this.parsedWorldData = null;
-        this.config = config;
         this.azgaarParser = new AzgaarParserService_1.AzgaarParserService(config.azgaarParser);
         this.worldData = new WorldDataService_1.WorldDataService(config.worldData);
         this.npcPlacement = new NPCPlacementService_1.NPCPlacementService(config.npcPlacement);
         this.tradeRoutes = new TradeRouteService_1.TradeRouteService(config.tradeRoutes);
+        this.travelPlanner = new TravelPlannerService_1.TravelPlannerService(config.travel);
         this.worldState = {
             campaignId: config.campaignId,
             isInitialized: false,
@@ -38,6 +39,7 @@ class WorldIntegrationService extends BaseService_1.BaseService {
             await this.worldData.initialize();
             await this.npcPlacement.initialize();
             await this.tradeRoutes.initialize();
+            await this.travelPlanner.initialize();
             this.setupEventListeners();
             this.updateIntegrationHealth();
             console.log('[WorldIntegrationService] World integration initialized successfully');
@@ -53,6 +55,7 @@ class WorldIntegrationService extends BaseService_1.BaseService {
         await this.worldData.shutdown();
         await this.npcPlacement.shutdown();
         await this.tradeRoutes.shutdown();
+        await this.travelPlanner.shutdown();
         console.log('[WorldIntegrationService] World integration shut down');
     }
     async importWorldFromAzgaar(mapData) {
@@ -71,6 +74,8 @@ class WorldIntegrationService extends BaseService_1.BaseService {
                 await this.worldData.importWorldData(parsedData);
                 console.log('[WorldIntegrationService] Generating trade routes...');
                 await this.tradeRoutes.generateTradeRoutes(parsedData.settlements, parsedData.routes);
+                console.log('[WorldIntegrationService] Building travel graph...');
+                this.travelPlanner.buildGraph(parsedData);
                 this.parsedWorldData = parsedData;
                 this.updateWorldState(parsedData);
                 const importTime = Date.now() - startTime;
@@ -84,7 +89,10 @@ class WorldIntegrationService extends BaseService_1.BaseService {
                         cultures: parsedData.cultures.length,
                         religions: parsedData.religions.length,
                         rivers: parsedData.rivers.length,
-                        routes: parsedData.routes.length
+                        routes: parsedData.routes.length,
+                        provinces: parsedData.provinces.length,
+                        militaryUnits: parsedData.militaryUnits.length,
+                        markers: parsedData.markers.length
                     },
                     errors,
                     warnings
@@ -109,7 +117,7 @@ class WorldIntegrationService extends BaseService_1.BaseService {
                     success: false,
                     parsedData: {},
                     importTime: Date.now() - startTime,
-                    statistics: { settlements: 0, regions: 0, cultures: 0, religions: 0, rivers: 0, routes: 0 },
+                    statistics: { settlements: 0, regions: 0, cultures: 0, religions: 0, rivers: 0, routes: 0, provinces: 0, militaryUnits: 0, markers: 0 },
                     errors,
                     warnings
                 };
@@ -171,7 +179,11 @@ class WorldIntegrationService extends BaseService_1.BaseService {
                 case 'settlements':
                     return await this.worldData.queryNearbySettlements(query);
                 case 'regions':
-                    throw new Error('Region spatial queries not yet implemented');
+                    return await this.worldData.queryRegions(query);
+                case 'provinces':
+                    return await this.worldData.queryProvinces(query);
+                case 'landmarks':
+                    return await this.worldData.queryLandmarks(query);
                 case 'npcs':
                     throw new Error('NPC spatial queries not yet implemented');
                 default:
@@ -179,6 +191,36 @@ class WorldIntegrationService extends BaseService_1.BaseService {
             }
         });
     }
+    /** GeoJSON FeatureCollection of every world layer, with the map's projection. */
+    async exportWorldGeoJSON() {
+        return this.measureOperation('exportWorldGeoJSON', async () => {
+            var _a;
+            if (!this.parsedWorldData) {
+                throw new Error('World data not yet imported');
+            }
+            const collection = await this.worldData.exportGeoJSON();
+            collection.properties = {
+                ...collection.properties,
+                source: 'Azgaar',
+                projection: (_a = this.parsedWorldData.metadata) === null || _a === void 0 ? void 0 : _a.projection
+            };
+            return collection;
+        });
+    }
+    /**
+     * Provinces, markers and military units in the shape worldpack manifests carry them (manifest.provinces,
+     * manifest.markers, manifest.militaryUnits), where STRESRAG turns them into lore documents.
+     */
+    async getLoreLayers() {
+        if (!this.parsedWorldData) {
+            throw new Error('World data not yet imported');
+        }
+        return {
+            provinces: (await this.worldData.getAllProvinces()).map(({ boundary, ...province }) => province),
+            markers: await this.worldData.getAllMarkers(),
+            militaryUnits: await this.worldData.getAllMilitaryUnits()
+        };
+    }
     getWorldState() {
         return { ...this.worldState };
     }
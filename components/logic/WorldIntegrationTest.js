@@ -2,9 +2,14 @@
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.WorldIntegrationTestSuite = void 0;
 exports.runWorldIntegrationTests = runWorldIntegrationTests;
+const fs = require("fs");
+const path = require("path");
 const WorldIntegrationService_1 = require("./WorldIntegrationService");
+const WorldDataService_1 = require("./WorldDataService");
 const coordinateUtils_1 = require("../../shared/utils/coordinateUtils");
 const spatialIndexing_1 = require("../../shared/utils/spatialIndexing");
+const azgaarMapFile_1 = require("../../shared/utils/azgaarMapFile");
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
 class WorldIntegrationTestSuite {
     constructor() {
         this.testResults = [];
@@ -91,6 +96,68 @@ class WorldIntegrationTestSuite {
                 this.assert(true, 'Correctly handled malformed data');
             }
         });
+        await this.runTest('Parse Native .map File', async () => {
+            const mapFile = this.readFixture('euterra-frontier.map');
+            const raw = azgaarMapFile_1.parseAzgaarMapFile(mapFile);
+            this.assert(raw.settings.width === 1200 && raw.settings.height === 600, 'Should read map size from the parameter line');
+            this.assert(raw.settings.mapCoordinates.latN === 48.2, 'Should read map coordinates');
+            this.assert(raw.burgs.length === 12, 'Should skip the placeholder and removed burgs');
+            this.assert(raw.states.length === 4 && !raw.states.some(s => s.name === 'Fallen Marches'), 'Should skip removed states');
+            this.assert(raw.provinces.length === 5, 'Should parse provinces');
+            this.assert(raw.provinces.every(p => p.cells.length > 0), 'Provinces should own cells');
+            this.assert(raw.markers.length === 4, 'Should parse markers');
+            this.assert(raw.markers[0].name === 'The Sunken Tower', 'Markers should take their note names');
+            this.assert(raw.notes.length === 5, 'Should keep notes');
+            this.assert(raw.burgs[0].population === 42300, 'Burg population should be scaled by the population rate');
+            const result = await this.service.importWorldFromAzgaar(mapFile);
+            this.assert(result.success, 'Import should succeed');
+            this.assert(result.statistics.settlements === 12, 'Should import every burg');
+            this.assert(result.statistics.regions === 3, 'Should import every state but Neutrals');
+            this.assert(result.statistics.routes === 4, 'Should import the first route despite its 0 id');
+            const river = result.parsedData.rivers.find(r => r.name === 'Greywash');
+            const [source, mouth] = [river.geometry.coordinates[0], river.geometry.coordinates[river.geometry.coordinates.length - 1]];
+            this.assert(source[0] < mouth[0], 'River geometry should run from source to mouth');
+            const capital = result.parsedData.settlements.find(s => s.name === 'Valdris');
+            const region = result.parsedData.regions.find(r => r.name === 'Valdrian Crown');
+            this.assert(spatialIndexing_1.pointInPolygon(capital.coordinates.coordinates, region.boundary), 'Capital should lie inside its state outline');
+            return result.statistics;
+        });
+        await this.runTest('Parse Compressed .map File', async () => {
+            const plain = await this.service.azgaarParser.parseMapFile(this.readFixture('euterra-frontier.map'));
+            const compressed = await this.service.azgaarParser.parseMapFile(this.readFixture('euterra-frontier-compressed.map'));
+            this.assert(compressed.settlements.length === plain.settlements.length, 'Compressed save should give the same settlements');
+            this.assert(JSON.stringify(compressed.settlements.map(s => s.coordinates)) === JSON.stringify(plain.settlements.map(s => s.coordinates)), 'Compressed save should give the same coordinates');
+            this.assert(JSON.stringify(compressed.rivers) === JSON.stringify(plain.rivers), 'Compressed save should give the same rivers');
+        });
+        await this.runTest('Province, Marker and Military Layers', async () => {
+            const result = await this.service.importWorldFromAzgaar(this.readFixture('euterra-frontier.map'));
+            this.assert(result.statistics.provinces === 5, 'Should import provinces');
+            this.assert(result.statistics.markers === 4, 'Should import markers');
+            this.assert(result.statistics.militaryUnits === 2, 'Should import military units');
+            const tower = result.parsedData.markers.find(m => m.name === 'The Sunken Tower');
+            this.assert(tower.lore.includes('watchtower'), 'Markers should carry their note text');
+            this.assert(tower.nearest.name === 'Harrowgate' && tower.nearest.direction === 'north-west', 'Markers should be placed relative to the nearest settlement');
+            const harrowgate = result.parsedData.settlements.find(s => s.name === 'Harrowgate');
+            const nearby = await this.service.querySpatialData({ type: 'knn', center: harrowgate.coordinates, k: 1, kinds: ['marker'] }, 'landmarks');
+            this.assert(nearby.results[0].id === tower.id, 'Nearest marker query should find the tower');
+            const dragons = await this.service.querySpatialData({ type: 'knn', center: harrowgate.coordinates, k: 5, markerTypes: ['dragons'] }, 'landmarks');
+            this.assert(dragons.results.length === 1 && dragons.results[0].name === 'Cinderwing Roost', 'Marker type filter should apply');
+            const provinces = await this.service.querySpatialData({ center: harrowgate.coordinates }, 'provinces');
+            this.assert(provinces.results.some(p => p.name === 'Thornmarch'), 'Province containment should find Thornmarch');
+            const lore = await this.service.getLoreLayers();
+            this.assert(lore.provinces.every(p => !p.boundary), 'Lore layers should leave out province geometry');
+            return result.statistics;
+        });
+        await this.runTest('Handle Truncated .map File', async () => {
+            const truncated = this.readFixture('euterra-frontier.map').toString('utf8').split('\r\n').slice(0, 10).join('\r\n');
+            try {
+                await this.service.azgaarParser.parseMapFile(truncated);
+                this.fail('Should reject a truncated .map file');
+            }
+            catch (error) {
+                this.assert(error.message.includes('Truncated'), 'Should report the truncation');
+            }
+        });
         await this.runTest('Coordinate Conversion Accuracy', async () => {
             const pixelX = 4096, pixelY = 2048;
             const geo = coordinateUtils_1.CoordinateUtils.pixelToGeographic(pixelX, pixelY);
@@ -222,6 +289,91 @@ class WorldIntegrationTestSuite {
             this.assert(results.queryTime >= 0, 'Should have query time');
             return results;
         });
+        await this.runTest('Region Containment on World Data', async () => {
+            const settlements = await this.service.worldData.getAllSettlements();
+            const placed = settlements.find(s => this.service.worldData.getSettlementRegion(s.id));
+            this.assert(placed, 'Some settlement should fall inside a region boundary');
+            const regionId = this.service.worldData.getSettlementRegion(placed.id);
+            this.assert(await this.service.worldData.isPointInRegion(placed.coordinates, regionId), 'Settlement should be inside its region');
+            const regions = await this.service.querySpatialData({ type: 'contains', center: placed.coordinates }, 'regions');
+            this.assert(regions.results.some(r => r.id === regionId), 'Containment query should return the region');
+            const inRegion = await this.service.querySpatialData({ type: 'polygon', regionId, limit: 1000 }, 'settlements');
+            this.assert(inRegion.results.some(s => s.id === placed.id), 'Polygon query should return the settlement');
+            return { regionId, settlementsInRegion: inRegion.totalCount };
+        });
+        await this.runTest('Spatial Index Benchmark', async () => {
+            const benchmark = await this.runSpatialIndexBenchmark(5000, 200);
+            for (const [type, run] of Object.entries(benchmark)) {
+                this.assert(run.mismatches === 0, `Indexed ${type} queries should match the linear scan (${run.mismatches} differed)`);
+            }
+            this.assert(benchmark.radius.indexedMs < benchmark.radius.linearMs, 'Indexed radius queries should beat the linear scan');
+            this.assert(benchmark.knn.indexedMs < benchmark.knn.linearMs, 'Indexed k-nearest queries should beat the linear scan');
+            return benchmark;
+        });
+    }
+    // Runs the same random queries through the R-tree and the linear scan over a large synthetic world
+    async runSpatialIndexBenchmark(settlementCount, queryCount) {
+        const worldData = new WorldDataService_1.WorldDataService({
+            ...this.config.worldData,
+            campaignId: 'test-campaign-spatial-benchmark',
+            batchSize: 500,
+            performanceBudget: 10000
+        });
+        await worldData.initialize();
+        const randomPoint = () => [(Math.random() - 0.5) * 360, (Math.random() - 0.5) * 180];
+        const settlements = Array.from({ length: settlementCount }, (_, i) => ({
+            id: `settlement_${i + 1}`,
+            name: `Benchmark Settlement ${i + 1}`,
+            type: i % 3 === 0 ? 'City' : 'Town',
+            coordinates: { type: 'Point', coordinates: randomPoint() },
+            population: 500 + (i * 37) % 40000
+        }));
+        const regions = Array.from({ length: 20 }, (_, i) => {
+            const [x, y] = randomPoint();
+            return {
+                id: `region_${i + 1}`,
+                name: `Benchmark Region ${i + 1}`,
+                culture: 'Unknown',
+                boundary: { type: 'Polygon', coordinates: [[[x, y], [x + 20, y], [x + 10, y + 15], [x, y]]] }
+            };
+        });
+        await worldData.importWorldData({ regions, settlements, cultures: [], religions: [], rivers: [], routes: [] });
+        const all = await worldData.getAllSettlements();
+        const queries = {
+            radius: () => ({ type: 'radius', center: { type: 'Point', coordinates: randomPoint() }, radius: 1000, limit: settlementCount }),
+            bbox: () => {
+                const [x, y] = randomPoint();
+                return { type: 'bbox', bounds: [x, y, x + 15, y + 10], limit: settlementCount };
+            },
+            knn: () => ({ type: 'knn', center: { type: 'Point', coordinates: randomPoint() }, k: 10, filters: { type: 'City' } }),
+            polygon: () => ({ type: 'polygon', regionId: regions[Math.floor(Math.random() * regions.length)].id, limit: settlementCount })
+        };
+        const ids = (results, ordered) => {
+            const list = results.map(s => s.id);
+            return (ordered ? list : list.sort()).join(',');
+        };
+        const benchmark = {};
+        for (const [type, makeQuery] of Object.entries(queries)) {
+            const batch = Array.from({ length: queryCount }, makeQuery);
+            let start = performance.now();
+            const linear = batch.map(query => worldData.filterSettlementsByQuery(all, query));
+            const linearMs = performance.now() - start;
+            start = performance.now();
+            const indexed = batch.map(query => worldData.searchSettlementIndex(query));
+            const indexedMs = performance.now() - start;
+            const ordered = type === 'radius' || type === 'knn';
+            const mismatches = linear.filter((results, i) => ids(results, ordered) !== ids(indexed[i], ordered)).length;
+            benchmark[type] = {
+                queries: queryCount,
+                linearMs,
+                indexedMs,
+                speedup: indexedMs > 0 ? linearMs / indexedMs : Infinity,
+                mismatches
+            };
+            console.log(`[WorldIntegrationTestSuite] ${type}: linear ${linearMs.toFixed(1)}ms, indexed ${indexedMs.toFixed(1)}ms over ${queryCount} queries on ${settlementCount} settlements`);
+        }
+        await worldData.shutdown();
+        return benchmark;
     }
     async runNPCPlacementTests() {
         console.log('[WorldIntegrationTestSuite] Running NPC Placement tests...');
@@ -400,6 +552,9 @@ class WorldIntegrationTestSuite {
     fail(message) {
         throw new Error(message);
     }
+    readFixture(name) {
+        return fs.readFileSync(path.join(FIXTURES_DIR, name));
+    }
     createMockEuterraData() {
         return {
             settings: {
@@ -2,7 +2,10 @@
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.xpCalculationService = exports.XPCalculationService = void 0;
 const BaseService_1 = require("../../services/BaseService");
+const TaskDetectionService_1 = require("./TaskDetectionService");
+const PersistenceService_1 = require("../../services/PersistenceService");
 const DEFAULT_XP_CONFIG = {
+    enabled: true,
     baseXPValues: {
         combat: 50,
         crafting: 25,
@@ -37,7 +40,8 @@ const DEFAULT_XP_CONFIG = {
     levelScaling: {
         baseXPToLevel: 1000,
         scalingFactor: 1.2,
-        maxLevel: 20
+        maxLevel: 20,
+        skillPointsPerLevel: 2
     },
     skillBonuses: {
         proficiencyBonus: {
@@ -58,18 +62,43 @@ const DEFAULT_XP_CONFIG = {
         sameTaskMultiplier: 1.1,
         differentTaskMultiplier: 1.05,
         maxStreakBonus: 2.0
+    },
+    autoAward: {
+        minConfidence: 0.5,
+        maxPerMessage: 2,
+        excerptLength: 160
     }
 };
 class XPCalculationService extends BaseService_1.BaseService {
     constructor(config = {}) {
         super('XPCalculationService', { performanceBudget: 20 });
         this.characterXP = new Map();
+        this.pendingAwards = new Map();
         this.config = { ...DEFAULT_XP_CONFIG, ...config };
+        PersistenceService_1.persistenceService.registerStore('xp', { version: 1, load: () => (this.ready = this.loadPersistedXP({ replace: true })) });
+        this.loadState();
+        // Characters come back from the persistence layer asynchronously; lookups wait on this first
+        this.ready = this.loadPersistedXP();
+        this.bindEvents();
     }
-    async onInitialize() {
+    bindEvents() {
         this.eventBus.on('task:detected', this.handleTaskDetected.bind(this));
         this.eventBus.on('character:loaded', this.handleCharacterLoaded.bind(this));
         this.eventBus.on('combat:ended', this.handleCombatEnded.bind(this));
+        if (typeof window !== 'undefined' && window.addEventListener) {
+            // Opt-in chat pipeline: narrated turns are proposed as awards and the player confirms or rejects them
+            window.addEventListener('stres:message:narrated', (event) => {
+                const detail = event.detail || {};
+                this.proposeAwards(detail.text, detail.characterId).catch(error => console.warn('[XPCalculation] Award proposal failed:', error));
+            });
+            window.addEventListener('stres:xp:decision', (event) => {
+                const detail = event.detail || {};
+                const decide = detail.accept ? this.confirmAward(detail.awardId) : this.rejectAward(detail.awardId);
+                decide.catch(error => console.warn('[XPCalculation] Award decision failed:', error));
+            });
+        }
+    }
+    async onInitialize() {
         console.log('[XPCalculation] Initialized XP system');
     }
     async onShutdown() {
@@ -80,29 +109,13 @@ class XPCalculationService extends BaseService_1.BaseService {
     async calculateXP(task, characterId) {
         return this.measureOperation('calculateXP', async () => {
             const character = await this.getOrLoadCharacterXP(characterId);
-            const baseXP = this.config.baseXPValues[task.type] || 0;
-            const modifiers = await this.calculateModifiers(task, character);
-            let totalXP = baseXP;
-            for (const modifier of modifiers) {
-                totalXP *= modifier.value;
-            }
-            totalXP = Math.round(totalXP);
-            const breakdown = this.createBreakdown(task, baseXP, modifiers, totalXP);
-            const reward = {
-                baseXP,
-                modifiers,
-                totalXP,
-                breakdown
-            };
-            const levelUps = await this.checkLevelUps(character, totalXP);
-            if (levelUps.length > 0) {
-                reward.levelUps = levelUps;
-            }
+            const reward = await this.buildReward(task, character);
+            const totalXP = reward.totalXP;
             await this.applyXP(character, totalXP, task);
             this.eventBus.emit('xp:gained', {
                 characterId,
                 reward,
-                newTotalXP: character.totalXP + totalXP,
+                newTotalXP: character.totalXP,
                 newLevel: character.currentLevel
             });
             return reward;
@@ -121,7 +134,128 @@ class XPCalculationService extends BaseService_1.BaseService {
     }
     async previewXP(task, characterId) {
         const character = await this.getOrLoadCharacterXP(characterId);
-        return this.calculateXP(task, characterId);
+        return this.buildReward(task, character);
+    }
+    async buildReward(task, character) {
+        const baseXP = this.config.baseXPValues[task.type] || 0;
+        const modifiers = await this.calculateModifiers(task, character);
+        let totalXP = baseXP;
+        for (const modifier of modifiers) {
+            totalXP *= modifier.value;
+        }
+        totalXP = Math.round(totalXP);
+        const breakdown = this.createBreakdown(task, baseXP, modifiers, totalXP);
+        const reward = {
+            baseXP,
+            modifiers,
+            totalXP,
+            breakdown
+        };
+        const levelUps = await this.checkLevelUps(character, totalXP);
+        if (levelUps.length > 0) {
+            reward.levelUps = levelUps;
+        }
+        return reward;
+    }
+    async proposeAwards(message, characterId) {
+        const text = String(message || '').trim();
+        if (!text || !characterId)
+            return [];
+        const { minConfidence, maxPerMessage } = this.config.autoAward;
+        const tasks = await TaskDetectionService_1.taskDetectionService.detectTasks(text);
+        const character = await this.getOrLoadCharacterXP(characterId);
+        const seen = new Set();
+        const awards = [];
+        for (const task of tasks) {
+            if (awards.length >= maxPerMessage)
+                break;
+            if (task.confidence < minConfidence || seen.has(task.type))
+                continue;
+            seen.add(task.type);
+            const reward = await this.buildReward(task, character);
+            if (reward.totalXP <= 0)
+                continue;
+            const award = {
+                id: `xp_${Date.now()}_${awards.length}`,
+                characterId,
+                task,
+                reward,
+                createdAt: new Date()
+            };
+            this.pendingAwards.set(award.id, award);
+            awards.push(award);
+            this.dispatch('stres:xp:proposed', { award: this.describeAward(award) });
+        }
+        if (awards.length > 0) {
+            this.saveState();
+        }
+        return awards;
+    }
+    getPendingAwards(characterId) {
+        return Array.from(this.pendingAwards.values())
+            .filter(award => !characterId || award.characterId === characterId);
+    }
+    async confirmAward(awardId) {
+        const award = this.pendingAwards.get(awardId);
+        if (!award) {
+            throw new Error(`XP award not found or already resolved: ${awardId}`);
+        }
+        const character = await this.getOrLoadCharacterXP(award.characterId);
+        const previousLevel = character.currentLevel;
+        const levelUps = await this.checkLevelUps(character, award.reward.totalXP);
+        this.pendingAwards.delete(awardId);
+        await this.applyXP(character, award.reward.totalXP, award.task);
+        this.eventBus.emit('xp:gained', {
+            characterId: award.characterId,
+            reward: { ...award.reward, levelUps },
+            newTotalXP: character.totalXP,
+            newLevel: character.currentLevel
+        });
+        const result = {
+            award: this.describeAward(award),
+            previousLevel,
+            levelUps,
+            character: this.describeCharacter(character)
+        };
+        this.dispatch('stres:xp:awarded', result);
+        return result;
+    }
+    async rejectAward(awardId) {
+        const award = this.pendingAwards.get(awardId);
+        if (!award) {
+            throw new Error(`XP award not found or already resolved: ${awardId}`);
+        }
+        this.pendingAwards.delete(awardId);
+        this.saveState();
+        this.dispatch('stres:xp:rejected', { award: this.describeAward(award) });
+        return award;
+    }
+    describeAward(award) {
+        return {
+            id: award.id,
+            characterId: award.characterId,
+            taskType: award.task.type,
+            confidence: award.task.confidence,
+            excerpt: String(award.task.originalMessage || '').slice(0, this.config.autoAward.excerptLength),
+            totalXP: award.reward.totalXP,
+            breakdown: award.reward.breakdown,
+            modifiers: award.reward.modifiers.map(m => ({ type: m.type, value: m.value, reason: m.reason }))
+        };
+    }
+    describeCharacter(character) {
+        return {
+            characterId: character.characterId,
+            currentLevel: character.currentLevel,
+            currentXP: character.currentXP,
+            xpToNextLevel: character.xpToNextLevel,
+            totalXP: character.totalXP,
+            skillPoints: character.skillPoints || 0
+        };
+    }
+    dispatch(type, detail) {
+        if (typeof window !== 'undefined' && window.dispatchEvent) {
+            window.dispatchEvent(new CustomEvent(type, { detail }));
+        }
     }
     async calculateModifiers(task, character) {
         const modifiers = [];
@@ -178,6 +312,7 @@ class XPCalculationService extends BaseService_1.BaseService {
         return Math.max(0.5, Math.min(2.0, multiplier));
     }
     async calculateSkillBonus(task, character) {
+        var _a, _b;
         const skillMultipliers = {
             combat: 1.2,
             crafting: 1.15,
@@ -193,7 +328,9 @@ class XPCalculationService extends BaseService_1.BaseService {
         };
         const baseMultiplier = skillMultipliers[task.type] || 1.0;
         const levelBonus = 1 + (character.currentLevel - 1) * 0.05;
-        return baseMultiplier * levelBonus;
+        // Learned skill-tree ranks add a percentage per task type (see SkillTreeService.computeEffects)
+        const treeBonus = 1 + (((_b = (_a = character.skillEffects) === null || _a === void 0 ? void 0 : _a.xp) === null || _b === void 0 ? void 0 : _b[task.type]) || 0);
+        return baseMultiplier * levelBonus * treeBonus;
     }
     calculateStreakBonus(character) {
         if (!this.config.streakRewards.enabled)
@@ -234,7 +371,7 @@ class XPCalculationService extends BaseService_1.BaseService {
                 currentLevel++;
                 levelUps.push({
                     newLevel: currentLevel,
-                    skillPoints: 2,
+                    skillPoints: this.config.levelScaling.skillPointsPerLevel,
                     abilityImprovements: ['strength', 'dexterity', 'constitution', 'intelligence', 'wisdom', 'charisma']
                         .slice(0, currentLevel % 4 + 1)
                 });
@@ -252,6 +389,7 @@ class XPCalculationService extends BaseService_1.BaseService {
             character.currentXP -= character.xpToNextLevel;
             character.currentLevel++;
             character.xpToNextLevel = this.getXPForNextLevel(character.currentLevel);
+            character.skillPoints = (character.skillPoints || 0) + this.config.levelScaling.skillPointsPerLevel;
         }
         character.recentTasks.unshift({
             taskType: task.type,
@@ -277,6 +415,7 @@ class XPCalculationService extends BaseService_1.BaseService {
         streaks.longestStreak = Math.max(streaks.longestStreak, streaks.currentStreak);
     }
     async getOrLoadCharacterXP(characterId) {
+        await this.ready;
         let character = this.characterXP.get(characterId);
         if (!character) {
             character = await this.loadCharacterXPFromDatabase(characterId);
@@ -291,6 +430,9 @@ class XPCalculationService extends BaseService_1.BaseService {
             currentXP: 0,
             totalXP: 0,
             xpToNextLevel: this.getXPForNextLevel(1),
+            skillPoints: 0,
+            skills: {},
+            skillEffects: {},
             recentTasks: [],
             streaks: {
                 currentStreak: 0,
@@ -301,9 +443,70 @@ class XPCalculationService extends BaseService_1.BaseService {
         };
     }
     async persistCharacterXP(character) {
-        this.characterXP.set(character.id, character);
+        this.characterXP.set(character.characterId, character);
+        this.saveState();
+        try {
+            await PersistenceService_1.persistenceService.put('xp', character.characterId, character);
+        }
+        catch (error) {
+            console.warn('[XPCalculation] Failed to save character XP:', error);
+        }
     }
     async persistAllXPData() {
+        this.saveState();
+        try {
+            await PersistenceService_1.persistenceService.putMany('xp', Array.from(this.characterXP.entries()), { replace: true });
+        }
+        catch (error) {
+            console.warn('[XPCalculation] Failed to save character XP:', error);
+        }
+    }
+    // The active campaign's characters in the persistence layer win over the localStorage snapshot;
+    // `replace` drops characters from the previous campaign when the namespace changes
+    async loadPersistedXP(options = {}) {
+        try {
+            const entries = await PersistenceService_1.persistenceService.getAll('xp');
+            if (options.replace) {
+                this.characterXP = new Map();
+            }
+            for (const entry of entries) {
+                this.characterXP.set(entry.value.characterId, entry.value);
+            }
+        }
+        catch (error) {
+            console.warn('[XPCalculation] Failed to load persisted XP:', error);
+        }
+    }
+    exportState() {
+        return {
+            characters: Array.from(this.characterXP.values()),
+            pendingAwards: Array.from(this.pendingAwards.values())
+        };
+    }
+    importState(state) {
+        this.characterXP = new Map(((state === null || state === void 0 ? void 0 : state.characters) || []).map(character => [character.characterId, character]));
+        this.pendingAwards = new Map(((state === null || state === void 0 ? void 0 : state.pendingAwards) || []).map(award => [award.id, award]));
+    }
+    loadState() {
+        try {
+            const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(XPCalculationService.STORAGE_KEY) : null;
+            if (stored) {
+                this.importState(JSON.parse(stored));
+            }
+        }
+        catch (error) {
+            console.warn('[XPCalculation] Failed to load stored state:', error);
+        }
+    }
+    saveState() {
+        try {
+            if (typeof localStorage !== 'undefined') {
+                localStorage.setItem(XPCalculationService.STORAGE_KEY, JSON.stringify(this.exportState()));
+            }
+        }
+        catch (error) {
+            console.warn('[XPCalculation] Failed to save state:', error);
+        }
     }
     async handleTaskDetected(data) {
         if (data.characterId) {
@@ -324,5 +527,6 @@ class XPCalculationService extends BaseService_1.BaseService {
     async handleCombatEnded(data) {
     }
 }
+XPCalculationService.STORAGE_KEY = 'stres-xp';
 exports.XPCalculationService = XPCalculationService;
 exports.xpCalculationService = new XPCalculationService();
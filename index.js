@@ -1,10 +1,26 @@
 import { extensionName, defaultSettings } from './modules/constants.js';
 import { state } from './modules/state.js';
 import STRESWorld from './modules/world.js';
+import STRESTokenizer from './modules/tokenizer.js';
 import { createOnboarding } from './modules/onboarding.js';
 import createScenarioReducer from './modules/scenario.js';
 import createRoutingManager from './modules/routing.js';
 import createDestinationsManager from './modules/destinations.js';
+import STRESDice from './modules/dice.js';
+import createCombatTracker from './modules/combat.js';
+import createInventoryStore from './modules/inventory.js';
+import STRESEquipment from './modules/equipment.js';
+import createBountyBoard from './modules/bounties.js';
+import createSocialLedger from './modules/social.js';
+import createXPAwards from './modules/xp.js';
+import createSkillBook from './modules/skills.js';
+import createTaskRules from './modules/tasks.js';
+import createPersistenceBridge from './modules/persistence.js';
+import createMemoryRecall from './modules/memory.js';
+import createMemoryTiers from './modules/temperature.js';
+import createTravel from './modules/travel.js';
+import { CombatPanel } from './ui/inventory/components/CombatPanel.js';
+import { SocialPanel } from './ui/inventory/components/SocialPanel.js';
 
 // Normalize SillyTavern language setting so i18n falls back to English
 try {
@@ -233,20 +249,6 @@ try {
       await ctx?.saveChat?.();
     } catch {}
   };
-  // Combat status override to reflect mode and initiative
-  const _showCombatStatus = STRESChat.showCombatStatus?.bind(STRESChat);
-  STRESChat.showCombatStatus = function() {
-    try {
-      const active = (STRESCombat.getMode && STRESCombat.getMode()) === 'combat';
-      const meta = (window.SillyTavern?.getContext?.().chatMetadata?.stres) || {};
-      const round = meta?.combat?.round || 1;
-      const order = Array.isArray(meta?.combat?.order) ? meta.combat.order.join(', ') : '—';
-      this.sendToChat(`**Combat Status**\\n• Active: ${active ? 'Yes' : 'No'}\\n• Round: ${round}\\n• Init: ${order}`);
-    } catch {
-      try { return _showCombatStatus?.(); } catch {}
-    }
-    return '';
-  };
 } catch {}
 
 // (moved) overrides appended after STRESChat definition
@@ -618,11 +620,13 @@ const STRESTools = {
       if (this.isEnabled('dice')) register({
         name: 'stres_dice',
         displayName: 'STRES Dice',
-        description: 'Roll dice using XdY+Z notation and return results.',
-        parameters: { type: 'object', properties: { notation: { type: 'string' } }, required: ['notation'], additionalProperties: false },
-        action: wrap('stres_dice', { notation:true }, async ({ notation }) => {
-          const r = STRESCombat.rollDice(String(notation));
-          return r.ok ? { ok:true, total: r.total, rolls: r.rolls, mod: r.mod, text: `${notation} -> ${r.total}` } : { ok:false, error: r.error };
+        description: 'Roll dice and return a per-die breakdown. Supports XdY+Z, keep/drop (4d6kh3, 4d6dl1), exploding (3d6!), rerolls (2d6r1, 2d6ro<3), advantage (1d20+5 adv, d20dis), success pools (8d10>=7) and parenthesised arithmetic. Pass a seed to replay a roll exactly.',
+        parameters: { type: 'object', properties: { notation: { type: 'string' }, seed: { type: 'string' } }, required: ['notation'], additionalProperties: false },
+        action: wrap('stres_dice', { notation:true, seed:false }, async ({ notation, seed }) => {
+          const r = STRESCombat.rollDice(String(notation), { seed, source: 'tool' });
+          return r.ok
+            ? { ok:true, total: r.total, rolls: r.rolls, mod: r.mod, successes: r.successes, seed: r.seed, breakdown: r.breakdown, text: `${notation} -> ${r.text}` }
+            : { ok:false, error: r.error };
         }),
         shouldRegister: async () => true,
         stealth: false,
@@ -654,13 +658,38 @@ const STRESTools = {
 };
 const STRESRouting = createRoutingManager();
 const STRESDestinations = createDestinationsManager();
+const STRESCombatTracker = createCombatTracker();
+const STRESInventory = createInventoryStore();
+const STRESBounties = createBountyBoard();
+const STRESSocial = createSocialLedger();
+const STRESXP = createXPAwards();
+const STRESSkills = createSkillBook();
+const STRESTasks = createTaskRules();
+const STRESPersistence = createPersistenceBridge();
+const STRESMemory = createMemoryRecall();
+const STRESTiers = createMemoryTiers();
+const STRESTravel = createTravel();
 
 try { state.destinations = STRESDestinations; } catch {}
 
 // Expose helpers for debugging/inspection
 try { window.STRESWorld = STRESWorld; } catch {}
+try { window.STRESTokenizer = STRESTokenizer; } catch {}
 try { window.STRESRouting = STRESRouting; } catch {}
 try { window.STRESDestinations = STRESDestinations; } catch {}
+try { window.STRESDice = STRESDice; } catch {}
+try { window.STRESCombatTracker = STRESCombatTracker; } catch {}
+try { window.STRESInventory = STRESInventory; } catch {}
+try { window.STRESEquipment = STRESEquipment; } catch {}
+try { window.STRESBounties = STRESBounties; } catch {}
+try { window.STRESSocial = STRESSocial; } catch {}
+try { window.STRESXP = STRESXP; } catch {}
+try { window.STRESSkills = STRESSkills; } catch {}
+try { window.STRESTasks = STRESTasks; } catch {}
+try { window.STRESPersistence = STRESPersistence; } catch {}
+try { window.STRESMemory = STRESMemory; } catch {}
+try { window.STRESTiers = STRESTiers; } catch {}
+try { window.STRESTravel = STRESTravel; } catch {}
 try { state.toolIntegration = STRESTools; } catch {}
 
 // Budgeting utilities
@@ -698,9 +727,9 @@ const STRESBudget = {
 
   async predictTokens() {
     const s = this.getSettings();
-    const out = { guard: 0, header: 0, primer: 0, summaries: 0, rag: 0, npc: 0, hud: 0, combat: 0 };
+    const out = { guard: 0, header: 0, primer: 0, summaries: 0, rag: 0, npc: 0, memory: 0, hud: 0, combat: 0 };
     // header
-    try { out.header = await STRESWorld.tokenCount(STRESWorld.formatHeader()); } catch {}
+    try { out.header = await STRESWorld.tokenCount([STRESWorld.formatHeader(), STRESTiers.lastLocationLine].filter(Boolean).join('\n')); } catch {}
     // primer (from cached manifest if available)
     try {
       const mf = await STRESWorld.getManifestFresh();
@@ -724,6 +753,11 @@ const STRESBudget = {
       const npcBundle = await STRESNPC.buildBudgetPreview?.();
       if (npcBundle) out.npc = await STRESWorld.tokenCount(npcBundle);
     } catch {}
+    // recalled memories (last bundle built for this turn)
+    try {
+      const memory = STRESMemory.buildBudgetPreview?.();
+      if (memory) out.memory = await STRESWorld.tokenCount(memory);
+    } catch {}
     // hud snapshot
     try {
       const hud = STRESHud.formatHud?.();
@@ -748,6 +782,7 @@ const STRESBudget = {
       { name: 'summaries', tokens: Math.min(pred.summaries || 0, comps.summaries?.maxTokens || 0), enabled: !!(comps.summaries?.enabled), sticky: !!(comps.summaries?.sticky) },
       { name: 'rag', tokens: Math.min(pred.rag || 0, comps.rag?.maxTokens || 0), enabled: !!(comps.rag?.enabled), sticky: !!(comps.rag?.sticky) },
       { name: 'npc', tokens: Math.min(pred.npc || 0, comps.npc?.maxTokens || 0), enabled: !!(comps.npc?.enabled), sticky: !!(comps.npc?.sticky) },
+      { name: 'memory', tokens: Math.min(pred.memory || 0, comps.memory?.maxTokens || 0), enabled: !!(comps.memory?.enabled), sticky: !!(comps.memory?.sticky) },
     ];
     // Sum sticky first
     let total = 0;
@@ -763,7 +798,9 @@ const STRESBudget = {
     }
     let remaining = Math.max(0, limit - total);
     // Degrade order for optional
-    const order = Array.isArray(s.degrade?.order) ? s.degrade.order : ['rag','npc','summaries','primer','hud','header','combat'];
+    const configured = Array.isArray(s.degrade?.order) ? s.degrade.order : defaultSettings.budget.degrade.order;
+    // Components missing from a saved order (e.g. added in a later version) go last
+    const order = configured.concat(entries.map(e => e.name).filter(name => !configured.includes(name)));
     for (const name of order) {
       const e = entries.find(x => x.name === name);
       if (!e || !e.enabled || e.sticky) continue;
@@ -777,22 +814,22 @@ const STRESBudget = {
     return { limit, total, remaining, allowance };
   },
 
-  // Naive trim by characters using ~4 chars per token
+  // Trim with the active model's tokenizer, keeping whole lines when at least one fits
   trimToTokens(text, allowedTokens) {
     if (!text) return text;
     if (!allowedTokens || allowedTokens < 1) return '';
     const s = String(text);
-    // rough char cap
-    const charCap = Math.max(1, Math.floor(allowedTokens * 4));
-    if (s.length <= charCap) return s;
-    // try to cut on line boundary
+    if (STRESTokenizer.count(s) <= allowedTokens) return s;
     const lines = s.split('\n');
     let out = '';
+    let used = 0;
     for (const ln of lines) {
-      if ((out.length + ln.length + 1) > charCap) break;
+      const cost = STRESTokenizer.count(out ? `\n${ln}` : ln);
+      if (used + cost > allowedTokens) break;
       out += (out ? '\n' : '') + ln;
+      used += cost;
     }
-    if (!out) return s.slice(0, charCap);
+    if (!out) return STRESTokenizer.truncate(s, allowedTokens);
     return out;
   },
 };
@@ -933,6 +970,28 @@ const STRESRAG = {
         if (r.factors) parts.push(Object.entries(r.factors).map(([k,v])=>`${k}:${v}`).join(', '));
         docs.push({ text: parts.join(' • '), source: `region:${r.id||r.name||''}`, meta: { scope: 'public' } });
       }
+      // Azgaar lore layers: provinces, markers (ruins, dungeons, volcanoes...) and military units with their notes
+      const near = (n) => n?.name ? (n.distanceKm < 1 ? `At ${n.name}` : `${Math.round(n.distanceKm)} km ${n.direction} of ${n.name}`) : '';
+      for (const p of (Array.isArray(mf.provinces) ? mf.provinces : [])) {
+        const parts = [`Province ${p.name}${p.fullName && p.fullName !== p.name ? ` (${p.fullName})` : ''}`];
+        if (p.regionName) parts.push(p.regionName);
+        if (p.lore) parts.push(p.lore);
+        docs.push({ text: parts.join(' • '), source: `province:${p.id||p.name||''}`, meta: { scope: 'public' } });
+      }
+      for (const m of (Array.isArray(mf.markers) ? mf.markers : [])) {
+        const kind = String(m.type || '').replace(/-/g, ' ');
+        const parts = [`${m.name}${kind && kind !== String(m.name).toLowerCase() ? ` (${kind})` : ''}`];
+        if (near(m.nearest)) parts.push(near(m.nearest));
+        if (m.regionName) parts.push(m.regionName);
+        if (m.lore) parts.push(m.lore);
+        docs.push({ text: parts.join(' • '), source: `marker:${m.id||m.name||''}`, meta: { scope: 'public' } });
+      }
+      for (const u of (Array.isArray(mf.militaryUnits) ? mf.militaryUnits : [])) {
+        const parts = [`${u.name} (${u.type || 'Regiment'}${u.regionName ? ` of ${u.regionName}` : ''}${u.strength ? `, ${u.strength} strong` : ''})`];
+        if (near(u.nearest)) parts.push(near(u.nearest));
+        if (u.lore) parts.push(u.lore);
+        docs.push({ text: parts.join(' • '), source: `military:${u.id||u.name||''}`, meta: { scope: 'public' } });
+      }
       // Creatures
       const creatures = Array.isArray(mf.creatures) ? mf.creatures : [];
       for (const c of creatures) {
@@ -1064,7 +1123,7 @@ const STRESNPC = {
                          (a.dislikes?.length ? `Dislikes: ${a.dislikes.slice(0,3).join(', ')}`:'')
                         ].filter(Boolean).join(' • ');
         const name = n.name || n.id || 'NPC';
-        reg[n.id || name] = { id: n.id || name, name, label: n.label || name, role: n.role || a.label || a.id || 'NPC', persona, tags: a.tags || [] };
+        reg[n.id || name] = { id: n.id || name, name, label: n.label || name, role: n.role || a.label || a.id || 'NPC', persona, tags: a.tags || [], faction: n.faction || n.factionId || a.faction || null };
       }
     } catch {}
     this.registry = reg;
@@ -1121,6 +1180,14 @@ const STRESNPC = {
           arr.push({ t: Date.now(), text: text.slice(0, 240) });
         }
       }
+      // Wanted characters count as present when mentioned even if the registry doesn't know them
+      for (const bounty of STRESBounties.listActive()) {
+        const id = bounty.thiefId;
+        if (!id || reg[id] || !new RegExp(`\\b${this.escapeReg(id)}\\b`, 'i').test(text)) continue;
+        meta.stres.npc.presence[id] = meta.stres.npc.presence[id] || {};
+        meta.stres.npc.presence[id].lastMention = Date.now();
+        meta.stres.npc.presence[id].inScene = true;
+      }
       await (this.ctx?.saveMetadata?.());
     } catch {}
   },
@@ -1189,7 +1256,7 @@ const STRESNPC = {
           ctx.setExtensionPrompt(chunk.key, '', this.T.IN_CHAT, 1, false, this.R.SYSTEM);
           continue;
         }
-        const trimmed = STRESBudget.trimToTokens(chunk.text, allowed);
+        const trimmed = await this.fitChunk(chunk, allowed);
         const filter = () => {
           try {
             const meta = this.getMeta();
@@ -1208,19 +1275,35 @@ const STRESNPC = {
     } catch { return false; }
   },
 
+  // Drop the lowest-priority sections (latest first) until the chunk fits, then hard-trim what's left
+  async fitChunk(chunk, allowedTokens) {
+    const sections = (chunk.sections || [{ priority: 0, text: chunk.text }]).map((section, order) => ({ ...section, order }));
+    let kept = sections.slice();
+    let text = kept.map((section) => section.text).join('\n');
+    while (kept.length > 1 && await STRESWorld.tokenCount(text) > allowedTokens) {
+      const drop = kept.reduce((low, section) => (section.priority < low.priority || (section.priority === low.priority && section.order > low.order)) ? section : low);
+      kept = kept.filter((section) => section !== drop);
+      text = kept.map((section) => section.text).join('\n');
+    }
+    return STRESBudget.trimToTokens(text, allowedTokens);
+  },
+
   markEnter(idOrName) {
     const meta = this.getMeta();
     const id = idOrName; // naive mapping
     meta.stres.npc.presence[id] = meta.stres.npc.presence[id] || {};
     meta.stres.npc.presence[id].inScene = true;
     meta.stres.npc.presence[id].lastMention = Date.now();
+    STRESTiers.touch(id, 'character', this.registry?.[id]?.persona);
     this.syncPresence(id, true).catch(()=>{});
     (this.ctx?.saveMetadata?.());
   },
 
+  // Leaving is the last time the NPC was seen; their persona cools from here
   markLeave(idOrName) {
     const meta = this.getMeta();
     if (meta.stres.npc.presence[idOrName]) meta.stres.npc.presence[idOrName].inScene = false;
+    STRESTiers.touch(idOrName, 'character', this.registry?.[idOrName]?.persona);
     this.syncPresence(idOrName, false).catch(()=>{});
     (this.ctx?.saveMetadata?.());
   },
@@ -1258,22 +1341,34 @@ const STRESNPC = {
     const reg = await this.ensureRegistry();
     const meta = this.getMeta();
     const ids = this.listPresent();
+    const pres = meta.stres.npc.presence || {};
+    // NPCs in the scene are always served in full; the rest at their memory temperature
+    const tiers = await STRESTiers.tiers(ids.filter(id => !pres[id]?.inScene).map(id => ({ id, type: 'character' })));
     const chunks = [];
     for (const id of ids) {
       const npc = reg[id] || { id, name: id };
-      const summary = (meta.stres.npc.summaries[id] || []).slice(-1)[0]?.text || '';
-      const lastFacts = (meta.stres.npc.facts[id] || []).slice(-2).map((f) => `- ${f.text}`).join('\n');
-      const persona = npc.persona ? `Persona: ${npc.persona}` : '';
-      const base = [`NPC: ${npc.name}${npc.role ? ` — ${npc.role}` : ''}`, persona];
-      if (summary) base.push(`Last summary: ${summary}`);
-      if (lastFacts) base.push(`Recent:\n${lastFacts}`);
-      const text = base.filter(Boolean).join('\n');
+      const view = tiers.get(id);
+      const detail = STRESTiers.detail(view?.temperature);
+      const persona = STRESTiers.personaAt(view, npc.persona);
+      const seen = STRESTiers.seenLabel(view);
+      const summary = detail.summary ? (meta.stres.npc.summaries[id] || []).slice(-1)[0]?.text || '' : '';
+      const lastFacts = detail.facts ? (meta.stres.npc.facts[id] || []).slice(-2).map((f) => `- ${f.text}`).join('\n') : '';
+      // Priorities decide what survives when the NPC allowance is tight (higher stays longer)
+      const sections = [{ priority: 5, text: `NPC: ${npc.name}${npc.role ? ` — ${npc.role}` : ''}${seen ? ` (${seen})` : ''}` }];
+      if (persona) sections.push({ priority: 3, text: `Persona: ${persona}` });
+      sections.push(...STRESSocial.attitudeSections(npc));
+      const wanted = STRESBounties.formatNotice(STRESBounties.activeFor(id, npc.name));
+      if (wanted) sections.push({ priority: 3, text: wanted });
+      if (summary) sections.push({ priority: 1, text: `Last summary: ${summary}` });
+      if (lastFacts) sections.push({ priority: 0, text: `Recent:\n${lastFacts}` });
+      const text = sections.map((section) => section.text).filter(Boolean).join('\n');
       if (!text) continue;
       const safeId = this.sanitizeId(id);
       chunks.push({
         id,
         key: `STRES_NPC_${safeId.toUpperCase()}`,
         text,
+        sections,
         depth: this.buildFilterDepth(id),
       });
     }
@@ -1312,6 +1407,7 @@ const STRESNPC = {
         role: npc.role || null,
         persona,
         tags: Array.isArray(npc.tags) ? npc.tags : [],
+        faction: npc.faction || npc.factionId || null,
         campaignNpcId: npc.id,
         backend: npc
       };
@@ -1675,6 +1771,27 @@ const STRESHud = {
     }
   },
 
+  removeFields(keys = []) {
+    try {
+      const meta = this.getMeta();
+      if (!meta) return false;
+      const hud = meta.stres.hud;
+      const drop = new Set(keys.map((k) => String(k)));
+      const before = hud.fields.length;
+      hud.fields = hud.fields.filter((f) => !drop.has(f.key));
+      for (const k of drop) delete hud.byKey[k];
+      if (hud.fields.length === before) return false;
+      hud.lastUpdate = Date.now();
+      hud.hasUnbroadcastChanges = true;
+      (this.ctx?.saveMetadata?.());
+      this.renderPanel();
+      this.refreshHudInPrompt().catch(()=>{});
+      return true;
+    } catch {
+      return false;
+    }
+  },
+
   updateField(key, value, labelOrOptions, maybeOptions) {
     try {
       const options = (typeof labelOrOptions === 'object' && labelOrOptions !== null && !Array.isArray(labelOrOptions)) ? { ...labelOrOptions } : {};
@@ -2070,7 +2187,10 @@ const STRESCombat = {
         es.on(ET.MESSAGE_RECEIVED, refresh);
         es.on(ET.GENERATION_ENDED, refresh);
         es.on(ET.CHAT_CHANGED, refresh);
+        es.on(ET.CHAT_CHANGED, () => { try { STRESCombatTracker.publish(); } catch {} });
       }
+      // Local tracker mutations (turns, damage, roster changes) keep the combat header current
+      window.addEventListener('stres:combat:changed', () => this.refreshCombatHeaderInPrompt().catch(()=>{}));
     } catch {}
   },
   getSettings() {
@@ -2125,15 +2245,29 @@ const STRESCombat = {
       const mode = meta.stres.mode || 'story';
       if (mode !== 'combat') return '';
       const c = meta.stres.combat || {};
-      const round = Number(c.round || 1);
-      let order = Array.isArray(c.order) ? c.order : [];
-      const orderStr = order.join(', ');
+      const snap = STRESCombatTracker.snapshot();
+      const round = Number(snap.round || c.round || 1);
+      const roster = snap.combatants.filter(x => x.status !== 'defeated');
+      const orderStr = roster.length
+        ? roster.map(x => this.formatCombatant(x)).join(', ')
+        : (Array.isArray(c.order) ? c.order : []).join(', ');
       const tmpl = (s.header?.template) || defaultSettings.combat.header.template;
-      return (tmpl)
+      const conditions = STRESCombatTracker.formatConditions();
+      let text = (tmpl)
         .replace('{round}', String(round))
-        .replace('{order}', orderStr || '—');
+        .replace('{actor}', snap.actor || '—')
+        .replace('{order}', orderStr || '—')
+        .replace('{conditions}', conditions || 'none');
+      // Templates without the placeholder still get active conditions so the model can honour them
+      if (conditions && !tmpl.includes('{conditions}') && s.header?.conditions !== false) text += `\nConditions: ${conditions}`;
+      return text;
     } catch { return ''; }
   },
+  formatCombatant(x) {
+    const hp = x.hp != null ? ` ${x.hp}${x.maxHp != null ? `/${x.maxHp}` : ''}hp` : '';
+    const status = x.status === 'delayed' ? ' (delaying)' : x.status === 'ready' ? ' (readied)' : '';
+    return `${x.current ? '▶' : ''}${x.name}${hp}${status}`;
+  },
   async refreshCombatHeaderInPrompt() {
     try {
       const ctx = this.ctx || window.SillyTavern?.getContext?.();
@@ -2155,18 +2289,10 @@ const STRESCombat = {
       return true;
     } catch { return false; }
   },
-  // Simple dice roller: XdY+Z
-  rollDice(notation) {
-    try {
-      const m = String(notation||'').trim().match(/^(\d+)[dD](\d+)([+\-]\d+)?$/);
-      if (!m) return { ok:false, error:'Bad notation. Use XdY+Z' };
-      const x = Math.max(1, parseInt(m[1]));
-      const y = Math.max(2, parseInt(m[2]));
-      const z = m[3] ? parseInt(m[3]) : 0;
-      const rolls = Array.from({length:x}, ()=> (1 + Math.floor(Math.random()*y)) );
-      const sum = rolls.reduce((a,b)=>a+b,0) + z;
-      return { ok:true, total: sum, rolls, mod: z };
-    } catch (e) { return { ok:false, error: String(e?.message||e) }; }
+  // Dice roller (see modules/dice.js for the grammar): keep/drop, explode, reroll, adv/dis, success pools, arithmetic.
+  // Returns { ok, total, rolls, mod, seed, breakdown, text }; pass opts.seed to replay a roll exactly.
+  rollDice(notation, opts = {}) {
+    return STRESDice.roll(notation, opts);
   },
   // NPC quick reply via cheaper model
   async npcReply(npcId, cue) {
@@ -2714,6 +2840,7 @@ const STRESSummary = {
       const cap = Math.max(1, Number(summaryCfg.maxItems || 10));
       meta.stres.summaries = arr.slice(-cap);
       await ctx.saveMetadata?.();
+      try { STRESMemory.rememberSummary(text, chat.slice(-lastK)); } catch {}
       return true;
     } catch { return false; }
   },
@@ -2761,6 +2888,7 @@ const STRESPrompts = {
       await STRESHud.refreshHudInPrompt?.();
       await STRESNPC.injectInPrompt?.();
       await this.injectRAGInPrompt();
+      await this.injectMemoryInPrompt();
     })().catch(()=>{});
     // Wire events if available
     try {
@@ -2773,6 +2901,7 @@ const STRESPrompts = {
             await STRESHud.refreshHudInPrompt?.();
             await STRESNPC.injectInPrompt?.();
             await this.injectRAGInPrompt();
+            await this.injectMemoryInPrompt();
           })().catch(()=>{});
         };
         es.on(ET.MESSAGE_SENT, refresh);
@@ -2788,6 +2917,7 @@ const STRESPrompts = {
             await STRESHud.refreshHudInPrompt?.();
             await STRESNPC.injectInPrompt?.();
             await this.injectRAGInPrompt();
+            await this.injectMemoryInPrompt();
           })().catch(()=>{});
         }, 6000);
       }
@@ -2849,6 +2979,7 @@ const STRESPrompts = {
       }
         if (activation.campaign?.id) {
           settings.campaignId = activation.campaign.id;
+          STRESPersistence.syncNamespace();
         }
         try { (ctx?.saveSettingsDebounced || window.saveSettingsDebounced)?.(); } catch {}
       }
@@ -2932,7 +3063,8 @@ const STRESPrompts = {
       const s = window.extension_settings?.[extensionName] || {};
       if (!(s.world?.header?.enabled ?? true)) return false;
       await STRESWorld.getStateFresh();
-      const header = STRESWorld.formatHeader();
+      const place = await STRESTiers.buildLocationLine();
+      const header = [STRESWorld.formatHeader(), place].filter(Boolean).join('\n');
       // Keep header within budget
       const pred = await STRESBudget.predictTokens();
       pred.header = await STRESWorld.tokenCount(header);
@@ -2995,6 +3127,34 @@ const STRESPrompts = {
     } catch { return false; }
   }
   ,
+  async injectMemoryInPrompt() {
+    try {
+      const ctx = this.ctx || window.SillyTavern?.getContext?.();
+      if (!ctx?.setExtensionPrompt) return false;
+      const cfg = STRESMemory.getSettings();
+      const clear = () => { ctx.setExtensionPrompt('STRES_MEMORY', '', this.T.IN_PROMPT, 0, false, this.R.SYSTEM); return false; };
+      if (!cfg.enabled) return clear();
+      let text = await STRESMemory.buildForTurn();
+      if (!text) return clear();
+      const pred = await STRESBudget.predictTokens();
+      pred.memory = await STRESWorld.tokenCount(text);
+      const decision = STRESBudget.decideAllowance(pred);
+      const allowed = decision.allowance?.memory || 0;
+      if (allowed <= 0) return clear();
+      text = STRESBudget.trimToTokens(text, allowed);
+      const filter = () => {
+        try {
+          const meta = ctx?.chatMetadata || {};
+          const mode = meta?.stres?.mode || 'story';
+          return mode !== 'ooc';
+        } catch { return true; }
+      };
+      ctx.setExtensionPrompt('STRES_MEMORY', text, this.T.IN_PROMPT, 0, false, this.R.SYSTEM, filter);
+      try { await STRESTelemetry.recordComponent('Memory', text, { key:'STRES_MEMORY', pos:'IN_PROMPT' }); } catch {}
+      return true;
+    } catch { return false; }
+  },
+
   async injectRAGInPrompt() {
     try {
       const ctx = this.ctx || window.SillyTavern?.getContext?.();
@@ -3604,6 +3764,22 @@ const STRESChat = {
       case 'use':
         this.useItem(parts.slice(2).join(' '));
         return '';
+      case 'money':
+      case 'currency':
+        this.adjustMoney(parts.slice(2).join(' '));
+        return '';
+      case 'sync':
+        this.syncInventory();
+        return '';
+      case 'equip':
+        this.equipItem(parts.slice(2).join(' '));
+        return '';
+      case 'unequip':
+        this.unequipItem(parts.slice(2).join(' '));
+        return '';
+      case 'gear':
+        this.showGear();
+        return '';
       default:
         this.showHelp();
         return '';
@@ -3958,15 +4134,27 @@ const STRESChat = {
           return '';
         }
         case 'dice': {
-          const notation = (parts[2]||'').trim();
-          if (!notation) { this.sendToChat('Usage: /stres dice <XdY+Z>'); return '';
+          const rest = parts.slice(2).join(' ').trim();
+          if (!rest) { this.sendToChat('Usage: /stres dice <notation> [seed=<seed>] | /stres dice replay | /stres dice history'); return '';
+          }
+          const sub = (parts[2]||'').toLowerCase();
+          if (sub === 'history') {
+            const hist = STRESDice.history.slice(-10).reverse();
+            if (!hist.length) { this.sendToChat('No dice rolled yet.'); return ''; }
+            this.sendToChat(`**Recent Rolls**\n${hist.map(h => `• ${h.notation} = ${h.total} (seed ${h.seed})`).join('\n')}`);
+            return '';
+          }
+          let r;
+          if (sub === 'replay') {
+            r = STRESDice.replay();
+          } else {
+            const seedMatch = rest.match(/\s+seed[=:](\S+)$/i);
+            const notation = seedMatch ? rest.slice(0, seedMatch.index) : rest;
+            r = STRESCombat.rollDice(notation, { seed: seedMatch?.[1], source: 'command' });
           }
-          const r = STRESCombat.rollDice(notation);
           if (!r.ok) { this.sendToChat('❌ ' + r.error); return '';
           }
-          const rolls = r.rolls.join(', ');
-          const mod = r.mod ? (r.mod>0?`+${r.mod}`:`${r.mod}`) : '';
-          this.sendToChat(`🎲 ${notation} → [${rolls}] ${mod} = ${r.total}`);
+          this.sendToChat(`🎲 ${r.notation} → ${r.text}\n*seed ${r.seed}*`);
           return '';
         }
         case 'probe': {
@@ -4103,6 +4291,121 @@ const STRESChat = {
           this.sendToChat('Usage: /stres npc [say|reply] <npcId> <text>');
           return '';
         }
+        case 'xp': {
+          const sub = (parts[2] || 'status').toLowerCase();
+          const settingsRoot = window.extension_settings || (window.SillyTavern?.getContext?.().extensionSettings);
+          if (sub === 'on' || sub === 'off') {
+            if (!settingsRoot) { this.sendToChat('❌ Extension settings unavailable'); return ''; }
+            settingsRoot[extensionName] = settingsRoot[extensionName] || structuredClone(defaultSettings);
+            const cfg = settingsRoot[extensionName];
+            cfg.xp = Object.assign({}, defaultSettings.xp, cfg.xp || {}, { autoDetect: sub === 'on' });
+            try { const ctx = window.SillyTavern?.getContext?.(); (ctx?.saveSettingsDebounced || window.saveSettingsDebounced)?.(); } catch {}
+            this.sendToChat(`✅ XP auto-detection ${sub === 'on' ? 'enabled — narrated turns will propose awards' : 'disabled'}`);
+            return '';
+          }
+          if (sub === 'accept' || sub === 'reject') {
+            const target = (parts[3] || '').trim();
+            const ids = target.toLowerCase() === 'all' ? STRESXP.listPending().map((award) => award.id) : [target].filter(Boolean);
+            if (!ids.length) { this.sendToChat(`Usage: /stres xp ${sub} <awardId|all>`); return ''; }
+            const sent = ids.filter((id) => STRESXP.decide(id, sub === 'accept'));
+            if (!sent.length) this.sendToChat('❌ No pending XP award matches');
+            return '';
+          }
+          this.sendToChat(STRESXP.formatStatus());
+          return '';
+        }
+        case 'tasks': {
+          const sub = (parts[2] || 'rules').toLowerCase();
+          if (sub === 'test') {
+            const text = parts.slice(3).join(' ').trim();
+            if (!text) { this.sendToChat('Usage: /stres tasks test <text>'); return ''; }
+            (async () => { this.sendToChat(await STRESTasks.test(text)); })();
+            return '';
+          }
+          if (sub === 'reload') {
+            (async () => {
+              await STRESTasks.loadRules();
+              this.sendToChat(await STRESTasks.rules());
+            })();
+            return '';
+          }
+          (async () => { this.sendToChat(await STRESTasks.rules()); })();
+          return '';
+        }
+        case 'memory': {
+          const sub = (parts[2] || 'status').toLowerCase();
+          const arg = parts.slice(3).join(' ').trim();
+          if (sub === 'on' || sub === 'off') {
+            const s = window.extension_settings?.[extensionName];
+            if (!s) { this.sendToChat('❌ Extension settings unavailable'); return ''; }
+            s.budget = s.budget || structuredClone(defaultSettings.budget);
+            s.budget.components = s.budget.components || {};
+            s.budget.components.memory = Object.assign({}, defaultSettings.budget.components.memory, s.budget.components.memory || {}, { enabled: sub === 'on' });
+            try { const ctx = window.SillyTavern?.getContext?.(); (ctx?.saveSettingsDebounced || window.saveSettingsDebounced)?.(); } catch {}
+            this.sendToChat(`✅ Memory injection ${sub === 'on' ? 'enabled' : 'disabled'}`);
+            (async () => { try { await STRESPrompts.injectMemoryInPrompt(); } catch {} })();
+            return '';
+          }
+          if (['search', 'pin', 'unpin', 'forget'].includes(sub) && !arg) {
+            this.sendToChat(`Usage: /stres memory ${sub} ${sub === 'search' ? '<text>' : '<#|id>'}`);
+            return '';
+          }
+          (async () => {
+            let reply;
+            if (sub === 'search') reply = await STRESMemory.search(arg);
+            else if (sub === 'pin' || sub === 'unpin') reply = await STRESMemory.pin(arg, sub === 'pin');
+            else if (sub === 'forget') reply = await STRESMemory.forget(arg);
+            else reply = await STRESMemory.status();
+            this.sendToChat(reply);
+            if (sub !== 'search' && sub !== 'status') { try { await STRESPrompts.injectMemoryInPrompt(); } catch {} }
+          })();
+          return '';
+        }
+        case 'data': {
+          const sub = (parts[2] || 'status').toLowerCase();
+          if (sub === 'export') {
+            (async () => { this.sendToChat(await STRESPersistence.exportFile()); })();
+            return '';
+          }
+          if (sub === 'import') {
+            STRESPersistence.importFile((message) => this.sendToChat(message));
+            return '';
+          }
+          (async () => { this.sendToChat(await STRESPersistence.status()); })();
+          return '';
+        }
+        case 'skills': {
+          const sub = (parts[2] || '').toLowerCase();
+          if (sub === 'spend' || sub === 'learn') {
+            const skill = parts.slice(3).join(' ').trim();
+            if (!skill) { this.sendToChat('Usage: /stres skills spend <skill>'); return ''; }
+            STRESSkills.spend(skill);
+            return '';
+          }
+          if (sub === 'reload') {
+            STRESSkills.refresh();
+            this.sendToChat('🔄 Reloading skill trees from the worldpack');
+            return '';
+          }
+          STRESSkills.show(parts.slice(2).join(' ').trim());
+          return '';
+        }
+        case 'social': {
+          const rest = parts.slice(2).join(' ').trim();
+          const panel = window.STRES?.socialPanel;
+          if (rest.toLowerCase() === 'panel') {
+            if (!panel) { this.sendToChat('❌ Social panel is disabled (social.showPanel)'); return ''; }
+            panel.toggle();
+            return '';
+          }
+          if (rest) {
+            this.sendToChat(STRESSocial.formatDetail(rest));
+            return '';
+          }
+          this.sendToChat(STRESSocial.formatOverview());
+          panel?.show();
+          return '';
+        }
         case 'budget': {
           const sub = (parts[2]||'').toLowerCase();
           if (!sub) {
@@ -4122,19 +4425,32 @@ const STRESChat = {
             const val = Number(parts[4]||'');
             const s = window.extension_settings?.[extensionName];
             if (!s || !s.budget) { this.sendToChat('❌ Budget settings not available'); return ''; }
-            if (!Number.isFinite(val)) { this.sendToChat('Usage: /stres budget set <context|cushion|reserve|header|primer> <number>'); return ''; }
+            if (!Number.isFinite(val)) { this.sendToChat('Usage: /stres budget set <context|cushion|reserve|header|primer|memory> <number>'); return ''; }
             if (key === 'context') s.budget.contextTarget = val;
             else if (key === 'cushion') s.budget.cushion = val;
             else if (key === 'reserve') s.budget.reserve = val;
             else if (key === 'header') { s.budget.components = s.budget.components||{}; s.budget.components.header = s.budget.components.header||{}; s.budget.components.header.maxTokens = val; }
             else if (key === 'primer') { s.budget.components = s.budget.components||{}; s.budget.components.primer = s.budget.components.primer||{}; s.budget.components.primer.maxTokens = val; }
-            else { this.sendToChat('Usage: /stres budget set <context|cushion|reserve|header|primer> <number>'); return ''; }
+            else if (key === 'memory') { s.budget.components = s.budget.components||{}; s.budget.components.memory = s.budget.components.memory||structuredClone(defaultSettings.budget.components.memory); s.budget.components.memory.maxTokens = val; }
+            else { this.sendToChat('Usage: /stres budget set <context|cushion|reserve|header|primer|memory> <number>'); return ''; }
             try { const ctx = window.SillyTavern?.getContext?.(); (ctx?.saveSettingsDebounced || window.saveSettingsDebounced)?.(); } catch {}
             this.sendToChat(`✅ Updated ${key} to ${val}`);
             (async()=>{ try { await STRESPrompts.refreshSceneHeaderInPrompt(); } catch {} })();
             return '';
           }
-          this.sendToChat('Usage: /stres budget | /stres budget profile <Lean|Balanced|Rich> | /stres budget set <context|cushion|reserve|header|primer> <number>');
+          if (sub === 'tokenizer') {
+            const family = (parts[3]||'').toLowerCase();
+            const s = window.extension_settings?.[extensionName];
+            if (family && s) {
+              s.tokenizer = Object.assign(structuredClone(defaultSettings.tokenizer), s.tokenizer || {}, { family });
+              try { const ctx = window.SillyTavern?.getContext?.(); (ctx?.saveSettingsDebounced || window.saveSettingsDebounced)?.(); } catch {}
+            }
+            const t = STRESTokenizer.describe();
+            if (family && family !== 'auto' && t.family !== family) { this.sendToChat(`❌ Unknown tokenizer family "${family}"`); return ''; }
+            this.sendToChat(`🔤 Tokenizer ${STRESTokenizer.summary()} • for ${t.source || 'unknown source'}${t.model ? ` / ${t.model}` : ''}`);
+            return '';
+          }
+          this.sendToChat('Usage: /stres budget | /stres budget profile <Lean|Balanced|Rich> | /stres budget set <context|cushion|reserve|header|primer|memory> <number> | /stres budget tokenizer [auto|family]');
           return '';
         }
         case 'prompt': {
@@ -4315,7 +4631,9 @@ const STRESChat = {
           return '';
         }
         case 'tick': {
-          const adv = (parts[2]||'').trim() || '2h';
+          // On a journey a bare tick runs to the next stop
+          const adv = (parts[2]||'').trim() || STRESTravel.nextTickAdvance() || '2h';
+          const reportTravel = () => { const note = STRESTravel.takeReport(); if (note) this.sendToChat(note); };
           (async()=>{
             try {
               const s = window.extension_settings?.[extensionName] || {};
@@ -4325,11 +4643,40 @@ const STRESChat = {
               if (j?.success) {
                 STRESWorld.lastState = j.state; STRESWorld.lastFetch = Date.now();
                 this.sendToChat(`⏱️ Advanced time by ${adv}.`);
+                this.advanceLocalTime(adv);
+                reportTravel();
                 try { await STRESPrompts.refreshSceneHeaderInPrompt(); } catch {}
               } else {
                 this.sendToChat('❌ Failed to advance time');
               }
-            } catch(e){ this.sendToChat('❌ Error: ' + (e?.message||e)); }
+            } catch(e){
+              // Backend unreachable: local timers (repairs, travel) still advance
+              if (this.advanceLocalTime(adv)) {
+                this.sendToChat(`⏱️ Advanced local time by ${adv} (server unreachable: ${e?.message||e}).`);
+                reportTravel();
+                try { await STRESPrompts.refreshSceneHeaderInPrompt(); } catch {}
+              }
+              else this.sendToChat('❌ Error: ' + (e?.message||e));
+            }
+          })();
+          return '';
+        }
+        case 'travel': {
+          const sub = (parts[2] || 'status').toLowerCase();
+          const rest = parts.slice(sub === 'plan' ? 3 : 2).join(' ').trim();
+          const [destination, origin] = rest.split(/\s+from\s+/i).map(x => (x || '').trim());
+          if (sub === 'plan' && !destination) {
+            this.sendToChat('Usage: /stres travel plan <destination> [from <origin>]');
+            return '';
+          }
+          (async () => {
+            let reply;
+            if (sub === 'status') reply = STRESTravel.status();
+            else if (sub === 'cancel' || sub === 'stop') reply = await STRESTravel.cancel();
+            else if (sub === 'plan') reply = await STRESTravel.preview(destination, origin);
+            else reply = await STRESTravel.start(destination, origin);
+            this.sendToChat(reply);
+            if (sub !== 'status' && sub !== 'plan') { try { await STRESPrompts.refreshSceneHeaderInPrompt(); } catch {} }
           })();
           return '';
         }
@@ -4515,7 +4862,18 @@ const STRESChat = {
           }
           if (sub === 'enter') { const id = parts.slice(3).join(' ').trim(); if (!id) { this.sendToChat('Usage: /stres npc enter <name|id>'); return ''; } STRESNPC.markEnter(id); this.sendToChat(`🚪 ${id} entered scene.`); return ''; }
           if (sub === 'leave') { const id = parts.slice(3).join(' ').trim(); if (!id) { this.sendToChat('Usage: /stres npc leave <name|id>'); return ''; } STRESNPC.markLeave(id); this.sendToChat(`🚪 ${id} left scene.`); return ''; }
-          this.sendToChat('Usage: /stres npc [status|list|on|off|inject on|off|topk N|max N|maxnpcs N|enter ID|leave ID]');
+          if (sub === 'tiers') {
+            (async () => {
+              const reg = await STRESNPC.ensureRegistry();
+              const pres = STRESNPC.getMeta().stres.npc.presence || {};
+              const entities = Object.keys(pres).map(id => ({ id, type: 'character', label: reg[id]?.name || id }));
+              const location = await STRESTiers.currentLocation();
+              if (location) entities.push({ id: location.id, type: 'location', label: `📍 ${location.name}` });
+              this.sendToChat(await STRESTiers.report(entities));
+            })();
+            return '';
+          }
+          this.sendToChat('Usage: /stres npc [status|list|on|off|inject on|off|topk N|max N|maxnpcs N|enter ID|leave ID|tiers]');
           return '';
         }
         case 'setapi': {
@@ -4540,6 +4898,7 @@ const STRESChat = {
           s[extensionName] = s[extensionName] || {};
           if (key === 'campaign') {
             s[extensionName].campaignId = value || null;
+            STRESPersistence.syncNamespace();
             this.sendToChat(`✅ Campaign ID set to ${s[extensionName].campaignId || 'None'}`);
           } else if (key === 'worldpack') {
             s[extensionName].worldpackId = value || null;
@@ -4776,8 +5135,9 @@ const STRESChat = {
     const lines = [];
     lines.push(`Profile: ${b.profile || 'Custom'}`);
     lines.push(`Context target: ${b.contextTarget}, cushion: ${b.cushion}, reserve: ${b.reserve}`);
-    lines.push(`Predicted tokens — guard:${pred.guard||0}, header:${pred.header||0}, hud:${pred.hud||0}, primer:${pred.primer||0}, summaries:${pred.summaries||0}, rag:${pred.rag||0}, npc:${pred.npc||0}, combat:${pred.combat||0}`);
-    lines.push(`Allowance — guard:${decision.allowance.guard||0}, header:${decision.allowance.header||0}, hud:${decision.allowance.hud||0}, primer:${decision.allowance.primer||0}, summaries:${decision.allowance.summaries||0}, rag:${decision.allowance.rag||0}, npc:${decision.allowance.npc||0}, combat:${decision.allowance.combat||0} (limit ${decision.limit}, remaining ${decision.remaining})`);
+    lines.push(`Tokenizer: ${STRESTokenizer.summary()}`);
+    lines.push(`Predicted tokens — guard:${pred.guard||0}, header:${pred.header||0}, hud:${pred.hud||0}, primer:${pred.primer||0}, summaries:${pred.summaries||0}, rag:${pred.rag||0}, npc:${pred.npc||0}, memory:${pred.memory||0}, combat:${pred.combat||0}`);
+    lines.push(`Allowance — guard:${decision.allowance.guard||0}, header:${decision.allowance.header||0}, hud:${decision.allowance.hud||0}, primer:${decision.allowance.primer||0}, summaries:${decision.allowance.summaries||0}, rag:${decision.allowance.rag||0}, npc:${decision.allowance.npc||0}, memory:${decision.allowance.memory||0}, combat:${decision.allowance.combat||0} (limit ${decision.limit}, remaining ${decision.remaining})`);
     this.sendToChat('**Token Budget**\n' + lines.join('\n'));
     return '';
   },
@@ -4812,6 +5172,11 @@ const STRESChat = {
 • /inventory add [item] - Add item
 • /inventory remove [item] - Remove item
 • /inventory use [item] - Use item
+• /inventory money [+N gold ...] - Show or adjust purse
+• /inventory sync - Push offline changes to the server
+• /inventory equip [item] [@slot] - Equip into a slot, swapping out its occupant
+• /inventory unequip [item|slot] - Unequip an item or empty a slot
+• /inventory gear - Show equipment slots and gear stats
 • /stres status - Show STRES status
 • /stres begin [status|refresh|wizard|script] - Detect card metadata and prep campaign setup
 • /stres worldpack - Show active worldpack
@@ -4820,7 +5185,9 @@ const STRESChat = {
 • /stres start <id|index> - Set scenario and region
 • /stres narrate <prompt> - Generate a narrator response via STRES routing
 • /stres where - Show current location/time/weather
-• /stres tick <duration> - Advance sim time (e.g., 2h, 30m)
+• /stres tick <duration> - Advance sim time (e.g., 2h, 30m); while travelling, a bare tick runs to the next stop
+• /stres travel <destination> [from <origin>] - Plan a route over roads, sea routes and rivers and set out
+• /stres travel [status|plan <destination>|cancel] - Show journey progress, preview a route, or turn back
 • /stres onboard - Post quick onboarding steps
 • /stres narrator [status|bind|apply|depth <text>] - Apply/bind portable config; set depth prompt
 • /stres probe - Probe API endpoints (health, worldpack, sim)
@@ -4838,14 +5205,24 @@ const STRESChat = {
 • /stres hud [status|panel|prompt|text|alerts] - Configure HUD panel, prompt injection, text mode, and alerts
 • /stres budget - Show token budgets and predicted use
 • /stres budget profile <Lean|Balanced|Rich> - Apply budget profile
-• /stres budget set <context|cushion|reserve|header|primer> <number> - Adjust limits
+• /stres budget set <context|cushion|reserve|header|primer|memory> <number> - Adjust limits
+• /stres budget tokenizer [auto|o200k|cl100k|llama3|qwen|deepseek|claude|mistral|gemini] - Show or pick the token counter
 • /stres summary [show|now|inject on|off] - Rolling summary controls
 • /stres state [show|now] - Show or refresh structured state
 • /stres rag [status|on|off|topk N|max N|position in_prompt|in_chat|depth N] - RAG controls
-• /stres npc [status|on|off|inject on|off|topk N|max N|maxnpcs N|enter ID|leave ID] - NPC memory controls
+• /stres npc [status|on|off|inject on|off|topk N|max N|maxnpcs N|enter ID|leave ID|tiers] - NPC memory controls (tiers shows memory temperatures)
 • /stres mode <story|explore|combat> - Switch interaction mode
-• /stres dice <XdY+Z> - Roll dice
+• /combat [add|initiative|start|next|delay|ready|act|damage|heal|remove|status|end] - Local turn-based combat tracker
+• /combat condition add|remove|list - Track conditions with round durations
+• /stres dice <notation> [seed=<seed>] - Roll dice (4d6kh3, 1d20+5 adv, 8d10>=7, 3d6!, (2d6+3)*2)
+• /stres dice replay|history - Re-roll the last roll with its seed / list recent rolls
 • /stres npc say <npcId> <text> - NPC quick reply (cheap model)
+• /stres social [name|panel] - Relationships, romance, faction standings and recent changes
+• /stres xp [status|on|off|accept <id|all>|reject <id|all>] - Auto-detected XP awards from narrated turns
+• /stres skills [tree|spend <skill>|reload] - Skill trees and points earned from level-ups
+• /stres memory [on|off|search <text>|pin <#|id>|unpin <#|id>|forget <#|id>] - Long-term memories recalled into prompts
+• /stres data [status|export|import] - Saved memories, XP and social data for this campaign as a JSON file
+• /stres tasks [rules|reload|test <text>] - Task detection rules and a dry run showing which fired and why
 • /stres guard [status|on|off|template <text>] - Crosstalk guardrail controls
 • /stres wi [status|harden] - Optional WI hardening
 • /stres tools - Show function tool status and list
@@ -4860,6 +5237,24 @@ const STRESChat = {
     return '';
   },
 
+  // "2h", "30m", "1d6h" or bare minutes -> minutes
+  parseGameDuration(text) {
+    const str = String(text || '').trim().toLowerCase();
+    if (/^\d+$/.test(str)) return parseInt(str, 10);
+    const units = { d: 1440, h: 60, m: 1 };
+    let total = 0;
+    let matched = false;
+    str.replace(/(\d+(?:\.\d+)?)\s*([dhm])/g, (_, n, u) => { matched = true; total += parseFloat(n) * units[u]; return ''; });
+    return matched ? Math.round(total) : 0;
+  },
+
+  advanceLocalTime(adv) {
+    const minutes = this.parseGameDuration(adv);
+    if (!minutes) return false;
+    try { window.dispatchEvent(new CustomEvent('stres:time:advanced', { detail: { minutes, label: String(adv) } })); } catch {}
+    return true;
+  },
+
   rejoinWebSocket() {
     this.sendToChat('🔄 WebSocket reconnection requested');
     return '';
@@ -4877,50 +5272,135 @@ const STRESChat = {
     return '';
   },
 
+  parseItemArgs(argStr) {
+    const opts = {};
+    const words = [];
+    for (const token of String(argStr || '').trim().split(/\s+/).filter(Boolean)) {
+      const kv = token.match(/^(type|weight|stack|maxStack)=(.+)$/i);
+      if (kv) opts[kv[1].toLowerCase() === 'stack' ? 'maxStack' : kv[1]] = kv[2];
+      else words.push(token);
+    }
+    let quantity = 1;
+    if (words.length > 1 && /^\d+$/.test(words[words.length - 1])) quantity = parseInt(words.pop(), 10);
+    return { name: words.join(' '), quantity, opts };
+  },
+
   async addItem(argStr) {
-    const parts = argStr.trim().split(/\s+/);
-    const itemId = parts[0];
-    const quantity = parts[1] ? parseInt(parts[1], 10) : 1;
-    if (!itemId) {
-      this.sendToChat('Usage: /inventory add <itemId> <quantity?>');
+    const { name, quantity, opts } = this.parseItemArgs(argStr);
+    if (!name) {
+      this.sendToChat('Usage: /inventory add <item> [quantity] [type=weapon|armor|consumable|tool|misc] [weight=N]');
       return;
     }
-    this.sendToChat(`✅ Added ${quantity} ${itemId} (simulated)`);
+    const res = STRESInventory.addItem(null, Object.assign({ name }, opts), quantity);
+    if (!res.success) { this.sendToChat(`❌ ${res.message}`); return ''; }
+    const inv = res.updatedInventory;
+    this.sendToChat(`✅ ${res.message} • Weight ${inv.carryWeight}/${inv.maxWeight}${res.overweight ? ' ⚠️ overweight' : ''}`);
     return '';
   },
 
   async removeItem(argStr) {
-    const parts = argStr.trim().split(/\s+/);
-    const itemId = parts[0];
-    const quantity = parts[1] ? parseInt(parts[1], 10) : 1;
-    if (!itemId) {
-      this.sendToChat('Usage: /inventory remove <itemId> <quantity?>');
+    const { name, quantity } = this.parseItemArgs(argStr);
+    if (!name) {
+      this.sendToChat('Usage: /inventory remove <item> [quantity]');
       return;
     }
-    this.sendToChat(`✅ Removed ${quantity} ${itemId} (simulated)`);
+    const res = STRESInventory.removeItem(null, name, quantity);
+    this.sendToChat(res.success ? `✅ ${res.message}` : `❌ ${res.message}`);
     return '';
   },
 
   async useItem(argStr) {
-    const itemId = argStr.trim();
-    if (!itemId) {
-      this.sendToChat('Usage: /inventory use <itemId>');
+    const name = argStr.trim();
+    if (!name) {
+      this.sendToChat('Usage: /inventory use <item>');
       return;
     }
-    this.sendToChat(`⚔️ Used ${itemId} (simulated)`);
+    const res = STRESInventory.useItem(null, name);
+    if (!res.success) { this.sendToChat(`❌ ${res.message}`); return ''; }
+    const effects = (res.effects || []).map(e => e.description || e.type).filter(Boolean);
+    this.sendToChat(`⚔️ ${res.message}${effects.length ? ` • ${effects.join(', ')}` : ''}`);
     return '';
   },
 
-  showInventory() {
-    const message = `
-**Inventory**
-• Sample Item 1 (5)
-• Sample Item 2 (2)
-• Sample Item 3 (1)
-*Note: Connect to STRES backend for real inventory*
-    `.trim();
+  async equipItem(argStr) {
+    const tokens = argStr.trim().split(/\s+/).filter(Boolean);
+    const slotArg = tokens.find(t => t.startsWith('@'));
+    const name = tokens.filter(t => t !== slotArg).join(' ');
+    if (!name) {
+      this.sendToChat('Usage: /inventory equip <item> [@slot]');
+      return '';
+    }
+    const res = STRESInventory.equip(null, name, slotArg ? slotArg.slice(1) : undefined);
+    this.sendToChat(res.success ? `✅ ${res.message}` : `❌ ${res.message}`);
+    return '';
+  },
 
-    this.sendToChat(message);
+  async unequipItem(argStr) {
+    const query = argStr.trim();
+    if (!query) {
+      this.sendToChat('Usage: /inventory unequip <item or slot>');
+      return '';
+    }
+    const res = STRESInventory.unequip(null, query);
+    this.sendToChat(res.success ? `✅ ${res.message}` : `❌ ${res.message}`);
+    return '';
+  },
+
+  showGear() {
+    const inv = STRESInventory.view();
+    const lines = ['**Equipment**'];
+    for (const [slot, def] of Object.entries(STRESEquipment.SLOTS)) {
+      lines.push(`• ${def.icon} ${def.label}: ${inv.equipment[slot]?.name || '—'}`);
+    }
+    const stats = Object.entries(inv.equippedStats || {}).map(([k, v]) => `${k} ${v > 0 ? '+' : ''}${v}`);
+    if (stats.length) lines.push(`Stats: ${stats.join(', ')}`);
+    this.sendToChat(lines.join('\n'));
+    return '';
+  },
+
+  async adjustMoney(argStr) {
+    const text = argStr.trim();
+    if (text) {
+      const delta = STRESInventory.parseCurrency(text);
+      if (!Object.keys(delta).length) {
+        this.sendToChat('Usage: /inventory money [+/-N gold|silver|copper ...]');
+        return '';
+      }
+      const res = STRESInventory.adjustCurrency(null, delta);
+      if (!res.success) { this.sendToChat(`❌ ${res.message}`); return ''; }
+    }
+    const inv = STRESInventory.view();
+    this.sendToChat(`💰 Purse: ${STRESInventory.formatCurrency(inv.currency)}`);
+    return '';
+  },
+
+  async syncInventory() {
+    const res = await STRESInventory.reconcile();
+    if (!res.ok) {
+      this.sendToChat(`⚠️ Inventory server unreachable • ${res.pending || 0} change(s) kept locally`);
+      return '';
+    }
+    const lines = [`✅ Inventory synced • ${res.pushed.length} change(s) pushed`];
+    for (const op of res.rejected) lines.push(`• Rejected ${op.op} ${op.itemId || ''}: ${op.reason}`);
+    this.sendToChat(lines.join('\n'));
+    return '';
+  },
+
+  async showInventory() {
+    // Pull the server copy when reachable; otherwise the local store is authoritative
+    try { await STRESInventory.reconcile(); } catch {}
+    const inv = STRESInventory.view();
+    const lines = [`**Inventory** (${STRESInventory.characterKey()})`];
+    if (!inv.items.length) lines.push('• (empty)');
+    for (const item of inv.items) {
+      const weight = (Number(item.weight) || 0) * item.quantity;
+      lines.push(`• ${item.name}${item.quantity > 1 ? ` ×${item.quantity}` : ''} [${item.type}] ${weight ? `${Math.round(weight * 100) / 100}wt` : ''}${item.equipped ? ' (equipped)' : ''}`.trimEnd());
+    }
+    lines.push(`Weight: ${inv.carryWeight}/${inv.maxWeight}${inv.overweight ? ' ⚠️ overweight' : ''} • Purse: ${STRESInventory.formatCurrency(inv.currency)}`);
+    if (inv.source !== 'server' || inv.pending) {
+      lines.push(`*Offline copy${inv.pending ? ` • ${inv.pending} change(s) waiting to sync` : ''}*`);
+    }
+    this.sendToChat(lines.join('\n'));
     return '';
   },
 
@@ -4928,6 +5408,17 @@ const STRESChat = {
     const normalized = typeof command === 'string' ? command.trim() : '';
     const parts = normalized ? normalized.split(/\s+/) : [];
     const subcommand = parts.length > 1 ? parts[1].toLowerCase() : '';
+    const rest = parts.slice(2).join(' ').trim();
+    const tracker = STRESCombatTracker;
+    if (!tracker.hasChat()) { this.sendToChat('❌ No active chat: open a chat to track combat'); return ''; }
+    const announceTurn = (res) => {
+      if (!res?.ok) { this.sendToChat('❌ ' + (res?.error || 'Combat error')); return; }
+      const lines = [];
+      if (res.newRound) lines.push(`🔔 **Round ${res.round}**`);
+      for (const n of res.notices || []) lines.push(`• ${n}`);
+      if (res.actor) lines.push(`▶ ${res.actor.name}'s turn (Round ${res.round})`);
+      this.sendToChat(lines.join('\n'));
+    };
 
     switch(subcommand) {
       case 'act':
@@ -4935,7 +5426,7 @@ const STRESChat = {
         return '';
       case 'init':
       case 'initiative': {
-        const args = parts.slice(2).join(' ').trim();
+        const args = rest;
         if (!args) { this.sendToChat('Usage: /combat initiative <Name:+2, Goblin:+1, Wolf:0>'); return '';
         }
         try {
@@ -4946,47 +5437,276 @@ const STRESChat = {
             const m = tok.match(/^(.*?)(?::|\+)?([+\-]?\d+)?$/);
             const name = (m?.[1]||'').replace(/[+\-]\d+$/,'').trim() || tok;
             const mod = Number(m?.[2]||0);
-            const r = STRESCombat.rollDice(`1d20${mod>=0?`+${mod}`:mod}`);
+            const r = STRESCombat.rollDice(`1d20${mod>=0?`+${mod}`:mod}`, { source: 'initiative' });
             if (r.ok) rolls.push({ name, total: r.total, detail: `${r.rolls[0]}${mod? (mod>0?`+${mod}`:mod):''}` });
           }
           rolls.sort((a,b)=> b.total - a.total);
-          const order = rolls.map(r => `${r.name}(${r.total})`);
-          const meta = ctx.chatMetadata || (ctx.chatMetadata = {});
-          meta.stres = meta.stres || {};
-          meta.stres.combat = meta.stres.combat || {};
-          meta.stres.combat.order = rolls.map(r => r.name);
-          meta.stres.combat.round = Number(meta.stres.combat.round||1);
-          meta.stres.mode = meta.stres.mode || 'combat';
-          try { ctx.saveMetadata?.(); } catch {}
-          try { STRESCombat.refreshCombatHeaderInPrompt(); } catch {}
-          const lines = rolls.map(r => `• ${r.name}: ${r.total} [${r.detail}]`);
-          this.sendToChat(`Initiative order set (highest first):\n${lines.join('\n')}`);
+          const partyNames = [ctx?.name1].filter(Boolean);
+          (async()=>{
+            await tracker.setInitiative(rolls, { partyNames });
+            const lines = rolls.map(r => `• ${r.name}: ${r.total} [${r.detail}]`);
+            this.sendToChat(`Initiative order set (highest first):\n${lines.join('\n')}\nUse /combat start to begin.`);
+          })().catch((e) => this.sendToChat('❌ Combat error: ' + (e?.message || e)));
         } catch (e) { this.sendToChat('❌ Initiative error: ' + (e?.message||e)); }
         return '';
       }
+      case 'add': {
+        if (!rest) { this.sendToChat('Usage: /combat add <name> [hp=N] [ac=N] [init=N|+mod] [side=party|foe]'); return '';
+        }
+        const input = {};
+        const nameParts = [];
+        for (const tok of parts.slice(2)) {
+          const kv = tok.match(/^(hp|ac|init|side)=(.+)$/i);
+          if (!kv) { nameParts.push(tok); continue; }
+          const key = kv[1].toLowerCase();
+          input[key] = kv[2];
+        }
+        input.name = nameParts.join(' ');
+        if (!input.name) { this.sendToChat('❌ Combatant name required'); return ''; }
+        let initNote = '';
+        if (input.init != null && /^[+\-]/.test(input.init)) {
+          const r = STRESCombat.rollDice(`1d20${input.init}`, { source: 'initiative' });
+          if (!r.ok) { this.sendToChat('❌ ' + r.error); return ''; }
+          initNote = ` (rolled ${r.text})`;
+          input.init = r.total;
+        }
+        (async()=>{
+          const c = await tracker.add(input);
+          const stats = [c.hp != null ? `HP ${c.hp}/${c.maxHp}` : null, c.ac != null ? `AC ${c.ac}` : null, `Init ${c.init}${initNote}`, c.side].filter(Boolean).join(', ');
+          this.sendToChat(`✅ ${c.name} joins combat (${stats})`);
+        })().catch((e) => this.sendToChat('❌ Combat error: ' + (e?.message || e)));
+        return '';
+      }
+      case 'start':
+      case 'begin': {
+        (async()=>{
+          const res = await tracker.start();
+          if (!res.ok) { this.sendToChat('❌ ' + res.error); return; }
+          try { await STRESCombat.setMode('combat'); } catch {}
+          this.sendToChat(`⚔️ **Combat begins!**\n▶ ${res.actor.name}'s turn (Round ${res.round})`);
+        })().catch((e) => this.sendToChat('❌ Combat error: ' + (e?.message || e)));
+        return '';
+      }
+      case 'next':
+      case 'end-turn':
+      case 'pass': {
+        (async()=>{ announceTurn(await tracker.next()); })().catch((e) => this.sendToChat('❌ Combat error: ' + (e?.message || e)));
+        return '';
+      }
+      case 'delay': {
+        (async()=>{
+          const res = await tracker.delay();
+          if (res.ok) this.sendToChat(`⏸️ ${res.delayed.name} delays. Use /combat resume ${res.delayed.name} to act.`);
+          announceTurn(res);
+        })().catch((e) => this.sendToChat('❌ Combat error: ' + (e?.message || e)));
+        return '';
+      }
+      case 'resume': {
+        if (!rest) { this.sendToChat('Usage: /combat resume <name>'); return ''; }
+        (async()=>{ announceTurn(await tracker.resume(rest)); })().catch((e) => this.sendToChat('❌ Combat error: ' + (e?.message || e)));
+        return '';
+      }
+      case 'ready': {
+        (async()=>{
+          const res = await tracker.ready(rest);
+          if (res.ok) this.sendToChat(`⏳ ${res.readied.name} readies: ${res.readied.readied}`);
+          announceTurn(res);
+        })().catch((e) => this.sendToChat('❌ Combat error: ' + (e?.message || e)));
+        return '';
+      }
+      case 'trigger': {
+        if (!rest) { this.sendToChat('Usage: /combat trigger <name>'); return ''; }
+        (async()=>{
+          const res = await tracker.trigger(rest);
+          this.sendToChat(res.ok ? `⚡ ${res.actor.name}'s readied action triggers: ${res.readied}` : '❌ ' + res.error);
+        })().catch((e) => this.sendToChat('❌ Combat error: ' + (e?.message || e)));
+        return '';
+      }
+      case 'dmg':
+      case 'damage':
+      case 'heal': {
+        const amount = parts[parts.length - 1];
+        const who = parts.slice(2, -1).join(' ');
+        if (!who || parts.length < 4) { this.sendToChat(`Usage: /combat ${subcommand} <name> <amount|dice>`); return ''; }
+        (async()=>{
+          const res = subcommand === 'heal' ? await tracker.heal(who, amount) : await tracker.damage(who, amount);
+          if (!res.ok) { this.sendToChat('❌ ' + res.error); return; }
+          const c = res.combatant;
+          const hp = c.hp != null ? ` (${c.hp}${c.maxHp != null ? `/${c.maxHp}` : ''} HP)` : '';
+          const roll = res.roll && res.roll !== String(res.amount) ? ` — ${res.roll}` : '';
+          let msg = subcommand === 'heal' ? `💚 ${c.name} heals ${res.amount}${hp}${roll}` : `💥 ${c.name} takes ${res.amount} damage${hp}${roll}`;
+          if (res.defeated) msg += `\n☠️ ${c.name} is defeated${res.removed ? ' and removed from combat' : ''}.`;
+          if (res.revived) msg += `\n✨ ${c.name} is back on their feet.`;
+          this.sendToChat(msg);
+        })().catch((e) => this.sendToChat('❌ Combat error: ' + (e?.message || e)));
+        return '';
+      }
+      case 'remove':
+      case 'rm': {
+        if (!rest) { this.sendToChat('Usage: /combat remove <name|defeated>'); return ''; }
+        (async()=>{
+          const res = await tracker.remove(rest);
+          if (!res.ok) { this.sendToChat('❌ ' + res.error); return; }
+          this.sendToChat(`✅ Removed ${res.removed.map(x => x.name).join(', ')} from combat`);
+          if (res.ended) { try { await STRESCombat.setMode('story'); } catch {} this.sendToChat('🏁 No combatants left. Combat ended.'); }
+          else if (res.next) announceTurn(res.next);
+        })().catch((e) => this.sendToChat('❌ Combat error: ' + (e?.message || e)));
+        return '';
+      }
+      case 'end':
+      case 'stop': {
+        (async()=>{
+          const res = await tracker.end();
+          try { await STRESCombat.setMode('story'); } catch {}
+          this.sendToChat(`🏁 Combat ended after ${res.rounds} round${res.rounds === 1 ? '' : 's'}.${res.survivors.length ? ` Standing: ${res.survivors.join(', ')}` : ''}`);
+        })().catch((e) => this.sendToChat('❌ Combat error: ' + (e?.message || e)));
+        return '';
+      }
+      case 'condition':
+      case 'conditions':
+      case 'cond':
+        this.handleCombatCondition(parts.slice(2));
+        return '';
       case 'status':
         this.showCombatStatus();
         return '';
       default:
-        this.sendToChat('**Combat Commands:**\n• /combat act attack <targetId> - Submit attack action\n• /combat status - Show current combat state\n• /combat initiative <Name:+2, Goblin:+1> - Roll and set order');
+        this.sendToChat([
+          '**Combat Commands:**',
+          '• /combat add <name> [hp=N] [ac=N] [init=N|+mod] [side=party|foe] - Add or update a combatant',
+          '• /combat initiative <Name:+2, Goblin:+1> - Roll and set order',
+          '• /combat start | end - Begin or end tracked combat',
+          '• /combat next - End the current turn',
+          '• /combat delay | resume <name> - Delay the current turn / act now',
+          '• /combat ready <trigger> | trigger <name> - Ready an action / fire it',
+          '• /combat act attack <target> [+bonus] [damage dice] - Attack (local roll vs AC when offline)',
+          '• /combat damage|heal <name> <amount|dice> - Adjust HP',
+          '• /combat remove <name|defeated> - Remove combatants',
+          '• /combat condition add <name> <condition> [rounds] [note] - Apply a condition (ticks down each round)',
+          '• /combat condition remove <name> <condition|all> | list [name] - Clear or list conditions',
+          '• /combat status - Show current combat state'
+        ].join('\n'));
         return '';
     }
     return '';
   },
 
+  handleCombatCondition(args) {
+    const tracker = STRESCombatTracker;
+    const sub = (args[0] || '').toLowerCase();
+    const usage = 'Usage: /combat condition add <name> <condition> [rounds] [note] | remove <name> <condition|all> | list [name]';
+    // Combatant names may contain spaces: take the longest leading run of words that matches one
+    const splitTarget = (tokens) => {
+      for (let i = tokens.length - 1; i >= 1; i--) {
+        const who = tracker.find(tokens.slice(0, i).join(' '));
+        if (who) return { who, rest: tokens.slice(i) };
+      }
+      return { who: null, rest: [] };
+    };
+    switch (sub) {
+      case 'add': {
+        const { who, rest } = splitTarget(args.slice(1));
+        if (!who || !rest.length) { this.sendToChat(who ? usage : `❌ No combatant matching "${args[1] || ''}"`); return ''; }
+        const name = rest[0];
+        const rounds = /^\d+$/.test(rest[1] || '') ? Number(rest[1]) : null;
+        const note = rest.slice(rounds != null ? 2 : 1).join(' ');
+        (async()=>{
+          const res = await tracker.addCondition(who.name, name, rounds, note);
+          if (!res.ok) { this.sendToChat('❌ ' + res.error); return; }
+          const dur = res.condition.rounds != null ? ` for ${res.condition.rounds} round${res.condition.rounds === 1 ? '' : 's'}` : ' until removed';
+          this.sendToChat(`✅ ${res.combatant.name} is ${res.condition.name}${dur}${res.refreshed ? ' (refreshed)' : ''}`);
+        })().catch((e) => this.sendToChat('❌ Combat error: ' + (e?.message || e)));
+        return '';
+      }
+      case 'remove':
+      case 'rm':
+      case 'clear': {
+        const { who, rest } = splitTarget(args.slice(1));
+        if (!who || !rest.length) { this.sendToChat(who ? usage : `❌ No combatant matching "${args[1] || ''}"`); return ''; }
+        (async()=>{
+          const res = await tracker.removeCondition(who.name, rest[0]);
+          this.sendToChat(res.ok ? `✅ ${res.combatant.name}: removed ${res.removed.map(x => x.name).join(', ')}` : '❌ ' + res.error);
+        })().catch((e) => this.sendToChat('❌ Combat error: ' + (e?.message || e)));
+        return '';
+      }
+      case 'list':
+      case '': {
+        const query = args.slice(1).join(' ');
+        const entries = tracker.listConditions(query || undefined);
+        if (!entries.length) { this.sendToChat(query ? `No conditions on ${query}.` : 'No active conditions.'); return ''; }
+        const lines = entries.map(e => `• ${e.combatant.name}: ${e.conditions.map(x => `${x.name}${x.rounds != null ? ` (${x.rounds} round${x.rounds === 1 ? '' : 's'} left)` : ''}${x.note ? ` — ${x.note}` : ''}`).join(', ')}`);
+        this.sendToChat(`**Conditions**\n${lines.join('\n')}`);
+        return '';
+      }
+      default:
+        this.sendToChat(usage);
+        return '';
+    }
+  },
+
   handleCombatAct(args) {
     if (args.length < 2 || args[0] !== 'attack') {
-      this.sendToChat('Usage: /combat act attack <targetId>');
-      return;
+      this.sendToChat('Usage: /combat act attack <target> [+bonus] [damage dice]');
+      return '';
+    }
+
+    // Prefer the backend encounter when the CombatManager WebSocket has handed us a turn
+    const remote = window.STRES?.combatManager;
+    if (remote?.currentTurn && !STRESCombatTracker.getCombat().active) {
+      (async()=>{
+        const res = await remote.performAttack(args[1]);
+        this.sendToChat(res.success ? `⚔️ Attack on ${args[1]} submitted` : `❌ Attack failed: ${res.error}`);
+      })().catch((e) => this.sendToChat('❌ Combat error: ' + (e?.message || e)));
+      return '';
     }
 
-    const targetId = args[1];
-    this.sendToChat(`⚔️ Combat action: Attack ${targetId} (simulated)`);
+    const opts = {};
+    const targetParts = [];
+    for (const tok of args.slice(1)) {
+      if (/^[+\-]\d+$/.test(tok)) opts.bonus = Number(tok);
+      else if (/\d*d\d/i.test(tok)) opts.damage = tok;
+      else targetParts.push(tok);
+    }
+    (async()=>{
+      const res = await STRESCombatTracker.attack(targetParts.join(' '), opts);
+      if (!res.ok) { this.sendToChat('❌ ' + res.error); return; }
+      const who = res.attacker?.name || 'Attack';
+      const ac = res.target.ac != null ? res.target.ac : 10;
+      const lines = [`⚔️ ${who} → ${res.target.name}: ${res.attackRoll.text} vs AC ${ac} — ${res.crit ? '**critical hit!**' : res.hit ? 'hit' : 'miss'}`];
+      if (res.damage?.ok) {
+        const t = res.damage.combatant;
+        lines.push(`💥 ${res.damage.roll} damage${t.hp != null ? ` (${t.hp}${t.maxHp != null ? `/${t.maxHp}` : ''} HP left)` : ''}`);
+        if (res.damage.defeated) lines.push(`☠️ ${t.name} is defeated${res.damage.removed ? ' and removed from combat' : ''}.`);
+      }
+      this.sendToChat(lines.join('\n'));
+    })().catch((e) => this.sendToChat('❌ Combat error: ' + (e?.message || e)));
     return '';
   },
 
   showCombatStatus() {
-    this.sendToChat('**Combat Status**\n• Active: No\n• Current Turn: None\n*Note: Connect to STRES backend for real combat*');
+    const snap = STRESCombatTracker.snapshot();
+    const lines = ['**Combat Status**', `• Active: ${snap.active ? 'Yes' : 'No'}`];
+    if (snap.active) {
+      lines.push(`• Round: ${snap.round}`);
+      lines.push(`• Current Turn: ${snap.actor || 'None'}`);
+    }
+    if (snap.combatants.length) {
+      lines.push('• Combatants:');
+      for (const c of snap.combatants) {
+        const bits = [
+          c.hp != null ? `HP ${c.hp}${c.maxHp != null ? `/${c.maxHp}` : ''}` : null,
+          c.ac != null ? `AC ${c.ac}` : null,
+          `Init ${c.init}`,
+          c.status !== 'active' ? c.status + (c.readied ? `: ${c.readied}` : '') : null,
+          ...(c.conditions || []).map(x => x.rounds != null ? `${x.name} (${x.rounds})` : x.name)
+        ].filter(Boolean).join(', ');
+        lines.push(`  ${c.current ? '▶' : '–'} ${c.name} (${c.side}) — ${bits}`);
+      }
+    } else {
+      lines.push('• No combatants. Use /combat add or /combat initiative.');
+    }
+    if (window.STRES?.combatManager?.isActive) lines.push('*Backend encounter active via CombatManager*');
+    this.sendToChat(lines.join('\n'));
     return '';
   },
 
@@ -5084,6 +5804,9 @@ async function initializeExtension() {
   // Initialize UI components
   initializeUI();
 
+  // Token counting for budgets and routing (starts loading the active model's vocabulary)
+  try { STRESTokenizer.init(context); } catch {}
+
   // Initialize prompt injections (macros + dynamic scene header; optional primer)
   try { STRESPrompts.init(context); } catch {}
 
@@ -5103,6 +5826,26 @@ async function initializeExtension() {
   try { STRESHud.init(context); } catch {}
 
   // Initialize combat mode & header
+  try { STRESCombatTracker.init(context); } catch {}
+  try { STRESInventory.init(context); } catch {}
+  try { STRESEquipment.init(context, { hud: STRESHud }); } catch {}
+  try { STRESPersistence.init(context); } catch {}
+  try { STRESMemory.init(context); } catch {}
+  try { STRESTiers.init(context); } catch {}
+  try { STRESTravel.init(context); } catch {}
+  try { STRESBounties.init(context, { hud: STRESHud, onChange: () => STRESNPC.injectInPrompt() }); } catch {}
+  try { STRESSocial.init(context, { onChange: () => STRESNPC.injectInPrompt() }); } catch {}
+  try { STRESXP.init(context, { hud: STRESHud, chat: STRESChat }); } catch {}
+  try { STRESSkills.init(context, { hud: STRESHud, chat: STRESChat }); } catch {}
+  try { STRESTasks.init(context); } catch {}
+  try {
+    window.addEventListener('stres:repair:completed', (event) => {
+      const d = event.detail || {};
+      STRESChat.sendToChat(d.success
+        ? `🔧 Repair finished: ${d.itemName} (${d.newDurability}/${d.maxDurability})`
+        : `💥 Repair of ${d.itemName} failed - the item took damage`);
+    });
+  } catch {}
   try { STRESCombat.init(context); } catch {}
 
   // Initialize crosstalk/leak guardrails
@@ -5193,7 +5936,7 @@ function registerSlashCommands(context) {
         const argString = joinUnnamedArgs(unnamed);
         return STRESChat.handleInventoryCommand(argString ? `/inventory ${argString}` : '/inventory');
       },
-      helpString: 'Inventory management - show, add, remove, use'
+      helpString: 'Inventory management - show, add, remove, use, equip, unequip, gear, money, sync'
     }));
 
     SlashCommandParser.addCommandObject(SlashCommand.fromProps({
@@ -5203,7 +5946,7 @@ function registerSlashCommands(context) {
         const argString = joinUnnamedArgs(unnamed);
         return STRESChat.handleCombatCommand(argString ? `/combat ${argString}` : '/combat');
       },
-      helpString: 'Combat commands - act, status'
+      helpString: 'Combat tracker - add, initiative, start, next, delay, ready, act, damage, heal, condition, remove, status, end'
     }));
 
     console.log("[STRES] Slash commands registered successfully using SlashCommandParser");
@@ -5256,6 +5999,32 @@ function initializeUI() {
   combatHost.id = 'stres-combat-host';
   root.appendChild(combatHost);
 
+  // Local combat tracker panel (works without the backend CombatManager)
+  try {
+    if (STRESCombatTracker.getSettings().showPanel) {
+      const combatPanel = new CombatPanel(STRESCombatTracker, null, { autoHide: true });
+      combatPanel.mount('#stres-combat-host');
+      window.STRES = window.STRES || {};
+      window.STRES.localCombatPanel = combatPanel;
+      STRESCombatTracker.publish();
+    }
+  } catch (e) { console.warn('[STRES] Combat panel mount failed', e); }
+
+  const socialHost = doc.createElement('div');
+  socialHost.id = 'stres-social-host';
+  root.appendChild(socialHost);
+
+  // Relationship and faction dashboard fed by SocialSystemsService snapshots
+  try {
+    const social = STRESSocial.getSettings();
+    if (social.showPanel) {
+      const socialPanel = new SocialPanel(STRESSocial, { autoHide: true, recent: social.recent });
+      socialPanel.mount('#stres-social-host');
+      window.STRES = window.STRES || {};
+      window.STRES.socialPanel = socialPanel;
+    }
+  } catch (e) { console.warn('[STRES] Social panel mount failed', e); }
+
   const hudHost = doc.createElement('div');
   hudHost.id = 'stres-hud-host';
   root.appendChild(hudHost);
@@ -5696,6 +6465,9 @@ function initializeUI() {
       const headerMax = mkInput('number', get(s,'budget.components.header.maxTokens',120), { min:30, step:10 }); headerMax.addEventListener('change', onChange('budget.components.header.maxTokens', Number, ()=>STRESPrompts.refreshSceneHeaderInPrompt()));
       const primerMax = mkInput('number', get(s,'budget.components.primer.maxTokens',600), { min:50, step:50 }); primerMax.addEventListener('change', onChange('budget.components.primer.maxTokens', Number));
       const ragMax = mkInput('number', get(s,'budget.components.rag.maxTokens',300), { min:50, step:10 }); ragMax.addEventListener('change', onChange('budget.components.rag.maxTokens', Number));
+      const tokFamily = mkSelect(get(s,'tokenizer.family','auto'), [['auto','Auto (active model)'], ...STRESTokenizer.families().map(f=>[f,f])]);
+      const tokRow = row('Tokenizer', tokFamily, STRESTokenizer.summary());
+      tokFamily.addEventListener('change', onChange('tokenizer.family', String, ()=>{ tokRow.lastChild.lastChild.textContent = STRESTokenizer.summary(); }));
       body.append(
         row('Profile', profile),
         row('Context Target', ctxT,'Approximate total prompt budget for context items'),
@@ -5704,7 +6476,8 @@ function initializeUI() {
         row('Guard max tokens', guardMax),
         row('Header max tokens', headerMax),
         row('Primer max tokens', primerMax),
-        row('RAG max tokens', ragMax)
+        row('RAG max tokens', ragMax),
+        tokRow
       );
     };
     const buildPrimer = ()=>{
@@ -5874,7 +6647,7 @@ function initializeUI() {
       const modeSel = mkSelect(window.SillyTavern?.getContext?.().chatMetadata?.stres?.mode || 'story', [['story','Story'],['explore','Explore'],['combat','Combat']]);
       modeSel.addEventListener('change', async (e)=>{ await STRESCombat.setMode(e.target.value); });
       const hdrOn = mkCheck(get(s,'combat.header.enabled',true)); hdrOn.addEventListener('change', onChange('combat.header.enabled', x=>!!x, ()=>STRESCombat.refreshCombatHeaderInPrompt()));
-      const tmpl = mkInput('text', get(s,'combat.header.template', defaultSettings.combat.header.template)); tmpl.style.width='100%'; tmpl.addEventListener('change', onChange('combat.header.template', String, ()=>STRESCombat.refreshCombatHeaderInPrompt()));
+      const tmpl = mkInput('text', get(s,'combat.header.template', defaultSettings.combat.header.template)); tmpl.style.width='100%'; tmpl.title = 'Placeholders: {round} {actor} {order} {conditions}'; tmpl.addEventListener('change', onChange('combat.header.template', String, ()=>STRESCombat.refreshCombatHeaderInPrompt()));
       const src = mkInput('text', get(s,'combat.npcModel.chat_completion_source','openrouter')); src.addEventListener('change', onChange('combat.npcModel.chat_completion_source', String));
       const model = mkInput('text', get(s,'combat.npcModel.model','gpt-4o-mini')); model.addEventListener('change', onChange('combat.npcModel.model', String));
       const maxTok = mkInput('number', get(s,'combat.npcModel.max_tokens',140), { min:32, step:4 }); maxTok.addEventListener('change', onChange('combat.npcModel.max_tokens', Number));
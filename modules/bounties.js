@@ -0,0 +1,148 @@
+// Chat-side mirror of TheftService bounties and faction standings. The CommonJS services broadcast
+// stres:bounty:changed, stres:faction:changed and stres:theft:result window events; this board keeps
+// the latest copy in chatMetadata.stres.bounties so the HUD and NPC prompts can use it offline.
+
+const NOTICE_LIMIT = 3;
+
+function norm(text) {
+  return String(text || '').trim().toLowerCase();
+}
+
+const BountyBoardPrototype = {
+  ctx: null,
+  hud: null,
+
+  init(ctx, { hud, onChange } = {}) {
+    this.ctx = ctx || window.SillyTavern?.getContext?.() || null;
+    this.hud = hud || null;
+    this.onChange = onChange || null;
+    if (this.bound) return;
+    this.bound = true;
+    try {
+      window.addEventListener('stres:bounty:changed', (event) => this.setBounties(event?.detail?.bounties));
+      window.addEventListener('stres:faction:changed', (event) => this.setFaction(event?.detail));
+      window.addEventListener('stres:theft:result', (event) => this.recordTheft(event?.detail));
+    } catch {}
+  },
+
+  getState() {
+    const ctx = this.ctx || window.SillyTavern?.getContext?.();
+    const meta = ctx?.chatMetadata || (ctx ? (ctx.chatMetadata = ctx.chatMetadata || {}) : {});
+    meta.stres = meta.stres || {};
+    const state = meta.stres.bounties = meta.stres.bounties || {};
+    if (!Array.isArray(state.active)) state.active = [];
+    state.factions = state.factions || {};
+    return state;
+  },
+
+  async save() {
+    try { await (this.ctx || window.SillyTavern?.getContext?.())?.saveMetadata?.(); } catch {}
+    this.syncHud();
+    try { await this.onChange?.(); } catch {}
+  },
+
+  setBounties(bounties) {
+    if (!Array.isArray(bounties)) return;
+    this.getState().active = bounties.map(b => ({
+      id: b.id,
+      thiefId: b.thiefId,
+      amount: Number(b.amount) || 0,
+      reason: b.reason || '',
+      postedBy: b.postedBy || '',
+      expiresAt: b.expiresAt ? new Date(b.expiresAt).toISOString() : null,
+    }));
+    return this.save();
+  },
+
+  setFaction(detail) {
+    if (!detail?.factionId) return;
+    this.getState().factions[detail.factionId] = {
+      name: detail.name || detail.factionId,
+      points: Number(detail.points) || 0,
+      standing: detail.standing || 'neutral',
+      reason: detail.reason || '',
+    };
+    return this.save();
+  },
+
+  recordTheft(detail) {
+    if (!detail?.result) return;
+    const { result } = detail;
+    this.getState().lastTheft = {
+      thiefId: detail.thiefId,
+      storageName: detail.storageName || detail.storageId,
+      success: !!result.success,
+      detected: !!result.detected,
+      stolenValue: result.stolenValue || 0,
+      at: Date.now(),
+    };
+    return this.save();
+  },
+
+  listActive() {
+    const now = Date.now();
+    return this.getState().active.filter(b => !b.expiresAt || Date.parse(b.expiresAt) > now);
+  },
+
+  // Bounties whose target matches any of the given ids or display names
+  activeFor(...names) {
+    const wanted = new Set(names.flat().map(norm).filter(Boolean));
+    if (!wanted.size) return [];
+    return this.listActive().filter(b => wanted.has(norm(b.thiefId)));
+  },
+
+  formatNotice(bounties) {
+    const list = (bounties || []).slice(0, NOTICE_LIMIT);
+    if (!list.length) return '';
+    const total = list.reduce((sum, b) => sum + b.amount, 0);
+    const reasons = list.map(b => b.reason).filter(Boolean).join('; ');
+    return `Wanted: ${total}g bounty${list.length > 1 ? ` (${list.length} posted)` : ''}${reasons ? ` for ${reasons}` : ''}. Bounty hunters and guards may recognise them.`;
+  },
+
+  hudFields() {
+    const state = this.getState();
+    const fields = Object.entries(state.factions).map(([id, f]) => ({
+      key: `faction_${id}`,
+      label: f.name,
+      value: `${f.standing} (${f.points > 0 ? '+' : ''}${f.points})`,
+      current: f.points,
+      min: -100,
+      max: 100,
+      category: 'reputation',
+      tags: ['reputation'],
+      metadata: { reason: f.reason },
+    }));
+    const active = this.listActive();
+    if (active.length) {
+      const byTarget = {};
+      for (const b of active) byTarget[b.thiefId] = (byTarget[b.thiefId] || 0) + b.amount;
+      fields.push({
+        key: 'bounties_wanted',
+        label: 'Wanted',
+        value: Object.entries(byTarget).map(([name, amount]) => `${name} ${amount}g`).join(', '),
+        category: 'reputation',
+        tags: ['reputation', 'bounty'],
+      });
+    }
+    return fields;
+  },
+
+  syncHud() {
+    const hud = this.hud || window.STRESHud;
+    if (!hud?.setFields) return;
+    const fields = this.hudFields();
+    const keys = fields.map(f => f.key);
+    try {
+      const existing = hud.getHudState?.()?.fields || [];
+      const stale = existing.filter(f => f.tags?.includes('reputation') && !keys.includes(f.key)).map(f => f.key);
+      if (stale.length) hud.removeFields?.(stale);
+      if (fields.length) hud.setFields(fields, { origin: 'bounties', reason: 'reputation' });
+    } catch (error) {
+      console.warn('[STRES] Bounty HUD sync failed', error);
+    }
+  },
+};
+
+export default function createBountyBoard() {
+  return Object.assign({}, BountyBoardPrototype);
+}
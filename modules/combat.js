@@ -0,0 +1,490 @@
+import { extensionName, defaultSettings } from './constants.js';
+import STRESDice from './dice.js';
+
+// Local turn-based combat tracker. State lives in chatMetadata.stres.combat so it survives
+// reloads and works without the backend CombatManager WebSocket. Changes are broadcast as
+// window CustomEvents (stres:combat:*) so CombatPanel renders the same way for both sources.
+
+const LOG_LIMIT = 50;
+
+function emptyCombat() {
+  return { round: 1, order: [], active: false, turn: 0, combatants: [], log: [] };
+}
+
+function toNumber(value, fallback = null) {
+  if (value == null || value === '') return fallback;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function slug(name) {
+  return String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'combatant';
+}
+
+function dispatch(type, detail) {
+  try { window.dispatchEvent(new CustomEvent(type, { detail })); } catch {}
+}
+
+const CombatTrackerPrototype = {
+  ctx: null,
+
+  init(ctx) {
+    this.ctx = ctx || window.SillyTavern?.getContext?.() || null;
+  },
+
+  getSettings() {
+    const s = window.extension_settings?.[extensionName] || {};
+    return Object.assign({}, defaultSettings.combat.tracker, s.combat?.tracker || {});
+  },
+
+  hasChat() {
+    return !!(this.ctx || window.SillyTavern?.getContext?.());
+  },
+
+  // Combat is kept in the chat's metadata; without a chat there is nowhere to keep changes
+  getCombat() {
+    const ctx = this.ctx || window.SillyTavern?.getContext?.();
+    if (!ctx) throw new Error('No active chat');
+    const meta = ctx.chatMetadata = ctx.chatMetadata || {};
+    meta.stres = meta.stres || {};
+    const c = meta.stres.combat = meta.stres.combat || emptyCombat();
+    if (!Array.isArray(c.combatants)) {
+      // Older chats only stored a name list from /combat initiative
+      c.combatants = (Array.isArray(c.order) ? c.order : []).map((name) => this.makeCombatant({ name }));
+    }
+    if (!Array.isArray(c.log)) c.log = [];
+    c.round = toNumber(c.round, 1) || 1;
+    c.turn = toNumber(c.turn, 0) || 0;
+    c.active = !!c.active;
+    return c;
+  },
+
+  // For the HUD, header and panel, which show an empty roster rather than fail when there is no chat
+  readCombat() {
+    return this.hasChat() ? this.getCombat() : emptyCombat();
+  },
+
+  async save() {
+    const c = this.getCombat();
+    c.order = c.combatants.filter(x => x.status !== 'defeated').map(x => x.name);
+    try { await (this.ctx || window.SillyTavern?.getContext?.())?.saveMetadata?.(); } catch {}
+    const snap = this.snapshot();
+    dispatch('stres:combat:roster', snap);
+    dispatch('stres:combat:changed', snap);
+    return snap;
+  },
+
+  makeCombatant(input = {}) {
+    const name = String(input.name || '').trim() || 'Unknown';
+    const maxHp = toNumber(input.maxHp ?? input.hp);
+    return {
+      id: input.id || slug(name),
+      name,
+      side: input.side === 'party' ? 'party' : 'foe',
+      hp: toNumber(input.hp, maxHp),
+      maxHp,
+      ac: toNumber(input.ac),
+      init: toNumber(input.init, 0),
+      status: 'active',
+      readied: null,
+      conditions: Array.isArray(input.conditions) ? input.conditions : [],
+    };
+  },
+
+  find(query) {
+    const c = this.getCombat();
+    const q = String(query || '').trim().toLowerCase();
+    if (!q) return null;
+    return c.combatants.find(x => x.id === q || x.name.toLowerCase() === q)
+      || c.combatants.find(x => x.name.toLowerCase().startsWith(q))
+      || null;
+  },
+
+  current() {
+    const c = this.readCombat();
+    if (!c.active) return null;
+    return c.combatants[c.turn] || null;
+  },
+
+  isEligible(x) {
+    return !!x && x.status !== 'defeated' && x.status !== 'delayed';
+  },
+
+  // Sort by initiative (desc) while keeping whoever is acting as the current actor
+  resort() {
+    const c = this.getCombat();
+    const actor = c.combatants[c.turn];
+    c.combatants = c.combatants
+      .map((x, i) => ({ x, i }))
+      .sort((a, b) => (b.x.init - a.x.init) || (a.i - b.i))
+      .map(e => e.x);
+    if (actor) c.turn = Math.max(0, c.combatants.indexOf(actor));
+  },
+
+  log(message, type = 'info') {
+    const c = this.getCombat();
+    const entry = { message: String(message), type, round: c.round, timestamp: Date.now() };
+    c.log.push(entry);
+    if (c.log.length > LOG_LIMIT) c.log.splice(0, c.log.length - LOG_LIMIT);
+    dispatch('stres:combat:log', { entry, fullLog: c.log.slice() });
+    return entry;
+  },
+
+  async add(input = {}) {
+    const c = this.getCombat();
+    const existing = this.find(input.name);
+    let target = existing;
+    if (existing) {
+      if (input.hp != null) { existing.hp = toNumber(input.hp, existing.hp); existing.maxHp = Math.max(toNumber(existing.maxHp, 0), existing.hp); }
+      if (input.maxHp != null) existing.maxHp = toNumber(input.maxHp, existing.maxHp);
+      if (input.ac != null) existing.ac = toNumber(input.ac, existing.ac);
+      if (input.init != null) existing.init = toNumber(input.init, existing.init);
+      if (input.side) existing.side = input.side === 'party' ? 'party' : 'foe';
+    } else {
+      target = this.makeCombatant(input);
+      while (c.combatants.some(x => x.id === target.id)) target.id += '-2';
+      c.combatants.push(target);
+    }
+    this.resort();
+    await this.save();
+    return target;
+  },
+
+  async setInitiative(rolls = [], opts = {}) {
+    for (const r of rolls) {
+      const existing = this.find(r.name);
+      if (existing) existing.init = toNumber(r.total, existing.init);
+      else this.getCombat().combatants.push(this.makeCombatant({ name: r.name, init: r.total, side: r.side || ((opts.partyNames || []).includes(r.name) ? 'party' : 'foe') }));
+    }
+    this.resort();
+    return this.save();
+  },
+
+  async start() {
+    const c = this.getCombat();
+    if (!c.combatants.some(x => this.isEligible(x))) return { ok: false, error: 'No combatants. Use /combat add or /combat initiative first.' };
+    c.active = true;
+    c.round = 1;
+    c.turn = Math.max(0, c.combatants.findIndex(x => this.isEligible(x)));
+    this.resort();
+    dispatch('stres:combat:started', { round: c.round, encounterId: 'local', source: 'local' });
+    await this.save();
+    this.requestTurn();
+    return { ok: true, actor: this.current(), round: c.round };
+  },
+
+  async end() {
+    const c = this.getCombat();
+    const rounds = c.round;
+    const survivors = c.combatants.filter(x => x.status !== 'defeated').map(x => x.name);
+    Object.assign(c, emptyCombat());
+    dispatch('stres:combat:ended', { encounterId: 'local', rounds, survivors, source: 'local' });
+    await this.save();
+    return { ok: true, rounds, survivors };
+  },
+
+  requestTurn() {
+    const c = this.getCombat();
+    const actor = this.current();
+    if (!actor) return null;
+    const detail = {
+      encounterId: 'local',
+      round: c.round,
+      actorId: actor.name,
+      enemies: c.combatants.filter(x => x.side !== actor.side && x.status !== 'defeated').map(x => ({ id: x.id, name: x.name })),
+      source: 'local',
+    };
+    dispatch('stres:combat:turnRequested', detail);
+    return detail;
+  },
+
+  // Advance to the next actor able to act; wrapping past the end starts a new round
+  async next() {
+    const c = this.getCombat();
+    if (!c.active) return { ok: false, error: 'Combat is not active' };
+    if (!c.combatants.some(x => this.isEligible(x))) return { ok: false, error: 'Nobody is able to act' };
+    const previousRound = c.round;
+    let idx = c.turn;
+    for (let guard = 0; guard <= c.combatants.length * 2; guard++) {
+      idx += 1;
+      if (idx >= c.combatants.length) { idx = 0; c.round += 1; }
+      if (this.isEligible(c.combatants[idx])) break;
+    }
+    c.turn = idx;
+    const actor = c.combatants[idx];
+    const notices = [];
+    if (actor.status === 'ready') {
+      notices.push(`${actor.name}'s readied action (${actor.readied}) lapses.`);
+      actor.status = 'active';
+      actor.readied = null;
+    }
+    const newRound = c.round !== previousRound;
+    let expired = [];
+    if (newRound) {
+      expired = this.tickConditions(c.round - previousRound);
+      for (const e of expired) notices.unshift(`${e.combatant.name} is no longer ${e.condition.name}.`);
+      dispatch('stres:combat:round', { round: c.round, previousRound, expired, source: 'local' });
+    }
+    for (const n of notices) this.log(n, 'system');
+    await this.save();
+    this.requestTurn();
+    return { ok: true, actor, round: c.round, newRound, notices, expired };
+  },
+
+  // Conditions carry a remaining-round count (null = until removed) and tick down as rounds advance
+  async addCondition(query, name, rounds = null, note = '') {
+    const who = this.find(query);
+    if (!who) return { ok: false, error: `No combatant matching "${query}"` };
+    const label = String(name || '').trim().toLowerCase();
+    if (!label) return { ok: false, error: 'Condition name required' };
+    const n = toNumber(rounds);
+    if (n != null && n < 1) return { ok: false, error: 'Duration must be at least 1 round' };
+    who.conditions = Array.isArray(who.conditions) ? who.conditions : [];
+    const existing = who.conditions.find(x => x.name === label);
+    const condition = existing || { name: label };
+    condition.rounds = n;
+    condition.total = n;
+    condition.note = String(note || '').trim() || condition.note || '';
+    condition.since = this.getCombat().round;
+    if (!existing) who.conditions.push(condition);
+    this.log(`${who.name} is ${label}${n != null ? ` for ${n} round${n === 1 ? '' : 's'}` : ''}.`, 'system');
+    await this.save();
+    return { ok: true, combatant: who, condition, refreshed: !!existing };
+  },
+
+  async removeCondition(query, name) {
+    const who = this.find(query);
+    if (!who) return { ok: false, error: `No combatant matching "${query}"` };
+    const label = String(name || '').trim().toLowerCase();
+    const before = who.conditions || [];
+    const removed = label === 'all' ? before.slice() : before.filter(x => x.name === label);
+    if (!removed.length) return { ok: false, error: `${who.name} is not ${label}` };
+    who.conditions = before.filter(x => !removed.includes(x));
+    for (const r of removed) this.log(`${who.name} is no longer ${r.name}.`, 'system');
+    await this.save();
+    return { ok: true, combatant: who, removed };
+  },
+
+  listConditions(query) {
+    const c = this.readCombat();
+    const pool = query ? [this.find(query)].filter(Boolean) : c.combatants;
+    return pool
+      .filter(x => (x.conditions || []).length)
+      .map(x => ({ combatant: x, conditions: x.conditions.slice() }));
+  },
+
+  tickConditions(steps = 1) {
+    const c = this.getCombat();
+    const expired = [];
+    for (const who of c.combatants) {
+      const keep = [];
+      for (const cond of who.conditions || []) {
+        if (cond.rounds == null) { keep.push(cond); continue; }
+        cond.rounds -= steps;
+        if (cond.rounds > 0) keep.push(cond);
+        else expired.push({ combatant: who, condition: cond });
+      }
+      who.conditions = keep;
+    }
+    return expired;
+  },
+
+  formatConditions() {
+    return this.listConditions()
+      .filter(e => e.combatant.status !== 'defeated')
+      .map(e => `${e.combatant.name}: ${e.conditions.map(x => x.rounds != null ? `${x.name} (${x.rounds})` : x.name).join(', ')}`)
+      .join('; ');
+  },
+
+  async delay() {
+    const actor = this.current();
+    if (!actor) return { ok: false, error: 'No current actor' };
+    actor.status = 'delayed';
+    this.log(`${actor.name} delays.`, 'action');
+    const res = await this.next();
+    return Object.assign({}, res, { delayed: actor });
+  },
+
+  // A delayed combatant acts right after the current actor and keeps that initiative slot
+  async resume(query) {
+    const c = this.getCombat();
+    const who = this.find(query);
+    if (!who || who.status !== 'delayed') return { ok: false, error: `${query} is not delaying` };
+    const anchor = c.combatants[c.turn];
+    c.combatants.splice(c.combatants.indexOf(who), 1);
+    const at = anchor ? c.combatants.indexOf(anchor) + 1 : 0;
+    c.combatants.splice(at, 0, who);
+    who.status = 'active';
+    if (anchor) who.init = anchor.init;
+    c.turn = at;
+    this.log(`${who.name} stops delaying and acts.`, 'action');
+    await this.save();
+    this.requestTurn();
+    return { ok: true, actor: who, round: c.round };
+  },
+
+  async ready(trigger) {
+    const actor = this.current();
+    if (!actor) return { ok: false, error: 'No current actor' };
+    actor.status = 'ready';
+    actor.readied = String(trigger || 'unspecified trigger').trim();
+    this.log(`${actor.name} readies: ${actor.readied}`, 'action');
+    const res = await this.next();
+    return Object.assign({}, res, { readied: actor });
+  },
+
+  async trigger(query) {
+    const who = this.find(query);
+    if (!who || who.status !== 'ready') return { ok: false, error: `${query} has no readied action` };
+    const readied = who.readied;
+    who.status = 'active';
+    who.readied = null;
+    this.log(`${who.name}'s readied action triggers: ${readied}`, 'action');
+    await this.save();
+    return { ok: true, actor: who, readied };
+  },
+
+  resolveAmount(value) {
+    const s = String(value ?? '').trim();
+    if (/^\d+$/.test(s)) return { ok: true, amount: parseInt(s, 10), text: s };
+    const r = STRESDice.roll(s, { source: 'combat' });
+    if (!r.ok) return { ok: false, error: r.error };
+    return { ok: true, amount: Math.max(0, r.total), text: r.text };
+  },
+
+  async damage(query, value) {
+    const who = this.find(query);
+    if (!who) return { ok: false, error: `No combatant matching "${query}"` };
+    const amt = this.resolveAmount(value);
+    if (!amt.ok) return amt;
+    const before = who.hp;
+    if (who.hp != null) who.hp = Math.max(0, who.hp - amt.amount);
+    this.log(`${who.name} takes ${amt.amount} damage${who.hp != null ? ` (${before} → ${who.hp})` : ''}.`, 'action');
+    let defeated = false;
+    let removed = false;
+    if (who.hp != null && who.hp <= 0 && who.status !== 'defeated') {
+      defeated = true;
+      who.status = 'defeated';
+      this.log(`${who.name} is defeated.`, 'system');
+      if (this.getSettings().autoRemoveDefeated) {
+        await this.remove(who.name, { silent: true });
+        removed = true;
+      }
+    }
+    if (!removed) await this.save();
+    return { ok: true, combatant: who, amount: amt.amount, roll: amt.text, defeated, removed };
+  },
+
+  async heal(query, value) {
+    const who = this.find(query);
+    if (!who) return { ok: false, error: `No combatant matching "${query}"` };
+    const amt = this.resolveAmount(value);
+    if (!amt.ok) return amt;
+    if (who.hp != null) who.hp = who.maxHp != null ? Math.min(who.maxHp, who.hp + amt.amount) : who.hp + amt.amount;
+    const revived = who.status === 'defeated' && who.hp > 0;
+    if (revived) who.status = 'active';
+    this.log(`${who.name} heals ${amt.amount}${who.hp != null ? ` (now ${who.hp}${who.maxHp != null ? `/${who.maxHp}` : ''})` : ''}.`, 'action');
+    await this.save();
+    return { ok: true, combatant: who, amount: amt.amount, roll: amt.text, revived };
+  },
+
+  async remove(query, opts = {}) {
+    const c = this.getCombat();
+    const q = String(query || '').trim().toLowerCase();
+    const targets = q === 'defeated'
+      ? c.combatants.filter(x => x.status === 'defeated')
+      : [this.find(query)].filter(Boolean);
+    if (!targets.length) return { ok: false, error: q === 'defeated' ? 'No defeated combatants' : `No combatant matching "${query}"` };
+    let actorRemoved = false;
+    for (const who of targets) {
+      const idx = c.combatants.indexOf(who);
+      c.combatants.splice(idx, 1);
+      // Keep c.turn on the slot before the next actor so next() lands on whoever followed
+      if (idx < c.turn) c.turn -= 1;
+      else if (idx === c.turn) { c.turn -= 1; actorRemoved = true; }
+      if (!opts.silent) this.log(`${who.name} leaves combat.`, 'system');
+    }
+    if (c.active && !c.combatants.some(x => this.isEligible(x))) {
+      await this.end();
+      return { ok: true, removed: targets, ended: true };
+    }
+    if (c.active && actorRemoved) {
+      const res = await this.next();
+      return { ok: true, removed: targets, next: res };
+    }
+    c.turn = Math.min(Math.max(0, c.turn), Math.max(0, c.combatants.length - 1));
+    await this.save();
+    return { ok: true, removed: targets };
+  },
+
+  // Local attack: d20 + bonus against AC (nat 20 always hits, nat 1 always misses), then damage
+  async attack(targetQuery, opts = {}) {
+    const attacker = opts.attacker ? this.find(opts.attacker) : this.current();
+    const target = this.find(targetQuery);
+    if (!target) return { ok: false, error: `No combatant matching "${targetQuery}"` };
+    if (target.status === 'defeated') return { ok: false, error: `${target.name} is already defeated` };
+    const bonus = toNumber(opts.bonus, 0);
+    const atk = STRESDice.roll(`1d20${bonus >= 0 ? `+${bonus}` : bonus}`, { source: 'combat' });
+    if (!atk.ok) return { ok: false, error: atk.error };
+    const natural = atk.rolls[0];
+    const ac = target.ac != null ? target.ac : 10;
+    const crit = natural === 20;
+    const hit = crit || (natural !== 1 && atk.total >= ac);
+    const who = attacker?.name || 'Someone';
+    this.log(`${who} attacks ${target.name}: ${atk.total} vs AC ${ac} — ${crit ? 'critical hit' : hit ? 'hit' : 'miss'}`, 'action');
+    let dmg = null;
+    if (hit) {
+      const notation = opts.damage || this.getSettings().defaultDamage || '1d6';
+      dmg = await this.damage(target.name, crit ? `(${notation})*2` : notation);
+      if (!dmg.ok) return dmg;
+    } else {
+      await this.save();
+    }
+    dispatch('stres:combat:actionApplied', { actorId: who, action: { type: 'attack', targetId: target.id, hit, crit }, source: 'local' });
+    return { ok: true, attacker, target, hit, crit, attackRoll: atk, damage: dmg };
+  },
+
+  // Re-broadcast the current roster (e.g. after a chat switch) without mutating state
+  publish() {
+    const snap = this.snapshot();
+    dispatch('stres:combat:roster', snap);
+    return snap;
+  },
+
+  snapshot() {
+    const c = this.readCombat();
+    const actor = c.active ? c.combatants[c.turn] : null;
+    return {
+      active: c.active,
+      round: c.round,
+      actor: actor ? actor.name : null,
+      combatants: c.combatants.map(x => Object.assign({ current: x === actor }, x)),
+    };
+  },
+
+  // CombatManager-compatible surface so CombatPanel can drive the local tracker
+  getCurrentState() {
+    const c = this.readCombat();
+    const actor = this.current();
+    return {
+      isActive: c.active,
+      currentEncounter: c.active ? { id: 'local', source: 'local' } : null,
+      currentTurn: actor ? {
+        encounterId: 'local',
+        round: c.round,
+        actorId: actor.name,
+        enemies: c.combatants.filter(x => x.side !== actor.side && x.status !== 'defeated').map(x => ({ id: x.id, name: x.name })),
+      } : null,
+      log: c.log.slice(),
+    };
+  },
+
+  async performAttack(targetId) {
+    const res = await this.attack(targetId);
+    return res.ok ? { success: true, data: res } : { success: false, error: res.error };
+  },
+};
+
+export default function createCombatTracker() {
+  return Object.assign({}, CombatTrackerPrototype);
+}
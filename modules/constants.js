@@ -20,10 +20,20 @@ export const defaultSettings = {
       summaries: { enabled: false, maxTokens: 250, sticky: false },
       rag: { enabled: false, maxTokens: 300, topK: 2, sticky: false },
       npc: { enabled: false, maxTokens: 400, sticky: false },
+      // Long-term DSAM memories recalled for the current turn
+      memory: { enabled: false, maxTokens: 250, topK: 3, sticky: false },
       hud: { enabled: false, maxTokens: 200, sticky: true },
       combat: { enabled: true, maxTokens: 220, sticky: true },
     },
-    degrade: { order: ['rag', 'npc', 'summaries', 'primer', 'hud', 'header', 'combat'] },
+    degrade: { order: ['rag', 'npc', 'memory', 'summaries', 'primer', 'hud', 'header', 'combat'] },
+  },
+  tokenizer: {
+    // 'auto' follows the active chat completion source/model; or one of o200k, cl100k, llama3, qwen,
+    // deepseek, claude, mistral, gemini
+    family: 'auto',
+    // Vocabulary URLs by name (cl100k_base, o200k_base, llama3, qwen) in tiktoken format. Without one,
+    // counts are estimated.
+    vocabs: {},
   },
   rag: {
     enabled: false,
@@ -155,9 +165,49 @@ export const defaultSettings = {
     },
     header: {
       enabled: true,
-      template: '⚔️ Round {round} • Init: {order}',
+      template: '⚔️ Round {round} • Turn: {actor} • Init: {order}',
+      // Append active conditions when the template has no {conditions} placeholder
+      conditions: true,
+    },
+    tracker: {
+      showPanel: true,
+      autoRemoveDefeated: false,
+      defaultDamage: '1d6',
     },
   },
+  inventory: {
+    // 'chat' keeps inventories per chat; 'settings' shares them across chats
+    storage: 'chat',
+    maxWeight: 60,
+    enforceWeight: false,
+    defaultWeight: 1,
+    maxStack: 99,
+    currencyRates: { gold: 100, silver: 10, copper: 1 },
+    autoSync: true,
+    syncIntervalMs: 60000,
+  },
+  xp: {
+    // Opt-in: detect tasks in narrated turns and propose XP awards for confirmation
+    autoDetect: false,
+  },
+  taskDetection: {
+    // Extra rules on top of the worldpack's taskDetection.rules, e.g.
+    // { id: 'sailing', category: 'travel', keywords: ['sets sail', 'tacks'], weight: 0.8, difficulty: 2 }
+    // A rule with the id of an existing one replaces it; { id, enabled: false } switches it off
+    rules: [],
+    replaceDefaults: false,
+  },
+  memoryTiers: {
+    // Serve NPC personas and location descriptions at the detail of their memory temperature
+    // (full when seen this scene, compressed as they cool on the game clock)
+    enabled: true,
+  },
+  social: {
+    showPanel: true,
+    // Add relationship summaries to NPC prompt chunks
+    inject: true,
+    recent: 8,
+  },
 };
 
 // Keep historical default of localhost backend
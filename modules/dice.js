@@ -0,0 +1,418 @@
+// Dice engine: parser, seeded roller and per-die breakdown for /stres dice and the stres_dice tool.
+//
+// Grammar (whitespace ignored, case-insensitive):
+//   expr    := term (('+' | '-') term)*
+//   term    := factor (('*' | '/') factor)*
+//   factor  := '-' factor | '(' expr ')' | number | dice
+//   dice    := [count] 'd' (sides | '%') modifier*
+//   modifier:= kh[N] | kl[N] | k[N] | dh[N] | dl[N] | d N      keep / drop (N defaults to 1)
+//            | '!' [compare]                                   explode (default: max face)
+//            | r compare | ro compare                          reroll until clear / reroll once
+//            | adv | dis                                       roll the group twice, keep higher / lower
+//            | compare                                         success pool: count dice matching
+//   compare := ['=' | '<' | '>' | '<=' | '>='] number
+// A trailing " adv" / " dis" word applies to the first d20 group (e.g. "1d20+5 adv").
+
+const MAX_DICE = 1000;
+const MAX_SIDES = 10000;
+const MAX_CHAIN = 100;
+const HISTORY_LIMIT = 20;
+
+function hashSeed(seed) {
+  const s = String(seed);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+export function randomSeed() {
+  try {
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+      const buf = new Uint32Array(1);
+      crypto.getRandomValues(buf);
+      return buf[0].toString(36);
+    }
+  } catch {}
+  return Math.floor(Math.random() * 0xffffffff).toString(36);
+}
+
+// mulberry32 — small, fast and good enough for tabletop rolls
+export function createRng(seed) {
+  let a = hashSeed(seed);
+  return function next() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function matches(cmp, value) {
+  switch (cmp.op) {
+    case '<': return value < cmp.value;
+    case '>': return value > cmp.value;
+    case '<=': return value <= cmp.value;
+    case '>=': return value >= cmp.value;
+    default: return value === cmp.value;
+  }
+}
+
+function formatCompare(cmp) {
+  return `${cmp.op === '=' ? '' : cmp.op}${cmp.value}`;
+}
+
+function createParser(src) {
+  let pos = 0;
+  const fail = (msg) => { throw new Error(`${msg} at position ${pos + 1}`); };
+  const peek = (n = 0) => src[pos + n] || '';
+  const startsWith = (s) => src.startsWith(s, pos);
+  const readInt = () => {
+    const m = /^\d+/.exec(src.slice(pos));
+    if (!m) return null;
+    pos += m[0].length;
+    return parseInt(m[0], 10);
+  };
+  const readNumber = () => {
+    const m = /^\d+(?:\.\d+)?/.exec(src.slice(pos));
+    if (!m) return null;
+    pos += m[0].length;
+    return Number(m[0]);
+  };
+  const readCompare = (required) => {
+    let op = '=';
+    for (const cand of ['<=', '>=', '<', '>', '=']) {
+      if (startsWith(cand)) { op = cand; pos += cand.length; break; }
+    }
+    const value = readInt();
+    if (value == null) {
+      if (required || op !== '=') fail('Expected a number');
+      return null;
+    }
+    return { op, value };
+  };
+
+  const parseDice = (count) => {
+    pos++; // 'd'
+    let sides;
+    if (peek() === '%') { pos++; sides = 100; }
+    else {
+      sides = readInt();
+      if (sides == null) fail('Expected die size');
+    }
+    if (count < 1 || count > MAX_DICE) fail(`Dice count must be 1-${MAX_DICE}`);
+    if (sides < 2 || sides > MAX_SIDES) fail(`Die size must be 2-${MAX_SIDES}`);
+    const node = { type: 'dice', count, sides, keep: null, explode: null, reroll: null, success: null, adv: null };
+    for (;;) {
+      if (startsWith('kh') || startsWith('kl') || startsWith('dh') || startsWith('dl')) {
+        const kind = src.slice(pos, pos + 2); pos += 2;
+        const n = readInt();
+        node.keep = { mode: kind, n: n == null ? 1 : n };
+      } else if (peek() === 'k') {
+        pos++;
+        const n = readInt();
+        node.keep = { mode: 'kh', n: n == null ? 1 : n };
+      } else if (peek() === 'd' && /\d/.test(peek(1))) {
+        pos++;
+        node.keep = { mode: 'dl', n: readInt() };
+      } else if (peek() === '!') {
+        pos++;
+        node.explode = readCompare(false) || { op: '=', value: sides };
+      } else if (startsWith('ro')) {
+        pos += 2;
+        node.reroll = { once: true, cmp: readCompare(true) };
+      } else if (peek() === 'r') {
+        pos++;
+        node.reroll = { once: false, cmp: readCompare(true) };
+      } else if (startsWith('adv')) {
+        pos += 3; node.adv = 'adv';
+      } else if (startsWith('dis')) {
+        pos += 3; node.adv = 'dis';
+      } else if (/[<>=]/.test(peek())) {
+        node.success = readCompare(true);
+      } else {
+        break;
+      }
+    }
+    if (node.keep && (node.keep.n < 0 || node.keep.n > count)) fail('Keep/drop count exceeds dice rolled');
+    if (node.explode && matches(node.explode, 1) && matches(node.explode, sides)) fail('Explode condition matches every face');
+    if (node.reroll && matches(node.reroll.cmp, 1) && matches(node.reroll.cmp, sides) && !node.reroll.once) fail('Reroll condition matches every face');
+    return node;
+  };
+
+  const parseFactor = () => {
+    const ch = peek();
+    if (ch === '-') { pos++; return { type: 'neg', expr: parseFactor() }; }
+    if (ch === '+') { pos++; return parseFactor(); }
+    if (ch === '(') {
+      pos++;
+      const expr = parseExpr();
+      if (peek() !== ')') fail('Expected )');
+      pos++;
+      return { type: 'paren', expr };
+    }
+    if (ch === 'd') return parseDice(1);
+    const n = readNumber();
+    if (n == null) fail(ch ? `Unexpected "${ch}"` : 'Unexpected end of notation');
+    if (peek() === 'd') {
+      if (!Number.isInteger(n)) fail('Dice count must be a whole number');
+      return parseDice(n);
+    }
+    return { type: 'num', value: n };
+  };
+
+  const parseTerm = () => {
+    let left = parseFactor();
+    while (peek() === '*' || peek() === '/') {
+      const op = src[pos++];
+      left = { type: 'bin', op, left, right: parseFactor() };
+    }
+    return left;
+  };
+
+  function parseExpr() {
+    let left = parseTerm();
+    while (peek() === '+' || peek() === '-') {
+      const op = src[pos++];
+      left = { type: 'bin', op, left, right: parseTerm() };
+    }
+    return left;
+  }
+
+  return {
+    parse() {
+      const ast = parseExpr();
+      if (pos < src.length) fail(`Unexpected "${peek()}"`);
+      return ast;
+    },
+  };
+}
+
+function walkDice(node, fn) {
+  if (!node) return;
+  if (node.type === 'dice') fn(node);
+  else if (node.type === 'bin') { walkDice(node.left, fn); walkDice(node.right, fn); }
+  else if (node.type === 'neg' || node.type === 'paren') walkDice(node.expr, fn);
+}
+
+export function parseDice(notation) {
+  try {
+    let src = String(notation || '').trim().toLowerCase();
+    let trailingAdv = null;
+    const m = src.match(/\s+(adv|advantage|dis|disadvantage)$/);
+    if (m) {
+      trailingAdv = m[1].startsWith('adv') ? 'adv' : 'dis';
+      src = src.slice(0, m.index);
+    }
+    src = src.replace(/\s+/g, '');
+    if (!src) return { ok: false, error: 'Empty notation' };
+    const ast = createParser(src).parse();
+    if (trailingAdv) {
+      let target = null;
+      walkDice(ast, (d) => { if (!target && d.sides === 20) target = d; });
+      if (!target) walkDice(ast, (d) => { if (!target) target = d; });
+      if (!target) return { ok: false, error: 'Advantage needs a dice group' };
+      target.adv = trailingAdv;
+    }
+    return { ok: true, ast };
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
+}
+
+function rollDie(rng, sides) {
+  return 1 + Math.floor(rng() * sides);
+}
+
+function rollSet(rng, node) {
+  const dice = [];
+  for (let i = 0; i < node.count; i++) {
+    let value = rollDie(rng, node.sides);
+    if (node.reroll) {
+      let guard = 0;
+      while (matches(node.reroll.cmp, value) && guard++ < MAX_CHAIN) {
+        dice.push({ value, kept: false, rerolled: true });
+        value = rollDie(rng, node.sides);
+        if (node.reroll.once) break;
+      }
+    }
+    let die = { value, kept: true };
+    dice.push(die);
+    let chain = 0;
+    while (node.explode && matches(node.explode, die.value) && chain++ < MAX_CHAIN) {
+      die.exploded = true;
+      die = { value: rollDie(rng, node.sides), kept: true, bonus: true };
+      dice.push(die);
+    }
+  }
+
+  if (node.keep) {
+    const active = dice.filter(d => !d.rerolled);
+    const order = active.slice().sort((a, b) => a.value - b.value);
+    const { mode, n } = node.keep;
+    let dropped = [];
+    if (mode === 'kh') dropped = order.slice(0, Math.max(0, order.length - n));
+    else if (mode === 'kl') dropped = order.slice(Math.min(n, order.length));
+    else if (mode === 'dh') dropped = order.slice(Math.max(0, order.length - n));
+    else if (mode === 'dl') dropped = order.slice(0, n);
+    for (const d of dropped) { d.kept = false; d.dropped = true; }
+  }
+
+  let value = 0;
+  for (const d of dice) {
+    if (!d.kept) continue;
+    if (node.success) {
+      d.success = matches(node.success, d.value);
+      if (d.success) value += 1;
+    } else {
+      value += d.value;
+    }
+  }
+  return { dice, value };
+}
+
+function describeGroup(node) {
+  let out = `${node.count}d${node.sides}`;
+  if (node.reroll) out += `${node.reroll.once ? 'ro' : 'r'}${formatCompare(node.reroll.cmp)}`;
+  if (node.explode) out += (node.explode.op === '=' && node.explode.value === node.sides) ? '!' : `!${formatCompare(node.explode)}`;
+  if (node.keep) out += `${node.keep.mode}${node.keep.n}`;
+  if (node.success) out += node.success.op === '=' ? `=${node.success.value}` : formatCompare(node.success);
+  if (node.adv) out += node.adv;
+  return out;
+}
+
+function evaluate(node, rng, groups) {
+  switch (node.type) {
+    case 'num':
+      return node.value;
+    case 'neg':
+      return -evaluate(node.expr, rng, groups);
+    case 'paren':
+      return evaluate(node.expr, rng, groups);
+    case 'bin': {
+      const a = evaluate(node.left, rng, groups);
+      const b = evaluate(node.right, rng, groups);
+      if (node.op === '+') return a + b;
+      if (node.op === '-') return a - b;
+      if (node.op === '*') return a * b;
+      if (b === 0) throw new Error('Division by zero');
+      return Math.floor(a / b);
+    }
+    case 'dice': {
+      let picked = rollSet(rng, node);
+      if (node.adv) {
+        const other = rollSet(rng, node);
+        const preferOther = node.adv === 'adv' ? other.value > picked.value : other.value < picked.value;
+        const [win, lose] = preferOther ? [other, picked] : [picked, other];
+        for (const d of lose.dice) { d.kept = false; d.dropped = true; delete d.success; }
+        picked = { value: win.value, dice: preferOther ? lose.dice.concat(win.dice) : win.dice.concat(lose.dice) };
+      }
+      const group = {
+        notation: describeGroup(node),
+        count: node.count,
+        sides: node.sides,
+        dice: picked.dice,
+        value: picked.value,
+      };
+      if (node.success) group.successes = picked.value;
+      node.group = group;
+      groups.push(group);
+      return picked.value;
+    }
+    default:
+      throw new Error('Unknown node');
+  }
+}
+
+function formatDie(d) {
+  let v = String(d.value);
+  if (d.exploded) v += '!';
+  if (d.success) v = `**${v}**`;
+  if (!d.kept) v = `~~${v}~~`;
+  return v;
+}
+
+function render(node) {
+  switch (node.type) {
+    case 'num': return String(node.value);
+    case 'neg': return `-${render(node.expr)}`;
+    case 'paren': return `(${render(node.expr)})`;
+    case 'bin': return `${render(node.left)} ${node.op} ${render(node.right)}`;
+    case 'dice': {
+      const g = node.group;
+      const body = g.dice.map(formatDie).join(', ');
+      return `${g.notation} [${body}]${g.successes != null ? ` (${g.successes} success${g.successes === 1 ? '' : 'es'})` : ''}`;
+    }
+    default: return '?';
+  }
+}
+
+// Sum of bare numbers in the top-level +/- chain (back-compat "mod" for XdY+Z callers)
+function topLevelModifier(node, sign = 1) {
+  if (!node) return 0;
+  if (node.type === 'num') return sign * node.value;
+  if (node.type === 'neg') return topLevelModifier(node.expr, -sign);
+  if (node.type === 'bin' && (node.op === '+' || node.op === '-')) {
+    return topLevelModifier(node.left, sign) + topLevelModifier(node.right, node.op === '-' ? -sign : sign);
+  }
+  return 0;
+}
+
+export function rollDice(notation, opts = {}) {
+  try {
+    const parsed = parseDice(notation);
+    if (!parsed.ok) return { ok: false, error: parsed.error };
+    const seed = opts.seed != null && String(opts.seed).trim() ? String(opts.seed).trim() : randomSeed();
+    const rng = createRng(seed);
+    const groups = [];
+    const total = evaluate(parsed.ast, rng, groups);
+    const rolls = [];
+    for (const g of groups) for (const d of g.dice) if (d.kept) rolls.push(d.value);
+    const successes = groups.some(g => g.successes != null)
+      ? groups.reduce((sum, g) => sum + (g.successes || 0), 0)
+      : null;
+    return {
+      ok: true,
+      notation: String(notation).trim(),
+      seed,
+      total,
+      rolls,
+      mod: topLevelModifier(parsed.ast),
+      successes,
+      breakdown: groups,
+      text: `${render(parsed.ast)} = ${total}`,
+    };
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
+}
+
+export const STRESDice = {
+  history: [],
+
+  roll(notation, opts = {}) {
+    const res = rollDice(notation, opts);
+    if (res.ok) {
+      this.history.push({ notation: res.notation, seed: res.seed, total: res.total, at: Date.now(), source: opts.source || null });
+      if (this.history.length > HISTORY_LIMIT) this.history.splice(0, this.history.length - HISTORY_LIMIT);
+    }
+    return res;
+  },
+
+  // Re-roll a previous entry with its original seed; identical notation + seed always yields identical dice
+  replay(index = -1) {
+    const i = index < 0 ? this.history.length + index : index;
+    const entry = this.history[i];
+    if (!entry) return { ok: false, error: 'No roll to replay' };
+    return rollDice(entry.notation, { seed: entry.seed });
+  },
+
+  last() {
+    return this.history[this.history.length - 1] || null;
+  },
+};
+
+export default STRESDice;
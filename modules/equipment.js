@@ -0,0 +1,262 @@
+// Equipment slot model shared by the offline inventory store, InventoryManager and the quickbar.
+// Items declare a slot kind (item.slot or item.properties.slot) or get one inferred from type/name;
+// a kind maps onto one or more body slots. Two-handed items occupy both hands and rings may go on
+// either ring slot. Equipping into an occupied slot swaps the occupant out unless it is cursed.
+
+export const SLOTS = {
+  head: { label: 'Head', icon: '🪖' },
+  neck: { label: 'Neck', icon: '📿' },
+  body: { label: 'Body', icon: '🛡️' },
+  cloak: { label: 'Cloak', icon: '🧥' },
+  hands: { label: 'Hands', icon: '🧤' },
+  waist: { label: 'Waist', icon: '🎗️' },
+  feet: { label: 'Feet', icon: '🥾' },
+  main_hand: { label: 'Main hand', icon: '⚔️' },
+  off_hand: { label: 'Off hand', icon: '🗡️' },
+  ring_1: { label: 'Ring 1', icon: '💍' },
+  ring_2: { label: 'Ring 2', icon: '💍' },
+};
+
+const KIND_SLOTS = {
+  head: ['head'],
+  neck: ['neck'],
+  body: ['body'],
+  cloak: ['cloak'],
+  hands: ['hands'],
+  waist: ['waist'],
+  feet: ['feet'],
+  main_hand: ['main_hand'],
+  off_hand: ['off_hand'],
+  one_hand: ['main_hand', 'off_hand'],
+  two_hand: ['main_hand', 'off_hand'],
+  ring: ['ring_1', 'ring_2'],
+};
+
+const ALIASES = {
+  helmet: 'head', helm: 'head', hat: 'head',
+  amulet: 'neck', necklace: 'neck',
+  chest: 'body', torso: 'body', armor: 'body', armour: 'body',
+  cape: 'cloak', back: 'cloak',
+  gloves: 'hands', hand: 'hands',
+  belt: 'waist',
+  boots: 'feet', legs: 'feet',
+  mainhand: 'main_hand', main: 'main_hand', weapon: 'main_hand', primary: 'main_hand', right: 'main_hand',
+  offhand: 'off_hand', off: 'off_hand', shield: 'off_hand', secondary: 'off_hand', left: 'off_hand',
+  onehand: 'one_hand', onehanded: 'one_hand', '1h': 'one_hand',
+  twohand: 'two_hand', twohanded: 'two_hand', '2h': 'two_hand', both: 'two_hand',
+  ring1: 'ring_1', ring2: 'ring_2', rings: 'ring',
+};
+
+const NAME_HINTS = [
+  [/\b(helm|helmet|hat|hood|cap|circlet|crown)\b/i, 'head'],
+  [/\b(amulet|necklace|pendant|torc|talisman)\b/i, 'neck'],
+  [/\b(cloak|cape|mantle)\b/i, 'cloak'],
+  [/\b(gloves?|gauntlets?|bracers?)\b/i, 'hands'],
+  [/\b(belt|girdle|sash)\b/i, 'waist'],
+  [/\b(boots?|shoes?|greaves|sandals?)\b/i, 'feet'],
+  [/\brings?\b/i, 'ring'],
+  [/\b(shield|buckler)\b/i, 'off_hand'],
+];
+
+const TWO_HANDED = /\b(great\s?sword|greatsword|great\s?axe|greataxe|halberd|glaive|pike|maul|war\s?hammer|longbow|bow|crossbow|staff|quarterstaff|two[- ]?handed)\b/i;
+
+function key(text) {
+  return String(text || '').trim().toLowerCase().replace(/[\s\-]+/g, '_');
+}
+
+// Accepts slot or kind names in loose form ("off hand", "ring 2", "2h") and returns the canonical key
+export function normalizeSlot(text) {
+  const k = key(text);
+  if (!k) return null;
+  if (SLOTS[k] || KIND_SLOTS[k]) return k;
+  const compact = k.replace(/_/g, '');
+  return ALIASES[compact] || ALIASES[k] || null;
+}
+
+export function slotLabel(slot) {
+  return SLOTS[slot]?.label || String(slot || '');
+}
+
+export function itemSlotKind(item) {
+  if (!item) return null;
+  const declared = normalizeSlot(item.slot || item.properties?.slot);
+  if (declared) {
+    if (declared === 'ring_1' || declared === 'ring_2') return 'ring';
+    return declared;
+  }
+  const name = String(item.name || item.id || '');
+  const twoHanded = item.twoHanded || item.properties?.twoHanded;
+  if (item.type === 'weapon') {
+    if (twoHanded || TWO_HANDED.test(name)) return 'two_hand';
+    if (/\b(shield|buckler)\b/i.test(name)) return 'off_hand';
+    return 'one_hand';
+  }
+  for (const [re, kind] of NAME_HINTS) {
+    if (re.test(name)) return kind;
+  }
+  if (item.type === 'armor') return 'body';
+  return null;
+}
+
+// Slots an equipped item currently occupies; falls back to its kind for server data without slots
+export function equippedSlots(item) {
+  if (!item?.equipped) return [];
+  if (Array.isArray(item.equippedSlots) && item.equippedSlots.length) return item.equippedSlots.slice();
+  const kind = itemSlotKind(item);
+  if (!kind) return [];
+  if (kind === 'two_hand') return ['main_hand', 'off_hand'];
+  return [KIND_SLOTS[kind][0]];
+}
+
+export function slotMap(items) {
+  const map = {};
+  for (const item of items || []) {
+    for (const slot of equippedSlots(item)) {
+      if (!map[slot]) map[slot] = item;
+    }
+  }
+  return map;
+}
+
+function isCursed(item) {
+  return !!(item?.cursed || item?.properties?.cursed);
+}
+
+export function planEquip(items, item, requested) {
+  const kind = itemSlotKind(item);
+  if (!kind) return { ok: false, error: `${item?.name || 'Item'} cannot be equipped` };
+  const candidates = KIND_SLOTS[kind];
+  const others = (items || []).filter(i => i !== item && i.id !== item.id && i.equipped);
+  const occupant = (slot) => others.find(i => equippedSlots(i).includes(slot));
+  let target;
+  if (kind === 'two_hand') {
+    target = candidates.slice();
+  } else if (requested) {
+    const slot = normalizeSlot(requested);
+    if (!slot || !candidates.includes(slot)) {
+      return { ok: false, error: `${item.name} can't be equipped in ${slotLabel(slot) || requested}; fits ${candidates.map(slotLabel).join(' or ')}` };
+    }
+    target = [slot];
+  } else {
+    target = [candidates.find(slot => !occupant(slot)) || candidates[0]];
+  }
+  const current = equippedSlots(item);
+  if (current.length && current.length === target.length && current.every(s => target.includes(s))) {
+    return { ok: false, error: `${item.name} is already equipped (${target.map(slotLabel).join(' + ')})` };
+  }
+  if (current.length && isCursed(item)) {
+    return { ok: false, error: `${item.name} is cursed and cannot be moved` };
+  }
+  const displaced = others.filter(i => equippedSlots(i).some(slot => target.includes(slot)));
+  const locked = displaced.find(isCursed);
+  if (locked) return { ok: false, error: `${locked.name} is cursed and cannot be removed` };
+  return { ok: true, kind, slots: target, displaced };
+}
+
+// Query may be a slot name ("off hand", "ring 2", legacy "weapon"/"armor") or an item name
+export function planUnequip(items, query) {
+  const equipped = (items || []).filter(i => i.equipped);
+  const q = String(query || '').trim().toLowerCase();
+  if (!q) return { ok: false, error: 'Specify an item or slot' };
+  const slot = normalizeSlot(q);
+  let item = null;
+  if (slot && SLOTS[slot]) item = slotMap(equipped)[slot] || null;
+  else if (slot === 'ring') item = slotMap(equipped).ring_1 || slotMap(equipped).ring_2 || null;
+  if (!item) item = equipped.find(i => i.id === q) || equipped.find(i => String(i.name || '').toLowerCase().includes(q)) || null;
+  if (!item) return { ok: false, error: `No equipped item found matching "${query}"` };
+  if (isCursed(item)) return { ok: false, error: `${item.name} is cursed and cannot be removed` };
+  return { ok: true, item, slots: equippedSlots(item) };
+}
+
+// Sums numeric item.stats (or properties.stats) of equipped items; armor/armorClass shorthands count as armor
+export function aggregateStats(items) {
+  const totals = {};
+  const sources = {};
+  for (const item of items || []) {
+    if (!item?.equipped) continue;
+    const stats = Object.assign({}, item.properties?.stats || {}, item.stats || {});
+    const armor = item.properties?.armor ?? item.properties?.armorClass;
+    if (Number.isFinite(Number(armor)) && stats.armor == null) stats.armor = Number(armor);
+    for (const [stat, raw] of Object.entries(stats)) {
+      const value = Number(raw);
+      if (!Number.isFinite(value) || !value) continue;
+      totals[stat] = (totals[stat] || 0) + value;
+      (sources[stat] = sources[stat] || []).push(item.name);
+    }
+  }
+  return { totals, sources };
+}
+
+function humanize(stat) {
+  return String(stat).replace(/[_\-]+/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').replace(/\b\w/g, c => c.toUpperCase());
+}
+
+export const STRESEquipment = {
+  SLOTS,
+  normalizeSlot,
+  slotLabel,
+  itemSlotKind,
+  equippedSlots,
+  slotMap,
+  planEquip,
+  planUnequip,
+  aggregateStats,
+
+  hud: null,
+
+  // Mirror aggregated gear stats into STRESHud whenever an inventory source reports a change
+  init(ctx, { hud } = {}) {
+    this.hud = hud || null;
+    if (this.bound) return;
+    this.bound = true;
+    const onChange = (event) => {
+      const inventory = event?.detail?.inventory || event?.detail;
+      if (inventory && Array.isArray(inventory.items)) this.syncHud(inventory.items);
+    };
+    try {
+      window.addEventListener('stres:inventory:changed', onChange);
+      window.addEventListener('stres:inventory:updated', onChange);
+    } catch {}
+  },
+
+  hudFields(items) {
+    const { totals, sources } = aggregateStats(items);
+    const fields = Object.entries(totals).map(([stat, value]) => ({
+      key: `gear_${stat}`,
+      label: humanize(stat),
+      value: value > 0 && stat !== 'armor' ? `+${value}` : String(value),
+      current: value,
+      category: 'equipment',
+      tags: ['equipment'],
+      metadata: { sources: sources[stat] },
+    }));
+    const map = slotMap(items);
+    const worn = Object.keys(SLOTS).filter(slot => map[slot]).map(slot => map[slot].name);
+    fields.push({
+      key: 'gear_equipped',
+      label: 'Equipped',
+      value: worn.length ? Array.from(new Set(worn)).join(', ') : 'Nothing',
+      category: 'equipment',
+      tags: ['equipment'],
+      priority: 0,
+    });
+    return fields;
+  },
+
+  syncHud(items) {
+    const hud = this.hud || window.STRESHud;
+    if (!hud?.setFields) return;
+    const fields = this.hudFields(items);
+    const keys = fields.map(f => f.key);
+    try {
+      const existing = hud.getHudState?.()?.fields || [];
+      const stale = existing.filter(f => f.tags?.includes('equipment') && !keys.includes(f.key)).map(f => f.key);
+      if (stale.length) hud.removeFields?.(stale);
+      hud.setFields(fields, { origin: 'equipment', reason: 'equipment' });
+    } catch (error) {
+      console.warn('[STRES] Equipment HUD sync failed', error);
+    }
+  },
+};
+
+export default STRESEquipment;
@@ -0,0 +1,479 @@
+import { extensionName, defaultSettings } from './constants.js';
+import { planEquip, planUnequip, slotMap, slotLabel, aggregateStats } from './equipment.js';
+
+// Offline-first inventory store. Each character gets a record with item stacks, carry weight and
+// currency, kept in chat metadata (default) or extension settings. Local mutations are journaled
+// in `pending` and replayed against /api/inventory once the backend answers again; the server
+// snapshot then becomes the new local baseline.
+
+const PENDING_LIMIT = 200;
+const TYPES = ['weapon', 'armor', 'consumable', 'tool', 'misc'];
+
+function clone(value) {
+  try {
+    return structuredClone(value);
+  } catch {
+    return value ? JSON.parse(JSON.stringify(value)) : value;
+  }
+}
+
+function humanize(id) {
+  return String(id || '')
+    .replace(/[_\-]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/\b\w/g, (c) => c.toUpperCase());
+}
+
+function slug(text) {
+  return String(text || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+function emptyRecord(settings) {
+  return {
+    items: [],
+    currency: { gold: 0, silver: 0, copper: 0 },
+    maxWeight: settings.maxWeight,
+    revision: 0,
+    pending: [],
+    source: 'local',
+    updatedAt: Date.now(),
+    syncedAt: null,
+  };
+}
+
+const InventoryStorePrototype = {
+  ctx: null,
+  syncTimer: null,
+  syncing: null,
+
+  init(ctx) {
+    this.ctx = ctx || window.SillyTavern?.getContext?.() || null;
+    this.startAutoSync();
+  },
+
+  getSettings() {
+    const s = window.extension_settings?.[extensionName] || {};
+    return Object.assign({}, defaultSettings.inventory, s.inventory || {});
+  },
+
+  getServerBase() {
+    const s = window.extension_settings?.[extensionName] || {};
+    return String(s.serverUrl || defaultSettings.serverUrl || '').replace(/\/$/, '');
+  },
+
+  characterKey(characterId) {
+    if (characterId) return String(characterId);
+    const s = window.extension_settings?.[extensionName] || {};
+    const ctx = this.ctx || window.SillyTavern?.getContext?.();
+    return String(s.characterId || ctx?.name1 || 'default');
+  },
+
+  // Storage root: chat metadata keeps inventories per adventure, settings keeps them global
+  getRoot() {
+    if (this.getSettings().storage === 'settings') {
+      const root = window.extension_settings || (window.extension_settings = {});
+      root[extensionName] = root[extensionName] || structuredClone(defaultSettings);
+      const inv = root[extensionName].inventory = root[extensionName].inventory || {};
+      return inv.store = inv.store || {};
+    }
+    const ctx = this.ctx || window.SillyTavern?.getContext?.();
+    const meta = ctx?.chatMetadata || (ctx ? (ctx.chatMetadata = ctx.chatMetadata || {}) : {});
+    meta.stres = meta.stres || {};
+    return meta.stres.inventory = meta.stres.inventory || {};
+  },
+
+  persist() {
+    try {
+      if (this.getSettings().storage === 'settings') {
+        const ctx = window.SillyTavern?.getContext?.();
+        (ctx?.saveSettingsDebounced || window.saveSettingsDebounced)?.();
+      } else {
+        (this.ctx || window.SillyTavern?.getContext?.())?.saveMetadata?.();
+      }
+    } catch {}
+  },
+
+  getRecord(characterId) {
+    const key = this.characterKey(characterId);
+    const root = this.getRoot();
+    const rec = root[key] = root[key] || emptyRecord(this.getSettings());
+    rec.items = Array.isArray(rec.items) ? rec.items : [];
+    rec.pending = Array.isArray(rec.pending) ? rec.pending : [];
+    rec.currency = Object.assign({ gold: 0, silver: 0, copper: 0 }, rec.currency || {});
+    return rec;
+  },
+
+  // Every mutation bumps the record's revision; server snapshots carry their own revision over
+  commit(characterId, rec, op, revision) {
+    rec.updatedAt = Date.now();
+    rec.revision = Number.isFinite(revision) ? revision : (Number(rec.revision) || 0) + 1;
+    if (op) {
+      rec.pending.push(Object.assign({ at: Date.now() }, op));
+      if (rec.pending.length > PENDING_LIMIT) rec.pending.splice(0, rec.pending.length - PENDING_LIMIT);
+    }
+    this.persist();
+    const key = this.characterKey(characterId);
+    const view = this.view(key);
+    try { window.dispatchEvent(new CustomEvent('stres:inventory:changed', { detail: { characterId: key, inventory: view, op: op || null } })); } catch {}
+    if (op) this.scheduleSync(key);
+    return view;
+  },
+
+  // Same shape as InventoryManager.transformApiData so UI code can use either source
+  view(characterId) {
+    const rec = this.getRecord(characterId);
+    const items = rec.items.map(i => clone(i));
+    const carryWeight = Math.round(this.calculateWeight(items) * 100) / 100;
+    return {
+      items,
+      carryWeight,
+      maxWeight: rec.maxWeight || this.getSettings().maxWeight,
+      overweight: carryWeight > (rec.maxWeight || this.getSettings().maxWeight),
+      currency: Object.assign({}, rec.currency),
+      weapons: items.filter((i) => i.type === 'weapon'),
+      armor: items.filter((i) => i.type === 'armor'),
+      consumables: items.filter((i) => i.type === 'consumable'),
+      equippedWeapon: items.find((i) => i.type === 'weapon' && i.equipped),
+      equippedArmor: items.filter((i) => i.type === 'armor' && i.equipped),
+      equipment: Object.fromEntries(Object.entries(slotMap(items)).map(([slot, i]) => [slot, { id: i.id, name: i.name }])),
+      equippedStats: aggregateStats(items).totals,
+      source: rec.source,
+      revision: rec.revision || 0,
+      pending: rec.pending.length,
+      syncedAt: rec.syncedAt,
+    };
+  },
+
+  calculateWeight(items) {
+    return (items || []).reduce((total, item) => total + (Number(item.weight) || 0) * (Number(item.quantity) || 0), 0);
+  },
+
+  find(characterId, query) {
+    const rec = this.getRecord(characterId);
+    const q = String(query || '').trim().toLowerCase();
+    if (!q) return null;
+    const key = slug(q);
+    return rec.items.find(i => i.id === q || i.itemId === key || i.id === key)
+      || rec.items.find(i => String(i.name || '').toLowerCase() === q)
+      || rec.items.find(i => String(i.name || '').toLowerCase().includes(q))
+      || null;
+  },
+
+  normalizeItem(spec) {
+    const settings = this.getSettings();
+    const base = typeof spec === 'string' ? { id: spec } : Object.assign({}, spec);
+    const itemId = slug(base.itemId || base.id || base.name);
+    const type = TYPES.includes(String(base.type || '').toLowerCase()) ? String(base.type).toLowerCase() : 'misc';
+    // Keep extra item data (durability, rarity, quality...) but never instance fields
+    const { id, quantity, equipped, equippedSlots, ...extra } = base;
+    return {
+      ...extra,
+      itemId,
+      name: base.name || humanize(itemId),
+      type,
+      weight: Number.isFinite(Number(base.weight)) ? Number(base.weight) : settings.defaultWeight,
+      stackable: base.stackable != null ? !!base.stackable : !['weapon', 'armor'].includes(type),
+      maxStack: Number(base.maxStack) || settings.maxStack,
+      description: base.description || '',
+      properties: base.properties || {},
+    };
+  },
+
+  instanceId(rec, itemId) {
+    let id = itemId;
+    for (let n = 2; rec.items.some(i => i.id === id); n++) id = `${itemId}#${n}`;
+    return id;
+  },
+
+  addItem(characterId, spec, quantity = 1, opts = {}) {
+    const qty = Math.max(1, Math.floor(Number(quantity) || 1));
+    const rec = this.getRecord(characterId);
+    const item = this.normalizeItem(spec);
+    if (!item.itemId) return { success: false, message: 'Item id required' };
+    const addedWeight = item.weight * qty;
+    const limit = rec.maxWeight || this.getSettings().maxWeight;
+    const projected = this.calculateWeight(rec.items) + addedWeight;
+    if (this.getSettings().enforceWeight && projected > limit) {
+      return { success: false, message: `Too heavy: ${projected.toFixed(1)}/${limit} weight` };
+    }
+    let remaining = qty;
+    if (item.stackable) {
+      for (const stack of rec.items) {
+        if (remaining <= 0) break;
+        if (stack.itemId !== item.itemId || stack.name !== item.name || !stack.stackable) continue;
+        const room = Math.max(0, (stack.maxStack || item.maxStack) - stack.quantity);
+        const take = Math.min(room, remaining);
+        stack.quantity += take;
+        remaining -= take;
+      }
+    }
+    while (remaining > 0) {
+      const take = item.stackable ? Math.min(item.maxStack, remaining) : 1;
+      rec.items.push(Object.assign({}, item, { id: this.instanceId(rec, item.itemId), quantity: take, equipped: false }));
+      remaining -= take;
+    }
+    const view = this.commit(characterId, rec, opts.journal === false ? null : { op: 'add', itemId: item.itemId, quantity: qty });
+    return {
+      success: true,
+      message: `Added ${qty} ${item.name}`,
+      item,
+      overweight: view.overweight,
+      updatedInventory: view,
+    };
+  },
+
+  removeItem(characterId, query, quantity = 1, opts = {}) {
+    const qty = Math.max(1, Math.floor(Number(quantity) || 1));
+    const rec = this.getRecord(characterId);
+    const first = this.find(characterId, query);
+    if (!first) return { success: false, message: `No items found matching "${query}"` };
+    const stacks = rec.items.filter(i => i.itemId === first.itemId);
+    const have = stacks.reduce((sum, s) => sum + s.quantity, 0);
+    if (have < qty) return { success: false, message: `Only ${have} ${first.name} in inventory` };
+    let remaining = qty;
+    // Drain the matched stack first, then the smallest remaining stacks
+    const order = [first].concat(stacks.filter(s => s !== first).sort((a, b) => a.quantity - b.quantity));
+    for (const stack of order) {
+      if (remaining <= 0) break;
+      const take = Math.min(stack.quantity, remaining);
+      stack.quantity -= take;
+      remaining -= take;
+    }
+    rec.items = rec.items.filter(i => i.quantity > 0);
+    const view = this.commit(characterId, rec, opts.journal === false ? null : { op: 'remove', itemId: first.itemId, quantity: qty });
+    return { success: true, message: `Removed ${qty} ${first.name}`, item: first, updatedInventory: view };
+  },
+
+  useItem(characterId, query, opts = {}) {
+    const item = this.find(characterId, query);
+    if (!item) return { success: false, message: `No items found matching "${query}"` };
+    const effects = item.properties?.effects || [];
+    if (item.type !== 'consumable') {
+      return { success: true, message: `Used ${item.name}`, item, effects, consumed: false, updatedInventory: this.view(characterId) };
+    }
+    const rec = this.getRecord(characterId);
+    item.quantity -= 1;
+    const live = rec.items.find(i => i.id === item.id);
+    if (live) live.quantity = item.quantity;
+    rec.items = rec.items.filter(i => i.quantity > 0);
+    const view = this.commit(characterId, rec, opts.journal === false ? null : { op: 'use', itemId: item.itemId, quantity: 1 });
+    return { success: true, message: `Used ${item.name}${item.quantity > 0 ? ` (${item.quantity} left)` : ''}`, item, effects, consumed: true, updatedInventory: view };
+  },
+
+  // Patch item fields in place (durability after a repair, enchantments...)
+  updateItem(characterId, query, fields, opts = {}) {
+    const rec = this.getRecord(characterId);
+    const item = this.find(characterId, query);
+    if (!item) return { success: false, message: `No items found matching "${query}"` };
+    const { id, itemId, quantity, ...changes } = fields || {};
+    Object.assign(item, changes);
+    const view = this.commit(characterId, rec, opts.journal === false ? null : { op: 'update', itemId: item.id, fields: changes });
+    return { success: true, message: `Updated ${item.name}`, item, updatedInventory: view };
+  },
+
+  equip(characterId, query, slot, opts = {}) {
+    const rec = this.getRecord(characterId);
+    let item = this.find(characterId, query);
+    if (!item) return { success: false, message: `No items found matching "${query}"` };
+    if (item.equipped && !slot) item = rec.items.find(i => i.itemId === item.itemId && !i.equipped) || item;
+    const plan = planEquip(rec.items, item, slot);
+    if (!plan.ok) return { success: false, message: plan.error };
+    // Equip a single piece off a stack
+    if (item.quantity > 1) {
+      item.quantity -= 1;
+      item = Object.assign({}, item, { id: this.instanceId(rec, item.itemId), quantity: 1 });
+      rec.items.push(item);
+    }
+    for (const other of plan.displaced) {
+      other.equipped = false;
+      delete other.equippedSlots;
+    }
+    item.equipped = true;
+    item.equippedSlots = plan.slots;
+    const view = this.commit(characterId, rec, opts.journal === false ? null : { op: 'equip', itemId: item.id, slot: plan.slots[0] });
+    const swapped = plan.displaced.map(i => i.name);
+    return {
+      success: true,
+      message: `Equipped ${item.name} (${plan.slots.map(slotLabel).join(' + ')})${swapped.length ? ` • swapped out ${swapped.join(', ')}` : ''}`,
+      item,
+      slots: plan.slots,
+      displaced: plan.displaced,
+      stats: view.equippedStats,
+      updatedInventory: view,
+    };
+  },
+
+  unequip(characterId, query, opts = {}) {
+    const rec = this.getRecord(characterId);
+    const plan = planUnequip(rec.items, query);
+    if (!plan.ok) return { success: false, message: plan.error };
+    plan.item.equipped = false;
+    delete plan.item.equippedSlots;
+    const view = this.commit(characterId, rec, opts.journal === false ? null : { op: 'unequip', itemId: plan.item.id });
+    return {
+      success: true,
+      message: `Unequipped ${plan.item.name} (${plan.slots.map(slotLabel).join(' + ')})`,
+      item: plan.item,
+      stats: view.equippedStats,
+      updatedInventory: view,
+    };
+  },
+
+  // Currency is stored as gold/silver/copper but balanced in copper using configurable rates
+  toCopper(currency) {
+    const rates = this.getSettings().currencyRates;
+    return Object.entries(rates).reduce((sum, [unit, rate]) => sum + (Number(currency?.[unit]) || 0) * rate, 0);
+  },
+
+  fromCopper(total) {
+    const rates = Object.entries(this.getSettings().currencyRates).sort((a, b) => b[1] - a[1]);
+    const out = {};
+    let left = Math.max(0, Math.floor(total));
+    for (const [unit, rate] of rates) {
+      out[unit] = Math.floor(left / rate);
+      left -= out[unit] * rate;
+    }
+    return out;
+  },
+
+  parseCurrency(text) {
+    const delta = {};
+    const re = /([+\-]?\d+)\s*(gold|gp|g|silver|sp|s|copper|cp|c)\b/gi;
+    let m;
+    let matched = false;
+    while ((m = re.exec(String(text || '')))) {
+      matched = true;
+      const unit = /^g/i.test(m[2]) ? 'gold' : /^s/i.test(m[2]) ? 'silver' : 'copper';
+      delta[unit] = (delta[unit] || 0) + parseInt(m[1], 10);
+    }
+    if (!matched && /^[+\-]?\d+$/.test(String(text || '').trim())) delta.gold = parseInt(text, 10);
+    return delta;
+  },
+
+  adjustCurrency(characterId, delta, opts = {}) {
+    const rec = this.getRecord(characterId);
+    const change = this.toCopper(delta);
+    const total = this.toCopper(rec.currency) + change;
+    if (total < 0) return { success: false, message: 'Not enough money' };
+    rec.currency = opts.makeChange === false
+      ? Object.fromEntries(Object.keys(rec.currency).map(k => [k, (rec.currency[k] || 0) + (delta[k] || 0)]))
+      : this.fromCopper(total);
+    const view = this.commit(characterId, rec, opts.journal === false ? null : { op: 'currency', delta: Object.assign({}, delta) });
+    return { success: true, message: 'Currency updated', currency: view.currency, updatedInventory: view };
+  },
+
+  formatCurrency(currency) {
+    const c = currency || {};
+    const parts = [];
+    if (c.gold) parts.push(`${c.gold}g`);
+    if (c.silver) parts.push(`${c.silver}s`);
+    if (c.copper) parts.push(`${c.copper}c`);
+    return parts.join(' ') || '0c';
+  },
+
+  hasPending(characterId) {
+    return this.getRecord(characterId).pending.length > 0;
+  },
+
+  // Replace local contents with a server snapshot (only safe when nothing is pending)
+  adoptServer(characterId, data) {
+    const rec = this.getRecord(characterId);
+    const items = Array.isArray(data?.items) ? data.items : [];
+    rec.items = items.map(i => Object.assign({ itemId: slug(i.itemId || i.id || i.name), stackable: i.type !== 'weapon' && i.type !== 'armor' }, i));
+    if (data?.currency) rec.currency = Object.assign({ gold: 0, silver: 0, copper: 0 }, data.currency);
+    if (data?.maxWeight) rec.maxWeight = data.maxWeight;
+    rec.source = 'server';
+    rec.syncedAt = Date.now();
+    const raw = data?.revision ?? data?.version;
+    const revision = raw === undefined || raw === null || raw === '' ? NaN : Number(raw);
+    return this.commit(characterId, rec, null, Number.isFinite(revision) ? revision : undefined);
+  },
+
+  async requestServer(path, options = {}) {
+    const res = await fetch(`${this.getServerBase()}/api/inventory${path}`, Object.assign({
+      headers: { 'Content-Type': 'application/json' },
+    }, options));
+    let body = null;
+    try { body = await res.json(); } catch {}
+    return { ok: res.ok, status: res.status, body };
+  },
+
+  async pushOp(characterId, op) {
+    const id = encodeURIComponent(characterId);
+    switch (op.op) {
+      case 'add':
+        return this.requestServer(`/${id}/items`, { method: 'POST', body: JSON.stringify({ itemId: op.itemId, quantity: op.quantity }) });
+      case 'remove':
+        return this.requestServer(`/${id}/items/${encodeURIComponent(op.itemId)}`, { method: 'DELETE', body: JSON.stringify({ quantity: op.quantity }) });
+      case 'use':
+        return this.requestServer(`/${id}/items/${encodeURIComponent(op.itemId)}/use`, { method: 'POST' });
+      case 'update':
+        return this.requestServer(`/${id}/items/${encodeURIComponent(op.itemId)}`, { method: 'PATCH', body: JSON.stringify(op.fields) });
+      case 'equip':
+        return this.requestServer(`/${id}/items/${encodeURIComponent(op.itemId)}/equip`, { method: 'POST', body: JSON.stringify({ slot: op.slot }) });
+      case 'unequip':
+        return this.requestServer(`/${id}/items/${encodeURIComponent(op.itemId)}/unequip`, { method: 'POST' });
+      case 'currency':
+        return this.requestServer(`/${id}/currency`, { method: 'POST', body: JSON.stringify({ delta: op.delta }) });
+      default:
+        return { ok: false, status: 0, body: { error: `Unknown op ${op.op}` } };
+    }
+  },
+
+  // Push journaled ops to the backend, then adopt its snapshot. Network failures leave the journal
+  // intact for the next attempt; ops the server rejects are dropped and reported.
+  async reconcile(characterId) {
+    const key = this.characterKey(characterId);
+    if (this.syncing) return this.syncing;
+    this.syncing = (async () => {
+      const rec = this.getRecord(key);
+      try {
+        const probe = await this.requestServer(`/${encodeURIComponent(key)}`);
+        if (!probe.ok) return { ok: false, offline: probe.status === 0 || probe.status >= 500, status: probe.status, pending: rec.pending.length };
+      } catch (e) {
+        return { ok: false, offline: true, error: String(e?.message || e), pending: rec.pending.length };
+      }
+      const pushed = [];
+      const rejected = [];
+      while (rec.pending.length) {
+        const op = rec.pending[0];
+        let res;
+        try { res = await this.pushOp(key, op); } catch (e) {
+          this.persist();
+          return { ok: false, offline: true, error: String(e?.message || e), pushed, rejected, pending: rec.pending.length };
+        }
+        rec.pending.shift();
+        if (res.ok) pushed.push(op);
+        else rejected.push(Object.assign({ status: res.status, reason: res.body?.error?.message || res.body?.error || res.body?.message || `HTTP ${res.status}` }, op));
+      }
+      const latest = await this.requestServer(`/${encodeURIComponent(key)}`).catch(() => null);
+      const data = latest?.ok ? (latest.body?.data || latest.body) : null;
+      const inventory = data ? this.adoptServer(key, data) : this.commit(key, rec, null);
+      try { window.dispatchEvent(new CustomEvent('stres:inventory:synced', { detail: { characterId: key, pushed, rejected } })); } catch {}
+      return { ok: true, pushed, rejected, inventory };
+    })();
+    try { return await this.syncing; } finally { this.syncing = null; }
+  },
+
+  scheduleSync(characterId) {
+    if (!this.getSettings().autoSync) return;
+    setTimeout(() => { this.reconcile(characterId).catch(() => {}); }, 0);
+  },
+
+  startAutoSync() {
+    if (this.syncTimer) clearInterval(this.syncTimer);
+    const every = Number(this.getSettings().syncIntervalMs) || 0;
+    if (!this.getSettings().autoSync || every <= 0) return;
+    this.syncTimer = setInterval(() => {
+      try {
+        const key = this.characterKey();
+        if (this.hasPending(key)) this.reconcile(key).catch(() => {});
+      } catch {}
+    }, every);
+  },
+};
+
+export default function createInventoryStore() {
+  return Object.assign({}, InventoryStorePrototype);
+}
@@ -0,0 +1,152 @@
+// Chat side of DSAM long-term memory. Rolling summaries are handed to DSAMService as stres:memory:store, and each
+// turn asks for the memories associated with the speakers and location (stres:memory:query). STRESPrompts injects
+// the recalled text under the budget's memory component; /stres memory searches, pins and forgets entries.
+
+import { extensionName, defaultSettings } from './constants.js';
+import { createRequestChannel } from './requests.js';
+
+const REPLY_TIMEOUT_MS = 3000;
+const PARTICIPANT_WINDOW = 8;
+
+function shortId(id) {
+  return String(id || '').slice(-6);
+}
+
+function when(timestamp) {
+  const date = timestamp ? new Date(timestamp) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString().slice(0, 10) : '';
+}
+
+const MemoryRecallPrototype = {
+  ctx: null,
+  lastBundle: '',
+  lastResults: [],
+
+  init(ctx) {
+    this.ctx = ctx || window.SillyTavern?.getContext?.() || null;
+    if (this.bound) return;
+    this.bound = true;
+    try {
+      for (const type of ['stres:memory:results', 'stres:memory:updated', 'stres:memory:status']) {
+        window.addEventListener(type, (event) => this.requests.resolve(event?.detail));
+      }
+    } catch {}
+  },
+
+  getSettings() {
+    const s = window.extension_settings?.[extensionName] || {};
+    return Object.assign({}, defaultSettings.budget.components.memory, s.budget?.components?.memory || {});
+  },
+
+  getChat() {
+    const ctx = this.ctx || window.SillyTavern?.getContext?.();
+    return Array.isArray(ctx?.chat) ? ctx.chat : [];
+  },
+
+  // Speakers in the recent window plus the player; these are the DSAM association targets
+  turnContext() {
+    const ctx = this.ctx || window.SillyTavern?.getContext?.();
+    const s = window.extension_settings?.[extensionName] || {};
+    const recent = this.getChat().slice(-PARTICIPANT_WINDOW).filter(m => m && !m.is_system);
+    const names = new Set(recent.map(m => m.name).filter(Boolean));
+    if (ctx?.name1) names.add(ctx.name1);
+    const lastUser = [...recent].reverse().find(m => m.is_user);
+    return {
+      query: String(lastUser?.mes || lastUser?.text || '').slice(0, 600),
+      characterIds: Array.from(names),
+      location: s.world?.locationName || s.world?.regionId || null,
+    };
+  },
+
+  rememberSummary(text, messages = []) {
+    if (!text) return;
+    const turn = this.turnContext();
+    const participants = Array.from(new Set(messages.map(m => m?.name).filter(Boolean).concat(turn.characterIds)));
+    window.dispatchEvent(new CustomEvent('stres:memory:store', {
+      detail: {
+        conversation: { key_points: [String(text)], participants, location: turn.location, timestamp: new Date().toISOString() },
+        context: { participants, location: turn.location, themes: [], importance: 'moderate', time: Date.now() },
+      },
+    }));
+  },
+
+  async recall(overrides = {}) {
+    const cfg = this.getSettings();
+    const reply = await this.requests.ask('stres:memory:query', { ...this.turnContext(), limit: cfg.topK, ...overrides });
+    if (!reply || reply.error) return [];
+    return reply.memories || [];
+  },
+
+  formatBundle(memories) {
+    if (!memories.length) return '';
+    const lines = ['[Memories]'];
+    for (const memory of memories) lines.push(`• ${memory.pinned ? '📌 ' : ''}${memory.text}${when(memory.timestamp) ? ` (${when(memory.timestamp)})` : ''}`);
+    return lines.join('\n');
+  },
+
+  // Prompt refreshes skip recall once a request has gone unanswered; /stres memory commands still ask and a reply
+  // turns it back on
+  async buildForTurn() {
+    if (this.requests.unreachable) return this.lastBundle = '';
+    this.lastBundle = this.formatBundle(await this.recall());
+    return this.lastBundle;
+  },
+
+  buildBudgetPreview() {
+    return this.lastBundle;
+  },
+
+  async search(text) {
+    const results = await this.recall({ query: text, limit: 8 });
+    this.lastResults = results;
+    if (!results.length) return `No memories match "${text}"`;
+    const lines = [`**Memories** matching "${text}"`];
+    results.forEach((memory, index) => {
+      const tags = memory.associations?.length ? ` — ${memory.associations.join(', ')}` : '';
+      lines.push(`${index + 1}. ${memory.pinned ? '📌 ' : ''}\`${shortId(memory.id)}\` ${when(memory.timestamp)}${tags}`);
+      lines.push(`   ${memory.text.slice(0, 200)}`);
+    });
+    lines.push('', 'Pin or forget with /stres memory pin|forget <#|id>');
+    return lines.join('\n');
+  },
+
+  // "#2" or "2" refers to the last search; anything else is treated as an id or id suffix
+  resolveRef(ref) {
+    const m = String(ref || '').trim().match(/^#?(\d{1,2})$/);
+    if (m && this.lastResults[Number(m[1]) - 1]) return this.lastResults[Number(m[1]) - 1].id;
+    return String(ref || '').trim();
+  },
+
+  async pin(ref, pinned = true) {
+    const reply = await this.requests.ask('stres:memory:pin', { memoryId: this.resolveRef(ref), pinned });
+    if (!reply) return '❌ Memory service is unavailable';
+    if (reply.error) return `❌ ${reply.error}`;
+    return `${pinned ? '📌 Pinned' : '✅ Unpinned'} memory \`${shortId(reply.memory.id)}\`: ${reply.memory.preview}`;
+  },
+
+  async forget(ref) {
+    const reply = await this.requests.ask('stres:memory:forget', { memoryId: this.resolveRef(ref) });
+    if (!reply) return '❌ Memory service is unavailable';
+    if (reply.error) return `❌ ${reply.error}`;
+    this.lastResults = this.lastResults.filter(memory => memory.id !== reply.memory.id);
+    return `🗑️ Forgot memory \`${shortId(reply.memory.id)}\``;
+  },
+
+  async status() {
+    const cfg = this.getSettings();
+    const reply = await this.requests.ask('stres:memory:request');
+    if (!reply) return '❌ Memory service is unavailable';
+    const { stats, pinned } = reply;
+    const lines = [`**Memory** — ${stats.totalMemories} stored, injection ${cfg.enabled ? `on (top ${cfg.topK}, max ${cfg.maxTokens} tokens)` : 'off'}`];
+    if (pinned.length) {
+      lines.push('', '__Pinned__');
+      for (const memory of pinned) lines.push(`• \`${shortId(memory.id)}\` ${memory.preview}`);
+    }
+    lines.push('', 'Use /stres memory search <text>, pin <#|id>, unpin <#|id>, forget <#|id>');
+    return lines.join('\n');
+  },
+};
+
+export default function createMemoryRecall() {
+  return Object.assign({}, MemoryRecallPrototype, { requests: createRequestChannel('memory', REPLY_TIMEOUT_MS) });
+}
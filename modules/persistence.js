@@ -0,0 +1,99 @@
+// Chat side of the IndexedDB persistence layer. PersistenceService namespaces records per campaign, so the
+// current campaignId is forwarded as stres:persistence:namespace whenever it may have changed. /stres data
+// exports the namespace to a single JSON file and imports one back through the stres:persistence:* events.
+
+import { extensionName } from './constants.js';
+import { createRequestChannel } from './requests.js';
+
+const REPLY_TIMEOUT_MS = 5000;
+
+const PersistenceBridgePrototype = {
+  ctx: null,
+  namespace: null,
+
+  init(ctx) {
+    this.ctx = ctx || window.SillyTavern?.getContext?.() || null;
+    if (!this.bound) {
+      this.bound = true;
+      try {
+        const es = this.ctx?.eventSource; const ET = this.ctx?.eventTypes || {};
+        if (es && ET.CHAT_CHANGED) es.on(ET.CHAT_CHANGED, () => this.syncNamespace());
+        for (const type of ['stres:persistence:status', 'stres:persistence:exported', 'stres:persistence:imported']) {
+          window.addEventListener(type, (event) => this.requests.resolve(event?.detail));
+        }
+      } catch {}
+    }
+    this.syncNamespace();
+  },
+
+  currentNamespace() {
+    const s = window.extension_settings?.[extensionName] || {};
+    return s.campaignId || 'default';
+  },
+
+  syncNamespace() {
+    const namespace = this.currentNamespace();
+    if (namespace === this.namespace) return false;
+    this.namespace = namespace;
+    window.dispatchEvent(new CustomEvent('stres:persistence:namespace', { detail: { namespace } }));
+    return true;
+  },
+
+  async status() {
+    this.syncNamespace();
+    const reply = await this.requests.ask('stres:persistence:request');
+    if (!reply) return '❌ Persistence layer is unavailable';
+    if (reply.error) return `❌ ${reply.error}`;
+    const { backend, namespace, schemaVersion, stores } = reply.status;
+    const lines = [`**Saved data** — campaign \`${namespace}\` (${backend}, schema v${schemaVersion})`];
+    for (const [store, count] of Object.entries(stores)) lines.push(`• ${store}: ${count} record${count === 1 ? '' : 's'}`);
+    if (backend === 'memory') lines.push('', '⚠️ IndexedDB is unavailable; data will not survive a reload');
+    lines.push('', 'Use /stres data export or /stres data import');
+    return lines.join('\n');
+  },
+
+  async exportFile() {
+    this.syncNamespace();
+    const reply = await this.requests.ask('stres:persistence:export');
+    if (!reply) return '❌ Persistence layer is unavailable';
+    if (reply.error) return `❌ Export failed: ${reply.error}`;
+    const stamp = new Date().toISOString().slice(0, 10);
+    const name = `stres-${String(reply.namespace).replace(/[^\w.-]+/g, '_')}-${stamp}.json`;
+    const url = URL.createObjectURL(new Blob([reply.json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    return `💾 Exported campaign \`${reply.namespace}\` to ${name}`;
+  },
+
+  // Opens a file picker; the outcome is reported through onDone once a file is chosen
+  importFile(onDone) {
+    this.syncNamespace();
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', async () => {
+      const file = input.files?.[0];
+      if (!file) return;
+      onDone(await this.importText(await file.text()));
+    });
+    input.click();
+  },
+
+  async importText(json) {
+    const reply = await this.requests.ask('stres:persistence:import', { json });
+    if (!reply) return '❌ Persistence layer is unavailable';
+    if (reply.error) return `❌ Import failed: ${reply.error}`;
+    const { namespace, from, stores } = reply.result;
+    const counts = Object.entries(stores).map(([store, n]) => `${store} ${n}`).join(', ') || 'nothing';
+    return `📥 Imported ${counts} into campaign \`${namespace}\`${from && from !== namespace ? ` (exported from \`${from}\`)` : ''}`;
+  },
+};
+
+export default function createPersistenceBridge() {
+  return Object.assign({}, PersistenceBridgePrototype, { requests: createRequestChannel('persist', REPLY_TIMEOUT_MS) });
+}
@@ -0,0 +1,30 @@
+// Request/reply round-trips between the chat modules and the services over window CustomEvents. Each request carries
+// a requestId that the service echoes on its reply event; the module forwards reply events to resolve().
+
+export function createRequestChannel(prefix, timeoutMs) {
+  const pending = new Map();
+  let nextRequestId = 1;
+  return {
+    // Set when a request times out and cleared by the next reply, so background callers can stop waiting on a
+    // service that is not loaded
+    unreachable: false,
+
+    // Resolves with the reply detail, or null when nothing answers within timeoutMs
+    ask(type, detail = {}) {
+      const requestId = `${prefix}_${nextRequestId++}`;
+      return new Promise((resolve) => {
+        const timer = setTimeout(() => { pending.delete(requestId); this.unreachable = true; resolve(null); }, timeoutMs);
+        pending.set(requestId, (reply) => { clearTimeout(timer); resolve(reply); });
+        window.dispatchEvent(new CustomEvent(type, { detail: { ...detail, requestId } }));
+      });
+    },
+
+    resolve(detail) {
+      const done = detail?.requestId && pending.get(detail.requestId);
+      if (!done) return;
+      pending.delete(detail.requestId);
+      this.unreachable = false;
+      done(detail);
+    },
+  };
+}
@@ -1,5 +1,6 @@
 import { extensionName, defaultSettings } from './constants.js';
 import { state } from './state.js';
+import { STRESTokenizer } from './tokenizer.js';
 
 function clone(value) {
   try {
@@ -9,11 +10,6 @@ function clone(value) {
   }
 }
 
-function estimateTokens(text) {
-  if (!text) return 0;
-  return Math.max(1, Math.ceil(String(text).length / 4));
-}
-
 function randomId(prefix = 'local') {
   try {
     if (typeof crypto !== 'undefined' && crypto.randomUUID) {
@@ -95,6 +91,12 @@ const RoutingManagerPrototype = {
     const intent = String(options.intent || 'story').toLowerCase();
 
     const overrides = this.mergeRoutingOverrides(intent, options, routingConfig, npcProfile);
+    // Counted for the model the overrides pin when they do, otherwise for the active one
+    const prompt = options.userPrompt || options.prompt || '';
+    const overrideModel = overrides.targetModel || overrides.model;
+    const tokenTarget = overrideModel
+      ? { source: overrides.chatCompletionSource || overrides.chat_completion_source || '', model: overrideModel }
+      : undefined;
     const actorTags = Array.isArray(options.actorTags) && options.actorTags.length
       ? options.actorTags
       : (toArray(npcProfile?.tags));
@@ -102,7 +104,7 @@ const RoutingManagerPrototype = {
     const payload = {
       intent,
       role: options.role || null,
-      prompt: options.userPrompt || options.prompt || '',
+      prompt,
       campaignId: settings.campaignId || null,
       chatId: ctx?.chatId || null,
       actorId: options.actorId || npcProfile?.id || null,
@@ -121,6 +123,8 @@ const RoutingManagerPrototype = {
       metadata: Object.assign({
         sceneHeader: typeof window.STRESWorld?.formatHeader === 'function' ? window.STRESWorld.formatHeader() : null,
         source: 'STRES-Extension',
+        promptTokens: STRESTokenizer.count(prompt, tokenTarget),
+        tokenizer: STRESTokenizer.familyFor(tokenTarget),
         requestedAt: new Date().toISOString()
       }, options.metadata || {})
     };
@@ -251,7 +255,7 @@ const RoutingManagerPrototype = {
         budgetTokens: null,
         usedTokens: 0,
         remainingTokens: null,
-        predictedPromptTokens: estimateTokens(payload.prompt)
+        predictedPromptTokens: STRESTokenizer.count(payload.prompt, { source: route.chatCompletionSource, model: route.targetModel })
       },
       requestEcho: {
         promptPreview: (payload.prompt || '').slice(0, 280),
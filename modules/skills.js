@@ -0,0 +1,161 @@
+// Chat side of skill trees. Worldpack manifests may define skillTrees; they are forwarded to SkillTreeService as
+// stres:skills:trees, and views/spends go out as stres:skills:request and stres:skills:spend. The service answers with
+// stres:skills:changed (or stres:skills:error); the latest view is kept in chatMetadata.stres.skills and mirrored to the HUD.
+
+import { extensionName } from './constants.js';
+import { STRESWorld } from './world.js';
+
+const VIEW_TIMEOUT_MS = 1500;
+
+function bar(rank, maxRank) {
+  return '●'.repeat(rank) + '○'.repeat(Math.max(0, maxRank - rank));
+}
+
+function describeEffects(effects) {
+  const parts = [];
+  for (const [type, pct] of Object.entries(effects?.xp || {})) parts.push(`+${Math.round(pct * 100)}% ${type} XP`);
+  for (const [skill, levels] of Object.entries(effects?.skills || {})) parts.push(`+${levels} ${skill}`);
+  return parts.join(', ');
+}
+
+const SkillBookPrototype = {
+  ctx: null,
+  hud: null,
+  chat: null,
+  pendingView: null,
+
+  init(ctx, { hud, chat } = {}) {
+    this.ctx = ctx || window.SillyTavern?.getContext?.() || null;
+    this.hud = hud || null;
+    this.chat = chat || null;
+    if (this.bound) return;
+    this.bound = true;
+    try {
+      const es = this.ctx?.eventSource; const ET = this.ctx?.eventTypes || {};
+      if (es && ET.CHAT_CHANGED) es.on(ET.CHAT_CHANGED, () => { this.syncHud(); this.refresh(); });
+      window.addEventListener('stres:skills:changed', (event) => this.onChanged(event?.detail));
+      window.addEventListener('stres:skills:error', (event) => this.onError(event?.detail));
+    } catch {}
+    this.refresh();
+  },
+
+  characterId() {
+    const s = window.extension_settings?.[extensionName] || {};
+    return s.characterId || 'default';
+  },
+
+  getState() {
+    const ctx = this.ctx || window.SillyTavern?.getContext?.();
+    const meta = ctx?.chatMetadata || (ctx ? (ctx.chatMetadata = ctx.chatMetadata || {}) : {});
+    meta.stres = meta.stres || {};
+    return meta.stres.skills = meta.stres.skills || {};
+  },
+
+  async save() {
+    try { await (this.ctx || window.SillyTavern?.getContext?.())?.saveMetadata?.(); } catch {}
+  },
+
+  // Manifests without skillTrees send an empty list so the service falls back to its default trees
+  async loadTrees() {
+    let trees = [];
+    try {
+      const manifest = await STRESWorld.getManifestFresh();
+      trees = manifest?.skillTrees || manifest?.skills?.trees || [];
+    } catch {}
+    window.dispatchEvent(new CustomEvent('stres:skills:trees', { detail: { trees } }));
+    return trees;
+  },
+
+  async refresh() {
+    await this.loadTrees();
+    this.request();
+  },
+
+  request() {
+    window.dispatchEvent(new CustomEvent('stres:skills:request', { detail: { characterId: this.characterId() } }));
+  },
+
+  // Ask the service for a fresh view and print it; falls back to the stored view if nothing answers
+  show(treeQuery = '') {
+    const pending = this.pendingView = { tree: treeQuery };
+    setTimeout(() => {
+      if (this.pendingView !== pending) return;
+      this.pendingView = null;
+      const view = this.getState().view;
+      this.chat?.sendToChat?.(view ? this.formatView(view, treeQuery) : '❌ Skill trees are unavailable');
+    }, VIEW_TIMEOUT_MS);
+    this.request();
+  },
+
+  spend(skillQuery) {
+    window.dispatchEvent(new CustomEvent('stres:skills:spend', { detail: { characterId: this.characterId(), skillId: skillQuery } }));
+  },
+
+  async onChanged(detail) {
+    if (!detail?.view || detail.characterId !== this.characterId()) return;
+    const state = this.getState();
+    const previousPoints = state.view?.points;
+    state.view = detail.view;
+    await this.save();
+    this.syncHud();
+    if (detail.spent) {
+      const s = detail.spent;
+      this.chat?.sendToChat?.(`✅ Learned **${s.name}** (rank ${s.rank}) — ${detail.view.points} skill point${detail.view.points === 1 ? '' : 's'} left`);
+    } else if (Number.isFinite(previousPoints) && detail.view.points > previousPoints) {
+      const gained = detail.view.points - previousPoints;
+      this.chat?.sendToChat?.(`🎯 +${gained} skill point${gained === 1 ? '' : 's'} (${detail.view.points} to spend) — /stres skills`);
+    }
+    if (this.pendingView) {
+      const { tree } = this.pendingView;
+      this.pendingView = null;
+      this.chat?.sendToChat?.(this.formatView(detail.view, tree));
+    }
+  },
+
+  onError(detail) {
+    if (!detail || detail.characterId !== this.characterId()) return;
+    this.chat?.sendToChat?.(`❌ ${detail.error || 'Could not learn that skill'}`);
+  },
+
+  hudFields(view) {
+    if (!view) return [];
+    const learned = view.trees.flatMap(tree => tree.skills.filter(skill => skill.rank > 0))
+      .map(skill => `${skill.name} ${skill.rank}`);
+    return [
+      { key: 'skills_points', label: 'Skill Points', icon: '🎯', value: String(view.points), current: view.points, category: 'progression', tags: ['progression', 'skills'], priority: 2 },
+      { key: 'skills_learned', label: 'Skills', value: learned.join(', ') || 'none', category: 'progression', tags: ['progression', 'skills'], priority: 3 },
+    ];
+  },
+
+  syncHud() {
+    const hud = this.hud || window.STRESHud;
+    const fields = this.hudFields(this.getState().view);
+    if (!hud?.setFields || !fields.length) return;
+    try {
+      hud.setFields(fields, { origin: 'skills', reason: 'progression' });
+    } catch (error) {
+      console.warn('[STRES] Skills HUD sync failed', error);
+    }
+  },
+
+  formatView(view, treeQuery = '') {
+    const q = String(treeQuery || '').trim().toLowerCase();
+    const trees = q ? view.trees.filter(tree => tree.id.toLowerCase() === q || tree.name.toLowerCase().includes(q)) : view.trees;
+    if (!trees.length) return `❌ No skill tree matches "${treeQuery}"`;
+    const lines = [`**Skills** — level ${view.level}, ${view.points} point${view.points === 1 ? '' : 's'} to spend`];
+    for (const tree of trees) {
+      lines.push('', `__${tree.name}__${tree.description ? ` — ${tree.description}` : ''}`);
+      for (const skill of tree.skills) {
+        const effects = describeEffects(skill.effects);
+        const status = skill.canSpend ? ` · cost ${skill.cost}` : (skill.rank < skill.maxRank ? ` · _${skill.blockedReason}_` : '');
+        lines.push(`• ${bar(skill.rank, skill.maxRank)} **${skill.name}** (\`${skill.id}\`)${effects ? ` — ${effects}` : ''}${status}`);
+      }
+    }
+    lines.push('', 'Spend with /stres skills spend <skill>');
+    return lines.join('\n');
+  },
+};
+
+export default function createSkillBook() {
+  return Object.assign({}, SkillBookPrototype);
+}
@@ -0,0 +1,282 @@
+// Chat-side mirror of the SocialSystemsService dashboard. The CommonJS service broadcasts
+// stres:social:changed with a full snapshot after every relationship, romance or faction change;
+// the ledger keeps it in chatMetadata.stres.social and republishes stres:social:updated for the panel.
+
+import { extensionName, defaultSettings } from './constants.js';
+
+const PROMPT_RELATIONSHIPS = 2;
+
+// How an NPC at a given relationship level should come across in dialogue
+const RELATIONSHIP_TONE = {
+  intimate: 'devoted; confides freely and takes their side',
+  close: 'warm and trusting; shares secrets and offers help unasked',
+  friendly: 'cordial and helpful',
+  neutral: 'polite but guarded',
+  unfriendly: 'curt and suspicious; helps only for a price',
+  hostile: 'openly antagonistic; may lie or refuse outright',
+  hated: 'contemptuous; wants them gone or harmed',
+};
+
+const FACTION_TONE = {
+  exalted: 'treats them as a revered ally',
+  honored: 'treats them with respect',
+  friendly: 'welcomes them',
+  neutral: 'is indifferent to them',
+  hostile: 'distrusts them',
+  hated: 'sees them as an enemy',
+};
+
+function norm(text) {
+  return String(text || '').trim().toLowerCase();
+}
+
+function iso(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function signed(value) {
+  const n = Math.round(Number(value) || 0);
+  return n > 0 ? `+${n}` : String(n);
+}
+
+// Text bar for a -100..100 score, used where the panel's CSS bars aren't available
+export function relationshipBar(points, width = 10) {
+  const filled = Math.round(((Math.max(-100, Math.min(100, Number(points) || 0)) + 100) / 200) * width);
+  return '█'.repeat(filled) + '░'.repeat(width - filled);
+}
+
+const SocialLedgerPrototype = {
+  ctx: null,
+
+  init(ctx, { onChange } = {}) {
+    this.ctx = ctx || window.SillyTavern?.getContext?.() || null;
+    this.onChange = onChange || null;
+    if (this.bound) return;
+    this.bound = true;
+    try {
+      window.addEventListener('stres:social:changed', (event) => this.setDashboard(event?.detail?.dashboard));
+      const es = this.ctx?.eventSource; const ET = this.ctx?.eventTypes || {};
+      if (es && ET.CHAT_CHANGED) es.on(ET.CHAT_CHANGED, () => this.publish());
+    } catch {}
+  },
+
+  getSettings() {
+    const s = window.extension_settings?.[extensionName] || {};
+    return Object.assign({}, defaultSettings.social, s.social || {});
+  },
+
+  getState() {
+    const ctx = this.ctx || window.SillyTavern?.getContext?.();
+    const meta = ctx?.chatMetadata || (ctx ? (ctx.chatMetadata = ctx.chatMetadata || {}) : {});
+    meta.stres = meta.stres || {};
+    const state = meta.stres.social = meta.stres.social || {};
+    if (!Array.isArray(state.relationships)) state.relationships = [];
+    if (!Array.isArray(state.romances)) state.romances = [];
+    if (!Array.isArray(state.factions)) state.factions = [];
+    if (!Array.isArray(state.recent)) state.recent = [];
+    state.distribution = state.distribution || {};
+    return state;
+  },
+
+  async save() {
+    try { await (this.ctx || window.SillyTavern?.getContext?.())?.saveMetadata?.(); } catch {}
+    this.publish();
+    try { await this.onChange?.(); } catch {}
+  },
+
+  setDashboard(dashboard) {
+    if (!dashboard || typeof dashboard !== 'object') return;
+    const state = this.getState();
+    state.relationships = (dashboard.relationships || []).map(rel => ({
+      id: rel.id,
+      source: rel.source,
+      target: rel.target,
+      points: Number(rel.points) || 0,
+      level: rel.level || 'neutral',
+      type: rel.type || '',
+      lastReason: rel.lastReason || '',
+      highlights: (rel.highlights || []).map(h => h.description).filter(Boolean),
+      lastInteraction: iso(rel.lastInteraction),
+    }));
+    state.romances = (dashboard.romances || []).map(romance => ({
+      id: romance.id,
+      partners: Array.isArray(romance.partners) ? romance.partners.slice() : [],
+      stage: romance.stage || 'interest',
+      affection: Number(romance.affection) || 0,
+      status: romance.status || 'active',
+      lastInteraction: iso(romance.lastInteraction),
+    }));
+    state.factions = (dashboard.factions || []).map(faction => ({
+      id: faction.id,
+      name: faction.name || faction.id,
+      points: Number(faction.points) || 0,
+      standing: faction.standing || 'neutral',
+      members: Array.isArray(faction.members) ? faction.members.slice() : [],
+    }));
+    state.distribution = Object.assign({}, dashboard.factionDistribution || {});
+    state.recent = (dashboard.recentChanges || []).map(change => ({
+      kind: change.kind,
+      ids: Array.isArray(change.ids) ? change.ids.slice() : [],
+      name: change.name || '',
+      pointsChange: Number(change.pointsChange) || 0,
+      value: Number(change.value) || 0,
+      level: change.level || '',
+      reason: change.reason || '',
+      at: iso(change.at),
+    }));
+    state.updatedAt = Date.now();
+    return this.save();
+  },
+
+  publish() {
+    try {
+      window.dispatchEvent(new CustomEvent('stres:social:updated', { detail: { dashboard: this.getState() } }));
+    } catch {}
+  },
+
+  // Relationships where either side matches one of the given ids or display names, strongest first
+  relationshipsFor(...names) {
+    const wanted = new Set(names.flat().map(norm).filter(Boolean));
+    if (!wanted.size) return [];
+    return this.getState().relationships
+      .filter(rel => wanted.has(norm(rel.source)) || wanted.has(norm(rel.target)))
+      .map(rel => ({ ...rel, other: wanted.has(norm(rel.source)) ? rel.target : rel.source }))
+      .sort((a, b) => Math.abs(b.points) - Math.abs(a.points));
+  },
+
+  romancesFor(...names) {
+    const wanted = new Set(names.flat().map(norm).filter(Boolean));
+    if (!wanted.size) return [];
+    return this.getState().romances
+      .filter(romance => romance.status === 'active' && romance.partners.some(p => wanted.has(norm(p))))
+      .map(romance => ({ ...romance, other: romance.partners.find(p => !wanted.has(norm(p))) || romance.partners[0] }));
+  },
+
+  changesFor(...names) {
+    const wanted = new Set(names.flat().map(norm).filter(Boolean));
+    return this.getState().recent.filter(change => change.ids.some(id => wanted.has(norm(id))) || wanted.has(norm(change.name)));
+  },
+
+  // Ids the active player character may be recorded under: the STRES character id and the persona name
+  playerIds() {
+    const ctx = this.ctx || window.SillyTavern?.getContext?.();
+    const s = window.extension_settings?.[extensionName] || {};
+    return [s.characterId, ctx?.name1].filter(Boolean);
+  },
+
+  // Factions an NPC belongs to, by service membership or a faction declared on the registry entry
+  factionsFor(npc) {
+    const ids = [npc?.id, npc?.name].map(norm).filter(Boolean);
+    const declared = [npc?.faction, npc?.factionId].map(norm).filter(Boolean);
+    return this.getState().factions.filter(f =>
+      f.members.some(m => ids.includes(norm(m))) || declared.includes(norm(f.id)) || declared.includes(norm(f.name)));
+  },
+
+  // Prompt sections describing how an NPC regards the active player character, most important first
+  attitudeSections(npc, players = this.playerIds()) {
+    if (this.getSettings().inject === false) return [];
+    const names = [npc?.id, npc?.name].filter(Boolean);
+    const playerSet = new Set(players.map(norm));
+    const sections = [];
+    const rel = this.relationshipsFor(...names).find(r => playerSet.has(norm(r.other)));
+    const player = rel?.other || players[players.length - 1] || 'the player';
+    if (rel) {
+      sections.push({ priority: 3, text: `Attitude toward ${rel.other}: ${rel.level} (${signed(rel.points)}) — ${RELATIONSHIP_TONE[rel.level] || RELATIONSHIP_TONE.neutral}` });
+      const highlights = rel.highlights || [];
+      const history = highlights.length ? highlights : [rel.lastReason].filter(Boolean);
+      if (history.length) sections.push({ priority: 1, text: `Shared history: ${history.join('; ')}` });
+    }
+    const romance = this.romancesFor(...names).find(r => playerSet.has(norm(r.other)));
+    if (romance) sections.push({ priority: 2, text: `Romance with ${romance.other}: ${romance.stage} (affection ${romance.affection})` });
+    for (const faction of this.factionsFor(npc).slice(0, 1)) {
+      sections.push({ priority: 2, text: `Faction: ${faction.name} — ${player} stands ${faction.standing} (${signed(faction.points)}), so ${npc?.name || 'this NPC'} ${FACTION_TONE[faction.standing] || FACTION_TONE.neutral}` });
+    }
+    // Everyone else this NPC knows, in the same shape as summaryFor() but without the player already covered above
+    const others = this.relationshipsFor(...names).filter(r => !playerSet.has(norm(r.other))).slice(0, PROMPT_RELATIONSHIPS)
+      .map(r => `${r.other} — ${r.level} (${signed(r.points)})${r.lastReason ? `, last: ${r.lastReason}` : ''}`);
+    for (const r of this.romancesFor(...names).filter(r => !playerSet.has(norm(r.other)))) others.push(`${r.other} — romance, ${r.stage}`);
+    if (others.length) sections.push({ priority: 0, text: `Relationships: ${others.join('; ')}` });
+    return sections;
+  },
+
+  // One line for the NPC prompt chunk, e.g. "Relationships: hero — friendly (+35), last: Shared a meal"
+  summaryFor(...names) {
+    if (this.getSettings().inject === false) return '';
+    const parts = this.relationshipsFor(...names).slice(0, PROMPT_RELATIONSHIPS).map(rel => {
+      const last = rel.lastReason ? `, last: ${rel.lastReason}` : '';
+      return `${rel.other} — ${rel.level} (${signed(rel.points)})${last}`;
+    });
+    for (const romance of this.romancesFor(...names)) {
+      parts.push(`${romance.other} — romance, ${romance.stage}`);
+    }
+    return parts.length ? `Relationships: ${parts.join('; ')}` : '';
+  },
+
+  formatChange(change) {
+    const subject = change.kind === 'faction' ? (change.name || change.ids[0]) : change.ids.join(' ↔ ');
+    const delta = change.pointsChange ? ` ${signed(change.pointsChange)}` : '';
+    const level = change.level ? ` → ${change.level}` : '';
+    const reason = change.reason ? ` — ${change.reason}` : '';
+    return `${subject}${delta}${level}${reason}`;
+  },
+
+  formatOverview() {
+    const state = this.getState();
+    const limit = Math.max(1, Number(this.getSettings().recent) || 8);
+    const lines = ['**Social**'];
+    if (!state.relationships.length && !state.factions.length) {
+      lines.push('No relationships or faction standings recorded yet.');
+      return lines.join('\n');
+    }
+    if (state.relationships.length) {
+      lines.push('', '__Relationships__');
+      for (const rel of state.relationships) {
+        lines.push(`• ${rel.source} ↔ ${rel.target}: ${relationshipBar(rel.points)} ${rel.level} (${signed(rel.points)})`);
+      }
+    }
+    const romances = state.romances.filter(r => r.status === 'active');
+    if (romances.length) {
+      lines.push('', '__Romance__');
+      for (const romance of romances) lines.push(`• ${romance.partners.join(' & ')}: ${romance.stage} (affection ${romance.affection})`);
+    }
+    if (state.factions.length) {
+      lines.push('', '__Factions__');
+      for (const faction of state.factions) lines.push(`• ${faction.name}: ${faction.standing} (${signed(faction.points)})`);
+      const spread = Object.entries(state.distribution).filter(([, n]) => n).map(([level, n]) => `${level} ${n}`);
+      if (spread.length) lines.push(`Standing spread: ${spread.join(', ')}`);
+    }
+    const recent = state.recent.slice(-limit).reverse();
+    if (recent.length) {
+      lines.push('', '__Recent changes__');
+      for (const change of recent) lines.push(`• ${this.formatChange(change)}`);
+    }
+    return lines.join('\n');
+  },
+
+  formatDetail(name) {
+    const rels = this.relationshipsFor(name);
+    const romances = this.romancesFor(name);
+    const factions = this.getState().factions.filter(f => norm(f.id) === norm(name) || norm(f.name) === norm(name) || f.members.some(m => norm(m) === norm(name)));
+    const changes = this.changesFor(name, ...factions.map(f => f.name)).slice(-8).reverse();
+    if (!rels.length && !romances.length && !factions.length && !changes.length) {
+      return `No social records for "${name}"`;
+    }
+    const lines = [`**Social: ${name}**`];
+    for (const rel of rels) {
+      lines.push(`• ${rel.other}: ${relationshipBar(rel.points)} ${rel.level} (${signed(rel.points)})${rel.lastReason ? ` — ${rel.lastReason}` : ''}`);
+    }
+    for (const romance of romances) lines.push(`• Romance with ${romance.other}: ${romance.stage} (affection ${romance.affection})`);
+    for (const faction of factions) lines.push(`• ${faction.name}: ${faction.standing} (${signed(faction.points)})`);
+    if (changes.length) {
+      lines.push('', '__Recent changes__');
+      for (const change of changes) lines.push(`• ${this.formatChange(change)}`);
+    }
+    return lines.join('\n');
+  },
+};
+
+export default function createSocialLedger() {
+  return Object.assign({}, SocialLedgerPrototype);
+}
@@ -0,0 +1,98 @@
+// Chat side of task detection rules. Rules declared in the worldpack manifest (taskDetection.rules) and in extension
+// settings (taskDetection.rules) are forwarded to TaskDetectionService as stres:tasks:rules; /stres tasks test sends
+// stres:tasks:test and prints the stres:tasks:tested report so campaign authors can see which rules fired and why.
+
+import { extensionName, defaultSettings } from './constants.js';
+import { STRESWorld } from './world.js';
+import { createRequestChannel } from './requests.js';
+
+const REPLY_TIMEOUT_MS = 1500;
+
+const TaskRulesPrototype = {
+  ctx: null,
+
+  init(ctx) {
+    this.ctx = ctx || window.SillyTavern?.getContext?.() || null;
+    if (this.bound) return;
+    this.bound = true;
+    try {
+      const es = this.ctx?.eventSource; const ET = this.ctx?.eventTypes || {};
+      if (es && ET.CHAT_CHANGED) es.on(ET.CHAT_CHANGED, () => this.loadRules());
+      window.addEventListener('stres:tasks:tested', (event) => this.requests.resolve(event?.detail));
+      window.addEventListener('stres:tasks:loaded', (event) => {
+        const detail = event?.detail || {};
+        if (detail.summary) this.summary = detail.summary;
+        this.requests.resolve(detail);
+      });
+    } catch {}
+    this.loadRules();
+  },
+
+  getSettings() {
+    const s = window.extension_settings?.[extensionName] || {};
+    return Object.assign({}, defaultSettings.taskDetection, s.taskDetection || {});
+  },
+
+  async loadRules() {
+    let manifestRules = [];
+    let replaceDefaults = false;
+    try {
+      const manifest = await STRESWorld.getManifestFresh();
+      manifestRules = manifest?.taskDetection?.rules || manifest?.taskRules || [];
+      replaceDefaults = !!manifest?.taskDetection?.replaceDefaults;
+    } catch {}
+    const settings = this.getSettings();
+    window.dispatchEvent(new CustomEvent('stres:tasks:rules', { detail: { source: 'manifest', rules: manifestRules, replaceDefaults } }));
+    window.dispatchEvent(new CustomEvent('stres:tasks:rules', { detail: { source: 'settings', rules: settings.rules || [], replaceDefaults: !!settings.replaceDefaults } }));
+  },
+
+  async test(text) {
+    const reply = await this.requests.ask('stres:tasks:test', { text });
+    if (!reply) return '❌ Task detection is unavailable';
+    if (reply.error) return `❌ ${reply.error}`;
+    return this.formatReport(reply.report);
+  },
+
+  async rules() {
+    const reply = await this.requests.ask('stres:tasks:request');
+    const summary = reply?.summary || this.summary;
+    return summary ? this.formatSummary(summary) : '❌ Task detection is unavailable';
+  },
+
+  formatReport(report) {
+    const lines = [`**Task detection** — ${report.matches.length} of ${report.ruleCount} rules matched`];
+    if (!report.matches.length) lines.push('• No rule matched this text');
+    for (const m of report.matches) {
+      const mark = m.accepted ? '✅' : '▫️';
+      const why = [`weight ${m.weight.toFixed(2)}`];
+      if (m.lengthBonus) why.push(`+${m.lengthBonus.toFixed(2)} long match`);
+      why.push(m.keywordHits.length ? `keywords: ${m.keywordHits.join(', ')}` : 'no keyword hits');
+      lines.push(`${mark} **${m.category}** via \`${m.ruleId}\` (${m.source}) — ${Math.round(m.confidence * 100)}%, difficulty ${m.difficulty}`);
+      lines.push(`   matched "${m.matched}" · ${why.join(' · ')}${m.accepted ? '' : ` · ${m.reason}`}`);
+    }
+    if (report.errors?.length) {
+      lines.push('', '__Invalid rules__');
+      for (const e of report.errors) lines.push(`• ${e.id} (${e.source}): ${e.error}`);
+    }
+    return lines.join('\n');
+  },
+
+  formatSummary(summary) {
+    const sources = Object.entries(summary.bySource).map(([source, n]) => `${source} ${n}`).join(', ');
+    const lines = [`**Task detection rules** — ${summary.total} active (${sources || 'none'})`];
+    const custom = summary.rules.filter(rule => rule.source !== 'builtin');
+    for (const rule of custom) {
+      lines.push(`• \`${rule.id}\` → ${rule.category} (${rule.source}) weight ${rule.weight}${rule.difficulty ? `, difficulty ${rule.difficulty}` : ''}`);
+    }
+    if (summary.errors?.length) {
+      lines.push('', '__Invalid rules__');
+      for (const e of summary.errors) lines.push(`• ${e.id} (${e.source}): ${e.error}`);
+    }
+    lines.push('', 'Try a line with /stres tasks test <text>');
+    return lines.join('\n');
+  },
+};
+
+export default function createTaskRules() {
+  return Object.assign({}, TaskRulesPrototype, { requests: createRequestChannel('tasks', REPLY_TIMEOUT_MS) });
+}
@@ -0,0 +1,150 @@
+// Chat side of memory temperature tiers. Presence changes (STRESNPC.markEnter/markLeave) and arrivals at a new
+// location are reported to MemoryTemperatureService as stres:memory:access; before building prompts we ask for the
+// current tiers (stres:memory:temperature) so NPC personas and location descriptions are served at the detail level
+// of their temperature: full when seen this scene, compressed by the service as they cool on the game clock.
+
+import { extensionName, defaultSettings } from './constants.js';
+import { STRESWorld } from './world.js';
+import { createRequestChannel } from './requests.js';
+
+const REPLY_TIMEOUT_MS = 1000;
+// After an unanswered request, serve cached tiers for a while instead of stalling every prompt build
+const RETRY_AFTER_MS = 60 * 1000;
+
+// What each tier keeps of an NPC chunk; persona 'compressed' uses the service's copy for that tier
+const TIER_DETAIL = {
+  hot: { persona: 'full', summary: true, facts: true },
+  warm: { persona: 'compressed', summary: true, facts: false },
+  cool: { persona: 'compressed', summary: true, facts: false },
+  cold: { persona: 'compressed', summary: false, facts: false },
+  frozen: { persona: null, summary: false, facts: false },
+};
+
+function ago(hours) {
+  if (!Number.isFinite(hours)) return '';
+  if (hours < 1) return 'just now';
+  if (hours < 48) return `${Math.round(hours)}h ago`;
+  return `${Math.round(hours / 24)}d ago`;
+}
+
+const MemoryTiersPrototype = {
+  ctx: null,
+  lastLocationLine: '',
+  unansweredUntil: 0,
+
+  init(ctx) {
+    this.ctx = ctx || window.SillyTavern?.getContext?.() || null;
+    this.cache = new Map();
+    if (this.bound) return;
+    this.bound = true;
+    try {
+      const es = this.ctx?.eventSource; const ET = this.ctx?.eventTypes || {};
+      if (es && ET.CHAT_CHANGED) es.on(ET.CHAT_CHANGED, () => { this.cache = new Map(); this.lastLocationLine = ''; });
+      window.addEventListener('stres:memory:temperatures', (event) => this.requests.resolve(event?.detail));
+    } catch {}
+  },
+
+  getSettings() {
+    const s = window.extension_settings?.[extensionName] || {};
+    return Object.assign({}, defaultSettings.memoryTiers, s.memoryTiers || {});
+  },
+
+  touch(entityId, entityType, data) {
+    if (!entityId || !this.getSettings().enabled) return;
+    this.cache?.set(entityId, { id: entityId, type: entityType, temperature: 'hot', data: data || null, hoursSinceAccess: 0 });
+    window.dispatchEvent(new CustomEvent('stres:memory:access', { detail: { entityId, entityType, data } }));
+  },
+
+  // entities: [{ id, type }] -> Map id -> { temperature, data, hoursSinceAccess }; unknown entities are left out
+  async tiers(entities) {
+    const out = new Map();
+    if (!entities.length || !this.getSettings().enabled) return out;
+    let reply = null;
+    if (Date.now() >= this.unansweredUntil) {
+      reply = await this.requests.ask('stres:memory:temperature', { entities });
+      if (!reply) this.unansweredUntil = Date.now() + RETRY_AFTER_MS;
+    }
+    if (reply && !reply.error) {
+      for (const view of reply.entities || []) {
+        if (view.temperature) this.cache.set(view.id, view);
+      }
+    }
+    for (const { id } of entities) {
+      if (this.cache.has(id)) out.set(id, this.cache.get(id));
+    }
+    return out;
+  },
+
+  detail(temperature) {
+    return TIER_DETAIL[temperature] || TIER_DETAIL.hot;
+  },
+
+  // Persona text for a tier; the service's compressed copy wins once the NPC has cooled. Entities touched before
+  // their persona was known only hold a placeholder object, so those fall back to the registry text.
+  personaAt(view, persona) {
+    const detail = this.detail(view?.temperature);
+    if (detail.persona === 'full') return persona || '';
+    if (!detail.persona) return '';
+    return (typeof view.data === 'string' && view.data.trim()) || persona || '';
+  },
+
+  seenLabel(view) {
+    if (!view || !view.temperature || view.temperature === 'hot') return '';
+    return `last seen ${ago(view.hoursSinceAccess)}`;
+  },
+
+  // Current location and its description from the scene header or the manifest (locations, then regions)
+  async currentLocation() {
+    const s = window.extension_settings?.[extensionName] || {};
+    const ctx = this.ctx || window.SillyTavern?.getContext?.();
+    const metadata = ctx?.chatMetadata?.stres?.latestScenario?.sceneHeader?.metadata || {};
+    const name = String(metadata.locationName || metadata.location || s.world?.locationName || s.world?.regionId || '').trim();
+    if (!name) return null;
+    let description = metadata.locationDescription || metadata.description || '';
+    if (!description) {
+      try {
+        const mf = await STRESWorld.getManifestFresh();
+        const wanted = name.toLowerCase();
+        const candidates = [].concat(Array.isArray(mf?.locations) ? mf.locations : [], Array.isArray(mf?.regions) ? mf.regions : []);
+        const match = candidates.find(entry => [entry?.id, entry?.name].some(v => String(v || '').toLowerCase() === wanted));
+        description = match?.description || '';
+      } catch {}
+    }
+    return { id: `location:${name.toLowerCase()}`, name, description: String(description || '').trim() };
+  },
+
+  // A new location counts as an arrival; the description then cools while the party stays put
+  async buildLocationLine() {
+    this.lastLocationLine = '';
+    if (!this.getSettings().enabled) return '';
+    const ctx = this.ctx || window.SillyTavern?.getContext?.();
+    const location = await this.currentLocation();
+    if (!location?.description) return '';
+    const meta = ctx?.chatMetadata?.stres;
+    if (meta && meta.tierLocationId !== location.id) {
+      meta.tierLocationId = location.id;
+      this.touch(location.id, 'location', location.description);
+      try { await ctx.saveMetadata?.(); } catch {}
+    }
+    const view = (await this.tiers([{ id: location.id, type: 'location' }])).get(location.id);
+    const text = this.personaAt(view, location.description);
+    this.lastLocationLine = text ? `${location.name}: ${text}` : '';
+    return this.lastLocationLine;
+  },
+
+  async report(entities) {
+    const views = await this.tiers(entities);
+    if (!entities.length) return 'No NPCs or locations are being tracked yet';
+    const lines = ['**Memory tiers**'];
+    for (const { id, label } of entities) {
+      const view = views.get(id);
+      const seen = view ? (this.seenLabel(view) || 'seen this scene') : 'not seen yet';
+      lines.push(`• ${label || id} — ${view?.temperature || 'untracked'} (${seen})`);
+    }
+    return lines.join('\n');
+  },
+};
+
+export default function createMemoryTiers() {
+  return Object.assign({}, MemoryTiersPrototype, { requests: createRequestChannel('tiers', REPLY_TIMEOUT_MS) });
+}
@@ -0,0 +1,249 @@
+// Offline token counting for budgets and routing. The model family is picked from the active chat completion
+// source/model (or an explicit { source, model } target). Families with a published byte-level BPE vocabulary count
+// exactly once their ranks are loaded (tiktoken format: "<base64 token> <rank>" per line, fetched from the URL
+// configured in settings.tokenizer.vocabs); until then, and for families without a configured vocabulary, counts are
+// estimated from the family's own pre-tokenization so trimming and budgeting still agree.
+
+import { extensionName, defaultSettings } from './constants.js';
+
+const CONTRACTIONS = "'(?:[sS]|[tT]|[rR][eE]|[vV][eE]|[mM]|[lL][lL]|[dD])";
+// Pre-tokenizer patterns as used by tiktoken; sentencepiece models split digits one by one
+const PATTERNS = {
+  cl100k: new RegExp(`${CONTRACTIONS}|[^\\r\\n\\p{L}\\p{N}]?\\p{L}+|\\p{N}{1,3}| ?[^\\s\\p{L}\\p{N}]+[\\r\\n]*|\\s*[\\r\\n]+|\\s+(?!\\S)|\\s+`, 'gu'),
+  o200k: new RegExp([
+    `[^\\r\\n\\p{L}\\p{N}]?[\\p{Lu}\\p{Lt}\\p{Lm}\\p{Lo}\\p{M}]*[\\p{Ll}\\p{Lm}\\p{Lo}\\p{M}]+(?:${CONTRACTIONS})?`,
+    `[^\\r\\n\\p{L}\\p{N}]?[\\p{Lu}\\p{Lt}\\p{Lm}\\p{Lo}\\p{M}]+[\\p{Ll}\\p{Lm}\\p{Lo}\\p{M}]*(?:${CONTRACTIONS})?`,
+    '\\p{N}{1,3}', ' ?[^\\s\\p{L}\\p{N}]+[\\r\\n/]*', '\\s*[\\r\\n]+', '\\s+(?!\\S)', '\\s+',
+  ].join('|'), 'gu'),
+  sentencepiece: /\p{N}| ?\p{L}+| ?[^\s\p{L}\p{N}]+|\s+/gu,
+};
+
+// wordChars: letters a single token usually covers; charsPerToken: rate beyond that; cjk: tokens per CJK character
+const FAMILIES = {
+  o200k: { pattern: 'o200k', vocab: 'o200k_base', wordChars: 7, charsPerToken: 4.2, cjk: 0.8 },
+  cl100k: { pattern: 'cl100k', vocab: 'cl100k_base', wordChars: 7, charsPerToken: 4, cjk: 1.2 },
+  llama3: { pattern: 'cl100k', vocab: 'llama3', wordChars: 7, charsPerToken: 4, cjk: 1.1 },
+  qwen: { pattern: 'cl100k', vocab: 'qwen', wordChars: 7, charsPerToken: 4, cjk: 0.8 },
+  deepseek: { pattern: 'cl100k', vocab: null, wordChars: 6, charsPerToken: 3.8, cjk: 0.8 },
+  claude: { pattern: 'cl100k', vocab: null, wordChars: 6, charsPerToken: 3.4, cjk: 1.3 },
+  mistral: { pattern: 'sentencepiece', vocab: null, wordChars: 6, charsPerToken: 3.3, cjk: 1.5 },
+  gemini: { pattern: 'sentencepiece', vocab: null, wordChars: 7, charsPerToken: 4, cjk: 1 },
+};
+const DEFAULT_FAMILY = 'cl100k';
+
+// Model names win over the completion source, since aggregators (OpenRouter, custom) serve every family
+const MODEL_RULES = [
+  ['o200k', /gpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|chatgpt-4o|(^|\/)o[134](-|$)/],
+  ['cl100k', /gpt-4|gpt-3\.5|text-embedding-3|ada-002/],
+  ['claude', /claude|anthropic/],
+  ['llama3', /llama-?3|llama3|hermes-3/],
+  ['qwen', /qwen|qwq/],
+  ['deepseek', /deepseek/],
+  ['mistral', /mistral|mixtral|codestral|ministral|pixtral|llama-?2/],
+  ['gemini', /gemini|gemma|palm|bison/],
+];
+const SOURCE_FAMILIES = {
+  openai: 'cl100k', azure_openai: 'cl100k', claude: 'claude', makersuite: 'gemini', vertexai: 'gemini',
+  mistralai: 'mistral', deepseek: 'deepseek', groq: 'llama3', cohere: 'cl100k',
+};
+const SOURCE_MODEL_KEYS = { makersuite: 'google_model' };
+const CACHE_LIMIT = 20000;
+
+function isCJK(code) {
+  return (code >= 0x2e80 && code <= 0x9fff) || (code >= 0xac00 && code <= 0xd7af) || (code >= 0xf900 && code <= 0xfaff) || code >= 0x20000;
+}
+
+function utf8Binary(text) {
+  return Array.from(new TextEncoder().encode(text), (byte) => String.fromCharCode(byte));
+}
+
+// Standard byte-level BPE: repeatedly merge the adjacent pair with the lowest rank
+function bpeCount(ranks, piece) {
+  const parts = utf8Binary(piece);
+  if (parts.length === 1 || ranks.has(parts.join(''))) return 1;
+  while (parts.length > 1) {
+    let best = -1;
+    let bestRank = Infinity;
+    for (let i = 0; i < parts.length - 1; i++) {
+      const rank = ranks.get(parts[i] + parts[i + 1]);
+      if (rank !== undefined && rank < bestRank) { bestRank = rank; best = i; }
+    }
+    if (best < 0) break;
+    parts.splice(best, 2, parts[best] + parts[best + 1]);
+  }
+  return parts.length;
+}
+
+function estimateCount(family, piece) {
+  if (!piece.trim()) return 1;
+  let latin = 0;
+  let cjk = 0;
+  let other = 0;
+  let letters = true;
+  for (const ch of piece) {
+    const code = ch.codePointAt(0);
+    if (isCJK(code)) cjk++;
+    else if (code >= 0x370) other++;
+    else {
+      latin++;
+      if (!/[\p{L}\s']/u.test(ch)) letters = false;
+    }
+  }
+  let count = 0;
+  if (latin) {
+    count += letters
+      ? 1 + Math.floor(Math.max(0, latin - family.wordChars) / family.charsPerToken)
+      : Math.ceil(latin / 3);
+  }
+  count += Math.ceil(cjk * family.cjk + other / 2);
+  return Math.max(1, count);
+}
+
+export function parseTiktoken(text) {
+  const ranks = new Map();
+  for (const line of String(text || '').split('\n')) {
+    const [token, rank] = line.trim().split(/\s+/);
+    if (!token || rank === undefined) continue;
+    ranks.set(atob(token), Number(rank));
+  }
+  return ranks;
+}
+
+export const STRESTokenizer = {
+  ctx: null,
+  vocabs: new Map(), // vocab name -> { status: 'loading'|'ready'|'missing', ranks }
+  caches: new Map(),
+
+  init(ctx) {
+    this.ctx = ctx || window.SillyTavern?.getContext?.() || null;
+    this.ensureVocab(this.familyFor());
+  },
+
+  getSettings() {
+    const s = window.extension_settings?.[extensionName] || {};
+    return Object.assign({}, defaultSettings.tokenizer, s.tokenizer || {});
+  },
+
+  // The chat completion source and model SillyTavern is about to use
+  activeTarget() {
+    const ctx = this.ctx || window.SillyTavern?.getContext?.();
+    const cs = ctx?.chatCompletionSettings || {};
+    const source = String(cs.chat_completion_source || '').toLowerCase();
+    let model = '';
+    try { model = ctx?.getChatCompletionModel?.() || ''; } catch {}
+    model = model || cs[SOURCE_MODEL_KEYS[source] || `${source}_model`] || cs.model || '';
+    return { source, model: String(model) };
+  },
+
+  familyFor(target) {
+    const forced = this.getSettings().family;
+    if (forced && forced !== 'auto' && FAMILIES[forced]) return forced;
+    const { source = '', model = '' } = target || this.activeTarget();
+    const name = String(model).toLowerCase();
+    for (const [family, test] of MODEL_RULES) {
+      if (test.test(name)) return family;
+    }
+    return SOURCE_FAMILIES[String(source).toLowerCase()] || DEFAULT_FAMILY;
+  },
+
+  // The extension ships no vocabularies, so only a configured URL is fetched
+  vocabUrl(name) {
+    return this.getSettings().vocabs?.[name] || null;
+  },
+
+  // Loads in the background; counts switch from estimates to exact once the ranks are in
+  ensureVocab(family) {
+    const name = FAMILIES[family]?.vocab;
+    if (!name || this.vocabs.has(name)) return;
+    const url = this.vocabUrl(name);
+    if (!url || typeof fetch !== 'function') return;
+    this.vocabs.set(name, { status: 'loading' });
+    fetch(url)
+      .then((res) => (res.ok ? res.text() : Promise.reject(new Error(`HTTP ${res.status}`))))
+      .then((text) => this.registerVocab(name, text))
+      .catch(() => {
+        if (this.vocabs.get(name)?.status === 'loading') this.vocabs.set(name, { status: 'missing' });
+      });
+  },
+
+  registerVocab(name, text) {
+    const ranks = typeof text === 'string' ? parseTiktoken(text) : text;
+    if (!ranks?.size) { this.vocabs.set(name, { status: 'missing' }); return false; }
+    this.vocabs.set(name, { status: 'ready', ranks });
+    for (const [family, def] of Object.entries(FAMILIES)) {
+      if (def.vocab === name) this.caches.delete(family);
+    }
+    return true;
+  },
+
+  ranksFor(family) {
+    const entry = this.vocabs.get(FAMILIES[family]?.vocab);
+    return entry?.status === 'ready' ? entry.ranks : null;
+  },
+
+  pieces(text, family) {
+    return String(text || '').match(PATTERNS[FAMILIES[family].pattern]) || [];
+  },
+
+  countPiece(family, piece) {
+    let cache = this.caches.get(family);
+    if (!cache || cache.size > CACHE_LIMIT) this.caches.set(family, cache = new Map());
+    let count = cache.get(piece);
+    if (count === undefined) {
+      const ranks = this.ranksFor(family);
+      count = ranks ? bpeCount(ranks, piece) : estimateCount(FAMILIES[family], piece);
+      cache.set(piece, count);
+    }
+    return count;
+  },
+
+  count(text, target) {
+    const s = String(text || '');
+    if (!s) return 0;
+    const family = this.familyFor(target);
+    this.ensureVocab(family);
+    let total = 0;
+    for (const piece of this.pieces(s, family)) total += this.countPiece(family, piece);
+    return total;
+  },
+
+  // Longest prefix within maxTokens, cut on a pre-token boundary so no word is split
+  truncate(text, maxTokens, target) {
+    const s = String(text || '');
+    if (!s || maxTokens < 1) return '';
+    const family = this.familyFor(target);
+    let total = 0;
+    let end = 0;
+    for (const match of s.matchAll(PATTERNS[FAMILIES[family].pattern])) {
+      total += this.countPiece(family, match[0]);
+      if (total > maxTokens) break;
+      end = match.index + match[0].length;
+    }
+    return s.slice(0, end).trimEnd();
+  },
+
+  families() {
+    return Object.keys(FAMILIES);
+  },
+
+  // One line for /stres budget and the settings panel that says plainly when counts are only estimates
+  summary(target) {
+    const t = this.describe(target);
+    if (t.mode === 'bpe') return `${t.family}: exact counts from the ${t.vocab} vocabulary`;
+    const reason = !t.vocab ? 'this family has no public vocabulary'
+      : t.status === 'loading' ? `the ${t.vocab} vocabulary is still loading`
+      : t.status === 'missing' ? `the ${t.vocab} vocabulary failed to load`
+      : `no ${t.vocab} vocabulary is configured (tokenizer.vocabs.${t.vocab} in the extension settings)`;
+    return `${t.family}: estimated counts, ${reason}`;
+  },
+
+  describe(target) {
+    const resolved = target || this.activeTarget();
+    const family = this.familyFor(resolved);
+    const name = FAMILIES[family].vocab;
+    const status = name ? (this.vocabs.get(name)?.status || (this.vocabUrl(name) ? 'not loaded' : 'not configured')) : 'no public vocabulary';
+    return { ...resolved, family, vocab: name, mode: this.ranksFor(family) ? 'bpe' : 'estimate', status };
+  },
+};
+
+export default STRESTokenizer;
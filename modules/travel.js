@@ -0,0 +1,162 @@
+// Chat side of the travel planner. /stres travel asks TravelPlannerService for an itinerary (stres:travel:plan) and
+// keeps the journey in chatMetadata.stres.travel. Game time advanced by /stres tick (stres:time:advanced) moves the
+// party along the legs; each named stop reached becomes world.locationName. With a journey under way a bare
+// /stres tick advances to the next stop.
+
+import { extensionName } from './constants.js';
+import { createRequestChannel } from './requests.js';
+
+const REPLY_TIMEOUT_MS = 5000;
+
+// Minutes -> "1d4h30m", the same notation /stres tick accepts
+export function formatDuration(minutes) {
+  let rest = Math.max(0, Math.round(minutes));
+  const days = Math.floor(rest / 1440); rest -= days * 1440;
+  const hours = Math.floor(rest / 60); rest -= hours * 60;
+  return `${days ? `${days}d` : ''}${hours ? `${hours}h` : ''}${rest || (!days && !hours) ? `${rest}m` : ''}`;
+}
+
+function legLine(leg, index) {
+  const via = leg.routeName ? ` (${leg.routeName})` : '';
+  return `${index + 1}. ${leg.label}${via}: ${leg.from.name} → ${leg.to.name} — ${Math.round(leg.distanceKm)} km, ${formatDuration(leg.minutes)}`;
+}
+
+const TravelPrototype = {
+  ctx: null,
+
+  init(ctx) {
+    this.ctx = ctx || window.SillyTavern?.getContext?.() || null;
+    this.notes = [];
+    if (this.bound) return;
+    this.bound = true;
+    try {
+      window.addEventListener('stres:travel:planned', (event) => this.requests.resolve(event?.detail));
+      window.addEventListener('stres:time:advanced', (event) => this.advance(event?.detail?.minutes));
+    } catch {}
+  },
+
+  getTrip() {
+    const ctx = this.ctx || window.SillyTavern?.getContext?.();
+    return ctx?.chatMetadata?.stres?.travel || null;
+  },
+
+  async setTrip(trip) {
+    const ctx = this.ctx || window.SillyTavern?.getContext?.();
+    if (!ctx) return;
+    const meta = ctx.chatMetadata || (ctx.chatMetadata = {});
+    meta.stres = meta.stres || {};
+    meta.stres.travel = trip;
+    try { await ctx.saveMetadata?.(); } catch {}
+  },
+
+  currentLocation() {
+    const s = window.extension_settings?.[extensionName] || {};
+    return s.world?.locationName || '';
+  },
+
+  setLocation(name) {
+    const root = window.extension_settings?.[extensionName];
+    if (!root || !name) return;
+    root.world = root.world || {};
+    root.world.locationName = name;
+    try {
+      const ctx = window.SillyTavern?.getContext?.();
+      (ctx?.saveSettingsDebounced || window.saveSettingsDebounced)?.();
+    } catch {}
+  },
+
+  async plan(destination, origin) {
+    const from = origin || this.currentLocation();
+    if (!from) return { error: 'Set the current location first (or use /stres travel <destination> from <origin>)' };
+    const reply = await this.requests.ask('stres:travel:plan', { from, to: destination });
+    if (!reply) return { error: 'Travel planner is unavailable (is a world map loaded?)' };
+    return reply;
+  },
+
+  formatItinerary(itinerary, title = 'Itinerary') {
+    const lines = [`**${title}** ${itinerary.from.name} → ${itinerary.to.name} — ${Math.round(itinerary.totalDistanceKm)} km, ${formatDuration(itinerary.totalMinutes)}`];
+    itinerary.legs.forEach((leg, index) => lines.push(legLine(leg, index)));
+    return lines.join('\n');
+  },
+
+  async preview(destination, origin) {
+    const reply = await this.plan(destination, origin);
+    if (reply.error) return `❌ ${reply.error}`;
+    return this.formatItinerary(reply.itinerary);
+  },
+
+  async start(destination, origin) {
+    const reply = await this.plan(destination, origin);
+    if (reply.error) return `❌ ${reply.error}`;
+    const { itinerary } = reply;
+    await this.setTrip({ ...itinerary, legIndex: 0, legElapsed: 0, elapsedMinutes: 0, startedAt: Date.now() });
+    if (origin) this.setLocation(itinerary.from.name);
+    return [this.formatItinerary(itinerary, 'Journey started'), '', 'Use /stres tick to travel to the next stop, /stres travel cancel to turn back'].join('\n');
+  },
+
+  // Walks the journey forward; arrivals are collected for takeReport()
+  advance(minutes) {
+    const trip = this.getTrip();
+    let left = Number(minutes) || 0;
+    if (!trip || left <= 0) return;
+    while (left > 0 && trip.legIndex < trip.legs.length) {
+      const leg = trip.legs[trip.legIndex];
+      const remaining = leg.minutes - trip.legElapsed;
+      if (left < remaining) {
+        trip.legElapsed += left;
+        trip.elapsedMinutes += left;
+        left = 0;
+        break;
+      }
+      left -= remaining;
+      trip.elapsedMinutes += remaining;
+      trip.legIndex++;
+      trip.legElapsed = 0;
+      if (leg.to?.settlementId) {
+        this.setLocation(leg.to.name);
+        if (trip.legIndex < trip.legs.length) this.notes.push(`📍 Reached ${leg.to.name}`);
+      }
+    }
+    if (trip.legIndex >= trip.legs.length) {
+      this.setLocation(trip.to.name);
+      this.notes.push(`🏁 Arrived at ${trip.to.name} after ${formatDuration(trip.elapsedMinutes)} on the road`);
+      this.setTrip(null);
+    } else {
+      this.setTrip(trip);
+    }
+  },
+
+  takeReport() {
+    const text = this.notes.join('\n');
+    this.notes = [];
+    return text;
+  },
+
+  // Time left on the current leg, for a bare /stres tick
+  nextTickAdvance() {
+    const trip = this.getTrip();
+    const leg = trip?.legs?.[trip.legIndex];
+    return leg ? formatDuration(leg.minutes - trip.legElapsed) : '';
+  },
+
+  status() {
+    const trip = this.getTrip();
+    if (!trip) return `Not travelling${this.currentLocation() ? ` — at ${this.currentLocation()}` : ''}. Use /stres travel <destination>`;
+    const lines = this.formatItinerary(trip, 'Journey').split('\n');
+    const leg = trip.legs[trip.legIndex];
+    lines[trip.legIndex + 1] = `▶ ${lines[trip.legIndex + 1]} (${formatDuration(leg.minutes - trip.legElapsed)} left)`;
+    lines.push('', `${formatDuration(trip.elapsedMinutes)} travelled, ${formatDuration(trip.totalMinutes - trip.elapsedMinutes)} to go`);
+    return lines.join('\n');
+  },
+
+  async cancel() {
+    const trip = this.getTrip();
+    if (!trip) return 'Not travelling';
+    await this.setTrip(null);
+    return `🛑 Abandoned the journey to ${trip.to.name}; still at ${this.currentLocation() || trip.from.name}`;
+  },
+};
+
+export default function createTravel() {
+  return Object.assign({}, TravelPrototype, { requests: createRequestChannel('travel', REPLY_TIMEOUT_MS) });
+}
@@ -1,5 +1,6 @@
 import { defaultSettings, extensionName } from './constants.js';
 import { state } from './state.js';
+import { STRESTokenizer } from './tokenizer.js';
 
 export const STRESWorld = {
   lastState: null,
@@ -10,13 +11,13 @@ export const STRESWorld = {
   manifestFetchedAt: 0,
   manifestTtlMs: 15000,
 
+  // SillyTavern's own count for the active model; the offline tokenizer when it is unavailable or fails
   async tokenCount(text) {
     try {
       const ctx = window.SillyTavern?.getContext?.();
       if (ctx?.getTokenCountAsync) return await ctx.getTokenCountAsync(String(text || ''));
     } catch {}
-    const s = String(text || '');
-    return Math.ceil(s.length / 4) || 0;
+    return STRESTokenizer.count(text);
   },
 
   async refresh(regionHint) {
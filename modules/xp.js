@@ -0,0 +1,219 @@
+// Chat side of the opt-in XP pipeline. Narrated turns are forwarded as stres:message:narrated; XPCalculationService
+// answers with stres:xp:proposed for each detected task and the player accepts or rejects it from the buttons in the
+// proposal message (or /stres xp accept|reject). Accepted awards are kept in chatMetadata.stres.xp and mirrored to the HUD.
+
+import { extensionName, defaultSettings } from './constants.js';
+
+const AWARD_HISTORY = 50;
+
+const BREAKDOWN_PARTS = [
+  ['difficultyMultiplier', 'difficulty'],
+  ['qualityMultiplier', 'quality'],
+  ['skillBonus', 'skill'],
+  ['streakBonus', 'streak'],
+  ['timeBonus', 'time'],
+];
+
+function escapeHtml(text) {
+  return String(text == null ? '' : text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+export function formatBreakdown(breakdown) {
+  if (!breakdown) return '';
+  const factors = BREAKDOWN_PARTS
+    .filter(([key]) => Number.isFinite(breakdown[key]) && Math.abs(breakdown[key] - 1) > 0.001)
+    .map(([key, label]) => `${label} ×${breakdown[key].toFixed(2)}`);
+  return `Base ${breakdown.baseValue}${factors.length ? ` · ${factors.join(' · ')}` : ''} = ${breakdown.finalTotal} XP`;
+}
+
+const XPAwardsPrototype = {
+  ctx: null,
+  hud: null,
+  chat: null,
+
+  init(ctx, { hud, chat } = {}) {
+    this.ctx = ctx || window.SillyTavern?.getContext?.() || null;
+    this.hud = hud || null;
+    this.chat = chat || null;
+    if (this.bound) return;
+    this.bound = true;
+    try {
+      const es = this.ctx?.eventSource; const ET = this.ctx?.eventTypes || {};
+      if (es && ET.MESSAGE_RECEIVED) es.on(ET.MESSAGE_RECEIVED, (message, type) => this.onMessageReceived(message, type));
+      if (es && ET.CHAT_CHANGED) es.on(ET.CHAT_CHANGED, () => this.syncHud());
+      window.addEventListener('stres:xp:proposed', (event) => this.onProposed(event?.detail?.award));
+      window.addEventListener('stres:xp:awarded', (event) => this.onAwarded(event?.detail));
+      window.addEventListener('stres:xp:rejected', (event) => this.onRejected(event?.detail?.award));
+      document.addEventListener('click', (event) => {
+        const button = event.target?.closest?.('[data-stres-xp]');
+        if (!button) return;
+        event.preventDefault();
+        this.decide(button.dataset.stresXpAward, button.dataset.stresXp === 'accept');
+      });
+    } catch {}
+  },
+
+  getSettings() {
+    const s = window.extension_settings?.[extensionName] || {};
+    return Object.assign({}, defaultSettings.xp, s.xp || {});
+  },
+
+  characterId() {
+    const s = window.extension_settings?.[extensionName] || {};
+    return s.characterId || 'default';
+  },
+
+  getState() {
+    const ctx = this.ctx || window.SillyTavern?.getContext?.();
+    const meta = ctx?.chatMetadata || (ctx ? (ctx.chatMetadata = ctx.chatMetadata || {}) : {});
+    meta.stres = meta.stres || {};
+    const state = meta.stres.xp = meta.stres.xp || {};
+    state.pending = state.pending || {};
+    if (!Array.isArray(state.awards)) state.awards = [];
+    return state;
+  },
+
+  async save() {
+    try { await (this.ctx || window.SillyTavern?.getContext?.())?.saveMetadata?.(); } catch {}
+  },
+
+  // SillyTavern passes the chat index (some callers pass the message itself); STRES's own messages are skipped
+  onMessageReceived(messageOrIndex, type) {
+    try {
+      if (!this.getSettings().autoDetect || type === 'stres') return;
+      const ctx = this.ctx || window.SillyTavern?.getContext?.();
+      const message = typeof messageOrIndex === 'number' ? ctx?.chat?.[messageOrIndex] : messageOrIndex;
+      if (!message || message.is_user || message.is_system) return;
+      const text = String(message.mes || message.text || '').trim();
+      if (!text) return;
+      window.dispatchEvent(new CustomEvent('stres:message:narrated', { detail: { text, characterId: this.characterId() } }));
+    } catch (error) {
+      console.warn('[STRES] XP detection dispatch failed', error);
+    }
+  },
+
+  formatProposal(award) {
+    const confidence = Math.round((Number(award.confidence) || 0) * 100);
+    const excerpt = award.excerpt ? `\n> ${award.excerpt.replace(/\s+/g, ' ')}\n` : '';
+    const id = escapeHtml(award.id);
+    return `✨ **+${award.totalXP} XP** — ${award.taskType} (${confidence}% confidence)${excerpt}\n` +
+      `${formatBreakdown(award.breakdown)}\n` +
+      `<span class="stres-xp-actions" data-stres-xp-actions="${id}">` +
+      `<button class="stres-btn" data-stres-xp="accept" data-stres-xp-award="${id}">✅ Accept</button> ` +
+      `<button class="stres-btn stres-btn--ghost" data-stres-xp="reject" data-stres-xp-award="${id}">✖ Reject</button>` +
+      `</span>`;
+  },
+
+  async onProposed(award) {
+    if (!award?.id) return;
+    this.getState().pending[award.id] = award;
+    await this.save();
+    await this.chat?.addSystemMessage?.(this.formatProposal(award));
+  },
+
+  decide(awardId, accept) {
+    if (!awardId) return false;
+    if (!this.getState().pending[awardId]) {
+      this.markResolved(awardId, 'Already resolved');
+      return false;
+    }
+    this.markResolved(awardId, accept ? '⏳ Accepting…' : '⏳ Rejecting…', { persist: false });
+    window.dispatchEvent(new CustomEvent('stres:xp:decision', { detail: { awardId, accept: !!accept } }));
+    return true;
+  },
+
+  // Replace the buttons in the rendered message and in the stored chat so reloads show the outcome
+  markResolved(awardId, label, { persist = true } = {}) {
+    const pattern = new RegExp(`<span class="stres-xp-actions" data-stres-xp-actions="${awardId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}">[\\s\\S]*?</span>`);
+    const replacement = `<span class="stres-xp-actions" data-stres-xp-actions="${escapeHtml(awardId)}"><i>${escapeHtml(label)}</i></span>`;
+    try {
+      for (const el of document.querySelectorAll(`[data-stres-xp-actions="${CSS.escape(awardId)}"]`)) el.outerHTML = replacement;
+    } catch {}
+    if (!persist) return;
+    try {
+      const ctx = this.ctx || window.SillyTavern?.getContext?.();
+      const message = (ctx?.chat || []).find(m => m?.is_system && pattern.test(String(m.mes || '')));
+      if (message) {
+        message.mes = String(message.mes).replace(pattern, replacement);
+        ctx.saveChat?.();
+      }
+    } catch {}
+  },
+
+  async onAwarded(detail) {
+    const award = detail?.award;
+    if (!award?.id) return;
+    const state = this.getState();
+    delete state.pending[award.id];
+    state.awards.push({ id: award.id, taskType: award.taskType, totalXP: award.totalXP, at: Date.now() });
+    if (state.awards.length > AWARD_HISTORY) state.awards.splice(0, state.awards.length - AWARD_HISTORY);
+    if (detail.character) state.character = detail.character;
+    await this.save();
+    this.markResolved(award.id, `✅ Accepted +${award.totalXP} XP`);
+    this.syncHud();
+    const levelUps = detail.levelUps || [];
+    if (levelUps.length && detail.character) {
+      const hud = this.hud || window.STRESHud;
+      const field = (level) => ({ key: 'xp_level', label: 'Level', icon: '⭐', current: level });
+      const next = detail.character.currentLevel;
+      const previous = detail.previousLevel ?? next - levelUps.length;
+      try {
+        hud?.handleAlerts?.([{ key: 'xp_level', delta: next - previous, previous: field(previous), current: field(next) }]);
+      } catch (error) {
+        console.warn('[STRES] Level-up alert failed', error);
+      }
+    }
+  },
+
+  async onRejected(award) {
+    if (!award?.id) return;
+    delete this.getState().pending[award.id];
+    await this.save();
+    this.markResolved(award.id, '✖ Rejected');
+  },
+
+  listPending() {
+    return Object.values(this.getState().pending);
+  },
+
+  hudFields(character) {
+    if (!character) return [];
+    return [
+      { key: 'xp_level', label: 'Level', icon: '⭐', value: String(character.currentLevel), current: character.currentLevel, category: 'progression', tags: ['progression'], priority: 0 },
+      { key: 'xp_progress', label: 'XP', current: character.currentXP, max: character.xpToNextLevel, category: 'progression', tags: ['progression'], priority: 1 },
+    ];
+  },
+
+  syncHud() {
+    const hud = this.hud || window.STRESHud;
+    const fields = this.hudFields(this.getState().character);
+    if (!hud?.setFields || !fields.length) return;
+    try {
+      hud.setFields(fields, { origin: 'xp', reason: 'progression' });
+    } catch (error) {
+      console.warn('[STRES] XP HUD sync failed', error);
+    }
+  },
+
+  formatStatus() {
+    const state = this.getState();
+    const c = state.character;
+    const lines = [`**XP** — auto-detect ${this.getSettings().autoDetect ? 'on' : 'off'}`];
+    if (c) lines.push(`• Level ${c.currentLevel} — ${c.currentXP}/${c.xpToNextLevel} XP (total ${c.totalXP})`);
+    const pending = this.listPending();
+    if (pending.length) {
+      lines.push('', '__Pending__');
+      for (const award of pending) lines.push(`• ${award.id}: +${award.totalXP} XP ${award.taskType}`);
+    }
+    const recent = state.awards.slice(-5).reverse();
+    if (recent.length) {
+      lines.push('', '__Recent awards__');
+      for (const award of recent) lines.push(`• +${award.totalXP} XP ${award.taskType}`);
+    }
+    return lines.join('\n');
+  },
+};
+
+export default function createXPAwards() {
+  return Object.assign({}, XPAwardsPrototype);
+}
@@ -0,0 +1,340 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.craftingService = exports.CraftingService = void 0;
+const BaseService_1 = require("./BaseService");
+const XPCalculationService_1 = require("../components/logic/XPCalculationService");
+const DEFAULT_CRAFTING_CONFIG = {
+    enabled: true,
+    baseSuccessChance: 0.75,
+    difficultyPenalty: 0.1,
+    minSuccessChance: 0.05,
+    maxSuccessChance: 0.95,
+    failureMaterialLoss: 0.5,
+    awardXP: true
+};
+// Quality is decided by how far the roll landed under the success chance (margin 0..1)
+const QUALITY_TIERS = [
+    { tier: 'masterwork', minMargin: 0.8, statMultiplier: 1.5, durabilityMultiplier: 1.5, rarity: 'rare', xpConfidence: 1.0 },
+    { tier: 'superior', minMargin: 0.55, statMultiplier: 1.25, durabilityMultiplier: 1.25, rarity: 'uncommon', xpConfidence: 0.9 },
+    { tier: 'fine', minMargin: 0.3, statMultiplier: 1.1, durabilityMultiplier: 1.1, rarity: 'common', xpConfidence: 0.8 },
+    { tier: 'common', minMargin: 0.1, statMultiplier: 1.0, durabilityMultiplier: 1.0, rarity: 'common', xpConfidence: 0.7 },
+    { tier: 'crude', minMargin: 0, statMultiplier: 0.8, durabilityMultiplier: 0.75, rarity: 'common', xpConfidence: 0.6 }
+];
+class CraftingService extends BaseService_1.BaseService {
+    constructor(config = {}) {
+        super('CraftingService', { performanceBudget: 50 });
+        this.recipes = new Map();
+        this.config = { ...DEFAULT_CRAFTING_CONFIG, ...config };
+        this.initializeRecipes();
+        this.bindEvents();
+    }
+    // Subscribed at construction: the exported singleton is used without initialize()
+    bindEvents() {
+        this.eventBus.on('crafting:requested', this.handleCraftingRequested.bind(this));
+    }
+    async onInitialize() {
+        console.log('[Crafting] Initialized with', this.recipes.size, 'recipes');
+    }
+    async onShutdown() {
+        console.log('[Crafting] Shut down gracefully');
+    }
+    registerRecipe(recipe) {
+        if (!recipe || !recipe.id || !recipe.output) {
+            throw new Error('Recipe requires an id and an output');
+        }
+        this.recipes.set(recipe.id, {
+            difficulty: 1,
+            materials: [],
+            tools: [],
+            craftingTime: 30,
+            category: 'general',
+            ...recipe
+        });
+    }
+    getRecipe(recipeId) {
+        return this.recipes.get(recipeId) || null;
+    }
+    findRecipe(query) {
+        const q = String(query || '').trim().toLowerCase();
+        if (!q)
+            return null;
+        const id = q.replace(/[^a-z0-9]+/g, '_');
+        if (this.recipes.has(id))
+            return this.recipes.get(id);
+        const recipes = Array.from(this.recipes.values());
+        return recipes.find(r => r.name.toLowerCase() === q) ||
+            recipes.find(r => r.name.toLowerCase().includes(q)) ||
+            null;
+    }
+    listRecipes(category) {
+        const recipes = Array.from(this.recipes.values());
+        return category ? recipes.filter(r => r.category === category) : recipes;
+    }
+    countMaterial(items, itemId) {
+        return items
+            .filter(item => this.matchesMaterial(item, itemId))
+            .reduce((total, item) => total + (item.quantity || 0), 0);
+    }
+    matchesMaterial(item, itemId) {
+        const slug = String(item.name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_');
+        return item.itemId === itemId || item.id === itemId || slug === itemId;
+    }
+    checkMaterials(recipe, items) {
+        const missing = [];
+        for (const material of recipe.materials) {
+            const have = this.countMaterial(items, material.itemId);
+            if (have < material.quantity) {
+                missing.push({ itemId: material.itemId, required: material.quantity, have });
+            }
+        }
+        for (const toolId of recipe.tools) {
+            if (this.countMaterial(items, toolId) < 1) {
+                missing.push({ itemId: toolId, required: 1, have: 0, tool: true });
+            }
+        }
+        return { ok: missing.length === 0, missing };
+    }
+    async calculateSuccessChance(recipe, characterId) {
+        const character = await XPCalculationService_1.xpCalculationService.getOrLoadCharacterXP(characterId);
+        const skillBonus = await XPCalculationService_1.xpCalculationService.calculateSkillBonus({ type: 'crafting', confidence: 1, details: { difficulty: recipe.difficulty } }, character);
+        const chance = this.config.baseSuccessChance * skillBonus - (recipe.difficulty - 1) * this.config.difficultyPenalty;
+        return {
+            chance: Math.max(this.config.minSuccessChance, Math.min(this.config.maxSuccessChance, chance)),
+            skillBonus,
+            level: character.currentLevel
+        };
+    }
+    determineQuality(roll, chance) {
+        const margin = chance > 0 ? (chance - roll) / chance : 0;
+        return QUALITY_TIERS.find(t => margin >= t.minMargin) || QUALITY_TIERS[QUALITY_TIERS.length - 1];
+    }
+    buildOutput(recipe, quality) {
+        const output = recipe.output;
+        const stats = {};
+        for (const [stat, value] of Object.entries(output.stats || {})) {
+            stats[stat] = Math.max(1, Math.round(value * quality.statMultiplier));
+        }
+        const durabilityMax = Math.round((output.durabilityMax || 100) * quality.durabilityMultiplier);
+        return {
+            itemId: output.itemId,
+            name: quality.tier === 'common' ? output.name : `${output.name} (${quality.tier})`,
+            type: output.type || 'misc',
+            weight: output.weight || 1,
+            quantity: output.quantity || 1,
+            rarity: quality.rarity,
+            quality: quality.tier,
+            baseValue: Math.round((output.baseValue || 10) * quality.statMultiplier),
+            durabilityMax,
+            durabilityCurrent: durabilityMax,
+            durabilityRate: output.durabilityRate || 0.01,
+            breakThreshold: 0,
+            properties: { ...(output.properties || {}), stats, craftedBy: null, recipeId: recipe.id }
+        };
+    }
+    // `inventory` is any object exposing getPlayerInventory(characterId), removeItem(characterId, itemId, qty)
+    // and addItem(characterId, itemId, qty, item), which is the InventoryManager surface.
+    async craft(characterId, recipeId, inventory, options = {}) {
+        return this.measureOperation('craft', async () => {
+            var _a;
+            if (!this.config.enabled) {
+                return { success: false, reason: 'disabled', message: 'Crafting is disabled' };
+            }
+            const recipe = this.getRecipe(recipeId) || this.findRecipe(recipeId);
+            if (!recipe) {
+                return { success: false, reason: 'unknown_recipe', message: `Unknown recipe: ${recipeId}` };
+            }
+            const current = await inventory.getPlayerInventory(characterId);
+            const items = (current === null || current === void 0 ? void 0 : current.items) || [];
+            const check = this.checkMaterials(recipe, items);
+            if (!check.ok) {
+                return { success: false, reason: 'missing_materials', recipe, missing: check.missing, message: `Missing materials for ${recipe.name}` };
+            }
+            const { chance, skillBonus } = await this.calculateSuccessChance(recipe, characterId);
+            const rng = options.rng || Math.random;
+            const roll = rng();
+            const success = roll < chance;
+            const lossRatio = success ? 1 : this.config.failureMaterialLoss;
+            const consumed = recipe.materials
+                .map(material => ({ itemId: material.itemId, quantity: Math.ceil(material.quantity * lossRatio) }))
+                .filter(material => material.quantity > 0);
+            const plan = this.planConsumption(items, consumed);
+            if (!plan.ok) {
+                return { success: false, reason: 'missing_materials', recipe, missing: plan.missing, message: `Missing materials for ${recipe.name}` };
+            }
+            await this.consumeMaterials(inventory, characterId, plan.takes);
+            const toolsUsed = items.filter(item => recipe.tools.some(toolId => this.matchesMaterial(item, toolId)));
+            if (!success) {
+                this.eventBus.emit('crafting:failed', { characterId, recipeId: recipe.id, chance, roll, materialsConsumed: consumed });
+                return {
+                    success: false,
+                    reason: 'failed_check',
+                    recipe,
+                    chance,
+                    roll,
+                    materialsConsumed: consumed,
+                    message: `Crafting ${recipe.name} failed`
+                };
+            }
+            const quality = this.determineQuality(roll, chance);
+            const item = this.buildOutput(recipe, quality);
+            item.properties.craftedBy = characterId;
+            const added = await inventory.addItem(characterId, item.itemId, item.quantity, item);
+            let xp = null;
+            if (this.config.awardXP) {
+                try {
+                    xp = await XPCalculationService_1.xpCalculationService.calculateXP({
+                        type: 'crafting',
+                        confidence: quality.xpConfidence,
+                        details: { difficulty: recipe.difficulty, recipeId: recipe.id, quality: quality.tier }
+                    }, characterId);
+                }
+                catch (error) {
+                    console.warn('[Crafting] XP award failed:', error);
+                }
+            }
+            this.eventBus.emit('crafting:completed', {
+                characterId,
+                recipeId: recipe.id,
+                itemId: item.itemId,
+                item,
+                quality: quality.tier,
+                materialsConsumed: consumed,
+                toolsUsed,
+                craftingTime: recipe.craftingTime
+            });
+            return {
+                success: true,
+                recipe,
+                chance,
+                roll,
+                skillBonus,
+                quality: quality.tier,
+                item,
+                materialsConsumed: consumed,
+                xp: (_a = xp === null || xp === void 0 ? void 0 : xp.totalXP) !== null && _a !== void 0 ? _a : null,
+                levelUps: (xp === null || xp === void 0 ? void 0 : xp.levelUps) || [],
+                updatedInventory: added === null || added === void 0 ? void 0 : added.updatedInventory,
+                message: `Crafted ${item.name}`
+            };
+        });
+    }
+    // Assigns every take to a stack before anything is removed, so a shortfall leaves the inventory untouched
+    planConsumption(items, materials) {
+        const used = new Map();
+        const takes = [];
+        const missing = [];
+        for (const material of materials) {
+            let remaining = material.quantity;
+            for (const stack of items.filter(item => this.matchesMaterial(item, material.itemId))) {
+                if (remaining <= 0)
+                    break;
+                const available = (stack.quantity || 0) - (used.get(stack) || 0);
+                const take = Math.min(available, remaining);
+                if (take <= 0)
+                    continue;
+                used.set(stack, (used.get(stack) || 0) + take);
+                takes.push({ stack, quantity: take });
+                remaining -= take;
+            }
+            if (remaining > 0) {
+                missing.push({ itemId: material.itemId, required: material.quantity, have: material.quantity - remaining });
+            }
+        }
+        return { ok: missing.length === 0, takes, missing };
+    }
+    // Removes the planned takes; if one removal fails the stacks already taken are put back
+    async consumeMaterials(inventory, characterId, takes) {
+        const removed = [];
+        try {
+            for (const take of takes) {
+                const result = await inventory.removeItem(characterId, take.stack.id, take.quantity);
+                if (result && result.success === false) {
+                    throw new Error(result.message || `Failed to consume ${take.stack.itemId || take.stack.id}`);
+                }
+                removed.push(take);
+            }
+        }
+        catch (error) {
+            for (const take of removed.reverse()) {
+                try {
+                    await inventory.addItem(characterId, take.stack.itemId || take.stack.id, take.quantity, take.stack);
+                }
+                catch (restoreError) {
+                    console.error('[Crafting] Failed to restore material:', restoreError);
+                }
+            }
+            throw error;
+        }
+    }
+    initializeRecipes() {
+        const recipes = [
+            {
+                id: 'iron_sword',
+                name: 'Iron Sword',
+                category: 'smithing',
+                difficulty: 2,
+                materials: [{ itemId: 'metal_ingot', quantity: 3 }, { itemId: 'leather_strip', quantity: 1 }],
+                tools: ['smithing_hammer'],
+                craftingTime: 120,
+                output: { itemId: 'iron_sword', name: 'Iron Sword', type: 'weapon', weight: 3, baseValue: 40, durabilityMax: 100, stats: { attack: 3 } }
+            },
+            {
+                id: 'leather_armor',
+                name: 'Leather Armor',
+                category: 'leatherworking',
+                difficulty: 2,
+                materials: [{ itemId: 'leather_strip', quantity: 4 }, { itemId: 'cloth', quantity: 1 }],
+                tools: [],
+                craftingTime: 90,
+                output: { itemId: 'leather_armor', name: 'Leather Armor', type: 'armor', weight: 8, baseValue: 30, durabilityMax: 80, stats: { armor: 2 } }
+            },
+            {
+                id: 'healing_potion',
+                name: 'Healing Potion',
+                category: 'alchemy',
+                difficulty: 1,
+                materials: [{ itemId: 'healing_herb', quantity: 2 }, { itemId: 'empty_vial', quantity: 1 }],
+                tools: [],
+                craftingTime: 20,
+                output: { itemId: 'healing_potion', name: 'Healing Potion', type: 'consumable', weight: 0.5, baseValue: 25, properties: { effects: [{ type: 'heal', description: 'Restores 2d4+2 HP' }] } }
+            },
+            {
+                id: 'lockpick_set',
+                name: 'Lockpick Set',
+                category: 'tinkering',
+                difficulty: 3,
+                materials: [{ itemId: 'metal_ingot', quantity: 1 }],
+                tools: [],
+                craftingTime: 60,
+                output: { itemId: 'lockpick_set', name: 'Lockpick Set', type: 'tool', weight: 0.5, baseValue: 25, durabilityMax: 40, stats: { lockpicking: 1 } }
+            },
+            {
+                id: 'wooden_shield',
+                name: 'Wooden Shield',
+                category: 'woodworking',
+                difficulty: 1,
+                materials: [{ itemId: 'wood', quantity: 3 }, { itemId: 'leather_strip', quantity: 1 }],
+                tools: [],
+                craftingTime: 60,
+                output: { itemId: 'wooden_shield', name: 'Wooden Shield', type: 'armor', weight: 5, baseValue: 10, durabilityMax: 60, stats: { armor: 1 }, properties: { slot: 'off_hand' } }
+            }
+        ];
+        for (const recipe of recipes) {
+            this.registerRecipe(recipe);
+        }
+    }
+    async handleCraftingRequested(data) {
+        try {
+            if (!data.inventory) {
+                console.warn('[Crafting] Crafting request without inventory source ignored');
+                return;
+            }
+            await this.craft(data.characterId, data.recipeId, data.inventory, data.options);
+        }
+        catch (error) {
+            console.error('[Crafting] Error handling crafting request:', error);
+        }
+    }
+}
+exports.CraftingService = CraftingService;
+exports.craftingService = new CraftingService();
@@ -8,22 +8,37 @@ const DEFAULT_DURABILITY_CONFIG = {
     repairCostMultiplier: 1.0,
     autoBreakEnabled: true,
     breakNotificationThreshold: 25,
-    repairSkillRequired: true
+    repairSkillRequired: true,
+    instantRepairMaxMinutes: 30,
+    maxRepairSuccessChance: 0.95
 };
 class DurabilityService extends BaseService_1.BaseService {
     constructor(config = {}) {
         super('DurabilityService', { performanceBudget: 50 });
         this.degradationRules = new Map();
         this.repairQueue = new Map();
+        this.repairCallbacks = new Map();
+        this.completionHandler = null;
         this.config = { ...DEFAULT_DURABILITY_CONFIG, ...config };
         this.initializeDegradationRules();
+        this.bindEvents();
     }
-    async onInitialize() {
+    bindEvents() {
         this.eventBus.on('item:used', this.handleItemUsed.bind(this));
         this.eventBus.on('combat:ended', this.handleCombatEnded.bind(this));
         this.eventBus.on('travel:completed', this.handleTravelCompleted.bind(this));
         this.eventBus.on('crafting:completed', this.handleCraftingCompleted.bind(this));
         this.eventBus.on('repair:requested', this.handleRepairRequested.bind(this));
+        this.eventBus.on('time:advanced', this.handleTimeAdvanced.bind(this));
+        if (typeof window !== 'undefined' && window.addEventListener) {
+            // `/stres tick` and travel advance game time from the chat side
+            window.addEventListener('stres:time:advanced', (event) => {
+                var _a;
+                this.handleTimeAdvanced({ minutes: (_a = event.detail) === null || _a === void 0 ? void 0 : _a.minutes });
+            });
+        }
+    }
+    async onInitialize() {
         console.log('[Durability] Initialized with config:', this.config);
     }
     async onShutdown() {
@@ -88,14 +103,17 @@ class DurabilityService extends BaseService_1.BaseService {
             };
         });
     }
-    async calculateRepair(item, targetDurability) {
+    async calculateRepair(item, targetDurability, context = {}) {
         return this.measureOperation('calculateRepair', async () => {
             const maxRestore = Math.min(item.durabilityMax - item.durabilityCurrent, targetDurability ? targetDurability - item.durabilityCurrent : item.durabilityMax);
             const damageRatio = (item.durabilityMax - item.durabilityCurrent) / item.durabilityMax;
             const baseCost = Math.floor(item.baseValue * damageRatio * this.config.repairCostMultiplier);
             const materials = this.calculateRepairMaterials(item, maxRestore);
             const complexity = this.getItemComplexity(item);
-            const successChance = Math.max(0.1, 1.0 - (damageRatio * 0.5) - (complexity * 0.2));
+            let successChance = Math.max(0.1, 1.0 - (damageRatio * 0.5) - (complexity * 0.2));
+            if (this.config.repairSkillRequired && context.skillBonus) {
+                successChance = Math.min(this.config.maxRepairSuccessChance, successChance * context.skillBonus);
+            }
             const repairTime = Math.floor((item.weight * 10) + (maxRestore * 2) + (complexity * 30));
             const repair = {
                 itemId: item.id,
@@ -168,7 +186,7 @@ class DurabilityService extends BaseService_1.BaseService {
             brokenItems: 0,
             warningItems: 0,
             averageDurability: 0,
-            repairQueueLength: this.repairQueue.size
+            repairQueueLength: this.loadRepairQueue().size
         };
     }
     calculateDegradation(item, usageType, context) {
@@ -230,7 +248,7 @@ class DurabilityService extends BaseService_1.BaseService {
             legendary: 4,
             artifact: 5
         };
-        return typeComplexity[item.type] * rarityComplexity[item.rarity];
+        return (typeComplexity[item.type] || 1) * (rarityComplexity[item.rarity] || 1);
     }
     getConditionModifier(environment) {
         const modifiers = {
@@ -309,11 +327,124 @@ class DurabilityService extends BaseService_1.BaseService {
             }
         ]);
     }
-    async processPendingRepairs() {
-        for (const [itemId, repair] of this.repairQueue) {
-            console.log(`[Durability] Processing pending repair for item ${itemId}`);
+    // Queued repairs are kept in chatMetadata.stres.repairs so they survive a reload and follow the chat;
+    // without a chat context (tests, tooling) the queue stays in memory
+    getChatState() {
+        var _a, _b;
+        if (typeof window === 'undefined')
+            return null;
+        const ctx = (_b = (_a = window.SillyTavern) === null || _a === void 0 ? void 0 : _a.getContext) === null || _b === void 0 ? void 0 : _b.call(_a);
+        if (!ctx)
+            return null;
+        const meta = ctx.chatMetadata || (ctx.chatMetadata = {});
+        meta.stres = meta.stres || {};
+        return { ctx, stres: meta.stres };
+    }
+    loadRepairQueue() {
+        const state = this.getChatState();
+        if (!state)
+            return this.repairQueue;
+        const entries = Array.isArray(state.stres.repairs) ? state.stres.repairs : [];
+        this.repairQueue = new Map(entries.map(entry => [entry.item.id, { ...entry, onComplete: this.repairCallbacks.get(entry.item.id) || null }]));
+        return this.repairQueue;
+    }
+    saveRepairQueue() {
+        const state = this.getChatState();
+        if (!state)
+            return;
+        state.stres.repairs = Array.from(this.repairQueue.values()).map(({ onComplete, ...entry }) => entry);
+        try {
+            Promise.resolve(state.ctx.saveMetadata && state.ctx.saveMetadata()).catch(error => console.warn('[Durability] Failed to save repair queue:', error));
+        }
+        catch (error) {
+            console.warn('[Durability] Failed to save repair queue:', error);
         }
-        this.repairQueue.clear();
+    }
+    // Called for completed repairs whose onComplete was lost with a reload; receives (entry, repairedItem, result)
+    setCompletionHandler(handler) {
+        this.completionHandler = typeof handler === 'function' ? handler : null;
+    }
+    // Long repairs wait for game time; `onComplete` lets the caller write the result back to its inventory
+    // and `durabilityField` names the inventory field to update once the callback is gone
+    queueRepair(item, repair, crafterId, options = {}) {
+        this.loadRepairQueue();
+        const entry = {
+            item,
+            repair,
+            crafterId,
+            characterId: options.characterId || crafterId,
+            durabilityField: options.durabilityField || 'durabilityCurrent',
+            remainingMinutes: repair.repairTime,
+            queuedAt: Date.now(),
+            onComplete: options.onComplete || null
+        };
+        this.repairQueue.set(item.id, entry);
+        if (entry.onComplete) {
+            this.repairCallbacks.set(item.id, entry.onComplete);
+        }
+        this.saveRepairQueue();
+        this.eventBus.emit('repair:queued', { itemId: item.id, repairTime: repair.repairTime, characterId: entry.characterId });
+        return entry;
+    }
+    getRepairQueue() {
+        return Array.from(this.loadRepairQueue().values()).map(entry => ({
+            itemId: entry.item.id,
+            itemName: entry.item.name,
+            remainingMinutes: Math.max(0, entry.remainingMinutes),
+            successChance: entry.repair.successChance,
+            characterId: entry.characterId
+        }));
+    }
+    cancelRepair(itemId) {
+        const removed = this.loadRepairQueue().delete(itemId);
+        this.repairCallbacks.delete(itemId);
+        if (removed) {
+            this.saveRepairQueue();
+        }
+        return removed;
+    }
+    async processPendingRepairs(minutesElapsed = 0) {
+        const completed = [];
+        const due = [];
+        for (const [itemId, entry] of Array.from(this.loadRepairQueue())) {
+            entry.remainingMinutes -= minutesElapsed;
+            if (entry.remainingMinutes > 0) {
+                continue;
+            }
+            this.repairQueue.delete(itemId);
+            this.repairCallbacks.delete(itemId);
+            due.push([itemId, entry]);
+        }
+        // Saved before repairing so an overlapping tick cannot finish the same repair twice
+        this.saveRepairQueue();
+        for (const [itemId, entry] of due) {
+            try {
+                const result = await this.repairItem(entry.item, entry.repair, entry.crafterId);
+                const summary = {
+                    itemId,
+                    itemName: entry.item.name,
+                    characterId: entry.characterId,
+                    success: result.success,
+                    newDurability: result.newDurability,
+                    maxDurability: entry.item.durabilityMax
+                };
+                if (entry.onComplete) {
+                    await entry.onComplete(entry.item, result);
+                }
+                else if (this.completionHandler) {
+                    await this.completionHandler(entry, entry.item, result);
+                }
+                this.eventBus.emit('repair:completed', summary);
+                if (typeof window !== 'undefined' && window.dispatchEvent) {
+                    window.dispatchEvent(new CustomEvent('stres:repair:completed', { detail: summary }));
+                }
+                completed.push(summary);
+            }
+            catch (error) {
+                console.error(`[Durability] Pending repair for item ${itemId} failed:`, error);
+            }
+        }
+        return completed;
     }
     async handleItemUsed(data) {
         try {
@@ -344,8 +475,37 @@ class DurabilityService extends BaseService_1.BaseService {
         const intensity = Math.min(2.0, data.distance / 100);
     }
     async handleCraftingCompleted(data) {
+        for (const tool of data.toolsUsed || []) {
+            if (tool.durabilityCurrent === undefined || tool.durabilityMax === undefined) {
+                continue;
+            }
+            try {
+                await this.degradeItem(tool, 'crafting', { characterId: data.characterId });
+            }
+            catch (error) {
+                console.error('[Durability] Error degrading crafting tool:', error);
+            }
+        }
     }
     async handleRepairRequested(data) {
+        try {
+            const repair = await this.calculateRepair(data.item, data.targetDurability, { skillBonus: data.skillBonus });
+            if (repair.repairTime > this.config.instantRepairMaxMinutes) {
+                this.queueRepair(data.item, repair, data.crafterId, { characterId: data.characterId });
+            }
+            else {
+                await this.repairItem(data.item, repair, data.crafterId);
+            }
+        }
+        catch (error) {
+            console.error('[Durability] Error handling repair request:', error);
+        }
+    }
+    async handleTimeAdvanced(data) {
+        const minutes = Number(data === null || data === void 0 ? void 0 : data.minutes) || 0;
+        if (minutes > 0 && this.loadRepairQueue().size > 0) {
+            await this.processPendingRepairs(minutes);
+        }
     }
 }
 exports.DurabilityService = DurabilityService;
@@ -8,7 +8,15 @@ const DEFAULT_ENCHANTMENT_CONFIG = {
     powerScalingEnabled: true,
     conflictDetectionEnabled: true,
     curseChance: 0.15,
-    legendaryThreshold: 8
+    legendaryThreshold: 8,
+    slotsByRarity: {
+        common: 1,
+        uncommon: 2,
+        rare: 2,
+        epic: 3,
+        legendary: 3,
+        artifact: 4
+    }
 };
 class EnchantmentService extends BaseService_1.BaseService {
     constructor(config = {}) {
@@ -17,11 +25,14 @@ class EnchantmentService extends BaseService_1.BaseService {
         this.enchantmentHistory = new Map();
         this.config = { ...DEFAULT_ENCHANTMENT_CONFIG, ...config };
         this.initializeRecipes();
+        this.bindEvents();
     }
-    async onInitialize() {
+    bindEvents() {
         this.eventBus.on('enchantment:attempted', this.handleEnchantmentAttempt.bind(this));
         this.eventBus.on('item:created', this.handleItemCreated.bind(this));
         this.eventBus.on('crafting:completed', this.handleCraftingCompleted.bind(this));
+    }
+    async onInitialize() {
         console.log('[Enchantment] Initialized with config:', this.config);
     }
     async onShutdown() {
@@ -82,6 +93,8 @@ class EnchantmentService extends BaseService_1.BaseService {
             if (success) {
                 item.enchantments = item.enchantments.filter(e => e.id !== enchantmentId);
                 item.enchantmentSlots += enchantment.requiredSlots;
+                item.enchantmentPower = Math.max(0, (item.enchantmentPower || 0) - enchantment.power);
+                await this.revertItemProperties(item, enchantment);
                 const materialsRecovered = this.calculateMaterialRecovery(enchantment);
                 return {
                     success: true,
@@ -94,7 +107,7 @@ class EnchantmentService extends BaseService_1.BaseService {
                 if (itemDestroyed) {
                     item.durabilityCurrent = 0;
                 }
-                else {
+                else if (item.durabilityCurrent !== undefined) {
                     item.durabilityCurrent = Math.floor(item.durabilityCurrent * 0.8);
                 }
                 return {
@@ -111,13 +124,17 @@ class EnchantmentService extends BaseService_1.BaseService {
         }
         const conflicts = [];
         for (const existing of item.enchantments) {
+            if (existing.recipeId && existing.recipeId === (newEnchantment.recipeId || newEnchantment.id)) {
+                conflicts.push(`Already enchanted with ${existing.name}`);
+                continue;
+            }
             if (newEnchantment.conflicts.includes(existing.id) ||
                 existing.conflicts.includes(newEnchantment.id)) {
                 conflicts.push(`${existing.name} conflicts with ${newEnchantment.name}`);
             }
         }
-        const totalSlotsUsed = item.enchantments.reduce((sum, e) => sum + e.requiredSlots, 0);
-        const availableSlots = item.enchantmentSlots - totalSlotsUsed;
+        // enchantmentSlots holds the free slots: addEnchantmentToItem and removeEnchantment adjust it
+        const availableSlots = item.enchantmentSlots;
         if (newEnchantment.requiredSlots > availableSlots) {
             conflicts.push(`Not enough enchantment slots (${newEnchantment.requiredSlots} required, ${availableSlots} available)`);
         }
@@ -144,6 +161,75 @@ class EnchantmentService extends BaseService_1.BaseService {
         return Array.from(this.recipes.values())
             .filter(recipe => this.isRecipeCompatible(recipe, itemType));
     }
+    getRecipe(recipeId) {
+        return this.recipes.get(recipeId) || null;
+    }
+    findRecipe(query) {
+        const q = String(query || '').trim().toLowerCase();
+        if (!q)
+            return null;
+        const id = q.replace(/[^a-z0-9]+/g, '_');
+        if (this.recipes.has(id))
+            return this.recipes.get(id);
+        const recipes = Array.from(this.recipes.values());
+        return recipes.find(r => r.name.toLowerCase() === q) ||
+            recipes.find(r => r.name.toLowerCase().includes(q)) ||
+            null;
+    }
+    // Inventory items rarely carry the enchantment bookkeeping fields; returns a working copy that does
+    prepareItem(item) {
+        var _a;
+        const rarity = this.config.slotsByRarity[item.rarity] !== undefined ? item.rarity : 'common';
+        const enchantments = (item.enchantments || []).map(e => ({
+            conflicts: [],
+            requiredSlots: 1,
+            effects: [],
+            power: 0,
+            ...e
+        }));
+        const usedSlots = enchantments.reduce((sum, e) => sum + e.requiredSlots, 0);
+        return {
+            ...item,
+            rarity,
+            enchantments,
+            enchantmentSlots: item.enchantmentSlots !== undefined ? item.enchantmentSlots : Math.max(0, this.config.slotsByRarity[rarity] - usedSlots),
+            enchantmentPower: (_a = item.enchantmentPower) !== null && _a !== void 0 ? _a : enchantments.reduce((sum, e) => sum + e.power, 0),
+            properties: { ...(item.properties || {}) },
+            weight: item.weight || 0
+        };
+    }
+    // Everything the player should see before committing: conflicts, scaled power and odds
+    previewEnchantment(item, recipeId, skillLevel, materials = {}) {
+        const recipe = this.recipes.get(recipeId);
+        if (!recipe) {
+            throw new Error(`Unknown enchantment recipe: ${recipeId}`);
+        }
+        const conflicts = this.checkEnchantmentConflicts(item, {
+            id: recipe.id,
+            name: recipe.name,
+            conflicts: recipe.conflicts,
+            requiredSlots: recipe.requiredSlots
+        });
+        if (!this.isRecipeCompatible(recipe, item.type)) {
+            conflicts.conflicts.unshift(`${recipe.name} cannot be applied to ${item.type || 'this item'}`);
+            conflicts.hasConflicts = true;
+            conflicts.canAdd = false;
+        }
+        const missingMaterials = Object.entries(recipe.requiredMaterials)
+            .filter(([material, required]) => (materials[material] || 0) < required)
+            .map(([material, required]) => ({ itemId: material, required, have: materials[material] || 0 }));
+        return {
+            recipe,
+            conflicts,
+            scaledPower: this.config.powerScalingEnabled ? this.calculateScaledPower(recipe, item) : recipe.basePower,
+            successChance: this.calculateSuccessChance(recipe, skillLevel, item),
+            curseChance: this.config.curseChance,
+            skillLevel,
+            skillOk: skillLevel >= recipe.requiredSkill,
+            missingMaterials,
+            canAttempt: conflicts.canAdd && skillLevel >= recipe.requiredSkill && missingMaterials.length === 0
+        };
+    }
     getEnchantmentStats() {
         const recipes = Array.from(this.recipes.values());
         const totalAttempts = Array.from(this.enchantmentHistory.values())
@@ -209,6 +295,7 @@ class EnchantmentService extends BaseService_1.BaseService {
             recipe.basePower;
         const enchantment = {
             id: `enchant_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            recipeId: recipe.id,
             name: recipe.name,
             type: recipe.type,
             power,
@@ -313,7 +400,7 @@ class EnchantmentService extends BaseService_1.BaseService {
             legendary: 2.0,
             artifact: 3.0
         };
-        power *= rarityMultipliers[item.rarity];
+        power *= rarityMultipliers[item.rarity] || rarityMultipliers.common;
         const existingPower = this.calculateEnchantmentPower(item);
         const scalingFactor = Math.max(0.5, 1.0 - (existingPower * 0.05));
         power *= scalingFactor;
@@ -327,7 +414,7 @@ class EnchantmentService extends BaseService_1.BaseService {
     }
     calculateMaterialRecovery(enchantment) {
         const recoveryRate = 0.3;
-        const recipe = this.recipes.get(enchantment.id.split('_')[1]);
+        const recipe = this.recipes.get(enchantment.recipeId || enchantment.id.split('_')[1]);
         if (!recipe)
             return {};
         const recovered = {};
@@ -345,7 +432,7 @@ class EnchantmentService extends BaseService_1.BaseService {
             legendary: 1.3,
             artifact: 1.4
         };
-        return rarityModifiers[item.rarity];
+        return rarityModifiers[item.rarity] || rarityModifiers.common;
     }
     isRecipeCompatible(recipe, itemType) {
         var _a;
@@ -376,6 +463,14 @@ class EnchantmentService extends BaseService_1.BaseService {
             }
         }
     }
+    async revertItemProperties(item, enchantment) {
+        for (const effect of enchantment.effects) {
+            const target = effect.type === 'damage_bonus' ? 'weapon_damage' : effect.type === 'stat_bonus' ? effect.target : null;
+            if (target && typeof item.properties[target] === 'number') {
+                item.properties[target] -= effect.value;
+            }
+        }
+    }
     async applyInstabilityEffects(item, effects) {
         for (const effect of effects) {
             switch (effect.target) {
@@ -471,6 +566,9 @@ class EnchantmentService extends BaseService_1.BaseService {
     }
     async handleCraftingCompleted(data) {
         console.log(`[Enchantment] Crafting completed for item ${data.itemId}`);
+        if (data.item) {
+            await this.handleItemCreated({ item: data.item });
+        }
     }
 }
 exports.EnchantmentService = EnchantmentService;
@@ -2,6 +2,11 @@
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.guildStorageService = exports.GuildStorageService = void 0;
 const BaseService_1 = require("./BaseService");
+const ACCESS_RANK = {
+    read: 1,
+    write: 2,
+    admin: 3
+};
 const DEFAULT_GUILD_STORAGE_CONFIG = {
     enabled: true,
     maxStoragesPerGuild: 5,
@@ -16,7 +21,11 @@ class GuildStorageService extends BaseService_1.BaseService {
     constructor(config = {}) {
         super('GuildStorageService', { performanceBudget: 50 });
         this.activeTheftAttempts = new Map();
+        this.storages = new Map();
+        this.permissions = new Map();
+        this.contents = new Map();
         this.config = { ...DEFAULT_GUILD_STORAGE_CONFIG, ...config };
+        this.loadState();
     }
     async onInitialize() {
         this.eventBus.on('guild:storage_operation', this.handleStorageOperation.bind(this));
@@ -51,6 +60,9 @@ class GuildStorageService extends BaseService_1.BaseService {
                 createdAt: new Date(),
                 updatedAt: new Date()
             };
+            this.storages.set(storage.id, storage);
+            this.permissions.set(storage.id, new Map());
+            this.contents.set(storage.id, new Map());
             await this.grantStoragePermission(storage.id, creatorId, 'admin', creatorId, -1);
             this.eventBus.emit('guild:storage_created', {
                 storage,
@@ -102,6 +114,8 @@ class GuildStorageService extends BaseService_1.BaseService {
                 grantedBy: granterId,
                 expiresAt: durationDays > 0 ? new Date(Date.now() + durationDays * 24 * 60 * 60 * 1000) : undefined
             };
+            this.permissions.get(storageId).set(targetCharacterId, permission);
+            this.saveState();
             this.eventBus.emit('guild:permission_granted', {
                 permission,
                 granterId
@@ -115,6 +129,17 @@ class GuildStorageService extends BaseService_1.BaseService {
             if (!revokerHasAdmin) {
                 throw new Error('Insufficient permissions to revoke storage access');
             }
+            const permissions = this.permissions.get(storageId);
+            const existing = permissions.get(targetCharacterId);
+            if (!existing) {
+                return false;
+            }
+            const admins = Array.from(permissions.values()).filter(p => p.accessLevel === 'admin');
+            if (existing.accessLevel === 'admin' && admins.length <= 1) {
+                throw new Error('Cannot revoke the last admin of a guild storage');
+            }
+            permissions.delete(targetCharacterId);
+            this.saveState();
             this.eventBus.emit('guild:permission_revoked', {
                 storageId,
                 targetCharacterId,
@@ -130,8 +155,11 @@ class GuildStorageService extends BaseService_1.BaseService {
                 throw new Error('Insufficient permissions to upgrade storage');
             }
             const storage = await this.getGuildStorage(storageId);
-            const cost = additionalCapacity * this.config.capacityUpgradeCost;
+            const cost = this.getUpgradeCost(storage, 'capacity', additionalCapacity);
             const newCapacity = storage.capacity + additionalCapacity;
+            storage.capacity = newCapacity;
+            storage.updatedAt = new Date();
+            this.saveState();
             this.eventBus.emit('guild:storage_upgraded', {
                 storageId,
                 upgradeType: 'capacity',
@@ -157,8 +185,11 @@ class GuildStorageService extends BaseService_1.BaseService {
             if (storage.securityLevel >= 10) {
                 throw new Error('Maximum security level reached');
             }
-            const cost = (storage.securityLevel + 1) * this.config.securityUpgradeCost;
+            const cost = this.getUpgradeCost(storage, 'security');
             const newSecurityLevel = storage.securityLevel + 1;
+            storage.securityLevel = newSecurityLevel;
+            storage.updatedAt = new Date();
+            this.saveState();
             this.eventBus.emit('guild:storage_upgraded', {
                 storageId,
                 upgradeType: 'security',
@@ -180,7 +211,7 @@ class GuildStorageService extends BaseService_1.BaseService {
             if (!hasAccess) {
                 throw new Error('Insufficient permissions to view storage contents');
             }
-            return [];
+            return Array.from(this.contents.get(storageId).values());
         });
     }
     async getStorageStats(storageId, viewerId) {
@@ -201,6 +232,11 @@ class GuildStorageService extends BaseService_1.BaseService {
             securityStatus: this.getSecurityStatus(storage.securityLevel)
         };
     }
+    getUpgradeCost(storage, upgradeType, amount = 1) {
+        return upgradeType === 'security' ?
+            (storage.securityLevel + 1) * this.config.securityUpgradeCost :
+            amount * this.config.capacityUpgradeCost;
+    }
     getRequiredAccessLevel(operation) {
         switch (operation) {
             case 'deposit':
@@ -242,8 +278,11 @@ class GuildStorageService extends BaseService_1.BaseService {
                 metadata: {}
             };
             transactions.push(transaction);
+            this.addStoredItem(operation.storageId, item, operation.characterId);
         }
         storage.usedCapacity += totalItems;
+        storage.updatedAt = new Date();
+        this.saveState();
         return {
             success: true,
             transactions
@@ -254,7 +293,19 @@ class GuildStorageService extends BaseService_1.BaseService {
             throw new Error('No items specified for withdrawal');
         }
         const storage = await this.getGuildStorage(operation.storageId);
+        const stored = this.contents.get(operation.storageId);
+        for (const item of operation.items) {
+            const entry = stored.get(item.itemId);
+            if (!entry || entry.quantity < item.quantity) {
+                return {
+                    success: false,
+                    transactions: [],
+                    deniedReason: `Not enough ${(entry === null || entry === void 0 ? void 0 : entry.name) || item.itemId} in storage (${(entry === null || entry === void 0 ? void 0 : entry.quantity) || 0}/${item.quantity})`
+                };
+            }
+        }
         for (const item of operation.items) {
+            const entry = stored.get(item.itemId);
             const transaction = {
                 id: `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
                 itemId: item.itemId,
@@ -268,17 +319,52 @@ class GuildStorageService extends BaseService_1.BaseService {
                 transactionAt: new Date(),
                 campaignId: storage.campaignId,
                 performedBy: operation.characterId,
-                metadata: {}
+                metadata: { item: entry.item }
             };
             transactions.push(transaction);
+            entry.quantity -= item.quantity;
+            if (entry.quantity <= 0) {
+                stored.delete(item.itemId);
+            }
         }
         const totalItems = operation.items.reduce((sum, item) => sum + item.quantity, 0);
         storage.usedCapacity = Math.max(0, storage.usedCapacity - totalItems);
+        storage.updatedAt = new Date();
+        this.saveState();
         return {
             success: true,
             transactions
         };
     }
+    // Unchecked lookup for callers that bypass permissions on purpose (theft)
+    findStoredItem(storageId, query) {
+        const stored = this.contents.get(storageId);
+        const q = String(query || '').trim().toLowerCase();
+        if (!stored || !q)
+            return null;
+        const entries = Array.from(stored.values());
+        return entries.find(e => e.itemId === q || e.name.toLowerCase() === q) ||
+            entries.find(e => e.name.toLowerCase().includes(q)) ||
+            null;
+    }
+    addStoredItem(storageId, item, characterId) {
+        const stored = this.contents.get(storageId);
+        const entry = stored.get(item.itemId);
+        if (entry) {
+            entry.quantity += item.quantity;
+            entry.lastDepositBy = characterId;
+            return entry;
+        }
+        const created = {
+            itemId: item.itemId,
+            name: (item.item && item.item.name) || item.itemId,
+            quantity: item.quantity,
+            item: item.item || null,
+            lastDepositBy: characterId
+        };
+        stored.set(item.itemId, created);
+        return created;
+    }
     async performView(operation) {
         return {
             success: true,
@@ -305,29 +391,79 @@ class GuildStorageService extends BaseService_1.BaseService {
         return 'minimal';
     }
     async checkStorageAccess(storageId, characterId, requiredLevel) {
-        return true;
+        const permissions = this.permissions.get(storageId);
+        if (!permissions) {
+            return false;
+        }
+        // A storage nobody holds permissions on yet is claimed by whoever sets it up
+        if (permissions.size === 0) {
+            return true;
+        }
+        const permission = permissions.get(characterId);
+        if (!permission) {
+            return false;
+        }
+        if (this.config.permissionExpirationEnabled && permission.expiresAt && new Date(permission.expiresAt).getTime() < Date.now()) {
+            return false;
+        }
+        return (ACCESS_RANK[permission.accessLevel] || 0) >= (ACCESS_RANK[requiredLevel] || 0);
     }
     async getGuildStorage(storageId) {
-        return {
-            id: storageId,
-            campaignId: 'mock_campaign',
-            name: 'Mock Storage',
-            capacity: 100,
-            usedCapacity: 0,
-            securityLevel: 1,
-            accessLevel: 'member',
-            createdAt: new Date(),
-            updatedAt: new Date()
-        };
+        const storage = this.storages.get(storageId);
+        if (!storage) {
+            throw new Error(`Guild storage not found: ${storageId}`);
+        }
+        return storage;
     }
     async getGuildStorages(campaignId) {
-        return [];
+        return Array.from(this.storages.values()).filter(storage => storage.campaignId === campaignId);
     }
     async getStoragePermission(storageId, characterId) {
-        return null;
+        var _a;
+        return ((_a = this.permissions.get(storageId)) === null || _a === void 0 ? void 0 : _a.get(characterId)) || null;
     }
     async getStoragePermissions(storageId) {
-        return [];
+        const permissions = this.permissions.get(storageId);
+        return permissions ? Array.from(permissions.values()) : [];
+    }
+    exportState() {
+        return {
+            storages: Array.from(this.storages.values()),
+            permissions: Array.from(this.permissions.entries()).map(([storageId, perms]) => [storageId, Array.from(perms.values())]),
+            contents: Array.from(this.contents.entries()).map(([storageId, items]) => [storageId, Array.from(items.values())])
+        };
+    }
+    importState(state) {
+        this.storages = new Map(((state === null || state === void 0 ? void 0 : state.storages) || []).map(storage => [storage.id, storage]));
+        this.permissions = new Map(((state === null || state === void 0 ? void 0 : state.permissions) || []).map(([storageId, perms]) => [storageId, new Map(perms.map(p => [p.characterId, p]))]));
+        this.contents = new Map(((state === null || state === void 0 ? void 0 : state.contents) || []).map(([storageId, items]) => [storageId, new Map(items.map(i => [i.itemId, i]))]));
+        for (const storageId of this.storages.keys()) {
+            if (!this.permissions.has(storageId))
+                this.permissions.set(storageId, new Map());
+            if (!this.contents.has(storageId))
+                this.contents.set(storageId, new Map());
+        }
+    }
+    loadState() {
+        try {
+            const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(GuildStorageService.STORAGE_KEY) : null;
+            if (stored) {
+                this.importState(JSON.parse(stored));
+            }
+        }
+        catch (error) {
+            console.warn('[GuildStorage] Failed to load stored state:', error);
+        }
+    }
+    saveState() {
+        try {
+            if (typeof localStorage !== 'undefined') {
+                localStorage.setItem(GuildStorageService.STORAGE_KEY, JSON.stringify(this.exportState()));
+            }
+        }
+        catch (error) {
+            console.warn('[GuildStorage] Failed to save state:', error);
+        }
     }
     async handleStorageOperation(data) {
         try {
@@ -384,4 +520,5 @@ class GuildStorageService extends BaseService_1.BaseService {
     }
 }
 exports.GuildStorageService = GuildStorageService;
+GuildStorageService.STORAGE_KEY = 'stres-guild-storage';
 exports.guildStorageService = new GuildStorageService();
@@ -2,6 +2,8 @@
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.memoryTemperatureService = exports.MemoryTemperatureService = void 0;
 const BaseService_1 = require("./BaseService");
+const PersistenceService_1 = require("./PersistenceService");
+// Tier thresholds are hours since the entity was last seen, measured on the game clock
 const DEFAULT_CONFIG = {
     enabled: true,
     debugMode: false,
@@ -23,15 +25,49 @@ class MemoryTemperatureService extends BaseService_1.BaseService {
         super('MemoryTemperatureService', { performanceBudget: 50 });
         this.memoryCache = new Map();
         this.compressionStrategies = new Map();
+        // Game time advanced through /stres tick on top of wall-clock time
+        this.clockOffsetMs = 0;
         this.config = { ...DEFAULT_CONFIG, ...config };
         this.initializeCompressionStrategies();
+        PersistenceService_1.persistenceService.registerStore('memoryTemperature', {
+            version: 1,
+            load: () => this.reloadMemoryStates()
+        });
+        PersistenceService_1.persistenceService.registerStore('memoryClock', {
+            version: 1,
+            load: () => this.reloadMemoryStates()
+        });
+        this.reloadMemoryStates();
+        this.bindEvents();
     }
-    async onInitialize() {
+    bindEvents() {
         this.eventBus.on('character:accessed', this.handleCharacterAccess.bind(this));
         this.eventBus.on('location:accessed', this.handleLocationAccess.bind(this));
         this.eventBus.on('memory:compress', this.handleCompressionRequest.bind(this));
         this.eventBus.on('memory:expand', this.handleExpansionRequest.bind(this));
-        await this.loadExistingMemoryStates();
+        if (typeof window !== 'undefined' && window.addEventListener) {
+            window.addEventListener('stres:memory:access', (event) => {
+                const detail = event.detail || {};
+                if (!detail.entityId)
+                    return;
+                this.processEntityAccess(detail.entityId, detail.entityType || 'character', detail.data)
+                    .catch(error => console.warn('[MemoryTemperature] Access failed:', error));
+            });
+            window.addEventListener('stres:memory:temperature', (event) => {
+                const detail = event.detail || {};
+                this.getEntityViews(detail.entities || [])
+                    .then(entities => this.dispatch('stres:memory:temperatures', { requestId: detail.requestId, entities }))
+                    .catch(error => this.dispatch('stres:memory:temperatures', { requestId: detail.requestId, error: error.message }));
+            });
+            window.addEventListener('stres:time:advanced', (event) => {
+                var _a;
+                this.advanceClock(Number((_a = event.detail) === null || _a === void 0 ? void 0 : _a.minutes) || 0)
+                    .catch(error => console.warn('[MemoryTemperature] Clock advance failed:', error));
+            });
+        }
+    }
+    async onInitialize() {
+        await this.ready;
         console.log('[MemoryTemperature] Initialized with config:', this.config);
     }
     async onShutdown() {
@@ -39,19 +75,60 @@ class MemoryTemperatureService extends BaseService_1.BaseService {
         this.memoryCache.clear();
         console.log('[MemoryTemperature] Shut down gracefully');
     }
-    async processEntityAccess(entityId, entityType) {
+    /**
+     * Seeing an entity makes it hot again. When data is given (an NPC persona, a location description)
+     * it replaces the stored full-detail copy that colder tiers are compressed from.
+     */
+    async processEntityAccess(entityId, entityType, data) {
+        await this.ready;
         return this.measureOperation('processEntityAccess', async () => {
             const entity = await this.getOrLoadEntity(entityId, entityType);
-            const newTemperature = this.calculateTemperature(entity.lastAccessed);
-            if (newTemperature !== entity.temperature) {
-                await this.transitionTemperature(entity, newTemperature);
+            if (data !== undefined && data !== null && data !== '') {
+                entity.data = data;
+                entity.compressedData = undefined;
+                entity.compressionRatio = undefined;
+                entity.tokenCount = this.estimateTokenCount(data);
             }
-            entity.lastAccessed = new Date();
+            await this.transitionTemperature(entity, 'hot');
+            entity.lastAccessed = new Date(this.now());
             entity.accessCount++;
             await this.persistEntity(entity);
+            return entity;
+        });
+    }
+    /**
+     * Serves each entity at the detail level of its current temperature, compressing it first if it has
+     * cooled since it was last seen. Unknown entities are reported with temperature null.
+     */
+    async getEntityViews(entities) {
+        await this.ready;
+        return this.measureOperation('getEntityViews', async () => {
+            const views = [];
+            for (const { id, type } of entities) {
+                const entity = this.memoryCache.get(id) || await PersistenceService_1.persistenceService.get('memoryTemperature', id);
+                if (!entity) {
+                    views.push({ id, type: type || null, temperature: null, data: null });
+                    continue;
+                }
+                this.memoryCache.set(id, entity);
+                const temperature = this.calculateTemperature(entity.lastAccessed);
+                if (this.getTemperatureLevel(temperature) < this.getTemperatureLevel(entity.temperature)) {
+                    await this.transitionTemperature(entity, temperature);
+                }
+                views.push({
+                    id,
+                    type: entity.type,
+                    temperature: entity.temperature,
+                    data: entity.temperature === 'hot' ? entity.data : entity.compressedData,
+                    lastAccessed: new Date(entity.lastAccessed).toISOString(),
+                    hoursSinceAccess: this.hoursSince(entity.lastAccessed)
+                });
+            }
+            return views;
         });
     }
     async compressEntity(entityId, targetTemperature, entityType) {
+        await this.ready;
         return this.measureOperation('compressEntity', async () => {
             const entity = await this.getOrLoadEntity(entityId, entityType || 'character');
             const compressionStrategy = this.compressionStrategies.get(targetTemperature);
@@ -82,6 +159,7 @@ class MemoryTemperatureService extends BaseService_1.BaseService {
         });
     }
     async expandEntity(entityId) {
+        await this.ready;
         return this.measureOperation('expandEntity', async () => {
             const entity = this.memoryCache.get(entityId);
             if (!entity) {
@@ -90,9 +168,8 @@ class MemoryTemperatureService extends BaseService_1.BaseService {
             if (entity.temperature === 'hot') {
                 return entity.data;
             }
-            const expandedData = await this.expandCompressedData(entity);
             await this.transitionTemperature(entity, 'hot');
-            return expandedData;
+            return this.expandCompressedData(entity);
         });
     }
     getMemoryStats() {
@@ -134,18 +211,48 @@ class MemoryTemperatureService extends BaseService_1.BaseService {
         this.compressionStrategies.set('cold', (data) => this.compressCold(data));
         this.compressionStrategies.set('frozen', (data) => this.compressFrozen(data));
     }
+    now() {
+        return Date.now() + this.clockOffsetMs;
+    }
+    hoursSince(lastAccessed) {
+        return Math.max(0, (this.now() - new Date(lastAccessed).getTime()) / (1000 * 60 * 60));
+    }
     calculateTemperature(lastAccessed) {
-        const hoursSinceAccess = (Date.now() - lastAccessed.getTime()) / (1000 * 60 * 60);
+        const hoursSinceAccess = this.hoursSince(lastAccessed);
         if (hoursSinceAccess < this.config.hotToWarm)
             return 'hot';
         if (hoursSinceAccess < this.config.warmToCool)
             return 'warm';
-        if (hoursSinceAccess < this.config.coolToCold * 24)
+        if (hoursSinceAccess < this.config.coolToCold)
             return 'cool';
-        if (hoursSinceAccess < this.config.coldToFrozen * 24)
+        if (hoursSinceAccess < this.config.coldToFrozen)
             return 'cold';
         return 'frozen';
     }
+    async advanceClock(minutes) {
+        if (!(minutes > 0))
+            return;
+        await this.ready;
+        this.clockOffsetMs += minutes * 60 * 1000;
+        try {
+            await PersistenceService_1.persistenceService.put('memoryClock', 'offset', this.clockOffsetMs);
+        }
+        catch (error) {
+            console.warn('[MemoryTemperature] Failed to persist clock:', error);
+        }
+    }
+    reloadMemoryStates() {
+        this.ready = this.loadMemoryStates().catch(error => console.warn('[MemoryTemperature] Failed to load memory states:', error));
+        return this.ready;
+    }
+    async loadMemoryStates() {
+        await this.loadClock();
+        this.memoryCache.clear();
+        await this.loadExistingMemoryStates();
+    }
+    async loadClock() {
+        this.clockOffsetMs = Number(await PersistenceService_1.persistenceService.get('memoryClock', 'offset')) || 0;
+    }
     async transitionTemperature(entity, newTemperature) {
         const oldTemperature = entity.temperature;
         if (oldTemperature === newTemperature)
@@ -155,7 +262,10 @@ class MemoryTemperatureService extends BaseService_1.BaseService {
             await this.compressEntity(entity.id, newTemperature);
         }
         else {
-            await this.expandEntity(entity.id);
+            // The full copy is never discarded, so warming up only drops the compressed one
+            entity.compressedData = undefined;
+            entity.compressionRatio = undefined;
+            entity.tokenCount = this.estimateTokenCount(entity.data);
         }
         entity.temperature = newTemperature;
         this.eventBus.emit('memory:temperature_changed', {
@@ -183,7 +293,7 @@ class MemoryTemperatureService extends BaseService_1.BaseService {
     }
     compressCool(data) {
         if (typeof data === 'string') {
-            const sentences = data.split(/[.!?]+/).filter(s => s.trim().length > 0);
+            const sentences = data.split(/[.!?]+/).map(s => s.trim()).filter(s => s.length > 0);
             return sentences.slice(0, 3).join('. ') + '.';
         }
         if (typeof data === 'object' && data !== null) {
@@ -231,7 +341,7 @@ class MemoryTemperatureService extends BaseService_1.BaseService {
         return data;
     }
     async expandCompressedData(entity) {
-        return entity.compressedData || entity.data;
+        return entity.data;
     }
     estimateTokenCount(data) {
         const jsonString = JSON.stringify(data);
@@ -246,22 +356,42 @@ class MemoryTemperatureService extends BaseService_1.BaseService {
         return entity;
     }
     async loadEntityFromDatabase(entityId, entityType) {
+        const stored = await PersistenceService_1.persistenceService.get('memoryTemperature', entityId);
+        if (stored) {
+            return stored;
+        }
         return {
             id: entityId,
             type: entityType,
             data: { id: entityId, name: `Entity ${entityId}` },
             temperature: 'hot',
-            lastAccessed: new Date(),
+            lastAccessed: new Date(this.now()),
             accessCount: 0,
             tokenCount: 100
         };
     }
     async persistEntity(entity) {
         this.memoryCache.set(entity.id, entity);
+        try {
+            await PersistenceService_1.persistenceService.put('memoryTemperature', entity.id, entity);
+        }
+        catch (error) {
+            console.warn('[MemoryTemperature] Failed to persist entity:', error);
+        }
     }
     async loadExistingMemoryStates() {
+        const entries = await PersistenceService_1.persistenceService.getAll('memoryTemperature');
+        for (const { value: entity } of entries) {
+            this.memoryCache.set(entity.id, entity);
+        }
     }
     async persistAllMemoryStates() {
+        try {
+            await PersistenceService_1.persistenceService.putMany('memoryTemperature', Array.from(this.memoryCache.entries()));
+        }
+        catch (error) {
+            console.warn('[MemoryTemperature] Failed to persist memory states:', error);
+        }
     }
     async handleCharacterAccess(data) {
         await this.processEntityAccess(data.characterId, 'character');
@@ -275,6 +405,11 @@ class MemoryTemperatureService extends BaseService_1.BaseService {
     async handleExpansionRequest(data) {
         await this.expandEntity(data.entityId);
     }
+    dispatch(type, detail) {
+        if (typeof window !== 'undefined' && window.dispatchEvent) {
+            window.dispatchEvent(new CustomEvent(type, { detail }));
+        }
+    }
 }
 exports.MemoryTemperatureService = MemoryTemperatureService;
 exports.memoryTemperatureService = new MemoryTemperatureService();
@@ -0,0 +1,321 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.persistenceService = exports.PersistenceService = void 0;
+const BaseService_1 = require("./BaseService");
+const DB_NAME = 'stres';
+const RECORDS = 'records';
+const EXPORT_FORMAT = 'stres-persistence';
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z$/;
+// Database schema upgrades; entry N moves the database from version N to N + 1
+const DB_MIGRATIONS = [
+    (db) => {
+        const records = db.createObjectStore(RECORDS, { keyPath: 'id' });
+        records.createIndex('namespace', 'namespace', { unique: false });
+        records.createIndex('namespaceStore', ['namespace', 'store'], { unique: false });
+    }
+];
+function reviveDates(key, value) {
+    return typeof value === 'string' && ISO_DATE.test(value) ? new Date(value) : value;
+}
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+class PersistenceService extends BaseService_1.BaseService {
+    constructor() {
+        super('PersistenceService', { performanceBudget: 50 });
+        this.namespace = 'default';
+        this.stores = new Map();
+        this.dbPromise = null;
+        // Used when IndexedDB is unavailable (Node, private windows); nothing survives a reload
+        this.memory = new Map();
+        this.bindEvents();
+    }
+    // Namespace switches and export/import arrive from the chat side before anything calls initialize()
+    bindEvents() {
+        if (typeof window !== 'undefined' && window.addEventListener) {
+            window.addEventListener('stres:persistence:namespace', (event) => {
+                var _a;
+                this.setNamespace((_a = event.detail) === null || _a === void 0 ? void 0 : _a.namespace).catch(error => console.warn('[Persistence] Namespace switch failed:', error));
+            });
+            window.addEventListener('stres:persistence:request', (event) => {
+                const detail = event.detail || {};
+                this.getStatus()
+                    .then(status => this.dispatch('stres:persistence:status', { requestId: detail.requestId, status }))
+                    .catch(error => this.dispatch('stres:persistence:status', { requestId: detail.requestId, error: error.message }));
+            });
+            window.addEventListener('stres:persistence:export', (event) => {
+                const detail = event.detail || {};
+                this.exportAll()
+                    .then(snapshot => this.dispatch('stres:persistence:exported', { requestId: detail.requestId, json: this.serialize(snapshot), namespace: snapshot.namespace }))
+                    .catch(error => this.dispatch('stres:persistence:exported', { requestId: detail.requestId, error: error.message }));
+            });
+            window.addEventListener('stres:persistence:import', (event) => {
+                const detail = event.detail || {};
+                this.importAll(detail.json, { namespace: detail.namespace })
+                    .then(result => this.dispatch('stres:persistence:imported', { requestId: detail.requestId, result }))
+                    .catch(error => this.dispatch('stres:persistence:imported', { requestId: detail.requestId, error: error.message }));
+            });
+        }
+    }
+    async onInitialize() {
+        await this.openDatabase();
+        console.log('[Persistence] Initialized,', this.getBackend(), 'backend, namespace', this.namespace);
+    }
+    async onShutdown() {
+        const db = await this.openDatabase();
+        if (db)
+            db.close();
+        this.dbPromise = null;
+        console.log('[Persistence] Shut down');
+    }
+    /**
+     * Services declare their store with a data version, migrations keyed by the version they upgrade to,
+     * and a load callback that is re-run whenever the namespace changes or data is imported.
+     */
+    registerStore(name, options = {}) {
+        this.stores.set(name, {
+            version: options.version || 1,
+            migrations: options.migrations || {},
+            load: options.load || null
+        });
+    }
+    getBackend() {
+        return typeof indexedDB !== 'undefined' ? 'indexeddb' : 'memory';
+    }
+    openDatabase() {
+        if (this.dbPromise)
+            return this.dbPromise;
+        if (typeof indexedDB === 'undefined') {
+            this.dbPromise = Promise.resolve(null);
+            return this.dbPromise;
+        }
+        this.dbPromise = new Promise((resolve) => {
+            const request = indexedDB.open(DB_NAME, DB_MIGRATIONS.length);
+            request.onupgradeneeded = (event) => {
+                for (let version = event.oldVersion; version < DB_MIGRATIONS.length; version++) {
+                    DB_MIGRATIONS[version](request.result, request.transaction);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('[Persistence] IndexedDB unavailable, keeping data in memory:', request.error);
+                resolve(null);
+            };
+        });
+        return this.dbPromise;
+    }
+    recordId(namespace, store, key) {
+        return `${namespace}:${store}:${key}`;
+    }
+    clone(value) {
+        return typeof structuredClone === 'function' ? structuredClone(value) : JSON.parse(JSON.stringify(value), reviveDates);
+    }
+    async transaction(mode, operation) {
+        const db = await this.openDatabase();
+        if (!db)
+            return null;
+        const tx = db.transaction(RECORDS, mode);
+        const done = new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+        const result = await operation(tx.objectStore(RECORDS));
+        await done;
+        return result;
+    }
+    async readRecords(namespace, store) {
+        const db = await this.openDatabase();
+        if (!db) {
+            return Array.from(this.memory.values())
+                .filter(record => record.namespace === namespace && (!store || record.store === store))
+                .map(record => this.clone(record));
+        }
+        return this.transaction('readonly', (records) => store
+            ? promisify(records.index('namespaceStore').getAll([namespace, store]))
+            : promisify(records.index('namespace').getAll(namespace)));
+    }
+    async writeRecords(records, removeIds = []) {
+        const db = await this.openDatabase();
+        if (!db) {
+            removeIds.forEach(id => this.memory.delete(id));
+            records.forEach(record => this.memory.set(record.id, this.clone(record)));
+            return;
+        }
+        await this.transaction('readwrite', (store) => {
+            removeIds.forEach(id => store.delete(id));
+            records.forEach(record => store.put(record));
+        });
+    }
+    makeRecord(store, key, value, version, namespace = this.namespace) {
+        var _a;
+        return {
+            id: this.recordId(namespace, store, key),
+            namespace,
+            store,
+            key: String(key),
+            version: version || ((_a = this.stores.get(store)) === null || _a === void 0 ? void 0 : _a.version) || 1,
+            value,
+            updatedAt: new Date()
+        };
+    }
+    // Brings an old record up to the store's current version, rewriting it so the migration only runs once
+    migrate(record) {
+        const definition = this.stores.get(record.store);
+        if (!definition || record.version >= definition.version)
+            return record.value;
+        let value = record.value;
+        for (let version = record.version + 1; version <= definition.version; version++) {
+            const migration = definition.migrations[version];
+            if (migration) {
+                value = migration(value, record.key);
+            }
+        }
+        this.writeRecords([this.makeRecord(record.store, record.key, value, definition.version, record.namespace)])
+            .catch(error => console.warn('[Persistence] Failed to rewrite migrated record:', error));
+        return value;
+    }
+    async get(store, key) {
+        return this.measureOperation('get', async () => {
+            const id = this.recordId(this.namespace, store, key);
+            const db = await this.openDatabase();
+            const record = db
+                ? await this.transaction('readonly', (records) => promisify(records.get(id)))
+                : this.memory.has(id) ? this.clone(this.memory.get(id)) : undefined;
+            return record ? this.migrate(record) : undefined;
+        });
+    }
+    async getAll(store) {
+        return this.measureOperation('getAll', async () => {
+            const records = await this.readRecords(this.namespace, store);
+            return records.map(record => ({ key: record.key, value: this.migrate(record) }));
+        });
+    }
+    async put(store, key, value) {
+        return this.measureOperation('put', async () => {
+            await this.writeRecords([this.makeRecord(store, key, value)]);
+        });
+    }
+    // With replace, keys missing from entries are deleted so the store mirrors the caller's collection
+    async putMany(store, entries, options = {}) {
+        return this.measureOperation('putMany', async () => {
+            const records = entries.map(([key, value]) => this.makeRecord(store, key, value));
+            let removeIds = [];
+            if (options.replace) {
+                const keep = new Set(records.map(record => record.id));
+                removeIds = (await this.readRecords(this.namespace, store))
+                    .map(record => record.id)
+                    .filter(id => !keep.has(id));
+            }
+            await this.writeRecords(records, removeIds);
+        });
+    }
+    async remove(store, key) {
+        return this.measureOperation('remove', async () => {
+            await this.writeRecords([], [this.recordId(this.namespace, store, key)]);
+        });
+    }
+    async setNamespace(namespace) {
+        const next = String(namespace || 'default').trim() || 'default';
+        if (next === this.namespace)
+            return false;
+        const previous = this.namespace;
+        this.namespace = next;
+        await this.reloadStores();
+        this.eventBus.emit('persistence:namespace_changed', { previous, namespace: next });
+        return true;
+    }
+    async reloadStores(names) {
+        for (const [name, definition] of this.stores) {
+            if (!definition.load || (names && !names.includes(name)))
+                continue;
+            try {
+                await definition.load(this.namespace);
+            }
+            catch (error) {
+                console.error(`[Persistence] Failed to load ${name}:`, error);
+            }
+        }
+    }
+    async exportAll() {
+        return this.measureOperation('exportAll', async () => {
+            const records = await this.readRecords(this.namespace);
+            const stores = {};
+            for (const record of records) {
+                const entry = stores[record.store] || (stores[record.store] = { records: [] });
+                entry.records.push({ key: record.key, version: record.version, value: record.value });
+            }
+            return {
+                format: EXPORT_FORMAT,
+                schemaVersion: DB_MIGRATIONS.length,
+                namespace: this.namespace,
+                exportedAt: new Date().toISOString(),
+                stores
+            };
+        });
+    }
+    /**
+     * Replaces the stores present in the snapshot for the target namespace (the current one by default).
+     * Records keep their data version, so older exports are migrated as they are read back.
+     */
+    async importAll(snapshot, options = {}) {
+        return this.measureOperation('importAll', async () => {
+            const data = typeof snapshot === 'string' ? this.parse(snapshot) : snapshot;
+            if (!data || data.format !== EXPORT_FORMAT || !data.stores) {
+                throw new Error('Not a STRES export file');
+            }
+            if (data.schemaVersion > DB_MIGRATIONS.length) {
+                throw new Error(`Export uses schema ${data.schemaVersion}; this version supports up to ${DB_MIGRATIONS.length}`);
+            }
+            const namespace = options.namespace || this.namespace;
+            const existing = await this.readRecords(namespace);
+            const imported = {};
+            const records = [];
+            for (const [store, entry] of Object.entries(data.stores)) {
+                imported[store] = (entry.records || []).length;
+                for (const record of entry.records || []) {
+                    records.push(this.makeRecord(store, record.key, record.value, record.version || 1, namespace));
+                }
+            }
+            const removeIds = existing.filter(record => imported[record.store] !== undefined).map(record => record.id);
+            await this.writeRecords(records, removeIds);
+            if (namespace === this.namespace) {
+                await this.reloadStores(Object.keys(imported));
+            }
+            this.eventBus.emit('persistence:imported', { namespace, stores: imported });
+            return { namespace, from: data.namespace, stores: imported };
+        });
+    }
+    serialize(snapshot) {
+        return JSON.stringify(snapshot, null, 2);
+    }
+    parse(json) {
+        try {
+            return JSON.parse(json, reviveDates);
+        }
+        catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+    }
+    async getStatus() {
+        const records = await this.readRecords(this.namespace);
+        const stores = {};
+        for (const name of this.stores.keys()) {
+            stores[name] = 0;
+        }
+        for (const record of records) {
+            stores[record.store] = (stores[record.store] || 0) + 1;
+        }
+        return { backend: this.getBackend(), namespace: this.namespace, schemaVersion: DB_MIGRATIONS.length, stores };
+    }
+    dispatch(type, detail) {
+        if (typeof window !== 'undefined' && window.dispatchEvent) {
+            window.dispatchEvent(new CustomEvent(type, { detail }));
+        }
+    }
+}
+exports.PersistenceService = PersistenceService;
+exports.persistenceService = new PersistenceService();
@@ -2,6 +2,8 @@
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.theftService = exports.TheftService = void 0;
 const BaseService_1 = require("./BaseService");
+const GuildStorageService_1 = require("./GuildStorageService");
+const SocialSystemsService_1 = require("../components/logic/SocialSystemsService");
 const DEFAULT_THEFT_CONFIG = {
     enabled: true,
     baseDetectionChance: 0.2,
@@ -9,7 +11,8 @@ const DEFAULT_THEFT_CONFIG = {
     skillImportance: 0.3,
     alarmCooldown: 30,
     bountySystemEnabled: true,
-    reputationImpactEnabled: true
+    reputationImpactEnabled: true,
+    reputationPointsPerSeverity: 5
 };
 class TheftService extends BaseService_1.BaseService {
     constructor(config = {}) {
@@ -19,6 +22,7 @@ class TheftService extends BaseService_1.BaseService {
         this.bounties = new Map();
         this.config = { ...DEFAULT_THEFT_CONFIG, ...config };
         this.initializeSecurityMeasures();
+        this.loadState();
     }
     async onInitialize() {
         this.eventBus.on('theft:attempt', this.handleTheftAttempt.bind(this));
@@ -70,11 +74,17 @@ class TheftService extends BaseService_1.BaseService {
                 result.detectionMethod = detectionMethod;
                 this.setAlarmCooldown(storageId);
             }
+            result.factions = await this.applyConsequences(storage, thiefId, result.consequences);
             this.eventBus.emit('theft:result', {
                 thiefId,
                 storageId,
                 result
             });
+            if (typeof window !== 'undefined' && window.dispatchEvent) {
+                window.dispatchEvent(new CustomEvent('stres:theft:result', {
+                    detail: { thiefId, storageId, storageName: storage.name, result }
+                }));
+            }
             return result;
         });
     }
@@ -88,7 +98,11 @@ class TheftService extends BaseService_1.BaseService {
             if (!this.securityMeasures.has(storageId)) {
                 this.securityMeasures.set(storageId, []);
             }
+            if (this.securityMeasures.get(storageId).some(m => m.id === measureId)) {
+                throw new Error(`${measure.name} is already installed in ${storage.name}`);
+            }
             this.securityMeasures.get(storageId).push(measure);
+            this.saveState();
             this.eventBus.emit('security:measure_installed', {
                 storageId,
                 measure,
@@ -117,6 +131,8 @@ class TheftService extends BaseService_1.BaseService {
                 claimed: false
             };
             this.bounties.set(bounty.id, bounty);
+            this.saveState();
+            this.publishBounties();
             this.eventBus.emit('bounty:posted', bounty);
             return bounty;
         });
@@ -130,10 +146,13 @@ class TheftService extends BaseService_1.BaseService {
             if (bounty.claimed) {
                 throw new Error('Bounty already claimed');
             }
-            if (bounty.expiresAt < new Date()) {
+            if (new Date(bounty.expiresAt) < new Date()) {
                 throw new Error('Bounty has expired');
             }
             bounty.claimed = true;
+            bounty.claimedBy = claimantId;
+            this.saveState();
+            this.publishBounties();
             this.eventBus.emit('bounty:claimed', {
                 bounty,
                 claimantId
@@ -159,11 +178,14 @@ class TheftService extends BaseService_1.BaseService {
         };
     }
     getAvailableSecurityMeasures() {
-        return Array.from(this.securityMeasures.values()).flat();
+        return this.securityMeasures.get('global_measures') || [];
+    }
+    getInstalledSecurityMeasures(storageId) {
+        return this.securityMeasures.get(storageId) || [];
     }
     getActiveBounties(storageId) {
         const allBounties = Array.from(this.bounties.values());
-        const activeBounties = allBounties.filter(b => !b.claimed && b.expiresAt > new Date());
+        const activeBounties = allBounties.filter(b => !b.claimed && new Date(b.expiresAt) > new Date());
         if (storageId) {
             return activeBounties.filter(b => b.storageId === storageId);
         }
@@ -184,22 +206,54 @@ class TheftService extends BaseService_1.BaseService {
         return Math.max(0.05, Math.min(0.95, chance));
     }
     async processSuccessfulTheft(storageId, targetItems, thiefId) {
-        const stolenItems = [];
-        for (const target of targetItems) {
-            stolenItems.push({
-                itemId: target.itemId,
-                quantity: target.quantity
-            });
+        const withdrawal = await GuildStorageService_1.guildStorageService.performWithdraw({
+            storageId,
+            characterId: thiefId,
+            operation: 'withdraw',
+            items: targetItems.map(target => ({ itemId: target.itemId, quantity: target.quantity }))
+        }, []);
+        if (!withdrawal.success) {
+            return [];
         }
-        return stolenItems;
+        return withdrawal.transactions.map(transaction => ({
+            itemId: transaction.itemId,
+            quantity: transaction.quantity,
+            item: transaction.metadata.item
+        }));
     }
     async calculateStolenValue(stolenItems) {
         let totalValue = 0;
         for (const item of stolenItems) {
-            totalValue += 100 * item.quantity;
+            const value = item.item && Number(item.item.value);
+            totalValue += (value > 0 ? value : 100) * item.quantity;
         }
         return totalValue;
     }
+    // Reputation losses land on the faction that owns the storage; returns the updated standings
+    async applyConsequences(storage, thiefId, consequences) {
+        var _a, _b;
+        if (!this.config.reputationImpactEnabled) {
+            return [];
+        }
+        const loss = consequences
+            .filter(c => c.type === 'reputation_loss')
+            .reduce((sum, c) => sum + c.severity, 0);
+        if (loss <= 0) {
+            return [];
+        }
+        const social = SocialSystemsService_1.socialSystemsService;
+        const factionId = ((_a = storage.properties) === null || _a === void 0 ? void 0 : _a.factionId) || `guild_${storage.campaignId}`;
+        const factionName = ((_b = storage.properties) === null || _b === void 0 ? void 0 : _b.factionName) || 'Guild';
+        social.ensureFaction(factionId, factionName);
+        try {
+            const faction = await social.updateFactionStanding(factionId, -loss * this.config.reputationPointsPerSeverity, `Theft from ${storage.name} by ${thiefId}`);
+            return [{ id: faction.id, name: faction.name, points: faction.points, standing: faction.standing.level }];
+        }
+        catch (error) {
+            console.warn('[Theft] Faction update failed:', error);
+            return [];
+        }
+    }
     async generateTheftConsequences(storage, detected, success) {
         const consequences = [];
         if (detected) {
@@ -245,6 +299,7 @@ class TheftService extends BaseService_1.BaseService {
         return 'basic_alarm';
     }
     async createTheftTransaction(storageId, thiefId, stolenItems) {
+        const storage = await this.getGuildStorage(storageId);
         for (const item of stolenItems) {
             const transaction = {
                 id: `theft_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
@@ -258,7 +313,7 @@ class TheftService extends BaseService_1.BaseService {
                 durabilityChange: 0,
                 notes: 'Acquired through theft',
                 transactionAt: new Date(),
-                campaignId: 'mock_campaign',
+                campaignId: storage.campaignId,
                 performedBy: thiefId,
                 metadata: {
                     theft: true,
@@ -288,18 +343,51 @@ class TheftService extends BaseService_1.BaseService {
         return Math.floor(remaining / (60 * 1000));
     }
     async getGuildStorage(storageId) {
+        return GuildStorageService_1.guildStorageService.getGuildStorage(storageId);
+    }
+    publishBounties() {
+        if (typeof window !== 'undefined' && window.dispatchEvent) {
+            window.dispatchEvent(new CustomEvent('stres:bounty:changed', {
+                detail: { bounties: this.getActiveBounties() }
+            }));
+        }
+    }
+    exportState() {
+        const installed = Array.from(this.securityMeasures.entries())
+            .filter(([storageId]) => storageId !== 'global_measures')
+            .map(([storageId, measures]) => [storageId, measures.map(m => m.id)]);
         return {
-            id: storageId,
-            campaignId: 'mock_campaign',
-            name: 'Mock Storage',
-            capacity: 100,
-            usedCapacity: 50,
-            securityLevel: 3,
-            accessLevel: 'member',
-            createdAt: new Date(),
-            updatedAt: new Date()
+            bounties: Array.from(this.bounties.values()),
+            securityMeasures: installed
         };
     }
+    importState(state) {
+        this.bounties = new Map(((state === null || state === void 0 ? void 0 : state.bounties) || []).map(bounty => [bounty.id, bounty]));
+        for (const [storageId, measureIds] of (state === null || state === void 0 ? void 0 : state.securityMeasures) || []) {
+            this.securityMeasures.set(storageId, measureIds.map(id => this.getSecurityMeasure(id)).filter(Boolean));
+        }
+    }
+    loadState() {
+        try {
+            const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(TheftService.STORAGE_KEY) : null;
+            if (stored) {
+                this.importState(JSON.parse(stored));
+            }
+        }
+        catch (error) {
+            console.warn('[Theft] Failed to load stored state:', error);
+        }
+    }
+    saveState() {
+        try {
+            if (typeof localStorage !== 'undefined') {
+                localStorage.setItem(TheftService.STORAGE_KEY, JSON.stringify(this.exportState()));
+            }
+        }
+        catch (error) {
+            console.warn('[Theft] Failed to save state:', error);
+        }
+    }
     getSecurityMeasure(measureId) {
         for (const measures of this.securityMeasures.values()) {
             const measure = measures.find(m => m.id === measureId);
@@ -414,4 +502,5 @@ class TheftService extends BaseService_1.BaseService {
     }
 }
 exports.TheftService = TheftService;
+TheftService.STORAGE_KEY = 'stres-theft';
 exports.theftService = new TheftService();
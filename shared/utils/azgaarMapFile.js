@@ -0,0 +1,368 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.MAP_FILE_LINES = void 0;
+exports.decodeMapInput = decodeMapInput;
+exports.isAzgaarMapFile = isAzgaarMapFile;
+exports.parseAzgaarMapFile = parseAzgaarMapFile;
+/**
+ * Reader for Azgaar's native .map save. The file is one value per CRLF-separated line: "|"-joined parameter and
+ * settings records, JSON blobs for the entity collections, comma-joined typed arrays for per-cell data and the
+ * serialized SVG. Newer saves gzip the whole file. The result has the same shape as the JSON export, so
+ * AzgaarParserService normalizes both the same way.
+ *
+ * A .map does not store pack cell positions (Azgaar rebuilds them on load), so cells are positioned from the
+ * route points, markers, military units and burgs that sit in them. State and province outlines and river
+ * courses are read from the SVG layer instead.
+ */
+exports.MAP_FILE_LINES = {
+    params: 0,
+    settings: 1,
+    coordinates: 2,
+    notes: 4,
+    svg: 5,
+    grid: 6,
+    gridHeights: 7,
+    cultures: 13,
+    states: 14,
+    burgs: 15,
+    cellBiome: 16,
+    cellBurg: 17,
+    cellCulture: 19,
+    cellPopulation: 21,
+    cellRiver: 22,
+    cellState: 25,
+    cellReligion: 26,
+    cellProvince: 27,
+    religions: 29,
+    provinces: 30,
+    rivers: 32,
+    markers: 35,
+    routes: 37
+};
+const GZIP_MAGIC = [0x1f, 0x8b];
+const ROUTE_TYPES = { roads: 'Road', trails: 'Trail', searoutes: 'Sea' };
+const LINES = exports.MAP_FILE_LINES;
+/** Map input (string, Buffer, Uint8Array or ArrayBuffer) as text, gunzipping compressed saves. */
+function decodeMapInput(input) {
+    if (typeof input === 'string')
+        return input;
+    const bytes = input instanceof ArrayBuffer ? new Uint8Array(input) : input;
+    if (!bytes || typeof bytes.length !== 'number') {
+        throw new Error('Unsupported map input');
+    }
+    if (bytes[0] === GZIP_MAGIC[0] && bytes[1] === GZIP_MAGIC[1]) {
+        let zlib;
+        try {
+            zlib = require('zlib');
+        }
+        catch (_a) {
+            throw new Error('Compressed .map files need zlib to decompress');
+        }
+        return zlib.gunzipSync(bytes).toString('utf8');
+    }
+    return new TextDecoder('utf-8').decode(bytes);
+}
+/** True when the first line is a .map parameter record: version|license|date|seed|width|height|mapId. */
+function isAzgaarMapFile(text) {
+    const params = text.split(/\r?\n/, 1)[0].split('|');
+    return params.length >= 6 && /^\d+\.\d+/.test(params[0]) && Number(params[4]) > 0 && Number(params[5]) > 0;
+}
+function parseAzgaarMapFile(input) {
+    const lines = decodeMapInput(input).split(/\r?\n/);
+    if (!isAzgaarMapFile(lines[0] || '')) {
+        throw new Error('Not an Azgaar .map file');
+    }
+    if (lines.length <= LINES.burgs) {
+        throw new Error(`Truncated .map file: ${lines.length} lines`);
+    }
+    const json = (index, fallback) => {
+        const line = lines[index];
+        if (!line)
+            return fallback;
+        try {
+            return JSON.parse(line);
+        }
+        catch (error) {
+            throw new Error(`Malformed .map line ${index + 1}: ${error instanceof Error ? error.message : 'invalid JSON'}`);
+        }
+    };
+    const numbers = (index) => (lines[index] ? lines[index].split(',').map(Number) : []);
+    const live = (items) => items.filter(item => item && typeof item === 'object' && typeof item.i === 'number' && !item.removed);
+    const settings = readSettings(lines, json(LINES.coordinates, null));
+    const cellData = {
+        biome: numbers(LINES.cellBiome),
+        burg: numbers(LINES.cellBurg),
+        culture: numbers(LINES.cellCulture),
+        population: numbers(LINES.cellPopulation),
+        river: numbers(LINES.cellRiver),
+        state: numbers(LINES.cellState),
+        religion: numbers(LINES.cellReligion),
+        province: numbers(LINES.cellProvince)
+    };
+    const rawStates = live(json(LINES.states, []));
+    const rawBurgs = live(json(LINES.burgs, []));
+    const rawRoutes = live(json(LINES.routes, []));
+    const rawMarkers = live(json(LINES.markers, []));
+    const notes = json(LINES.notes, []);
+    const svgPaths = readSvgPaths(lines[LINES.svg] || '');
+    const positions = new Map();
+    const place = (cell, x, y) => {
+        if (Number.isInteger(cell) && cell >= 0 && Number.isFinite(x) && Number.isFinite(y) && !positions.has(cell)) {
+            positions.set(cell, { x, y });
+        }
+    };
+    // Route points are cell centres, so they win over burgs placed off-centre
+    rawRoutes.forEach(route => (route.points || []).forEach(([x, y, cell]) => place(cell, x, y)));
+    rawMarkers.forEach(marker => place(marker.cell, marker.x, marker.y));
+    rawStates.forEach(state => (state.military || []).forEach(unit => place(unit.cell, unit.x, unit.y)));
+    rawBurgs.forEach(burg => place(burg.cell, burg.x, burg.y));
+    const heightAt = gridHeightLookup(json(LINES.grid, null), numbers(LINES.gridHeights));
+    const cells = Array.from(positions.entries())
+        .sort((a, b) => a[0] - b[0])
+        .map(([id, { x, y }]) => ({
+        id,
+        x,
+        y,
+        height: heightAt(x, y),
+        biome: cellData.biome[id],
+        culture: cellData.culture[id],
+        religion: cellData.religion[id],
+        state: cellData.state[id],
+        burg: cellData.burg[id],
+        province: cellData.province[id],
+        population: cellData.population[id],
+        river: cellData.river[id]
+    }));
+    const cellsOf = (array) => {
+        const members = new Map();
+        array.forEach((owner, cell) => {
+            if (!owner)
+                return;
+            if (!members.has(owner))
+                members.set(owner, []);
+            members.get(owner).push(cell);
+        });
+        return members;
+    };
+    const stateCells = cellsOf(cellData.state);
+    const provinceCells = cellsOf(cellData.province);
+    const burgById = new Map(rawBurgs.map(burg => [burg.i, burg]));
+    const centreOf = (entity) => {
+        const capital = burgById.get(entity.capital || entity.burg);
+        const [x, y] = Array.isArray(entity.pole) ? entity.pole : capital ? [capital.x, capital.y] : [settings.width / 2, settings.height / 2];
+        return { centerX: x, centerY: y };
+    };
+    const burgs = rawBurgs.map(burg => ({
+        id: burg.i,
+        name: burg.name,
+        x: burg.x,
+        y: burg.y,
+        cell: burg.cell,
+        culture: burg.culture,
+        religion: cellData.religion[burg.cell] || 0,
+        state: burg.state,
+        province: cellData.province[burg.cell] || 0,
+        // Burg population is stored in points; Azgaar displays points x population rate x urbanization
+        population: Math.round(burg.population * settings.populationRate * settings.urbanization),
+        type: burg.type || 'Generic',
+        capital: Boolean(burg.capital),
+        citadel: Boolean(burg.citadel),
+        walls: Boolean(burg.walls),
+        plaza: Boolean(burg.plaza),
+        port: burg.port || 0,
+        temple: Boolean(burg.temple),
+        shanty: Boolean(burg.shanty)
+    }));
+    const states = rawStates.map(state => {
+        const capital = burgById.get(state.capital);
+        return {
+            id: state.i,
+            name: state.name,
+            fullName: state.fullName || state.name,
+            form: state.form,
+            formName: state.formName,
+            type: state.type,
+            capital: state.capital,
+            center: state.center,
+            ...centreOf(state),
+            culture: state.culture,
+            religion: capital ? cellData.religion[capital.cell] || 0 : 0,
+            color: state.color,
+            expansionism: state.expansionism,
+            cells: stateCells.get(state.i) || [],
+            provinces: state.provinces || [],
+            military: state.military || [],
+            outline: svgPaths.get(`state${state.i}`) || null
+        };
+    });
+    const provinces = live(json(LINES.provinces, [])).map(province => ({
+        id: province.i,
+        name: province.name,
+        fullName: province.fullName || province.name,
+        formName: province.formName,
+        state: province.state,
+        burg: province.burg,
+        center: province.center,
+        ...centreOf(province),
+        color: province.color,
+        cells: provinceCells.get(province.i) || [],
+        outline: svgPaths.get(`province${province.i}`) || null
+    }));
+    const cultures = live(json(LINES.cultures, [])).map(culture => ({
+        id: culture.i,
+        name: culture.name,
+        type: culture.type,
+        code: culture.code,
+        center: culture.center,
+        color: culture.color,
+        expansionism: culture.expansionism,
+        base: culture.base,
+        origins: culture.origins || []
+    }));
+    const religions = live(json(LINES.religions, [])).map(religion => ({
+        id: religion.i,
+        name: religion.name,
+        type: religion.type,
+        form: religion.form,
+        deity: religion.deity || null,
+        culture: religion.culture,
+        center: religion.center,
+        color: religion.color,
+        expansionism: religion.expansionism,
+        origins: religion.origins || []
+    }));
+    const rivers = live(json(LINES.rivers, [])).map(river => {
+        const banks = svgPaths.get(`river${river.i}`);
+        return {
+            id: river.i,
+            name: river.name,
+            type: river.type || 'River',
+            basin: river.basin,
+            parent: river.parent,
+            source: river.source,
+            mouth: river.mouth,
+            cells: (river.cells || []).filter(cell => cell >= 0),
+            points: banks ? riverCentreline(banks) : null,
+            length: river.length,
+            width: river.width,
+            discharge: river.discharge
+        };
+    });
+    const routes = rawRoutes.map(route => {
+        const points = route.points || [];
+        const pixelLength = points.slice(1).reduce((sum, [x, y], i) => sum + Math.hypot(x - points[i][0], y - points[i][1]), 0);
+        return {
+            // .map routes are numbered from 0, which the export shape keeps for the placeholder entry
+            id: route.i + 1,
+            name: route.name || null,
+            type: ROUTE_TYPES[route.group] || 'Road',
+            group: route.group,
+            cells: points.map(point => point[2]),
+            length: pixelLength * settings.distanceScale
+        };
+    });
+    const notesById = new Map((Array.isArray(notes) ? notes : []).map(note => [note.id, note]));
+    const markers = rawMarkers.map(marker => {
+        const note = notesById.get(`marker${marker.i}`);
+        return {
+            id: marker.i,
+            type: marker.type,
+            icon: marker.icon,
+            x: marker.x,
+            y: marker.y,
+            cell: marker.cell,
+            name: (note === null || note === void 0 ? void 0 : note.name) || null,
+            legend: (note === null || note === void 0 ? void 0 : note.legend) || null
+        };
+    });
+    return {
+        settings,
+        cells,
+        burgs,
+        states,
+        provinces,
+        cultures,
+        religions,
+        rivers,
+        routes,
+        markers,
+        notes: Array.isArray(notes) ? notes : []
+    };
+}
+function readSettings(lines, mapCoordinates) {
+    const params = lines[LINES.params].split('|');
+    const fields = (lines[LINES.settings] || '').split('|');
+    const number = (value, fallback) => (value !== undefined && value !== '' && Number.isFinite(Number(value)) ? Number(value) : fallback);
+    return {
+        version: params[0],
+        seed: params[3],
+        mapId: params[6],
+        width: Number(params[4]),
+        height: Number(params[5]),
+        distanceUnit: fields[0] || 'km',
+        distanceScale: number(fields[1], 1),
+        areaUnit: fields[2] || 'square',
+        heightUnit: fields[3] || 'm',
+        populationRate: number(fields[12], 1000),
+        urbanization: number(fields[13], 1),
+        mapSize: number(fields[14], undefined),
+        latitude: number(fields[15], undefined),
+        mapName: fields[20] || null,
+        mapCoordinates: mapCoordinates || undefined
+    };
+}
+// Height of the grid cell nearest to a point; grid points are a jittered square lattice indexed row by row
+function gridHeightLookup(grid, heights) {
+    if (!grid || !Array.isArray(grid.points) || !grid.spacing || !grid.cellsX || heights.length === 0) {
+        return () => undefined;
+    }
+    const { spacing, cellsX, cellsY, points } = grid;
+    return (x, y) => {
+        const col = Math.floor(x / spacing);
+        const row = Math.floor(y / spacing);
+        let best;
+        let bestDistance = Infinity;
+        for (let r = Math.max(0, row - 1); r <= Math.min(cellsY - 1, row + 1); r++) {
+            for (let c = Math.max(0, col - 1); c <= Math.min(cellsX - 1, col + 1); c++) {
+                const index = r * cellsX + c;
+                const point = points[index];
+                if (!point)
+                    continue;
+                const distance = (point[0] - x) ** 2 + (point[1] - y) ** 2;
+                if (distance < bestDistance) {
+                    best = index;
+                    bestDistance = distance;
+                }
+            }
+        }
+        return best === undefined ? undefined : heights[best];
+    };
+}
+// Coordinate pairs of every <path id="..."> in the SVG layer, keyed by id. Azgaar writes absolute commands only.
+function readSvgPaths(svg) {
+    const paths = new Map();
+    for (const [tag] of svg.matchAll(/<path\b[^>]*>/g)) {
+        const id = /\sid="([^"]+)"/.exec(tag);
+        const d = /\sd="([^"]+)"/.exec(tag);
+        if (!id || !d)
+            continue;
+        const values = (d[1].match(/-?\d*\.?\d+(?:e[-+]?\d+)?/gi) || []).map(Number);
+        const pairs = [];
+        for (let i = 0; i + 1 < values.length; i += 2) {
+            pairs.push([values[i], values[i + 1]]);
+        }
+        if (pairs.length > 0)
+            paths.set(id[1], pairs);
+    }
+    return paths;
+}
+// River shapes are the right bank from mouth to source followed by the left bank back down; averaging opposite
+// points gives a centreline running source to mouth
+function riverCentreline(banks) {
+    const half = Math.floor(banks.length / 2);
+    if (half === 0)
+        return banks.slice();
+    const right = banks.slice(0, half).reverse();
+    const left = banks.slice(banks.length - half);
+    return left.map(([x, y], i) => [(x + right[i][0]) / 2, (y + right[i][1]) / 2]);
+}
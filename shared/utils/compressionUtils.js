@@ -0,0 +1,151 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.CompressionUtils = exports.COMPRESSION_METHODS = void 0;
+const tokenCounter_1 = require("./tokenCounter");
+exports.COMPRESSION_METHODS = ['semantic', 'structural', 'hybrid'];
+const MAX_LEVEL = 4;
+const MIN_STRING_CHARS = 24;
+const STOP_WORDS = new Set(['the', 'and', 'that', 'with', 'this', 'from', 'they', 'them', 'then', 'there', 'their', 'have', 'were', 'what', 'when', 'will', 'would', 'into', 'about', 'your', 'just', 'been', 'some']);
+function estimate(value) {
+    return tokenCounter_1.TokenCounter.estimateTokens(typeof value === 'string' ? value : JSON.stringify(value));
+}
+function splitSentences(text) {
+    return (text.match(/[^.!?\n]+[.!?]*/g) || []).map(sentence => sentence.trim()).filter(Boolean);
+}
+function words(text) {
+    return (text.toLowerCase().match(/[a-z0-9']+/g) || []).filter(word => word.length > 3 && !STOP_WORDS.has(word));
+}
+/**
+ * Lossy, JSON-safe compression for prompt context and stored memories. `semantic` keeps the most informative
+ * sentences of each text, `structural` drops empty fields, shortens long arrays and strings and flattens deep
+ * nesting, and `hybrid` does both. Each pass is stricter than the last until the result fits
+ * `targetRatio` of the original tokens. Keys listed in `preserveKeys` are copied untouched at any depth.
+ */
+class CompressionUtils {
+    static chooseBestMethod(data, targetRatio = 0.5) {
+        if (typeof data === 'string')
+            return 'semantic';
+        if (!data || typeof data !== 'object')
+            return 'structural';
+        if (targetRatio < 0.25)
+            return 'hybrid';
+        // Mostly prose is summarised, mostly shape is pruned
+        const textChars = CompressionUtils.collectStrings(data).reduce((sum, text) => sum + text.length, 0);
+        return textChars / Math.max(1, JSON.stringify(data).length) > 0.6 ? 'semantic' : 'structural';
+    }
+    static compress(data, options = {}) {
+        const targetRatio = Math.min(1, Math.max(0.01, Number(options.targetRatio) || 0.5));
+        const method = exports.COMPRESSION_METHODS.includes(options.method) ? options.method : CompressionUtils.chooseBestMethod(data, targetRatio);
+        const preserve = new Set(options.preserveKeys || []);
+        const originalTokens = estimate(data);
+        const budget = Math.max(1, Math.floor(originalTokens * targetRatio));
+        let compressed = data;
+        for (let level = 1; level <= MAX_LEVEL; level++) {
+            compressed = CompressionUtils.compressValue(data, method, level, preserve, 0);
+            if (estimate(compressed) <= budget)
+                break;
+        }
+        const compressedTokens = estimate(compressed);
+        return {
+            compressed,
+            method,
+            originalTokens,
+            compressedTokens,
+            compressionRatio: originalTokens > 0 ? compressedTokens / originalTokens : 1
+        };
+    }
+    /**
+     * Accepts a compress() result or its `compressed` payload. Dropped detail cannot be recovered, so this
+     * returns a copy of what was kept.
+     */
+    static decompress(data, method) {
+        if (data === undefined || data === null) {
+            return { success: false, error: 'Nothing to decompress' };
+        }
+        const isResult = typeof data === 'object' && 'compressed' in data && exports.COMPRESSION_METHODS.includes(data.method);
+        const payload = isResult ? data.compressed : data;
+        try {
+            return {
+                success: true,
+                method: isResult ? data.method : method,
+                decompressed: typeof payload === 'object' && payload !== null ? JSON.parse(JSON.stringify(payload)) : payload
+            };
+        }
+        catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+    static compressValue(value, method, level, preserve, depth) {
+        if (typeof value === 'string') {
+            return method === 'structural' ? CompressionUtils.truncate(value, level) : CompressionUtils.summarize(value, level);
+        }
+        if (Array.isArray(value)) {
+            const keep = method === 'semantic' ? value.length : Math.max(1, Math.ceil(value.length / (level + 1)));
+            return value.slice(0, keep).map(item => CompressionUtils.compressValue(item, method, level, preserve, depth + 1));
+        }
+        if (!value || typeof value !== 'object' || value instanceof Date) {
+            return value;
+        }
+        if (method !== 'semantic' && depth > MAX_LEVEL - level) {
+            return CompressionUtils.truncate(CompressionUtils.collectStrings(value).join('; '), level);
+        }
+        const out = {};
+        for (const [key, item] of Object.entries(value)) {
+            if (preserve.has(key)) {
+                out[key] = item;
+            }
+            else if (method === 'semantic' || !CompressionUtils.isEmpty(item)) {
+                out[key] = CompressionUtils.compressValue(item, method, level, preserve, depth + 1);
+            }
+        }
+        return out;
+    }
+    static truncate(text, level) {
+        const limit = Math.max(MIN_STRING_CHARS, Math.floor(240 / level));
+        if (text.length <= limit)
+            return text;
+        const cut = text.slice(0, limit);
+        const space = cut.lastIndexOf(' ');
+        return `${(space > limit / 2 ? cut.slice(0, space) : cut).trim()}…`;
+    }
+    // Keeps the sentences sharing the most words with the rest of the text, in their original order
+    static summarize(text, level) {
+        const sentences = splitSentences(text);
+        if (sentences.length <= 1)
+            return CompressionUtils.truncate(text, level);
+        const frequency = new Map();
+        for (const word of words(text)) {
+            frequency.set(word, (frequency.get(word) || 0) + 1);
+        }
+        const keep = Math.max(1, Math.ceil(sentences.length / (level + 1)));
+        return sentences
+            .map((sentence, index) => {
+            const terms = new Set(words(sentence));
+            let score = index === 0 ? 1 : 0;
+            for (const term of terms)
+                score += (frequency.get(term) || 1) - 1;
+            return { sentence, index, score: score / Math.sqrt(terms.size || 1) };
+        })
+            .sort((a, b) => b.score - a.score)
+            .slice(0, keep)
+            .sort((a, b) => a.index - b.index)
+            .map(entry => entry.sentence)
+            .join(' ');
+    }
+    static collectStrings(value, out = []) {
+        if (typeof value === 'string') {
+            out.push(value);
+        }
+        else if (value && typeof value === 'object') {
+            for (const item of Object.values(value))
+                CompressionUtils.collectStrings(item, out);
+        }
+        return out;
+    }
+    static isEmpty(value) {
+        return value === null || value === undefined || value === '' ||
+            (Array.isArray(value) && value.length === 0) ||
+            (typeof value === 'object' && !(value instanceof Date) && Object.keys(value).length === 0);
+    }
+}
+exports.CompressionUtils = CompressionUtils;
@@ -0,0 +1,170 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.CoordinateUtils = exports.geodesicMetric = exports.MapProjection = exports.EARTH_RADIUS_KM = void 0;
+const spatialIndexing_1 = require("./spatialIndexing");
+exports.EARTH_RADIUS_KM = 6371;
+const MAX_MERCATOR_LAT = 85;
+const COMPASS_POINTS = ['north', 'north-east', 'east', 'south-east', 'south', 'south-west', 'west', 'north-west'];
+const toRad = (deg) => deg * Math.PI / 180;
+const toDeg = (rad) => rad * 180 / Math.PI;
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+function mercatorY(lat) {
+    return Math.log(Math.tan(Math.PI / 4 + toRad(clamp(lat, -MAX_MERCATOR_LAT, MAX_MERCATOR_LAT)) / 2));
+}
+function inverseMercatorY(y) {
+    return toDeg(2 * Math.atan(Math.exp(y)) - Math.PI / 2);
+}
+/**
+ * Pixel <-> geographic mapping for an Azgaar map. Extents come from the map's mapCoordinates (latN/latS/lonW/lonE),
+ * else from its map size and latitude sliders the way Azgaar derives them, else a whole-globe band keeping square
+ * pixels at the equator. Projection is equirectangular (Azgaar's own) or mercator.
+ */
+class MapProjection {
+    constructor(options = {}) {
+        this.width = options.width || 8192;
+        this.height = options.height || 4096;
+        this.projection = options.projection === 'mercator' ? 'mercator' : 'equirectangular';
+        this.latN = options.latN;
+        this.latS = options.latS;
+        this.lonW = options.lonW;
+        this.lonE = options.lonE;
+        if (![this.latN, this.latS, this.lonW, this.lonE].every(Number.isFinite)) {
+            Object.assign(this, MapProjection.deriveExtents(this.width, this.height, options.mapSize, options.latitude));
+        }
+    }
+    static fromSettings(settings = {}) {
+        const coords = settings.mapCoordinates || settings.coordinates || {};
+        return new MapProjection({
+            width: settings.width,
+            height: settings.height,
+            projection: settings.projection,
+            latN: coords.latN,
+            latS: coords.latS,
+            lonW: coords.lonW,
+            lonE: coords.lonE,
+            mapSize: settings.mapSize,
+            latitude: settings.latitude
+        });
+    }
+    // Azgaar's calculateMapCoordinates: mapSize is the % of the globe's latitude span shown, latitude the % shift north
+    static deriveExtents(width, height, mapSize = 100, latitude = 50) {
+        const latT = round(clamp(mapSize, 1, 100) / 100 * 180, 1);
+        const latN = round(90 - (180 - latT) * clamp(latitude, 0, 100) / 100, 1);
+        const lonT = round(Math.min(width / height * latT, 360), 1);
+        return { latN, latS: round(latN - latT, 1), lonW: round(-lonT / 2, 1), lonE: round(lonT / 2, 1) };
+    }
+    pixelToGeographic(x, y) {
+        const longitude = this.lonW + (x / this.width) * (this.lonE - this.lonW);
+        let latitude;
+        if (this.projection === 'mercator') {
+            const top = mercatorY(this.latN);
+            const bottom = mercatorY(this.latS);
+            latitude = inverseMercatorY(top - (y / this.height) * (top - bottom));
+        }
+        else {
+            latitude = this.latN - (y / this.height) * (this.latN - this.latS);
+        }
+        return { latitude: clamp(latitude, -90, 90), longitude };
+    }
+    geographicToPixel(latitude, longitude) {
+        const x = ((longitude - this.lonW) / (this.lonE - this.lonW)) * this.width;
+        let y;
+        if (this.projection === 'mercator') {
+            const top = mercatorY(this.latN);
+            y = ((top - mercatorY(latitude)) / (top - mercatorY(this.latS))) * this.height;
+        }
+        else {
+            y = ((this.latN - latitude) / (this.latN - this.latS)) * this.height;
+        }
+        return { x, y };
+    }
+    describe() {
+        return { projection: this.projection, latN: this.latN, latS: this.latS, lonW: this.lonW, lonE: this.lonE };
+    }
+}
+exports.MapProjection = MapProjection;
+// Great-circle metric for RTreeIndex; radii and distances are in km
+exports.geodesicMetric = {
+    distance(a, b) {
+        return CoordinateUtils.calculateDistance(a, b);
+    },
+    boundsFor(center, radiusKm) {
+        const [lng, lat] = center;
+        const dLat = toDeg(radiusKm / exports.EARTH_RADIUS_KM);
+        const minY = lat - dLat;
+        const maxY = lat + dLat;
+        // Near a pole the circle covers every longitude
+        if (minY <= -90 || maxY >= 90) {
+            return { minX: -Infinity, minY: Math.max(-90, minY), maxX: Infinity, maxY: Math.min(90, maxY) };
+        }
+        const dLng = toDeg(Math.asin(Math.min(1, Math.sin(radiusKm / exports.EARTH_RADIUS_KM) / Math.cos(toRad(lat)))));
+        // Points just across the antimeridian are stored near the opposite edge
+        if (lng - dLng < -180 || lng + dLng > 180) {
+            return { minX: -Infinity, minY, maxX: Infinity, maxY };
+        }
+        return { minX: lng - dLng, minY, maxX: lng + dLng, maxY };
+    },
+    // Lower bound on the distance to any point in the box: the latitude gap, or the cross-track distance to the
+    // nearest bounding meridian, whichever is larger
+    boxDistance(point, box) {
+        const [lng, lat] = point;
+        const latGap = Math.max(box.minY - lat, 0, lat - box.maxY);
+        // Longitude gap the short way round, so boxes across the antimeridian are not over-estimated
+        const lngGap = lng >= box.minX && lng <= box.maxX
+            ? 0
+            : Math.min((box.minX - lng + 360) % 360, (lng - box.maxX + 360) % 360);
+        const crossTrack = lngGap >= 90
+            ? Math.PI / 2 - Math.abs(toRad(lat))
+            : Math.asin(Math.min(1, Math.cos(toRad(lat)) * Math.sin(toRad(lngGap))));
+        return Math.max(toRad(latGap), crossTrack) * exports.EARTH_RADIUS_KM;
+    }
+};
+class CoordinateUtils {
+    static pixelToGeographic(x, y, projection = CoordinateUtils.defaultProjection) {
+        return projection.pixelToGeographic(x, y);
+    }
+    static geographicToPixel(latitude, longitude, projection = CoordinateUtils.defaultProjection) {
+        return projection.geographicToPixel(latitude, longitude);
+    }
+    static geographicToPostGIS(latitude, longitude) {
+        return `ST_GeomFromText('POINT(${longitude} ${latitude})', 4326)`;
+    }
+    /** Haversine distance in km; points are { latitude, longitude }, [lng, lat] or GeoJSON Points. */
+    static calculateDistance(point1, point2) {
+        const [lng1, lat1] = spatialIndexing_1.toXY(point1);
+        const [lng2, lat2] = spatialIndexing_1.toXY(point2);
+        const dLat = toRad(lat2 - lat1);
+        const dLng = toRad(lng2 - lng1);
+        const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+        return exports.EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+    /** Initial bearing in degrees clockwise from north (0-360). */
+    static calculateBearing(point1, point2) {
+        const [lng1, lat1] = spatialIndexing_1.toXY(point1).map(toRad);
+        const [lng2, lat2] = spatialIndexing_1.toXY(point2).map(toRad);
+        const y = Math.sin(lng2 - lng1) * Math.cos(lat2);
+        const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(lng2 - lng1);
+        return (toDeg(Math.atan2(y, x)) + 360) % 360;
+    }
+    /** Eight-point compass name for a bearing, e.g. 'north-east'. */
+    static compassDirection(bearing) {
+        return COMPASS_POINTS[Math.round((((bearing % 360) + 360) % 360) / 45) % 8];
+    }
+    /** Point at fraction (0-1) of the great-circle arc between two points, as [lng, lat]. */
+    static intermediatePoint(point1, point2, fraction) {
+        const [lng1, lat1] = spatialIndexing_1.toXY(point1).map(toRad);
+        const [lng2, lat2] = spatialIndexing_1.toXY(point2).map(toRad);
+        const d = CoordinateUtils.calculateDistance(point1, point2) / exports.EARTH_RADIUS_KM;
+        if (d === 0)
+            return [toDeg(lng1), toDeg(lat1)];
+        const a = Math.sin((1 - fraction) * d) / Math.sin(d);
+        const b = Math.sin(fraction * d) / Math.sin(d);
+        const x = a * Math.cos(lat1) * Math.cos(lng1) + b * Math.cos(lat2) * Math.cos(lng2);
+        const y = a * Math.cos(lat1) * Math.sin(lng1) + b * Math.cos(lat2) * Math.sin(lng2);
+        const z = a * Math.sin(lat1) + b * Math.sin(lat2);
+        return [toDeg(Math.atan2(y, x)), toDeg(Math.atan2(z, Math.sqrt(x * x + y * y)))];
+    }
+}
+exports.CoordinateUtils = CoordinateUtils;
+CoordinateUtils.defaultProjection = new MapProjection();
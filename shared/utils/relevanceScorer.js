@@ -0,0 +1,79 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.RelevanceScorer = exports.RELEVANCE_WEIGHTS = void 0;
+exports.RELEVANCE_WEIGHTS = {
+    importance: 0.3,
+    query: 0.25,
+    recency: 0.2,
+    frequency: 0.1,
+    interaction: 0.1,
+    relationships: 0.05
+};
+const IMPORTANCE_SCORES = { critical: 1, high: 0.8, moderate: 0.5, low: 0.25, trivial: 0.1 };
+// Content types that matter most to each kind of interaction
+const INTERACTION_CONTENT = {
+    social: ['conversation', 'relationship', 'character'],
+    combat: ['combat', 'character', 'location'],
+    exploration: ['location', 'lore', 'conversation'],
+    trade: ['item', 'conversation', 'faction']
+};
+const RECENCY_HALF_LIFE_DAYS = 7;
+function terms(value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value || '');
+    return new Set((text.toLowerCase().match(/[a-z0-9']+/g) || []).filter(term => term.length > 2));
+}
+/**
+ * Scores stored content (memories, lore, NPC facts) against the current interaction on 0..1. The overall score
+ * is a weighted sum of importance, query overlap, recency, access frequency, fit with the interaction type and
+ * how many entities it is tied to; factors are returned alongside so callers can explain a ranking.
+ */
+class RelevanceScorer {
+    static calculateRelevance(content, context = {}, weights = exports.RELEVANCE_WEIGHTS) {
+        const factors = {
+            importance: RelevanceScorer.importanceScore(content, context),
+            query: RelevanceScorer.queryScore(content, context.userQuery),
+            recency: RelevanceScorer.recencyScore(content.lastAccessed, context.now),
+            frequency: Math.min(1, Math.log2(1 + (content.accessCount || 0)) / 5),
+            interaction: RelevanceScorer.interactionScore(content.contentType, context.interactionType),
+            relationships: Math.min(1, (content.relationships || []).length / 4)
+        };
+        // Without a query the remaining factors share its weight
+        const active = Object.keys(weights).filter(key => key !== 'query' || String(context.userQuery || '').trim());
+        const total = active.reduce((sum, key) => sum + weights[key], 0) || 1;
+        const overall = active.reduce((sum, key) => sum + factors[key] * weights[key], 0) / total;
+        return { overall: Math.round(overall * 1000) / 1000, factors };
+    }
+    static importanceScore(content, context) {
+        var _a;
+        const level = ((_a = content.metadata) === null || _a === void 0 ? void 0 : _a.importance) || context.importance;
+        return typeof level === 'number' ? Math.min(1, Math.max(0, level)) : (IMPORTANCE_SCORES[level] || IMPORTANCE_SCORES.moderate);
+    }
+    static queryScore(content, query) {
+        var _a;
+        const wanted = terms(query);
+        if (wanted.size === 0)
+            return 0;
+        const haystack = terms([content.content, content.tags, (_a = content.metadata) === null || _a === void 0 ? void 0 : _a.themes]);
+        let hits = 0;
+        for (const term of wanted) {
+            if (haystack.has(term))
+                hits++;
+        }
+        return hits / wanted.size;
+    }
+    static recencyScore(lastAccessed, now = Date.now()) {
+        const time = lastAccessed ? new Date(lastAccessed).getTime() : NaN;
+        if (!Number.isFinite(time))
+            return 0.5;
+        const ageDays = Math.max(0, (now - time) / 86400000);
+        return Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+    }
+    static interactionScore(contentType, interactionType) {
+        const preferred = INTERACTION_CONTENT[interactionType];
+        if (!preferred || !contentType)
+            return 0.5;
+        const rank = preferred.indexOf(contentType);
+        return rank === -1 ? 0.25 : 1 - rank * 0.2;
+    }
+}
+exports.RelevanceScorer = RelevanceScorer;
@@ -0,0 +1,390 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.MinHeap = exports.RTreeIndex = exports.planarMetric = void 0;
+exports.toXY = toXY;
+exports.geometryBounds = geometryBounds;
+exports.pointInPolygon = pointInPolygon;
+/**
+ * In-memory R-tree for world entities. Coordinates are x = longitude, y = latitude. Items carry either a
+ * point ({ latitude, longitude }, [lng, lat] or a GeoJSON Point) or a geometry (GeoJSON Polygon, MultiPolygon
+ * or LineString) indexed by its bounding box. Distances come from a metric so callers can swap the planar
+ * default for a geodesic one without touching the tree.
+ */
+const DEFAULT_MAX_ENTRIES = 16;
+/** Euclidean distance in coordinate units. */
+exports.planarMetric = {
+    distance(a, b) {
+        return Math.sqrt((b[0] - a[0]) ** 2 + (b[1] - a[1]) ** 2);
+    },
+    // Box that contains every point within radius of center
+    boundsFor(center, radius) {
+        return { minX: center[0] - radius, minY: center[1] - radius, maxX: center[0] + radius, maxY: center[1] + radius };
+    },
+    // Lower bound of the distance from a point to anything inside the box
+    boxDistance(point, box) {
+        const dx = Math.max(box.minX - point[0], 0, point[0] - box.maxX);
+        const dy = Math.max(box.minY - point[1], 0, point[1] - box.maxY);
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+};
+function toXY(point) {
+    if (!point)
+        return null;
+    if (Array.isArray(point))
+        return [Number(point[0]), Number(point[1])];
+    if (Array.isArray(point.coordinates))
+        return [Number(point.coordinates[0]), Number(point.coordinates[1])];
+    if (point.longitude !== undefined && point.latitude !== undefined)
+        return [Number(point.longitude), Number(point.latitude)];
+    if (point.x !== undefined && point.y !== undefined)
+        return [Number(point.x), Number(point.y)];
+    return null;
+}
+function emptyBox() {
+    return { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+}
+function extend(box, other) {
+    box.minX = Math.min(box.minX, other.minX);
+    box.minY = Math.min(box.minY, other.minY);
+    box.maxX = Math.max(box.maxX, other.maxX);
+    box.maxY = Math.max(box.maxY, other.maxY);
+    return box;
+}
+function area(box) {
+    return (box.maxX - box.minX) * (box.maxY - box.minY);
+}
+function enlargedArea(box, other) {
+    return (Math.max(box.maxX, other.maxX) - Math.min(box.minX, other.minX)) *
+        (Math.max(box.maxY, other.maxY) - Math.min(box.minY, other.minY));
+}
+function intersects(a, b) {
+    return b.minX <= a.maxX && b.minY <= a.maxY && b.maxX >= a.minX && b.maxY >= a.minY;
+}
+function containsPoint(box, point) {
+    return point[0] >= box.minX && point[0] <= box.maxX && point[1] >= box.minY && point[1] <= box.maxY;
+}
+/** Bounding box of a GeoJSON geometry (any nesting of coordinate arrays). */
+function geometryBounds(geometry) {
+    const box = emptyBox();
+    const walk = (coords) => {
+        if (typeof coords[0] === 'number') {
+            extend(box, { minX: coords[0], minY: coords[1], maxX: coords[0], maxY: coords[1] });
+            return;
+        }
+        coords.forEach(walk);
+    };
+    if (geometry === null || geometry === void 0 ? void 0 : geometry.coordinates)
+        walk(geometry.coordinates);
+    return Number.isFinite(box.minX) ? box : null;
+}
+function inRing(point, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > point[1]) !== (yj > point[1]) && point[0] < ((xj - xi) * (point[1] - yi)) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+/** Ray-casting test for a GeoJSON Polygon or MultiPolygon; holes are respected. */
+function pointInPolygon(point, geometry) {
+    if (!geometry)
+        return false;
+    const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+    return polygons.some(rings => rings.length > 0 && rings[0].length > 2 && inRing(point, rings[0]) &&
+        !rings.slice(1).some(hole => inRing(point, hole)));
+}
+// Binary min-heap keyed on `dist`; drives best-first k-nearest search (and A* in the travel planner)
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+    get size() {
+        return this.items.length;
+    }
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].dist <= items[i].dist)
+                break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left].dist < items[smallest].dist)
+                    smallest = left;
+                if (right < items.length && items[right].dist < items[smallest].dist)
+                    smallest = right;
+                if (smallest === i)
+                    break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
+exports.MinHeap = MinHeap;
+class RTreeIndex {
+    constructor(options = {}) {
+        this.maxEntries = Math.max(4, options.maxEntries || DEFAULT_MAX_ENTRIES);
+        this.minEntries = Math.max(2, Math.ceil(this.maxEntries * 0.4));
+        this.metric = options.metric || exports.planarMetric;
+        this.clear();
+    }
+    clear() {
+        this.root = this.createNode([], true);
+        this.count = 0;
+    }
+    createNode(children, leaf) {
+        const node = { children, leaf, height: 1, ...emptyBox() };
+        this.refit(node);
+        return node;
+    }
+    refit(node) {
+        Object.assign(node, emptyBox());
+        node.children.forEach(child => extend(node, child));
+        return node;
+    }
+    toEntry(item) {
+        const point = item.point ? toXY(item.point) : null;
+        if (point && Number.isFinite(point[0]) && Number.isFinite(point[1])) {
+            return { minX: point[0], minY: point[1], maxX: point[0], maxY: point[1], point, item };
+        }
+        const box = geometryBounds(item.geometry);
+        if (!box) {
+            throw new Error(`Spatial item ${item.id} has no point or geometry`);
+        }
+        return { ...box, point: null, item };
+    }
+    insert(item) {
+        this.insertEntry(this.toEntry(item));
+        this.count++;
+    }
+    // Sort-Tile-Recursive packing when the tree is empty; falls back to one-by-one inserts otherwise
+    bulkInsert(items) {
+        const entries = items.map(item => this.toEntry(item));
+        if (this.count > 0 || entries.length < this.maxEntries) {
+            entries.forEach(entry => this.insertEntry(entry));
+        }
+        else {
+            this.root = this.pack(entries);
+        }
+        this.count += entries.length;
+    }
+    pack(entries) {
+        let level = this.packLevel(entries, true);
+        let height = 1;
+        while (level.length > 1) {
+            level = this.packLevel(level, false);
+            height++;
+        }
+        level[0].height = height;
+        return level[0];
+    }
+    packLevel(children, leaf) {
+        const M = this.maxEntries;
+        const nodeCount = Math.ceil(children.length / M);
+        const slices = Math.ceil(Math.sqrt(nodeCount));
+        const centerX = (b) => b.minX + b.maxX;
+        const centerY = (b) => b.minY + b.maxY;
+        const sorted = children.slice().sort((a, b) => centerX(a) - centerX(b));
+        const sliceSize = slices * M;
+        const nodes = [];
+        for (let i = 0; i < sorted.length; i += sliceSize) {
+            const slice = sorted.slice(i, i + sliceSize).sort((a, b) => centerY(a) - centerY(b));
+            for (let j = 0; j < slice.length; j += M) {
+                const node = this.createNode(slice.slice(j, j + M), leaf);
+                node.height = leaf ? 1 : slice[j].height + 1;
+                nodes.push(node);
+            }
+        }
+        return nodes;
+    }
+    insertEntry(entry) {
+        const path = [];
+        let node = this.root;
+        while (!node.leaf) {
+            path.push(node);
+            let best = node.children[0];
+            let bestEnlargement = Infinity;
+            for (const child of node.children) {
+                const enlargement = enlargedArea(child, entry) - area(child);
+                if (enlargement < bestEnlargement || (enlargement === bestEnlargement && area(child) < area(best))) {
+                    bestEnlargement = enlargement;
+                    best = child;
+                }
+            }
+            node = best;
+        }
+        node.children.push(entry);
+        extend(node, entry);
+        path.push(node);
+        // Split overflowing nodes bottom-up, growing a new root if the old one splits
+        for (let i = path.length - 1; i >= 0; i--) {
+            const current = path[i];
+            if (current.children.length <= this.maxEntries) {
+                extend(current, entry);
+                continue;
+            }
+            const sibling = this.split(current);
+            if (i === 0) {
+                this.root = this.createNode([current, sibling], false);
+                this.root.height = current.height + 1;
+            }
+            else {
+                path[i - 1].children.push(sibling);
+                extend(path[i - 1], sibling);
+            }
+        }
+    }
+    // Splits along the axis with the wider spread, keeping at least minEntries on each side
+    split(node) {
+        const children = node.children;
+        const spread = (key) => {
+            const values = children.map(c => c[`min${key}`] + c[`max${key}`]);
+            return Math.max(...values) - Math.min(...values);
+        };
+        const axis = spread('X') >= spread('Y') ? 'X' : 'Y';
+        children.sort((a, b) => (a[`min${axis}`] + a[`max${axis}`]) - (b[`min${axis}`] + b[`max${axis}`]));
+        const cut = Math.max(this.minEntries, Math.floor(children.length / 2));
+        const sibling = this.createNode(children.splice(cut), node.leaf);
+        sibling.height = node.height;
+        this.refit(node);
+        return sibling;
+    }
+    collect(box, out, stats) {
+        if (this.count === 0)
+            return out;
+        const stack = [this.root];
+        while (stack.length) {
+            const node = stack.pop();
+            stats.nodesVisited++;
+            for (const child of node.children) {
+                if (!intersects(box, child))
+                    continue;
+                if (node.leaf)
+                    out.push(child);
+                else
+                    stack.push(child);
+            }
+        }
+        return out;
+    }
+    /**
+     * query.type:
+     *  - radius:   { center, radius } items within radius, nearest first
+     *  - bbox:     { bounds: { minLng, minLat, maxLng, maxLat } | [minX, minY, maxX, maxY] }
+     *  - knn:      { center, k } the k nearest items
+     *  - polygon:  { polygon } point items inside a GeoJSON Polygon/MultiPolygon
+     *  - contains: { center } geometry items whose polygon contains the point
+     * query.filter(item) narrows results; for knn it is applied before counting to k.
+     */
+    search(query) {
+        const startTime = performance.now();
+        const stats = { nodesVisited: 0 };
+        const filter = query.filter || (() => true);
+        let items;
+        switch (query.type || 'radius') {
+            case 'radius': {
+                const center = toXY(query.center);
+                items = this.collect(this.metric.boundsFor(center, query.radius), [], stats)
+                    .map(entry => ({ entry, distance: this.entryDistance(center, entry) }))
+                    .filter(({ entry, distance }) => distance <= query.radius && filter(entry.item))
+                    .sort((a, b) => a.distance - b.distance)
+                    .map(({ entry, distance }) => ({ ...entry.item, distance }));
+                break;
+            }
+            case 'bbox': {
+                const b = query.bounds;
+                const box = Array.isArray(b)
+                    ? { minX: b[0], minY: b[1], maxX: b[2], maxY: b[3] }
+                    : { minX: b.minLng, minY: b.minLat, maxX: b.maxLng, maxY: b.maxLat };
+                items = this.collect(box, [], stats).filter(entry => filter(entry.item)).map(entry => entry.item);
+                break;
+            }
+            case 'knn':
+                items = this.nearest(toXY(query.center), query.k || query.limit || 1, filter, stats);
+                break;
+            case 'polygon': {
+                const box = geometryBounds(query.polygon);
+                items = box ? this.collect(box, [], stats)
+                    .filter(entry => entry.point && pointInPolygon(entry.point, query.polygon) && filter(entry.item))
+                    .map(entry => entry.item) : [];
+                break;
+            }
+            case 'contains': {
+                const point = toXY(query.center);
+                items = this.collect({ minX: point[0], minY: point[1], maxX: point[0], maxY: point[1] }, [], stats)
+                    .filter(entry => !entry.point && pointInPolygon(point, entry.item.geometry) && filter(entry.item))
+                    .map(entry => entry.item);
+                break;
+            }
+            default:
+                throw new Error(`Unknown spatial query type: ${query.type}`);
+        }
+        if (query.limit && query.type !== 'knn') {
+            items = items.slice(0, query.limit);
+        }
+        return { items, queryTime: performance.now() - startTime, nodesVisited: stats.nodesVisited };
+    }
+    entryDistance(center, entry) {
+        return entry.point ? this.metric.distance(center, entry.point) : this.metric.boxDistance(center, entry);
+    }
+    nearest(center, k, filter, stats) {
+        const results = [];
+        const queue = new MinHeap();
+        queue.push({ node: this.root, dist: 0 });
+        while (queue.size && results.length < k) {
+            const { node, entry, dist } = queue.pop();
+            if (entry) {
+                results.push({ ...entry.item, distance: dist });
+                continue;
+            }
+            stats.nodesVisited++;
+            for (const child of node.children) {
+                if (node.leaf) {
+                    if (filter(child.item))
+                        queue.push({ entry: child, dist: this.entryDistance(center, child) });
+                }
+                else {
+                    queue.push({ node: child, dist: this.metric.boxDistance(center, child) });
+                }
+            }
+        }
+        return results;
+    }
+    getStatistics() {
+        let nodeCount = 0;
+        const stack = this.count ? [this.root] : [];
+        while (stack.length) {
+            const node = stack.pop();
+            nodeCount++;
+            if (!node.leaf)
+                stack.push(...node.children);
+        }
+        return {
+            totalItems: this.count,
+            height: this.count ? this.root.height : 0,
+            nodeCount,
+            bounds: this.count ? { minX: this.root.minX, minY: this.root.minY, maxX: this.root.maxX, maxY: this.root.maxY } : null
+        };
+    }
+}
+exports.RTreeIndex = RTreeIndex;
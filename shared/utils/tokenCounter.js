@@ -0,0 +1,37 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.TokenCounter = void 0;
+/**
+ * Token counts for services, using the extension's tokenizer (modules/tokenizer.js, exposed as
+ * window.STRESTokenizer) so service estimates match prompt budgets. Outside the browser, or before the
+ * extension has loaded, it falls back to four characters per token.
+ */
+class TokenCounter {
+    static tokenizer() {
+        return typeof window !== 'undefined' && window.STRESTokenizer ? window.STRESTokenizer : null;
+    }
+    /**
+     * @param text Text to count
+     * @param target Optional { source, model } to count for; defaults to the active chat completion model
+     */
+    static estimateTokens(text, target) {
+        const value = String(text || '');
+        if (!value)
+            return 0;
+        const tokenizer = TokenCounter.tokenizer();
+        if (tokenizer) {
+            try {
+                return tokenizer.count(value, target);
+            }
+            catch (error) {
+                if (!TokenCounter.warned) {
+                    TokenCounter.warned = true;
+                    console.warn('[TokenCounter] Tokenizer failed, estimating instead (further failures are not logged):', error);
+                }
+            }
+        }
+        return Math.ceil(value.length / 4);
+    }
+}
+exports.TokenCounter = TokenCounter;
+TokenCounter.warned = false;
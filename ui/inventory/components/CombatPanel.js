@@ -1,11 +1,13 @@
 "use strict";
 
 class CombatPanel {
-    constructor(combatManager, configManager) {
+    constructor(combatManager, configManager, options = {}) {
         this.combatManager = combatManager;
         this.configManager = configManager;
+        this.options = options;
         this.container = null;
         this.isVisible = false;
+        this.wasActive = false;
 
         this.setupEventListeners();
     }
@@ -26,6 +28,7 @@ class CombatPanel {
                     <div class="stres-combat-round">Round: <span id="combat-round">-</span></div>
                     <div class="stres-combat-turn">Current Turn: <span id="combat-actor">-</span></div>
                 </div>
+                <div class="stres-combat-roster" id="combat-roster"></div>
                 <div class="stres-combat-actions">
                     <button class="stres-combat-btn" id="combat-attack-btn" disabled>
                         ⚔️ Attack
@@ -44,6 +47,11 @@ class CombatPanel {
         toggleBtn.addEventListener('click', () => this.toggle());
         attackBtn.addEventListener('click', () => this.performAttack());
 
+        // Local tracker panels stay out of the way until a fight starts
+        if (this.options.autoHide) {
+            this.container.style.display = 'none';
+        }
+
         return this.container;
     }
 
@@ -104,6 +112,10 @@ class CombatPanel {
         window.addEventListener('stres:combat:log', (e) => {
             this.onLogEntry(e.detail.entry);
         });
+
+        window.addEventListener('stres:combat:roster', (e) => {
+            this.onRoster(e.detail);
+        });
     }
 
     onCombatStarted(data) {
@@ -152,6 +164,34 @@ class CombatPanel {
         this.addLogEntry('Combat ended!', 'system');
     }
 
+    onRoster(data) {
+        if (!this.container || !data) return;
+
+        this.updateRound(data.active ? data.round : '-');
+        this.updateActor(data.actor || '-');
+
+        const rosterEl = this.container.querySelector('#combat-roster');
+        if (rosterEl) {
+            rosterEl.innerHTML = '';
+            for (const c of data.combatants || []) {
+                const row = document.createElement('div');
+                row.className = `stres-combat-roster-row ${c.side || ''} ${c.status || ''}${c.current ? ' current' : ''}`;
+                const hp = c.hp != null ? `${c.hp}${c.maxHp != null ? `/${c.maxHp}` : ''} HP` : '';
+                const ac = c.ac != null ? `AC ${c.ac}` : '';
+                const status = c.status && c.status !== 'active' ? c.status : '';
+                const conditions = (c.conditions || []).map(x => x.rounds != null ? `${x.name} (${x.rounds})` : x.name).join(', ');
+                row.textContent = [`${c.current ? '▶ ' : ''}${c.name}`, hp, ac, status, conditions].filter(Boolean).join(' • ');
+                rosterEl.appendChild(row);
+            }
+        }
+
+        if (this.options.autoHide) {
+            this.container.style.display = data.active ? '' : 'none';
+            if (data.active && !this.wasActive) this.show();
+        }
+        this.wasActive = !!data.active;
+    }
+
     onLogEntry(entry) {
         this.addLogEntry(entry.message, entry.type);
     }
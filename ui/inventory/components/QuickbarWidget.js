@@ -159,6 +159,25 @@ class QuickbarWidget {
     }
     getEquippedGearHTML(data) {
         var _a;
+        const model = window.STRESEquipment;
+        if (model && data.equipment) {
+            const slots = Object.keys(model.SLOTS).map(slot => {
+                const def = model.SLOTS[slot];
+                const item = data.equipment[slot];
+                return `
+        <div class="gear-slot ${item ? 'equipped' : ''}" data-slot="${slot}" title="${def.label}: ${(item === null || item === void 0 ? void 0 : item.name) || 'empty'}">
+          ${def.icon}
+        </div>`;
+            }).join('');
+            const stats = Object.entries(data.equippedStats || {})
+                .map(([stat, value]) => `${stat} ${value > 0 ? '+' : ''}${value}`)
+                .join(' • ');
+            return `
+      <div class="equipped-gear equipped-gear--slots">${slots}
+      </div>
+      ${stats ? `<div class="gear-stats">${stats}</div>` : ''}
+    `;
+        }
         const weapon = data.equippedWeapon;
         const armor = (_a = data.equippedArmor) === null || _a === void 0 ? void 0 : _a[0];
         return `
@@ -185,7 +204,9 @@ class QuickbarWidget {
             armor: [],
             consumables: [],
             equippedWeapon: undefined,
-            equippedArmor: []
+            equippedArmor: [],
+            equipment: {},
+            equippedStats: {}
         };
     }
     getWeightClass(current, max) {
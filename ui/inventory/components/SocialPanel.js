@@ -0,0 +1,172 @@
+"use strict";
+
+const LEVEL_CLASS = {
+    intimate: 'good', close: 'good', friendly: 'good',
+    exalted: 'good', honored: 'good',
+    neutral: 'neutral',
+    unfriendly: 'bad', hostile: 'bad', hated: 'bad'
+};
+
+function escapeHtml(text) {
+    return String(text == null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function signed(value) {
+    const n = Math.round(Number(value) || 0);
+    return n > 0 ? `+${n}` : String(n);
+}
+
+class SocialPanel {
+    constructor(social, options = {}) {
+        this.social = social;
+        this.options = options;
+        this.container = null;
+        this.isVisible = false;
+
+        this.setupEventListeners();
+    }
+
+    createPanel() {
+        if (this.container) return this.container;
+
+        this.container = document.createElement('div');
+        this.container.id = 'stres-social-panel';
+        this.container.className = 'stres-social-panel';
+        this.container.innerHTML = `
+            <div class="stres-social-header">
+                <h3>Social</h3>
+                <button class="stres-social-toggle" id="stres-social-toggle">▶</button>
+            </div>
+            <div class="stres-social-content" id="stres-social-content"></div>
+        `;
+
+        const toggleBtn = this.container.querySelector('#stres-social-toggle');
+        toggleBtn.addEventListener('click', () => this.toggle());
+
+        // Stay out of the way until the service has reported something
+        if (this.options.autoHide) {
+            this.container.style.display = 'none';
+        }
+
+        return this.container;
+    }
+
+    mount(selector) {
+        const target = document.querySelector(selector);
+        if (!target) {
+            console.error('[STRES] Social panel mount target not found:', selector);
+            return;
+        }
+
+        const panel = this.createPanel();
+        target.appendChild(panel);
+        this.render(this.social.getState());
+        this.updateVisibility();
+    }
+
+    toggle() {
+        this.isVisible = !this.isVisible;
+        this.updateVisibility();
+    }
+
+    show() {
+        if (this.container) this.container.style.display = '';
+        this.isVisible = true;
+        this.updateVisibility();
+    }
+
+    hide() {
+        this.isVisible = false;
+        this.updateVisibility();
+    }
+
+    updateVisibility() {
+        if (!this.container) return;
+
+        const content = this.container.querySelector('#stres-social-content');
+        const toggle = this.container.querySelector('#stres-social-toggle');
+        content.style.display = this.isVisible ? 'block' : 'none';
+        toggle.textContent = this.isVisible ? '▼' : '▶';
+    }
+
+    setupEventListeners() {
+        window.addEventListener('stres:social:updated', (e) => {
+            this.render(e.detail?.dashboard);
+        });
+    }
+
+    render(dashboard) {
+        if (!this.container || !dashboard) return;
+
+        const relationships = dashboard.relationships || [];
+        const romances = (dashboard.romances || []).filter(r => r.status === 'active');
+        const factions = dashboard.factions || [];
+        const recent = (dashboard.recent || []).slice(-(this.options.recent || 8)).reverse();
+        const empty = !relationships.length && !factions.length;
+
+        if (this.options.autoHide) {
+            this.container.style.display = empty ? 'none' : '';
+        }
+
+        const content = this.container.querySelector('#stres-social-content');
+        if (empty) {
+            content.innerHTML = '<div class="stres-social-empty">No relationships yet.</div>';
+            return;
+        }
+
+        content.innerHTML = [
+            this.renderRelationships(relationships, romances),
+            this.renderFactions(factions, dashboard.distribution || {}),
+            this.renderRecent(recent)
+        ].join('');
+    }
+
+    renderRelationships(relationships, romances) {
+        if (!relationships.length) return '';
+        const romanceFor = (rel) => romances.find(r => r.partners.includes(rel.source) && r.partners.includes(rel.target));
+        const rows = relationships.map(rel => {
+            const pct = Math.round(((Math.max(-100, Math.min(100, rel.points)) + 100) / 200) * 100);
+            const romance = romanceFor(rel);
+            return `
+                <div class="stres-social-row" title="${escapeHtml(rel.lastReason)}">
+                    <div class="stres-social-row-head">
+                        <span class="stres-social-name">${escapeHtml(rel.source)} ↔ ${escapeHtml(rel.target)}</span>
+                        <span class="stres-social-level ${LEVEL_CLASS[rel.level] || 'neutral'}">${escapeHtml(rel.level)} ${signed(rel.points)}</span>
+                    </div>
+                    <div class="stres-social-bar"><div class="stres-social-bar-fill ${LEVEL_CLASS[rel.level] || 'neutral'}" style="width:${pct}%"></div></div>
+                    ${romance ? `<div class="stres-social-romance">♥ ${escapeHtml(romance.stage)} · affection ${romance.affection}</div>` : ''}
+                </div>`;
+        }).join('');
+        return `<div class="stres-social-section"><div class="stres-social-title">Relationships</div>${rows}</div>`;
+    }
+
+    renderFactions(factions, distribution) {
+        if (!factions.length) return '';
+        const rows = factions.map(f => `
+            <div class="stres-social-row-head">
+                <span class="stres-social-name">${escapeHtml(f.name)}</span>
+                <span class="stres-social-level ${LEVEL_CLASS[f.standing] || 'neutral'}">${escapeHtml(f.standing)} ${signed(f.points)}</span>
+            </div>`).join('');
+        const total = Object.values(distribution).reduce((sum, n) => sum + (Number(n) || 0), 0);
+        const segments = total ? Object.entries(distribution).filter(([, n]) => n).map(([level, n]) =>
+            `<div class="stres-social-spread-seg ${LEVEL_CLASS[level] || 'neutral'}" style="flex:${n}" title="${escapeHtml(level)}: ${n}"></div>`).join('') : '';
+        return `<div class="stres-social-section"><div class="stres-social-title">Factions</div>${rows}${segments ? `<div class="stres-social-spread">${segments}</div>` : ''}</div>`;
+    }
+
+    renderRecent(recent) {
+        if (!recent.length) return '';
+        const rows = recent.map(change => {
+            const subject = change.kind === 'faction' ? (change.name || change.ids[0]) : change.ids.join(' ↔ ');
+            const delta = change.pointsChange ? ` <b>${signed(change.pointsChange)}</b>` : '';
+            const reason = change.reason ? ` — ${escapeHtml(change.reason)}` : '';
+            return `<div class="stres-social-change">${escapeHtml(subject)}${delta}${reason}</div>`;
+        }).join('');
+        return `<div class="stres-social-section"><div class="stres-social-title">Recent changes</div>${rows}</div>`;
+    }
+}
+
+export { SocialPanel };
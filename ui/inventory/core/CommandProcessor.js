@@ -3,6 +3,13 @@ Object.defineProperty(exports, "__esModule", { value: true });
 exports.createCommandProcessor = exports.CommandProcessor = void 0;
 const TextFormatter_1 = require("../formatters/TextFormatter");
 const InteractiveFormatter_1 = require("../formatters/InteractiveFormatter");
+const CraftingService_1 = require("../../../services/CraftingService");
+const DurabilityService_1 = require("../../../services/DurabilityService");
+const EnchantmentService_1 = require("../../../services/EnchantmentService");
+const GuildStorageService_1 = require("../../../services/GuildStorageService");
+const TheftService_1 = require("../../../services/TheftService");
+const XPCalculationService_1 = require("../../../components/logic/XPCalculationService");
+const SkillTreeService_1 = require("../../../components/logic/SkillTreeService");
 class CommandProcessor {
     constructor(inventoryManager, configManager) {
         this.inventoryManager = inventoryManager;
@@ -11,8 +18,12 @@ class CommandProcessor {
         this.textFormatter = new TextFormatter_1.TextFormatter(configManager);
         this.interactiveFormatter = new InteractiveFormatter_1.InteractiveFormatter(configManager);
         this.registerCommands();
+        // Repairs restored from chat state after a reload have lost their onComplete callback
+        DurabilityService_1.durabilityService.setCompletionHandler((entry, repaired) => this.inventoryManager.updateItem(entry.characterId, entry.item.id, { [entry.durabilityField]: repaired.durabilityCurrent }));
     }
     registerCommands() {
+        const guildCommand = new GuildCommand(this.interactiveFormatter, this.configManager);
+        const repairCommand = new RepairCommand(this.interactiveFormatter, this.configManager);
         const commands = [
             new InventoryListCommand(this.textFormatter, this.interactiveFormatter, this.configManager),
             new EquipCommand(),
@@ -20,8 +31,15 @@ class CommandProcessor {
             new UseItemCommand(),
             new SearchItemCommand(this.textFormatter),
             new ItemInfoCommand(this.textFormatter),
-            new StoreItemCommand(),
+            new StoreItemCommand(guildCommand),
+            guildCommand,
+            new StealCommand(guildCommand),
+            new BountyCommand(),
+            new SecurityCommand(guildCommand),
             new TradeItemCommand(),
+            new CraftCommand(),
+            repairCommand,
+            new EnchantCommand(this.interactiveFormatter, this.configManager, repairCommand),
             new HelpCommand(this)
         ];
         for (const command of commands) {
@@ -92,6 +110,20 @@ class CommandProcessor {
     }
 }
 exports.CommandProcessor = CommandProcessor;
+// Costs quoted by the services are in copper; the local inventory purse pays them when it is available
+function payFromPurse(manager, characterId, copper) {
+    const store = manager.getOfflineStore ? manager.getOfflineStore() : null;
+    if (!store || !copper) {
+        return { success: true, paid: '' };
+    }
+    const label = store.formatCurrency(store.fromCopper(Math.abs(copper)));
+    const payment = store.adjustCurrency(characterId, { copper: -copper });
+    return payment.success ? { success: true, paid: label } : { success: false, message: `${payment.message} (${label} needed)` };
+}
+function currentCampaignId() {
+    var _a, _b;
+    return (typeof window !== 'undefined' && ((_b = (_a = window.extension_settings) === null || _a === void 0 ? void 0 : _a.stres) === null || _b === void 0 ? void 0 : _b.campaignId)) || 'default';
+}
 class InventoryListCommand {
     constructor(textFormatter, interactiveFormatter, configManager) {
         this.textFormatter = textFormatter;
@@ -154,17 +186,19 @@ class EquipCommand {
     constructor() {
         this.name = 'equip';
         this.aliases = ['e', 'wear', 'wield'];
-        this.description = 'Equip an item';
-        this.usage = '/equip <item name or id>';
+        this.description = 'Equip an item, swapping out whatever occupies its slot';
+        this.usage = '/equip <item name or id> [@slot] - Slots: head, neck, body, cloak, hands, waist, feet, main_hand, off_hand, ring_1, ring_2';
     }
     async execute(args, manager) {
         if (args.length === 0) {
             return {
                 success: false,
-                message: 'Usage: /equip <item name or id>'
+                message: 'Usage: /equip <item name or id> [@slot]'
             };
         }
-        const itemQuery = args.join(' ');
+        const slotArg = args.find(a => a.startsWith('@'));
+        const itemQuery = args.filter(a => a !== slotArg).join(' ');
+        const slot = slotArg ? slotArg.slice(1) : undefined;
         const items = await manager.searchItems(itemQuery);
         if (items.length === 0) {
             return {
@@ -172,8 +206,11 @@ class EquipCommand {
                 message: `No items found matching "${itemQuery}"`
             };
         }
-        const item = items[0];
-        if (item.type !== 'weapon' && item.type !== 'armor') {
+        const model = manager.getEquipmentModel();
+        // Prefer an unequipped match so "/equip ring" picks up the second ring
+        const item = items.find(i => !i.equipped) || items[0];
+        const equippable = model ? !!model.itemSlotKind(item) : (item.type === 'weapon' || item.type === 'armor');
+        if (!equippable) {
             return {
                 success: false,
                 message: `${item.name} cannot be equipped`
@@ -181,7 +218,8 @@ class EquipCommand {
         }
         const result = await manager.executeAction({
             type: 'equip',
-            itemId: item.id
+            itemId: item.id,
+            slot
         });
         return {
             success: result.success,
@@ -207,8 +245,19 @@ class UnequipCommand {
         }
         const query = args.join(' ').toLowerCase();
         const inventory = await manager.getPlayerInventory();
+        const model = manager.getEquipmentModel();
         let item;
-        if (query === 'weapon' && inventory.equippedWeapon) {
+        if (model) {
+            const plan = model.planUnequip(inventory.items, query);
+            if (!plan.ok) {
+                return {
+                    success: false,
+                    message: plan.error
+                };
+            }
+            item = plan.item;
+        }
+        else if (query === 'weapon' && inventory.equippedWeapon) {
             item = inventory.equippedWeapon;
         }
         else if (query === 'armor' && ((_a = inventory.equippedArmor) === null || _a === void 0 ? void 0 : _a.length)) {
@@ -337,7 +386,8 @@ class ItemInfoCommand {
     }
 }
 class StoreItemCommand {
-    constructor() {
+    constructor(guildCommand) {
+        this.guildCommand = guildCommand;
         this.name = 'store';
         this.aliases = ['stash', 'deposit'];
         this.description = 'Store an item in guild storage';
@@ -350,29 +400,590 @@ class StoreItemCommand {
                 message: 'Usage: /store <item name> [quantity]'
             };
         }
-        let quantity = 1;
+        const storages = await GuildStorageService_1.guildStorageService.getGuildStorages(currentCampaignId());
+        if (storages.length !== 1) {
+            return {
+                success: false,
+                message: storages.length === 0 ?
+                    'No guild storage yet. Create one with /guild storage create <name>' :
+                    'Several guild storages exist. Use /guild storage deposit <storage> <item> [quantity]'
+            };
+        }
+        return this.guildCommand.deposit(storages[0], args, manager);
+    }
+}
+class GuildCommand {
+    constructor(interactiveFormatter, configManager) {
+        this.interactiveFormatter = interactiveFormatter;
+        this.configManager = configManager;
+        this.name = 'guild';
+        this.aliases = ['gstore'];
+        this.description = 'Manage shared guild storage';
+        this.usage = '/guild storage create <name> | list | view <storage> | deposit <storage> <item> [qty] | withdraw <storage> <item> [qty] | grant <storage> <character> <read|write|admin> [days] | revoke <storage> <character> | upgrade <storage> capacity [amount] | upgrade <storage> security';
+    }
+    async execute(args, manager) {
+        var _a, _b;
+        const service = GuildStorageService_1.guildStorageService;
+        if (((_a = args[0]) === null || _a === void 0 ? void 0 : _a.toLowerCase()) !== 'storage') {
+            return {
+                success: false,
+                message: `Usage: ${this.usage}`
+            };
+        }
+        const sub = ((_b = args[1]) === null || _b === void 0 ? void 0 : _b.toLowerCase()) || 'list';
+        const rest = args.slice(2);
+        const campaignId = currentCampaignId();
+        const characterId = manager.currentPlayerId;
+        if (sub === 'create') {
+            const name = rest.join(' ').trim();
+            if (!name) {
+                return {
+                    success: false,
+                    message: 'Usage: /guild storage create <name>'
+                };
+            }
+            const storages = await service.getGuildStorages(campaignId);
+            if (storages.some(storage => storage.name.toLowerCase() === name.toLowerCase())) {
+                return {
+                    success: false,
+                    message: `A guild storage named ${name} already exists`
+                };
+            }
+            const storage = await service.createGuildStorage(campaignId, name, characterId);
+            return {
+                success: true,
+                message: `🏛️ Created guild storage **${storage.name}** (capacity ${storage.capacity}). You are its admin.`
+            };
+        }
+        if (sub === 'list') {
+            const storages = await service.getGuildStorages(campaignId);
+            if (storages.length === 0) {
+                return {
+                    success: true,
+                    message: 'No guild storages yet. Create one with /guild storage create <name>'
+                };
+            }
+            let message = '🏛️ **Guild Storages**\n';
+            for (const storage of storages) {
+                const permission = await service.getStoragePermission(storage.id, characterId);
+                message += `• **${storage.name}** - ${storage.usedCapacity}/${storage.capacity} used, security ${storage.securityLevel}` +
+                    ` (${permission ? permission.accessLevel : 'no access'})\n`;
+            }
+            return {
+                success: true,
+                message
+            };
+        }
+        const resolved = await this.resolveStorage(rest, campaignId);
+        if (!resolved) {
+            return {
+                success: false,
+                message: `Unknown guild storage. Type /guild storage list for storages.`
+            };
+        }
+        const { storage, remaining } = resolved;
+        switch (sub) {
+            case 'view':
+                return this.view(storage, characterId);
+            case 'deposit':
+                return this.deposit(storage, remaining, manager);
+            case 'withdraw':
+                return this.withdraw(storage, remaining, manager);
+            case 'grant':
+                return this.grant(storage, remaining, characterId);
+            case 'revoke':
+                return this.revoke(storage, remaining, characterId);
+            case 'upgrade':
+                return this.upgrade(storage, remaining, manager);
+            default:
+                return {
+                    success: false,
+                    message: `Usage: ${this.usage}`
+                };
+        }
+    }
+    // Storage names may contain spaces; the longest leading match wins, and a lone storage may be omitted
+    async resolveStorage(args, campaignId) {
+        const storages = await GuildStorageService_1.guildStorageService.getGuildStorages(campaignId);
+        for (let k = args.length; k > 0; k--) {
+            const query = args.slice(0, k).join(' ').toLowerCase();
+            const storage = storages.find(s => s.id === query || s.name.toLowerCase() === query);
+            if (storage) {
+                return { storage, remaining: args.slice(k) };
+            }
+        }
+        return storages.length === 1 ? { storage: storages[0], remaining: args } : null;
+    }
+    splitQuantity(args) {
         const lastArg = args[args.length - 1];
-        if (!isNaN(parseInt(lastArg))) {
-            quantity = parseInt(lastArg);
-            args = args.slice(0, -1);
+        if (args.length > 1 && /^\d+$/.test(lastArg)) {
+            return { query: args.slice(0, -1).join(' '), quantity: parseInt(lastArg, 10) };
         }
-        const itemQuery = args.join(' ');
-        const items = await manager.searchItems(itemQuery);
-        if (items.length === 0) {
+        return { query: args.join(' '), quantity: 1 };
+    }
+    async view(storage, characterId) {
+        const service = GuildStorageService_1.guildStorageService;
+        const stats = await service.getStorageStats(storage.id, characterId);
+        const contents = await service.getStorageContents(storage.id, characterId);
+        const permissions = await service.getStoragePermissions(storage.id);
+        const view = {
+            name: storage.name,
+            capacity: storage.capacity,
+            usedCapacity: storage.usedCapacity,
+            utilization: stats.utilizationRate,
+            securityLevel: storage.securityLevel,
+            securityStatus: stats.securityStatus,
+            items: contents.map(entry => ({
+                name: entry.name,
+                quantity: entry.quantity,
+                icon: this.interactiveFormatter.getItemIcon(entry.item || {}),
+                lastDepositBy: entry.lastDepositBy
+            })),
+            members: permissions.map(permission => ({
+                characterId: permission.characterId,
+                accessLevel: permission.accessLevel,
+                expiresAt: permission.expiresAt ? new Date(permission.expiresAt) : null
+            }))
+        };
+        const config = this.configManager.getEffectiveConfig();
+        if (config.chatCommands.interactiveButtons) {
+            return {
+                success: true,
+                message: `Guild storage ${storage.name}`,
+                interactive: true,
+                html: this.interactiveFormatter.formatGuildStoragePanel(view)
+            };
+        }
+        const items = view.items.map(i => `• ${i.name} x${i.quantity}`).join('\n') || '• (empty)';
+        const members = view.members.map(m => `${m.characterId} (${m.accessLevel}${m.expiresAt ? `, until ${m.expiresAt.toLocaleDateString()}` : ''})`).join(', ');
+        return {
+            success: true,
+            message: `🏛️ **${view.name}** - ${view.usedCapacity}/${view.capacity} (${Math.round(view.utilization)}%) • Security ${view.securityLevel} (${view.securityStatus.replace(/_/g, ' ')})\n` +
+                `${items}\n` +
+                `Access: ${members || 'none'}`
+        };
+    }
+    async deposit(storage, args, manager) {
+        const service = GuildStorageService_1.guildStorageService;
+        const { query, quantity } = this.splitQuantity(args);
+        const characterId = manager.currentPlayerId;
+        const items = query ? await manager.searchItems(query) : [];
+        const item = items.find(i => !i.equipped) || items[0];
+        if (!item) {
             return {
                 success: false,
-                message: `No items found matching "${itemQuery}"`
+                message: `No items found matching "${query}"`
             };
         }
-        const item = items[0];
-        const result = await manager.executeAction({
-            type: 'store',
-            itemId: item.id,
-            quantity
+        if (item.equipped) {
+            return {
+                success: false,
+                message: `Unequip ${item.name} before storing it`
+            };
+        }
+        if ((item.quantity || 1) < quantity) {
+            return {
+                success: false,
+                message: `You only have ${item.quantity || 1} ${item.name}`
+            };
+        }
+        const itemId = item.itemId || item.id;
+        const snapshot = Object.assign({}, item, { quantity: 1, equipped: false });
+        delete snapshot.equippedSlots;
+        const result = await service.performStorageOperation({
+            storageId: storage.id,
+            characterId,
+            operation: 'deposit',
+            items: [{ itemId, quantity, item: snapshot }]
         });
+        if (!result.success) {
+            return {
+                success: false,
+                message: `Can't deposit into ${storage.name}: ${result.deniedReason}`
+            };
+        }
+        const removed = await manager.removeItem(characterId, item.id, quantity);
+        if (!removed.success) {
+            await service.performStorageOperation({ storageId: storage.id, characterId, operation: 'withdraw', items: [{ itemId, quantity }] });
+            return {
+                success: false,
+                message: removed.message
+            };
+        }
+        return {
+            success: true,
+            message: `📦 Deposited ${quantity}× ${item.name} into ${storage.name} (${storage.usedCapacity}/${storage.capacity})`
+        };
+    }
+    async withdraw(storage, args, manager) {
+        const service = GuildStorageService_1.guildStorageService;
+        const { query, quantity } = this.splitQuantity(args);
+        const characterId = manager.currentPlayerId;
+        const contents = await service.getStorageContents(storage.id, characterId);
+        const q = query.toLowerCase();
+        const entry = contents.find(e => e.itemId === q || e.name.toLowerCase() === q) ||
+            contents.find(e => e.name.toLowerCase().includes(q));
+        if (!q || !entry) {
+            return {
+                success: false,
+                message: `No items matching "${query}" in ${storage.name}`
+            };
+        }
+        const result = await service.performStorageOperation({
+            storageId: storage.id,
+            characterId,
+            operation: 'withdraw',
+            items: [{ itemId: entry.itemId, quantity }]
+        });
+        if (!result.success) {
+            return {
+                success: false,
+                message: `Can't withdraw from ${storage.name}: ${result.deniedReason}`
+            };
+        }
+        const added = await manager.addItem(characterId, entry.itemId, quantity, entry.item || { name: entry.name });
+        if (!added.success) {
+            await service.performStorageOperation({
+                storageId: storage.id,
+                characterId,
+                operation: 'deposit',
+                items: [{ itemId: entry.itemId, quantity, item: entry.item }]
+            });
+            return {
+                success: false,
+                message: added.message
+            };
+        }
+        return {
+            success: true,
+            message: `📤 Withdrew ${quantity}× ${entry.name} from ${storage.name}`
+        };
+    }
+    async grant(storage, args, granterId) {
+        const levels = ['read', 'write', 'admin'];
+        let days;
+        if (args.length > 2 && /^\d+$/.test(args[args.length - 1])) {
+            days = parseInt(args[args.length - 1], 10);
+            args = args.slice(0, -1);
+        }
+        const level = (args[args.length - 1] || '').toLowerCase();
+        const target = args.slice(0, -1).join(' ');
+        if (!target || !levels.includes(level)) {
+            return {
+                success: false,
+                message: 'Usage: /guild storage grant <storage> <character> <read|write|admin> [days]'
+            };
+        }
+        const permission = await GuildStorageService_1.guildStorageService.grantStoragePermission(storage.id, target, level, granterId, days);
+        const until = permission.expiresAt ? ` until ${permission.expiresAt.toLocaleDateString()}` : '';
+        return {
+            success: true,
+            message: `🔑 ${target} now has ${level} access to ${storage.name}${until}`
+        };
+    }
+    async revoke(storage, args, revokerId) {
+        const target = args.join(' ');
+        if (!target) {
+            return {
+                success: false,
+                message: 'Usage: /guild storage revoke <storage> <character>'
+            };
+        }
+        const revoked = await GuildStorageService_1.guildStorageService.revokeStoragePermission(storage.id, target, revokerId);
+        return {
+            success: revoked,
+            message: revoked ? `🔒 Revoked ${target}'s access to ${storage.name}` : `${target} has no access to ${storage.name}`
+        };
+    }
+    async upgrade(storage, args, manager) {
+        var _a;
+        const service = GuildStorageService_1.guildStorageService;
+        const type = (_a = args[0]) === null || _a === void 0 ? void 0 : _a.toLowerCase();
+        if (type !== 'capacity' && type !== 'security') {
+            return {
+                success: false,
+                message: 'Usage: /guild storage upgrade <storage> capacity [amount] | security'
+            };
+        }
+        const characterId = manager.currentPlayerId;
+        if (!(await service.checkStorageAccess(storage.id, characterId, 'admin'))) {
+            return {
+                success: false,
+                message: `Only admins of ${storage.name} can upgrade it`
+            };
+        }
+        if (type === 'security' && storage.securityLevel >= 10) {
+            return {
+                success: false,
+                message: `${storage.name} is already at maximum security`
+            };
+        }
+        const amount = type === 'capacity' ? Math.max(1, parseInt(args[1], 10) || 10) : 1;
+        const cost = service.getUpgradeCost(storage, type, amount);
+        const payment = payFromPurse(manager, characterId, cost);
+        if (!payment.success) {
+            return {
+                success: false,
+                message: `Can't upgrade ${storage.name}: ${payment.message}`
+            };
+        }
+        const paid = payment.paid ? ` for ${payment.paid}` : '';
+        let result;
+        try {
+            result = type === 'capacity'
+                ? await service.upgradeStorageCapacity(storage.id, characterId, amount)
+                : await service.upgradeStorageSecurity(storage.id, characterId);
+        }
+        catch (error) {
+            // The cost was taken up front; hand it back when the upgrade fails
+            payFromPurse(manager, characterId, -cost);
+            return {
+                success: false,
+                message: `Can't upgrade ${storage.name}: ${error instanceof Error ? error.message : 'Unknown error'}`
+            };
+        }
+        if (type === 'capacity') {
+            return {
+                success: true,
+                message: `🏗️ ${storage.name} capacity raised to ${result.newCapacity}${paid}`
+            };
+        }
+        return {
+            success: true,
+            message: `🛡️ ${storage.name} security raised to ${result.newSecurityLevel} (${service.getSecurityStatus(result.newSecurityLevel).replace(/_/g, ' ')})${paid}`
+        };
+    }
+}
+class StealCommand {
+    constructor(guildCommand) {
+        this.guildCommand = guildCommand;
+        this.name = 'steal';
+        this.aliases = ['pilfer', 'pickpocket'];
+        this.description = 'Try to steal from a guild storage';
+        this.usage = '/steal <storage> <item> [quantity]';
+    }
+    async execute(args, manager) {
+        const resolved = await this.guildCommand.resolveStorage(args, currentCampaignId());
+        if (!resolved || resolved.remaining.length === 0) {
+            return {
+                success: false,
+                message: `Usage: ${this.usage}`
+            };
+        }
+        const { storage, remaining } = resolved;
+        const { query, quantity } = this.guildCommand.splitQuantity(remaining);
+        const entry = GuildStorageService_1.guildStorageService.findStoredItem(storage.id, query);
+        if (!entry) {
+            return {
+                success: false,
+                message: `You find no ${query} in ${storage.name}`
+            };
+        }
+        const characterId = manager.currentPlayerId;
+        const skillLevel = await SkillTreeService_1.skillTreeService.getSkillLevel(characterId, 'theft');
+        const result = await TheftService_1.theftService.attemptTheft(characterId, storage.id, [{ itemId: entry.itemId, quantity: Math.min(quantity, entry.quantity) }], skillLevel);
+        for (const stolen of result.stolenItems) {
+            await manager.addItem(characterId, stolen.itemId, stolen.quantity, stolen.item || { name: entry.name });
+        }
+        const lines = [];
+        if (result.success && result.stolenItems.length) {
+            lines.push(`🥷 Stole ${result.stolenItems.map(i => `${i.quantity}× ${(i.item && i.item.name) || i.itemId}`).join(', ')} from ${storage.name} (worth ~${result.stolenValue}g)`);
+        }
+        else if (result.detected) {
+            lines.push(`🚨 Caught trying to steal from ${storage.name}${result.detectionMethod ? ` (${result.detectionMethod.replace(/_/g, ' ')})` : ''}`);
+        }
+        else {
+            lines.push(`😶 You couldn't get at the ${entry.name} in ${storage.name}`);
+        }
+        for (const consequence of result.consequences) {
+            lines.push(`• ${consequence.description} (severity ${consequence.severity})`);
+        }
+        for (const faction of result.factions || []) {
+            lines.push(`📉 ${faction.name} standing: ${faction.standing} (${faction.points})`);
+        }
         return {
             success: result.success,
-            message: result.message
+            message: lines.join('\n')
+        };
+    }
+}
+class BountyCommand {
+    constructor() {
+        this.name = 'bounty';
+        this.aliases = ['bounties'];
+        this.description = 'List, post and claim bounties on thieves';
+        this.usage = '/bounty list | /bounty post <character> <gold> [reason] | /bounty claim <#|character>';
+    }
+    async execute(args, manager) {
+        var _a;
+        const service = TheftService_1.theftService;
+        const sub = ((_a = args[0]) === null || _a === void 0 ? void 0 : _a.toLowerCase()) || 'list';
+        const characterId = manager.currentPlayerId;
+        if (sub === 'list') {
+            const bounties = service.getActiveBounties();
+            if (bounties.length === 0) {
+                return {
+                    success: true,
+                    message: 'No active bounties'
+                };
+            }
+            let message = '📜 **Active Bounties**\n';
+            bounties.forEach((bounty, index) => {
+                message += `${index + 1}. **${bounty.thiefId}** - ${bounty.amount}g${bounty.reason ? ` (${bounty.reason})` : ''}, posted by ${bounty.postedBy}\n`;
+            });
+            return {
+                success: true,
+                message
+            };
+        }
+        if (sub === 'post') {
+            const amountIndex = args.findIndex((arg, i) => i > 1 && /^\d+g?$/i.test(arg));
+            const target = amountIndex > 0 ? args.slice(1, amountIndex).join(' ') : '';
+            const amount = amountIndex > 0 ? parseInt(args[amountIndex], 10) : 0;
+            if (!target || amount <= 0) {
+                return {
+                    success: false,
+                    message: 'Usage: /bounty post <character> <gold> [reason]'
+                };
+            }
+            const payment = payFromPurse(manager, characterId, amount * 100);
+            if (!payment.success) {
+                return {
+                    success: false,
+                    message: `Can't post the bounty: ${payment.message}`
+                };
+            }
+            const reason = args.slice(amountIndex + 1).join(' ') || undefined;
+            try {
+                await service.postBounty(target, undefined, amount, characterId, reason);
+            }
+            catch (error) {
+                // The reward was taken up front; hand it back when the board rejects the bounty
+                payFromPurse(manager, characterId, -amount * 100);
+                return {
+                    success: false,
+                    message: `Can't post the bounty: ${error instanceof Error ? error.message : 'Unknown error'}`
+                };
+            }
+            return {
+                success: true,
+                message: `📜 Posted a ${amount}g bounty on ${target}${reason ? ` for ${reason}` : ''}`
+            };
+        }
+        if (sub === 'claim') {
+            const query = args.slice(1).join(' ').replace(/^#/, '').toLowerCase();
+            const bounties = service.getActiveBounties();
+            const bounty = (/^\d+$/.test(query) ? bounties[parseInt(query, 10) - 1] : null) ||
+                bounties.find(b => b.id === query || b.thiefId.toLowerCase() === query);
+            if (!bounty) {
+                return {
+                    success: false,
+                    message: `No active bounty matching "${query}". Type /bounty list for bounties.`
+                };
+            }
+            if (bounty.thiefId === characterId) {
+                return {
+                    success: false,
+                    message: "You can't claim a bounty on yourself"
+                };
+            }
+            if (bounty.postedBy === characterId) {
+                return {
+                    success: false,
+                    message: "You can't claim a bounty you posted"
+                };
+            }
+            const result = await service.claimBounty(bounty.id, characterId);
+            payFromPurse(manager, characterId, -result.amount * 100);
+            return {
+                success: true,
+                message: `💰 Claimed the ${result.amount}g bounty on ${bounty.thiefId}`
+            };
+        }
+        return {
+            success: false,
+            message: `Usage: ${this.usage}`
+        };
+    }
+}
+class SecurityCommand {
+    constructor(guildCommand) {
+        this.guildCommand = guildCommand;
+        this.name = 'security';
+        this.aliases = ['sec'];
+        this.description = 'Protect guild storage with security measures';
+        this.usage = '/security list | /security status <storage> | /security install <storage> <measure>';
+    }
+    async execute(args, manager) {
+        var _a;
+        const service = TheftService_1.theftService;
+        const sub = ((_a = args[0]) === null || _a === void 0 ? void 0 : _a.toLowerCase()) || 'list';
+        if (sub === 'list') {
+            let message = '🛡️ **Security Measures**\n';
+            for (const measure of service.getAvailableSecurityMeasures()) {
+                message += `• **${measure.name}** (${measure.type}) - ${measure.description}; ${measure.cost / 100}g\n`;
+            }
+            return {
+                success: true,
+                message
+            };
+        }
+        if (sub !== 'status' && sub !== 'install') {
+            return {
+                success: false,
+                message: `Usage: ${this.usage}`
+            };
+        }
+        const resolved = await this.guildCommand.resolveStorage(args.slice(1), currentCampaignId());
+        if (!resolved) {
+            return {
+                success: false,
+                message: 'Unknown guild storage. Type /guild storage list for storages.'
+            };
+        }
+        const { storage, remaining } = resolved;
+        if (sub === 'status') {
+            const status = await service.getSecurityStatus(storage.id);
+            const measures = status.activeMeasures.map(m => m.name).join(', ') || 'none';
+            return {
+                success: true,
+                message: `🛡️ **${storage.name}** - security ${status.securityLevel}, vulnerability ${status.vulnerabilityScore}/10\n` +
+                    `Measures: ${measures}` +
+                    (status.alarmCooldownRemaining > 0 ? `\nAlarm raised - on alert for ${status.alarmCooldownRemaining} more min` : '')
+            };
+        }
+        const q = remaining.join(' ').toLowerCase();
+        const measure = q ? service.getAvailableSecurityMeasures().find(m => m.id === q.replace(/\s+/g, '_') || m.name.toLowerCase().includes(q)) : null;
+        if (!measure) {
+            return {
+                success: false,
+                message: `Unknown security measure "${q}". Type /security list for measures.`
+            };
+        }
+        const characterId = manager.currentPlayerId;
+        if (!(await GuildStorageService_1.guildStorageService.checkStorageAccess(storage.id, characterId, 'admin'))) {
+            return {
+                success: false,
+                message: `Only admins of ${storage.name} can install security`
+            };
+        }
+        if (service.getInstalledSecurityMeasures(storage.id).some(m => m.id === measure.id)) {
+            return {
+                success: false,
+                message: `${measure.name} is already installed in ${storage.name}`
+            };
+        }
+        const payment = payFromPurse(manager, characterId, measure.cost);
+        if (!payment.success) {
+            return {
+                success: false,
+                message: `Can't install ${measure.name}: ${payment.message}`
+            };
+        }
+        await service.installSecurityMeasure(storage.id, measure.id, characterId);
+        return {
+            success: true,
+            message: `🛡️ Installed ${measure.name} in ${storage.name}${payment.paid ? ` for ${payment.paid}` : ''}`
         };
     }
 }
@@ -421,6 +1032,553 @@ class TradeItemCommand {
         };
     }
 }
+class CraftCommand {
+    constructor() {
+        this.name = 'craft';
+        this.aliases = ['make', 'forge', 'brew'];
+        this.description = 'Craft an item from a recipe using inventory materials';
+        this.usage = '/craft [list [category]] | /craft check <recipe> | /craft <recipe>';
+    }
+    async execute(args, manager) {
+        var _a;
+        const service = CraftingService_1.craftingService;
+        const sub = (_a = args[0]) === null || _a === void 0 ? void 0 : _a.toLowerCase();
+        if (!sub || sub === 'list') {
+            const recipes = service.listRecipes(args[1] ? args[1].toLowerCase() : undefined);
+            if (recipes.length === 0) {
+                return {
+                    success: true,
+                    message: 'No recipes known'
+                };
+            }
+            let message = '🔨 **Recipes**\n';
+            for (const recipe of recipes) {
+                const materials = recipe.materials.map(m => `${m.quantity}× ${m.itemId}`).join(', ');
+                message += `• **${recipe.name}** (${recipe.category}, difficulty ${recipe.difficulty}) - ${materials}\n`;
+            }
+            return {
+                success: true,
+                message
+            };
+        }
+        const check = sub === 'check';
+        const query = (check ? args.slice(1) : args).join(' ');
+        const recipe = service.findRecipe(query);
+        if (!recipe) {
+            return {
+                success: false,
+                message: `Unknown recipe: ${query}. Type /craft list for recipes.`
+            };
+        }
+        const inventory = await manager.getPlayerInventory();
+        const characterId = manager.currentPlayerId;
+        const materials = service.checkMaterials(recipe, inventory.items);
+        const missingText = materials.missing.map(m => `${m.itemId} (${m.have}/${m.required})`).join(', ');
+        if (check) {
+            const { chance } = await service.calculateSuccessChance(recipe, characterId);
+            return {
+                success: true,
+                message: `🔨 **${recipe.name}** - success chance ${Math.round(chance * 100)}%, ${recipe.craftingTime} min\n` +
+                    (materials.ok ? 'All materials available' : `Missing: ${missingText}`)
+            };
+        }
+        if (!materials.ok) {
+            return {
+                success: false,
+                message: `Missing materials for ${recipe.name}: ${missingText}`
+            };
+        }
+        const result = await service.craft(characterId, recipe.id, manager);
+        if (!result.success) {
+            const lost = (result.materialsConsumed || []).map(m => `${m.quantity}× ${m.itemId}`).join(', ');
+            return {
+                success: false,
+                message: `${result.message}${lost ? ` - lost ${lost}` : ''}`
+            };
+        }
+        const xp = result.xp ? ` (+${result.xp} XP)` : '';
+        const levelUp = result.levelUps.length ? ` ⬆️ Level ${result.levelUps[result.levelUps.length - 1].newLevel}!` : '';
+        return {
+            success: true,
+            message: `🔨 Crafted ${result.item.name} [${result.quality}]${xp}${levelUp}`
+        };
+    }
+}
+class RepairCommand {
+    constructor(interactiveFormatter, configManager) {
+        this.interactiveFormatter = interactiveFormatter;
+        this.configManager = configManager;
+        this.name = 'repair';
+        this.aliases = ['mend', 'fix'];
+        this.description = 'Repair a damaged item or get a repair quote';
+        this.usage = '/repair <item> | /repair quote <item> | /repair queue';
+    }
+    // Items from the API use durability/maxDurability, service-side items durabilityCurrent/durabilityMax
+    readDurability(item) {
+        const current = item.durabilityCurrent !== undefined ? item.durabilityCurrent : item.durability;
+        const max = item.durabilityMax !== undefined ? item.durabilityMax : item.maxDurability;
+        if (current === undefined || max === undefined || !max)
+            return null;
+        return { current, max };
+    }
+    durabilityFields(item, value) {
+        return item.durabilityCurrent !== undefined ? { durabilityCurrent: value } : { durability: value };
+    }
+    matchesItem(item, itemId) {
+        return item.itemId === itemId || item.id === itemId ||
+            String(item.name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_') === itemId;
+    }
+    countItems(items, itemId) {
+        return items
+            .filter(item => this.matchesItem(item, itemId))
+            .reduce((total, item) => total + (item.quantity || 0), 0);
+    }
+    async execute(args, manager) {
+        var _a;
+        const service = DurabilityService_1.durabilityService;
+        const sub = (_a = args[0]) === null || _a === void 0 ? void 0 : _a.toLowerCase();
+        if (!sub) {
+            return {
+                success: false,
+                message: `Usage: ${this.usage}`
+            };
+        }
+        if (sub === 'queue') {
+            const queue = service.getRepairQueue();
+            if (queue.length === 0) {
+                return {
+                    success: true,
+                    message: 'No repairs in progress'
+                };
+            }
+            let message = '🔧 **Repairs in progress**\n';
+            for (const entry of queue) {
+                message += `• ${entry.itemName} - ${Math.ceil(entry.remainingMinutes / 60)}h left\n`;
+            }
+            return {
+                success: true,
+                message
+            };
+        }
+        const quoteOnly = sub === 'quote';
+        const query = (quoteOnly ? args.slice(1) : args).join(' ');
+        const matches = await manager.searchItems(query);
+        const item = matches.find(i => this.readDurability(i)) || matches[0];
+        if (!item) {
+            return {
+                success: false,
+                message: `No items found matching "${query}"`
+            };
+        }
+        const durability = this.readDurability(item);
+        if (!durability) {
+            return {
+                success: false,
+                message: `${item.name} can't be repaired`
+            };
+        }
+        if (durability.current >= durability.max) {
+            return {
+                success: true,
+                message: `${item.name} is already in perfect condition`
+            };
+        }
+        if (service.getRepairQueue().some(entry => entry.itemId === item.id)) {
+            return {
+                success: false,
+                message: `${item.name} is already being repaired`
+            };
+        }
+        const characterId = manager.currentPlayerId;
+        const target = Object.assign({}, item, {
+            durabilityCurrent: durability.current,
+            durabilityMax: durability.max,
+            baseValue: item.baseValue !== undefined ? item.baseValue : (item.value || 0),
+            weight: item.weight || 0,
+            rarity: item.rarity || 'common'
+        });
+        const character = await XPCalculationService_1.xpCalculationService.getOrLoadCharacterXP(characterId);
+        const skillBonus = await XPCalculationService_1.xpCalculationService.calculateSkillBonus({ type: 'crafting', confidence: 1, details: { difficulty: 1 } }, character);
+        const repair = await service.calculateRepair(target, undefined, { skillBonus });
+        const inventory = await manager.getPlayerInventory();
+        const materials = Object.entries(repair.requiredMaterials).map(([itemId, required]) => ({
+            itemId,
+            required,
+            have: this.countItems(inventory.items, itemId)
+        }));
+        const missing = materials.filter(m => m.have < m.required);
+        const queued = repair.repairTime > service.config.instantRepairMaxMinutes;
+        const quote = {
+            itemName: item.name,
+            current: durability.current,
+            max: durability.max,
+            restoreTo: Math.min(durability.max, durability.current + repair.maxDurabilityRestored),
+            cost: repair.repairCost,
+            chance: repair.successChance,
+            time: repair.repairTime,
+            materials
+        };
+        if (quoteOnly || missing.length > 0) {
+            quote.status = missing.length > 0 ? `Missing ${missing.map(m => m.itemId).join(', ')}` : (queued ? 'Long repair - finishes as game time passes (/stres tick)' : 'Ready to repair');
+            return this.respond(quoteOnly, quote, quoteOnly ? `Repair quote for ${item.name}` : `Missing materials to repair ${item.name}`);
+        }
+        for (const material of materials) {
+            let remaining = material.required;
+            for (const stack of inventory.items.filter(i => this.matchesItem(i, material.itemId))) {
+                if (remaining <= 0)
+                    break;
+                const take = Math.min(stack.quantity, remaining);
+                await manager.removeItem(characterId, stack.id, take);
+                remaining -= take;
+            }
+        }
+        if (queued) {
+            service.queueRepair(target, repair, characterId, {
+                characterId,
+                durabilityField: Object.keys(this.durabilityFields(item, 0))[0],
+                onComplete: (repaired) => manager.updateItem(characterId, item.id, this.durabilityFields(item, repaired.durabilityCurrent))
+            });
+            quote.status = `Repair started - ready in ${(repair.repairTime / 60).toFixed(1)}h of game time (/stres tick)`;
+            return this.respond(true, quote, quote.status);
+        }
+        const result = await service.repairItem(target, repair, characterId);
+        await manager.updateItem(characterId, item.id, this.durabilityFields(item, result.newDurability));
+        quote.current = result.newDurability;
+        quote.restoreTo = result.newDurability;
+        quote.status = result.success ? 'Repaired successfully' : 'Repair failed - the item took damage';
+        return this.respond(result.success, quote, `${result.success ? '🔧 Repaired' : '💥 Failed to repair'} ${item.name} (${result.newDurability}/${durability.max})`);
+    }
+    respond(success, quote, message) {
+        const config = this.configManager.getEffectiveConfig();
+        if (config.chatCommands.interactiveButtons) {
+            return {
+                success,
+                message,
+                interactive: true,
+                html: this.interactiveFormatter.formatRepairPanel(quote)
+            };
+        }
+        const pct = Math.round((quote.current / quote.max) * 10);
+        const bar = '█'.repeat(pct) + '░'.repeat(10 - pct);
+        const materials = quote.materials.map(m => `${m.required}× ${m.itemId} (have ${m.have})`).join(', ') || 'none';
+        return {
+            success,
+            message: `🔧 **${quote.itemName}** ${bar} ${quote.current}/${quote.max}\n` +
+                `Cost: ${quote.cost}g • Success: ${Math.round(quote.chance * 100)}% • Time: ${quote.time} min\n` +
+                `Materials: ${materials}` + (quote.status ? `\n${quote.status}` : '')
+        };
+    }
+}
+class EnchantCommand {
+    constructor(interactiveFormatter, configManager, repairCommand) {
+        this.interactiveFormatter = interactiveFormatter;
+        this.configManager = configManager;
+        this.repairCommand = repairCommand;
+        this.name = 'enchant';
+        this.aliases = ['ench', 'enchanting'];
+        this.description = 'Enchant or disenchant an item at the workbench';
+        this.usage = '/enchant list [item] | /enchant preview <item> <recipe> | /enchant <item> <recipe> | /enchant disenchant <item> [enchantment]';
+    }
+    async execute(args, manager) {
+        var _a;
+        const service = EnchantmentService_1.enchantmentService;
+        const sub = (_a = args[0]) === null || _a === void 0 ? void 0 : _a.toLowerCase();
+        if (!sub || sub === 'list') {
+            return this.list(args.slice(1).join(' '), manager);
+        }
+        if (sub === 'disenchant' || sub === 'remove') {
+            return this.disenchant(args.slice(1), manager);
+        }
+        const previewOnly = sub === 'preview' || sub === 'check';
+        const rest = previewOnly || sub === 'attempt' ? args.slice(1) : args;
+        const split = this.splitTarget(rest, query => service.findRecipe(query));
+        if (!split) {
+            return {
+                success: false,
+                message: `Usage: ${this.usage}`
+            };
+        }
+        const item = await this.findItem(split.itemQuery, manager);
+        if (!item) {
+            return {
+                success: false,
+                message: `No items found matching "${split.itemQuery}"`
+            };
+        }
+        const recipe = split.target;
+        const characterId = manager.currentPlayerId;
+        const inventory = await manager.getPlayerInventory();
+        const working = this.prepare(item);
+        const skillLevel = await this.getSkillLevel(characterId);
+        const materials = this.availableMaterials(recipe, inventory.items);
+        const preview = service.previewEnchantment(working, recipe.id, skillLevel, materials);
+        const view = this.buildView(item, working, preview, inventory.items);
+        if (previewOnly || !preview.canAttempt) {
+            view.status = preview.canAttempt ? `Ready - /enchant ${item.name} ${recipe.name} to commit` : this.blockedReason(preview);
+            return this.respond(previewOnly, view, previewOnly ? `Enchantment preview for ${item.name}` : `Can't enchant ${item.name}: ${view.status}`);
+        }
+        const result = await service.attemptEnchantment(working, recipe.id, characterId, skillLevel, materials);
+        await this.consumeMaterials(manager, characterId, inventory.items, result.materialsConsumed);
+        await manager.updateItem(characterId, item.id, this.itemFields(item, working));
+        let xp = null;
+        if (result.success) {
+            try {
+                xp = await XPCalculationService_1.xpCalculationService.calculateXP({
+                    type: 'magic',
+                    confidence: 1,
+                    details: { difficulty: Math.max(1, Math.min(5, recipe.basePower)), recipeId: recipe.id }
+                }, characterId);
+            }
+            catch (error) {
+                console.warn('[Enchant] XP award failed:', error);
+            }
+        }
+        const after = this.buildView(item, working, preview, inventory.items);
+        after.power = result.enchantment ? result.enchantment.power : preview.scaledPower;
+        after.conflicts = [];
+        let message;
+        if (result.success) {
+            const instability = (result.instabilityEffects || []).filter(e => e.value !== 0).map(e => `${e.target} ${e.value > 0 ? '+' : ''}${e.value}`).join(', ');
+            message = `✨ ${item.name} is now enchanted with ${recipe.name} (power ${result.enchantment.power})` +
+                (instability ? ` - unstable: ${instability}` : '') +
+                (xp ? ` (+${xp.totalXP} XP)` : '');
+        }
+        else {
+            message = result.curse ? `💀 The enchantment backfired - ${item.name} gained ${result.curse.name}` : `💨 The ${recipe.name} enchantment fizzled - materials lost`;
+        }
+        after.status = message;
+        return this.respond(result.success, after, message);
+    }
+    async list(itemQuery, manager) {
+        const service = EnchantmentService_1.enchantmentService;
+        if (!itemQuery) {
+            let message = '✨ **Enchantments**\n';
+            for (const recipe of service.recipes.values()) {
+                const materials = Object.entries(recipe.requiredMaterials).map(([id, qty]) => `${qty}× ${id}`).join(', ');
+                message += `• **${recipe.name}** (${recipe.type}, skill ${recipe.requiredSkill}) - ${recipe.description}; ${materials}\n`;
+            }
+            return {
+                success: true,
+                message
+            };
+        }
+        const item = await this.findItem(itemQuery, manager);
+        if (!item) {
+            return {
+                success: false,
+                message: `No items found matching "${itemQuery}"`
+            };
+        }
+        const working = this.prepare(item);
+        const recipes = service.getAvailableRecipes(working.type);
+        if (recipes.length === 0) {
+            return {
+                success: true,
+                message: `No enchantments can be applied to ${item.name}`
+            };
+        }
+        const inventory = await manager.getPlayerInventory();
+        const skillLevel = await this.getSkillLevel(manager.currentPlayerId);
+        let message = `✨ **Enchantments for ${item.name}** (${working.enchantmentSlots} free slot${working.enchantmentSlots === 1 ? '' : 's'})\n`;
+        for (const recipe of recipes) {
+            const preview = service.previewEnchantment(working, recipe.id, skillLevel, this.availableMaterials(recipe, inventory.items));
+            const note = preview.canAttempt ? 'ready' : this.blockedReason(preview);
+            message += `• **${recipe.name}** - power ${preview.scaledPower}, ${Math.round(preview.successChance * 100)}% (${note})\n`;
+        }
+        return {
+            success: true,
+            message
+        };
+    }
+    async disenchant(args, manager) {
+        const service = EnchantmentService_1.enchantmentService;
+        let item = await this.findItem(args.join(' '), manager);
+        let enchantment = null;
+        if (!item) {
+            const split = await this.splitItemAndEnchantment(args, manager);
+            if (split) {
+                item = split.item;
+                enchantment = split.enchantment;
+            }
+        }
+        if (!item) {
+            return {
+                success: false,
+                message: `Usage: /enchant disenchant <item> [enchantment]`
+            };
+        }
+        const working = this.prepare(item);
+        if (working.enchantments.length === 0) {
+            return {
+                success: false,
+                message: `${item.name} has no enchantments`
+            };
+        }
+        if (!enchantment) {
+            if (working.enchantments.length > 1) {
+                return {
+                    success: false,
+                    message: `${item.name} has several enchantments: ${working.enchantments.map(e => e.name).join(', ')}. Name the one to remove.`
+                };
+            }
+            enchantment = working.enchantments[0];
+        }
+        const characterId = manager.currentPlayerId;
+        const chance = service.calculateRemovalChance(enchantment, working);
+        const result = await service.removeEnchantment(working, enchantment.id, characterId);
+        if (result.itemDestroyed && !this.repairCommand.readDurability(item)) {
+            await manager.removeItem(characterId, item.id, 1);
+        }
+        else {
+            await manager.updateItem(characterId, item.id, this.itemFields(item, working));
+        }
+        const recovered = Object.entries(result.materialsRecovered).filter(([, qty]) => qty > 0);
+        for (const [itemId, quantity] of recovered) {
+            await manager.addItem(characterId, itemId, quantity);
+        }
+        if (result.success) {
+            const materials = recovered.map(([id, qty]) => `${qty}× ${id}`).join(', ');
+            return {
+                success: true,
+                message: `🧹 Removed ${enchantment.name} from ${item.name} (${Math.round(chance * 100)}% chance)` + (materials ? ` - recovered ${materials}` : '')
+            };
+        }
+        return {
+            success: false,
+            message: result.itemDestroyed ? `💥 Disenchanting failed and destroyed ${item.name}` : `💥 Disenchanting failed - ${item.name} was damaged and keeps ${enchantment.name}`
+        };
+    }
+    // Item names and recipe/enchantment names are both free text, so try the shortest tail first
+    splitTarget(args, resolve) {
+        for (let k = 1; k < args.length; k++) {
+            const target = resolve(args.slice(args.length - k).join(' '));
+            if (target) {
+                return { itemQuery: args.slice(0, args.length - k).join(' '), target };
+            }
+        }
+        return null;
+    }
+    async splitItemAndEnchantment(args, manager) {
+        for (let k = 1; k < args.length; k++) {
+            const item = await this.findItem(args.slice(0, args.length - k).join(' '), manager);
+            if (!item)
+                continue;
+            const enchantment = this.findEnchantment(this.prepare(item), args.slice(args.length - k).join(' '));
+            if (enchantment)
+                return { item, enchantment };
+        }
+        return null;
+    }
+    findEnchantment(item, query) {
+        const q = String(query || '').trim().toLowerCase();
+        return item.enchantments.find(e => e.id === q || e.recipeId === q || String(e.name).toLowerCase() === q) ||
+            item.enchantments.find(e => String(e.name).toLowerCase().includes(q)) ||
+            null;
+    }
+    async findItem(query, manager) {
+        if (!query)
+            return null;
+        const matches = await manager.searchItems(query);
+        const q = query.toLowerCase();
+        return matches.find(i => String(i.name || '').toLowerCase() === q) || matches[0] || null;
+    }
+    prepare(item) {
+        const working = EnchantmentService_1.enchantmentService.prepareItem(item);
+        const durability = this.repairCommand.readDurability(item);
+        if (durability) {
+            working.durabilityCurrent = durability.current;
+        }
+        return working;
+    }
+    itemFields(item, working) {
+        const fields = {
+            enchantments: working.enchantments,
+            enchantmentSlots: working.enchantmentSlots,
+            enchantmentPower: working.enchantmentPower,
+            properties: working.properties,
+            weight: working.weight,
+            cursed: working.enchantments.some(e => e.type === 'cursed')
+        };
+        if (this.repairCommand.readDurability(item)) {
+            Object.assign(fields, this.repairCommand.durabilityFields(item, working.durabilityCurrent));
+        }
+        return fields;
+    }
+    async getSkillLevel(characterId) {
+        return SkillTreeService_1.skillTreeService.getSkillLevel(characterId, 'enchanting');
+    }
+    availableMaterials(recipe, items) {
+        const materials = {};
+        for (const [material, required] of Object.entries(recipe.requiredMaterials)) {
+            materials[material] = Math.min(required, CraftingService_1.craftingService.countMaterial(items, material));
+        }
+        return materials;
+    }
+    async consumeMaterials(manager, characterId, items, consumed) {
+        for (const [material, quantity] of Object.entries(consumed || {})) {
+            let remaining = quantity;
+            for (const stack of items.filter(i => CraftingService_1.craftingService.matchesMaterial(i, material))) {
+                if (remaining <= 0)
+                    break;
+                const take = Math.min(stack.quantity, remaining);
+                await manager.removeItem(characterId, stack.id, take);
+                remaining -= take;
+            }
+        }
+    }
+    blockedReason(preview) {
+        if (preview.conflicts.hasConflicts)
+            return preview.conflicts.conflicts.join('; ');
+        if (!preview.skillOk)
+            return `requires skill ${preview.recipe.requiredSkill} (you have ${preview.skillLevel})`;
+        return `missing ${preview.missingMaterials.map(m => `${m.itemId} (${m.have}/${m.required})`).join(', ')}`;
+    }
+    buildView(item, working, preview, items) {
+        const recipe = preview.recipe;
+        return {
+            itemName: item.name,
+            itemIcon: this.interactiveFormatter.getItemIcon(item),
+            recipeName: recipe.name,
+            description: recipe.description,
+            power: preview.scaledPower,
+            basePower: recipe.basePower,
+            chance: preview.successChance,
+            curseChance: preview.curseChance,
+            requiredSkill: recipe.requiredSkill,
+            skillLevel: preview.skillLevel,
+            freeSlots: working.enchantmentSlots,
+            enchantments: working.enchantments.map(e => ({ name: e.name, power: e.power, cursed: e.type === 'cursed' })),
+            conflicts: preview.conflicts.conflicts,
+            materials: Object.entries(recipe.requiredMaterials).map(([itemId, required]) => ({
+                itemId,
+                required,
+                have: CraftingService_1.craftingService.countMaterial(items, itemId)
+            }))
+        };
+    }
+    respond(success, view, message) {
+        const config = this.configManager.getEffectiveConfig();
+        if (config.chatCommands.interactiveButtons) {
+            return {
+                success,
+                message,
+                interactive: true,
+                html: this.interactiveFormatter.formatEnchantPanel(view)
+            };
+        }
+        const materials = view.materials.map(m => `${m.required}× ${m.itemId} (have ${m.have})`).join(', ') || 'none';
+        const existing = view.enchantments.map(e => `${e.name} ${e.power}`).join(', ') || 'none';
+        return {
+            success,
+            message: `✨ **${view.itemName}** + ${view.recipeName} - power ${view.power} (base ${view.basePower})\n` +
+                `Success: ${Math.round(view.chance * 100)}% • Curse on failure: ${Math.round(view.curseChance * 100)}% • Skill ${view.skillLevel}/${view.requiredSkill}\n` +
+                `Slots free: ${view.freeSlots} • Current: ${existing}\n` +
+                `Materials: ${materials}` +
+                (view.conflicts.length ? `\n⚠️ ${view.conflicts.join('; ')}` : '') +
+                (view.status ? `\n${view.status}` : '')
+        };
+    }
+}
 class HelpCommand {
     constructor(processor) {
         this.processor = processor;
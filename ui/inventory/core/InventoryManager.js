@@ -9,6 +9,11 @@ class InventoryManager {
         this.currentPlayerId = null;
         this.wsSubscription = null;
         this.pollingInterval = null;
+        // Versioned snapshots: last server-confirmed inventory per character plus the
+        // optimistic ops that have not been acknowledged yet
+        this.confirmed = new Map();
+        this.pendingOps = new Map();
+        this.opSequence = 0;
 
         // Get API base from STRES settings if available
         this.updateApiBase();
@@ -44,7 +49,10 @@ class InventoryManager {
 
                     const update = {
                         type: updateType,
-                        inventory: data.inventory,
+                        characterId: data.characterId,
+                        inventory: data.inventory ? this.transformApiData(data.inventory) : undefined,
+                        revision: this.snapshotRevision(data.inventory, data),
+                        serverTime: this.snapshotTime(data.inventory, { serverTime: event.timestamp }),
                         itemId: data.itemId,
                         item: data.item,
                         timestamp: event.timestamp
@@ -76,7 +84,9 @@ class InventoryManager {
                 if (inventory) {
                     this.handleInventoryUpdate({
                         type: 'inventory_updated',
+                        characterId: this.currentPlayerId,
                         inventory,
+                        serverTime: inventory.updatedAt || null,
                         timestamp: Date.now()
                     });
                 }
@@ -99,12 +109,83 @@ class InventoryManager {
         if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
             return cached.data;
         }
-        const inventory = await this.fetchInventory(id);
+        let inventory = await this.fetchInventory(id);
         if (inventory) {
-            this.cache.set(id, { data: inventory, timestamp: Date.now() });
+            inventory = await this.reconcileOffline(id, inventory);
+            const view = this.acceptSnapshot(id, inventory, { serverTime: inventory.updatedAt || null });
+            if (view)
+                return view;
+            const current = this.cache.get(id);
+            return current ? current.data : inventory;
+        }
+        return this.getDefaultInventory(id);
+    }
+    // Local inventory store (modules/inventory.js) used while the backend is unreachable
+    getOfflineStore() {
+        return (typeof window !== 'undefined' && window.STRESInventory) || null;
+    }
+    isOfflineError(error) {
+        // fetch() rejects with a TypeError on network failure; HTTP errors are server rejections
+        return error instanceof TypeError;
+    }
+    async reconcileOffline(characterId, inventory) {
+        const store = this.getOfflineStore();
+        if (!store)
             return inventory;
+        try {
+            if (store.hasPending(characterId)) {
+                const result = await store.reconcile(characterId);
+                if (result.ok && result.inventory)
+                    return result.inventory;
+            }
+            else {
+                store.adoptServer(characterId, inventory);
+            }
         }
-        return this.getDefaultInventory();
+        catch (error) {
+            console.warn('[InventoryManager] Offline reconcile failed:', error);
+        }
+        return inventory;
+    }
+    applyOffline(type, characterId, itemId, quantity = 1, details = {}) {
+        const store = this.getOfflineStore();
+        if (!store)
+            return null;
+        let result;
+        switch (type) {
+            case 'add':
+                result = store.addItem(characterId, details.item || itemId, quantity);
+                break;
+            case 'remove':
+                result = store.removeItem(characterId, itemId, quantity);
+                break;
+            case 'use':
+                result = store.useItem(characterId, itemId);
+                break;
+            case 'equip':
+                result = store.equip(characterId, itemId, details.slot);
+                break;
+            case 'unequip':
+                result = store.unequip(characterId, itemId);
+                break;
+            case 'update':
+                result = store.updateItem(characterId, itemId, details.fields);
+                break;
+            default:
+                return null;
+        }
+        if (result.success) {
+            // Local revisions aren't comparable with the server's, so the next server snapshot always wins
+            this.handleInventoryUpdate({
+                type: this.getUpdateType(type),
+                characterId,
+                itemId,
+                inventory: result.updatedInventory,
+                offline: true,
+                timestamp: Date.now()
+            });
+        }
+        return Object.assign({}, result, { offline: true });
     }
     async fetchInventory(playerId) {
         try {
@@ -130,13 +211,37 @@ class InventoryManager {
             armor: items.filter((i) => i.type === 'armor'),
             consumables: items.filter((i) => i.type === 'consumable'),
             equippedWeapon: items.find((i) => i.type === 'weapon' && i.equipped),
-            equippedArmor: items.filter((i) => i.type === 'armor' && i.equipped)
+            equippedArmor: items.filter((i) => i.type === 'armor' && i.equipped),
+            equipment: this.buildEquipment(items),
+            equippedStats: this.getEquipmentModel() ? this.getEquipmentModel().aggregateStats(items).totals : {},
+            revision: this.snapshotRevision(apiData),
+            updatedAt: this.snapshotTime(apiData)
         };
     }
+    buildEquipment(items) {
+        const model = this.getEquipmentModel();
+        if (!model)
+            return {};
+        const map = model.slotMap(items);
+        const equipment = {};
+        for (const slot of Object.keys(map)) {
+            equipment[slot] = { id: map[slot].id, name: map[slot].name };
+        }
+        return equipment;
+    }
     calculateWeight(items) {
         return items.reduce((total, item) => total + (item.weight * item.quantity), 0);
     }
-    getDefaultInventory() {
+    getDefaultInventory(characterId) {
+        const store = this.getOfflineStore();
+        if (store) {
+            try {
+                return store.view(characterId);
+            }
+            catch (error) {
+                console.warn('[InventoryManager] Offline store unavailable:', error);
+            }
+        }
         return {
             items: [],
             carryWeight: 0,
@@ -149,121 +254,138 @@ class InventoryManager {
             equippedArmor: []
         };
     }
-    async addItem(characterId, itemId, quantity = 1) {
-        try {
-            const response = await fetch(`${this.apiBase}/${characterId}/items`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ itemId, quantity })
-            });
-            if (!response.ok) {
-                throw new Error(`Failed to add item: ${response.status}`);
-            }
-            const result = await response.json();
-            if (result.inventory) {
-                const inventory = this.transformApiData(result.inventory);
-                this.cache.set(characterId, {
-                    data: inventory,
-                    timestamp: Date.now()
-                });
-                this.handleInventoryUpdate({
-                    type: 'item_added',
-                    itemId,
-                    inventory,
-                    timestamp: Date.now()
-                });
+    // `item` optionally carries full item data for generated items (crafting output, loot)
+    async addItem(characterId, itemId, quantity = 1, item) {
+        return this.performItemAction('add', characterId, itemId, quantity, `${this.apiBase}/${characterId}/items`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(item ? { itemId, quantity, item } : { itemId, quantity })
+        }, `Added ${quantity} ${item ? item.name : itemId}(s) to inventory`, item ? { item } : {});
+    }
+
+    async removeItem(characterId, itemId, quantity = 1) {
+        return this.performItemAction('remove', characterId, itemId, quantity, `${this.apiBase}/${characterId}/items/${itemId}`, {
+            method: 'DELETE',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ quantity })
+        }, `Removed ${quantity} ${itemId}(s) from inventory`);
+    }
+
+    async useItem(characterId, itemId) {
+        return this.performItemAction('use', characterId, itemId, 1, `${this.apiBase}/${characterId}/items/${itemId}/use`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' }
+        }, `Used ${itemId}`);
+    }
+
+    async updateItem(characterId, itemId, fields) {
+        return this.performItemAction('update', characterId, itemId, 1, `${this.apiBase}/${characterId}/items/${itemId}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(fields)
+        }, `Updated ${itemId}`, { fields });
+    }
+    // Slot rules live in modules/equipment.js (window.STRESEquipment); validated here so conflicts
+    // are reported before anything is sent
+    getEquipmentModel() {
+        return (typeof window !== 'undefined' && window.STRESEquipment) || null;
+    }
+    async equipItem(characterId, itemId, slot) {
+        const model = this.getEquipmentModel();
+        const inventory = await this.getPlayerInventory(characterId);
+        const item = inventory.items.find(i => i.id === itemId);
+        if (!item) {
+            return { success: false, message: `Item ${itemId} not found` };
+        }
+        let plan = null;
+        if (model) {
+            plan = model.planEquip(inventory.items, item, slot);
+            if (!plan.ok) {
+                return { success: false, message: plan.error };
             }
-            return {
-                success: true,
-                message: `Added ${quantity} ${itemId}(s) to inventory`,
-                updatedInventory: result.inventory
-            };
         }
-        catch (error) {
-            console.error('Failed to add item:', error);
-            return {
-                success: false,
-                message: 'Failed to add item. Please try again.'
-            };
+        const slots = plan ? plan.slots : undefined;
+        const label = slots ? ` (${slots.map(s => model.slotLabel(s)).join(' + ')})` : '';
+        const swapped = plan && plan.displaced.length ? ` • swapped out ${plan.displaced.map(i => i.name).join(', ')}` : '';
+        const result = await this.performItemAction('equip', characterId, itemId, 1, `${this.apiBase}/${characterId}/items/${itemId}/equip`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ slot: slots ? slots[0] : slot })
+        }, `Equipped ${item.name}${label}${swapped}`, { slot: slots ? slots[0] : slot, slots });
+        if (result.success && plan) {
+            result.displaced = plan.displaced;
         }
+        return result;
     }
-
-    async removeItem(characterId, itemId, quantity = 1) {
+    async unequipItem(characterId, itemId) {
+        const inventory = await this.getPlayerInventory(characterId);
+        const item = inventory.items.find(i => i.id === itemId);
+        if (!item || !item.equipped) {
+            return { success: false, message: `Item ${itemId} is not equipped` };
+        }
+        if (item.cursed || (item.properties && item.properties.cursed)) {
+            return { success: false, message: `${item.name} is cursed and cannot be removed` };
+        }
+        return this.performItemAction('unequip', characterId, itemId, 1, `${this.apiBase}/${characterId}/items/${itemId}/unequip`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' }
+        }, `Unequipped ${item.name}`);
+    }
+    // Applies the change optimistically, then confirms, rolls back (server rejection) or hands it
+    // to the offline store (network failure) once the request settles.
+    async performItemAction(type, characterId, itemId, quantity, url, init, successMessage, details = {}) {
+        const op = this.enqueueOptimistic(characterId, type, itemId, quantity, details);
+        let response;
         try {
-            const response = await fetch(`${this.apiBase}/${characterId}/items/${itemId}`, {
-                method: 'DELETE',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ quantity })
-            });
-            if (!response.ok) {
-                throw new Error(`Failed to remove item: ${response.status}`);
-            }
-            const result = await response.json();
-            if (result.inventory) {
-                const inventory = this.transformApiData(result.inventory);
-                this.cache.set(characterId, {
-                    data: inventory,
-                    timestamp: Date.now()
-                });
-                this.handleInventoryUpdate({
-                    type: 'item_removed',
-                    itemId,
-                    inventory,
-                    timestamp: Date.now()
-                });
-            }
-            return {
-                success: true,
-                message: `Removed ${quantity} ${itemId}(s) from inventory`,
-                updatedInventory: result.inventory
-            };
+            response = await fetch(url, init);
         }
         catch (error) {
-            console.error('Failed to remove item:', error);
+            console.error(`Failed to ${type} item:`, error);
+            this.dropOptimistic(characterId, op);
+            const offline = this.isOfflineError(error) && this.applyOffline(type, characterId, itemId, quantity, details);
+            if (offline)
+                return offline;
+            this.rollbackOptimistic(characterId, op, String((error === null || error === void 0 ? void 0 : error.message) || error));
             return {
                 success: false,
-                message: 'Failed to remove item. Please try again.'
+                message: `Failed to ${type} item. Please try again.`
             };
         }
-    }
-
-    async useItem(characterId, itemId) {
+        let result = {};
         try {
-            const response = await fetch(`${this.apiBase}/${characterId}/items/${itemId}/use`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' }
-            });
-            if (!response.ok) {
-                throw new Error(`Failed to use item: ${response.status}`);
-            }
-            const result = await response.json();
-            if (result.inventory) {
-                const inventory = this.transformApiData(result.inventory);
-                this.cache.set(characterId, {
-                    data: inventory,
-                    timestamp: Date.now()
-                });
-                this.handleInventoryUpdate({
-                    type: 'item_used',
-                    itemId,
-                    inventory,
-                    timestamp: Date.now()
-                });
-            }
-            return {
-                success: true,
-                message: `Used ${itemId}`,
-                updatedInventory: result.inventory,
-                effects: result.effects
-            };
+            result = await response.json();
         }
-        catch (error) {
-            console.error('Failed to use item:', error);
+        catch (_b) { }
+        if (!response.ok) {
+            const reason = (result && (result.message || (result.error && result.error.message) || result.error)) || `HTTP ${response.status}`;
+            console.error(`Failed to ${type} item: ${response.status}`, reason);
+            this.rollbackOptimistic(characterId, op, reason);
             return {
                 success: false,
-                message: 'Failed to use item. Please try again.'
+                rolledBack: true,
+                message: `Failed to ${type} item: ${reason}`
             };
         }
+        this.dropOptimistic(characterId, op);
+        if (result.inventory) {
+            this.handleInventoryUpdate({
+                type: this.getUpdateType(type),
+                characterId,
+                itemId,
+                inventory: this.transformApiData(result.inventory),
+                timestamp: Date.now()
+            });
+        }
+        else {
+            // No snapshot in the response: fold the confirmed op into the baseline so it doesn't vanish
+            this.confirmOptimistic(characterId, op);
+        }
+        return {
+            success: true,
+            message: successMessage,
+            updatedInventory: result.inventory,
+            effects: result.effects
+        };
     }
 
     // Legacy method for backward compatibility - routes to appropriate new method
@@ -275,11 +397,15 @@ class InventoryManager {
 
         switch (action.type) {
             case 'add':
-                return this.addItem(characterId, action.itemId, action.quantity || 1);
+                return this.addItem(characterId, action.itemId, action.quantity || 1, action.item);
             case 'remove':
                 return this.removeItem(characterId, action.itemId, action.quantity || 1);
             case 'use':
                 return this.useItem(characterId, action.itemId);
+            case 'equip':
+                return this.equipItem(characterId, action.itemId, action.slot);
+            case 'unequip':
+                return this.unequipItem(characterId, action.itemId);
             default:
                 return { success: false, message: 'Unsupported action type' };
         }
@@ -290,6 +416,7 @@ class InventoryManager {
             case 'remove': return 'item_removed';
             case 'use': return 'item_used';
             case 'equip': return 'item_equipped';
+            case 'update': return 'item_updated';
             case 'drop': return 'item_removed';
             case 'store': return 'item_removed';
             default: return 'inventory_updated';
@@ -312,16 +439,206 @@ class InventoryManager {
         return () => this.updateCallbacks.delete(callback);
     }
     handleInventoryUpdate(update) {
-        if (this.currentPlayerId) {
-            this.cache.set(this.currentPlayerId, {
-                data: update.inventory,
-                timestamp: Date.now()
-            });
+        const characterId = update.characterId || this.currentPlayerId;
+        if (characterId && update.inventory) {
+            const view = this.acceptSnapshot(characterId, update.inventory, update);
+            if (!view)
+                return;
+            update = Object.assign({}, update, { inventory: view });
+        }
+        else if (characterId) {
+            // Delta without a snapshot: force the next read to refetch
+            this.cache.delete(characterId);
         }
+        this.notifyUpdate(update);
+    }
+    notifyUpdate(update) {
         this.updateCallbacks.forEach(callback => callback(update));
+        try {
+            window.dispatchEvent(new CustomEvent('stres:inventory:updated', { detail: update }));
+        }
+        catch (_b) { }
+    }
+    snapshotRevision(raw, envelope) {
+        const candidates = [
+            raw === null || raw === void 0 ? void 0 : raw.revision,
+            raw === null || raw === void 0 ? void 0 : raw.version,
+            envelope === null || envelope === void 0 ? void 0 : envelope.revision,
+            envelope === null || envelope === void 0 ? void 0 : envelope.sequence
+        ];
+        for (const value of candidates) {
+            if (value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value)))
+                return Number(value);
+        }
+        return null;
+    }
+    snapshotTime(raw, envelope) {
+        const value = (raw === null || raw === void 0 ? void 0 : raw.updatedAt) || (envelope === null || envelope === void 0 ? void 0 : envelope.serverTime);
+        if (!value)
+            return null;
+        const time = typeof value === 'number' ? value : Date.parse(value);
+        return Number.isFinite(time) ? time : null;
+    }
+    // A snapshot is stale when it is not newer than the confirmed one. Revisions win; server
+    // timestamps are only compared when neither side carries a revision.
+    isStaleSnapshot(characterId, revision, serverTime) {
+        const current = this.confirmed.get(characterId);
+        if (!current)
+            return false;
+        if (revision !== null && current.revision !== null)
+            return revision <= current.revision;
+        if (revision === null && current.revision === null && serverTime !== null && current.serverTime !== null)
+            return serverTime < current.serverTime;
+        return false;
+    }
+    acceptSnapshot(characterId, inventory, meta = {}) {
+        const revision = meta.offline ? null : (inventory.revision !== undefined && inventory.revision !== null ? inventory.revision : this.snapshotRevision(null, meta));
+        const serverTime = meta.offline ? null : (meta.serverTime !== undefined ? meta.serverTime : null);
+        if (this.isStaleSnapshot(characterId, revision, serverTime)) {
+            console.debug('[InventoryManager] Discarding stale inventory snapshot', { characterId, revision, serverTime, source: meta.type });
+            const cached = this.cache.get(characterId);
+            if (cached)
+                cached.timestamp = Date.now();
+            return null;
+        }
+        this.confirmed.set(characterId, { data: inventory, revision, serverTime });
+        return this.rebuildView(characterId);
+    }
+    // Displayed inventory = last confirmed snapshot + optimistic ops still in flight
+    rebuildView(characterId) {
+        const base = this.confirmed.get(characterId);
+        const ops = this.pendingOps.get(characterId) || [];
+        let view = base ? base.data : this.getDefaultInventory(characterId);
+        for (const op of ops) {
+            view = this.applyOptimisticOp(view, op);
+        }
+        view = Object.assign({}, view, {
+            revision: base ? base.revision : null,
+            pendingOps: ops.length
+        });
+        this.cache.set(characterId, { data: view, timestamp: Date.now() });
+        return view;
+    }
+    applyOptimisticOp(inventory, op) {
+        const items = (inventory.items || []).map(item => Object.assign({}, item));
+        const match = items.find(item => item.id === op.itemId || item.itemId === op.itemId);
+        switch (op.type) {
+            case 'add':
+                if (match && match.type !== 'weapon' && match.type !== 'armor') {
+                    match.quantity += op.quantity;
+                }
+                else {
+                    const template = op.item || match || {};
+                    items.push(Object.assign({}, template, {
+                        id: match ? `${op.itemId}#pending${op.id}` : op.itemId,
+                        itemId: op.itemId,
+                        name: template.name || op.itemId,
+                        type: template.type || 'misc',
+                        weight: template.weight || 0,
+                        quantity: op.quantity,
+                        equipped: false,
+                        pending: true
+                    }));
+                }
+                break;
+            case 'remove':
+                if (match)
+                    match.quantity -= op.quantity;
+                break;
+            case 'use':
+                if (match && match.type === 'consumable')
+                    match.quantity -= 1;
+                break;
+            case 'equip': {
+                const model = this.getEquipmentModel();
+                const slots = op.slots;
+                if (!match)
+                    break;
+                if (model && slots) {
+                    for (const other of items) {
+                        if (other !== match && model.equippedSlots(other).some(slot => slots.includes(slot))) {
+                            other.equipped = false;
+                            delete other.equippedSlots;
+                        }
+                    }
+                    match.equippedSlots = slots;
+                }
+                match.equipped = true;
+                break;
+            }
+            case 'unequip':
+                if (match) {
+                    match.equipped = false;
+                    delete match.equippedSlots;
+                }
+                break;
+            case 'update':
+                if (match)
+                    Object.assign(match, op.fields);
+                break;
+        }
+        return Object.assign(this.transformApiData({
+            items: items.filter(item => item.quantity > 0),
+            maxWeight: inventory.maxWeight,
+            currency: inventory.currency
+        }), { revision: inventory.revision });
+    }
+    enqueueOptimistic(characterId, type, itemId, quantity, details = {}) {
+        const ops = this.pendingOps.get(characterId) || [];
+        if (!this.confirmed.has(characterId) && !ops.length) {
+            const cached = this.cache.get(characterId);
+            if (cached && cached.data) {
+                this.confirmed.set(characterId, { data: cached.data, revision: cached.data.revision !== undefined ? cached.data.revision : null, serverTime: null });
+            }
+        }
+        const op = Object.assign({}, details, { id: ++this.opSequence, type, itemId, quantity, createdAt: Date.now() });
+        ops.push(op);
+        this.pendingOps.set(characterId, ops);
+        this.notifyUpdate({
+            type: this.getUpdateType(type),
+            characterId,
+            itemId,
+            inventory: this.rebuildView(characterId),
+            optimistic: true,
+            timestamp: Date.now()
+        });
+        return op;
+    }
+    dropOptimistic(characterId, op) {
+        const ops = (this.pendingOps.get(characterId) || []).filter(pending => pending.id !== op.id);
+        if (ops.length)
+            this.pendingOps.set(characterId, ops);
+        else
+            this.pendingOps.delete(characterId);
+    }
+    confirmOptimistic(characterId, op) {
+        const base = this.confirmed.get(characterId);
+        if (base) {
+            base.data = this.applyOptimisticOp(base.data, op);
+        }
+        this.notifyUpdate({
+            type: this.getUpdateType(op.type),
+            characterId,
+            itemId: op.itemId,
+            inventory: this.rebuildView(characterId),
+            timestamp: Date.now()
+        });
+    }
+    rollbackOptimistic(characterId, op, reason) {
+        this.dropOptimistic(characterId, op);
+        this.notifyUpdate({
+            type: 'rollback',
+            characterId,
+            itemId: op.itemId,
+            action: op.type,
+            reason,
+            inventory: this.rebuildView(characterId),
+            timestamp: Date.now()
+        });
     }
     clearCache() {
         this.cache.clear();
+        this.confirmed.clear();
     }
 
     disconnectWebSocket() {
@@ -431,6 +431,266 @@ class InteractiveFormatter {
   font-size: 8px;
 }
 </style>
+`;
+    }
+    // quote: { itemName, current, max, restoreTo, cost, chance, time, materials: [{ itemId, required, have }], status }
+    formatRepairPanel(quote) {
+        const materials = quote.materials.map(m => `
+    <li class="${m.have >= m.required ? 'repair-ok' : 'repair-missing'}">${m.required}× ${m.itemId} <span>(have ${m.have})</span></li>`).join('');
+        const hours = quote.time >= 60 ? `${(quote.time / 60).toFixed(1)}h` : `${quote.time}m`;
+        return `
+<div class="stres-repair-panel">
+  <div class="repair-header">🔧 ${quote.itemName}</div>
+  <div class="repair-durability">
+    <span>${quote.current}/${quote.max}</span>
+    ${this.renderDurabilityBar(quote.current, quote.max)}
+    <span>→ ${quote.restoreTo}/${quote.max}</span>
+  </div>
+  <div class="repair-meta">
+    <span>💰 ${quote.cost}g</span>
+    <span>🎯 ${Math.round(quote.chance * 100)}%</span>
+    <span>⏱️ ${hours}</span>
+  </div>
+  <ul class="repair-materials">${materials || '<li>No materials needed</li>'}
+  </ul>
+  ${quote.status ? `<div class="repair-status">${quote.status}</div>` : ''}
+</div>
+
+<style>
+.stres-repair-panel {
+  background: var(--SmartThemeBlurTintColor, rgba(0,0,0,0.9));
+  border: 1px solid var(--SmartThemeBorderColor, #444);
+  border-radius: 6px;
+  padding: 8px 10px;
+  margin: 4px 0;
+  font-size: 12px;
+}
+
+.repair-header {
+  font-weight: bold;
+  margin-bottom: 4px;
+}
+
+.repair-durability,
+.repair-meta {
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  margin-bottom: 4px;
+}
+
+.stres-repair-panel .durability-bar {
+  width: 80px;
+  height: 4px;
+  background: var(--black30a, rgba(0,0,0,0.3));
+  border-radius: 2px;
+  overflow: hidden;
+}
+
+.stres-repair-panel .durability-fill {
+  height: 100%;
+}
+
+.stres-repair-panel .weight-ok { background: #4ade80; }
+.stres-repair-panel .weight-warning { background: #facc15; }
+.stres-repair-panel .weight-critical { background: #ef4444; }
+
+.repair-materials {
+  margin: 4px 0;
+  padding-left: 16px;
+}
+
+.repair-materials span {
+  color: var(--SmartThemeQuoteColor, #aaa);
+}
+
+.repair-missing {
+  color: #ef4444;
+}
+
+.repair-status {
+  color: var(--SmartThemeQuoteColor, #aaa);
+  font-style: italic;
+}
+</style>
+`;
+    }
+    formatEnchantPanel(view) {
+        const materials = view.materials.map(m => `
+    <li class="${m.have >= m.required ? 'enchant-ok' : 'enchant-missing'}">${m.required}× ${m.itemId} <span>(have ${m.have})</span></li>`).join('');
+        const existing = view.enchantments.map(e => `<span class="enchant-tag${e.cursed ? ' enchant-cursed' : ''}">${e.name} ${e.power}</span>`).join('');
+        const conflicts = view.conflicts.map(c => `
+    <li>${c}</li>`).join('');
+        return `
+<div class="stres-enchant-panel">
+  <div class="enchant-header">${view.itemIcon} ${view.itemName} <span class="enchant-recipe">+ ${view.recipeName}</span></div>
+  <div class="enchant-description">${view.description}</div>
+  <div class="enchant-meta">
+    <span>⚡ Power ${view.power} <small>(base ${view.basePower})</small></span>
+    <span>🎯 ${Math.round(view.chance * 100)}%</span>
+    <span>💀 ${Math.round(view.curseChance * 100)}% curse on failure</span>
+  </div>
+  <div class="enchant-meta">
+    <span class="${view.skillLevel >= view.requiredSkill ? '' : 'enchant-missing'}">📖 Skill ${view.skillLevel}/${view.requiredSkill}</span>
+    <span>🔮 ${view.freeSlots} free slot${view.freeSlots === 1 ? '' : 's'}</span>
+  </div>
+  <div class="enchant-existing">${existing || '<span class="enchant-none">No enchantments</span>'}</div>
+  <ul class="enchant-materials">${materials || '<li>No materials needed</li>'}
+  </ul>
+  ${conflicts ? `<ul class="enchant-conflicts">${conflicts}
+  </ul>` : ''}
+  ${view.status ? `<div class="enchant-status">${view.status}</div>` : ''}
+</div>
+
+<style>
+.stres-enchant-panel {
+  background: var(--SmartThemeBlurTintColor, rgba(0,0,0,0.9));
+  border: 1px solid var(--SmartThemeBorderColor, #444);
+  border-radius: 6px;
+  padding: 8px 10px;
+  margin: 4px 0;
+  font-size: 12px;
+}
+
+.enchant-header {
+  font-weight: bold;
+  margin-bottom: 2px;
+}
+
+.enchant-recipe {
+  color: #a78bfa;
+}
+
+.enchant-description,
+.enchant-none,
+.enchant-materials span,
+.enchant-status {
+  color: var(--SmartThemeQuoteColor, #aaa);
+}
+
+.enchant-meta,
+.enchant-existing {
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 8px;
+  margin: 4px 0;
+}
+
+.enchant-tag {
+  background: var(--black30a, rgba(0,0,0,0.3));
+  border-radius: 3px;
+  padding: 1px 6px;
+}
+
+.enchant-materials,
+.enchant-conflicts {
+  margin: 4px 0;
+  padding-left: 16px;
+}
+
+.enchant-missing,
+.enchant-cursed,
+.enchant-conflicts {
+  color: #ef4444;
+}
+
+.enchant-status {
+  font-style: italic;
+}
+</style>
+`;
+    }
+    formatGuildStoragePanel(view) {
+        const percentage = view.capacity > 0 ? Math.min(100, view.utilization) : 0;
+        const items = view.items.map(item => `
+    <li><span>${item.icon}</span> ${item.name} <b>x${item.quantity}</b>${item.lastDepositBy ? ` <small>(${item.lastDepositBy})</small>` : ''}</li>`).join('');
+        const members = view.members.map(member => `
+    <li><span class="guild-access guild-access--${member.accessLevel}">${member.accessLevel}</span> ${member.characterId}${member.expiresAt ? ` <small>until ${member.expiresAt.toLocaleDateString()}</small>` : ''}</li>`).join('');
+        return `
+<div class="stres-guild-panel">
+  <div class="guild-header">🏛️ ${view.name}</div>
+  <div class="guild-capacity">
+    <span>📦 ${view.usedCapacity}/${view.capacity}</span>
+    <div class="weight-bar">
+      <div class="weight-fill ${this.getWeightClass(percentage)}" style="width: ${percentage}%"></div>
+    </div>
+    <span>🛡️ ${view.securityLevel} <small>(${view.securityStatus.replace(/_/g, ' ')})</small></span>
+  </div>
+  <div class="guild-section">Contents</div>
+  <ul class="guild-list">${items || '<li class="guild-empty">Empty</li>'}
+  </ul>
+  <div class="guild-section">Access</div>
+  <ul class="guild-list">${members || '<li class="guild-empty">No members</li>'}
+  </ul>
+</div>
+
+<style>
+.stres-guild-panel {
+  background: var(--SmartThemeBlurTintColor, rgba(0,0,0,0.9));
+  border: 1px solid var(--SmartThemeBorderColor, #444);
+  border-radius: 6px;
+  padding: 8px 10px;
+  margin: 4px 0;
+  font-size: 12px;
+}
+
+.guild-header {
+  font-weight: bold;
+  margin-bottom: 4px;
+}
+
+.guild-capacity {
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  margin-bottom: 4px;
+}
+
+.stres-guild-panel .weight-bar {
+  flex: 1;
+  height: 4px;
+  background: var(--black30a, rgba(0,0,0,0.3));
+  border-radius: 2px;
+  overflow: hidden;
+}
+
+.stres-guild-panel .weight-fill {
+  height: 100%;
+}
+
+.stres-guild-panel .weight-ok { background: #4ade80; }
+.stres-guild-panel .weight-warning { background: #facc15; }
+.stres-guild-panel .weight-critical { background: #ef4444; }
+
+.guild-section {
+  font-weight: bold;
+  margin-top: 6px;
+  color: var(--SmartThemeQuoteColor, #aaa);
+}
+
+.guild-list {
+  margin: 2px 0;
+  padding-left: 16px;
+}
+
+.guild-list small,
+.guild-empty {
+  color: var(--SmartThemeQuoteColor, #aaa);
+}
+
+.guild-access {
+  border-radius: 3px;
+  padding: 0 4px;
+  font-size: 10px;
+  text-transform: uppercase;
+  background: var(--black30a, rgba(0,0,0,0.3));
+}
+
+.guild-access--admin { color: #facc15; }
+.guild-access--write { color: #4ade80; }
+.guild-access--read { color: #60a5fa; }
+</style>
 `;
     }
 }